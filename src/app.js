@@ -18,13 +18,38 @@ const ShutdownHandler = require('./utils/shutdown');
 
 // Services
 const FifoService = require('./services/fifoService');
+const ContentFeederService = require('./services/contentFeederService');
+const LayerFeederService = require('./services/layerFeederService');
 const ZmqService = require('./services/zmqService');
+const LayoutService = require('./services/layoutService');
+const TextLayerService = require('./services/textLayerService');
 const HlsService = require('./services/hlsService');
+const DashService = require('./services/dashService');
+const QueueService = require('./services/queueService');
+const SchedulerService = require('./services/schedulerService');
+const MediaProbeService = require('./services/mediaProbeService');
+const MediaLibraryService = require('./services/mediaLibraryService');
+const ApiKeyService = require('./services/apiKeyService');
+const UrlSigningService = require('./services/urlSigningService');
+const HlsKeyService = require('./services/hlsKeyService');
 const FFmpegService = require('./services/ffmpegService');
+const MetricsService = require('./services/metricsService');
+const HealthService = require('./services/healthService');
 
 // Controllers and Routes
 const StreamController = require('./controllers/streamController');
+const QueueController = require('./controllers/queueController');
+const ScheduleController = require('./controllers/scheduleController');
+const MediaController = require('./controllers/mediaController');
+const LayerController = require('./controllers/layerController');
+const TextController = require('./controllers/textController');
+const ApiKeyController = require('./controllers/apiKeyController');
+const HlsKeyController = require('./controllers/hlsKeyController');
+const MetricsController = require('./controllers/metricsController');
 const createApiRoutes = require('./routes/api');
+const { requireSignedUrl } = require('./middleware/signedUrl');
+const { requireRole } = require('./middleware/auth');
+const { requestMetrics } = require('./middleware/metrics');
 
 class HLSStreamerApp {
   constructor() {
@@ -33,18 +58,64 @@ class HLSStreamerApp {
     this.shutdownHandler = new ShutdownHandler();
     
     // Initialize services
-    this.fifoService = new FifoService();
+    this.mediaProbeService = new MediaProbeService();
+    this.contentFeeder = new ContentFeederService(this.mediaProbeService);
+    this.layerFeeder = new LayerFeederService(this.mediaProbeService);
+    this.fifoService = new FifoService(this.contentFeeder, this.layerFeeder);
     this.zmqService = new ZmqService();
-    this.hlsService = new HlsService();
-    this.ffmpegService = new FFmpegService(this.fifoService, this.hlsService);
+    this.hlsKeyService = new HlsKeyService();
+    this.hlsService = new HlsService(this.hlsKeyService);
+    this.dashService = new DashService();
+    this.layoutService = new LayoutService(this.zmqService, this.fifoService);
+    this.textLayerService = new TextLayerService(this.zmqService);
+    this.ffmpegService = new FFmpegService(this.fifoService, this.hlsService, this.dashService, this.layoutService, this.textLayerService);
+    // Layout and text changes ZeroMQ cannot apply regenerate the filter graph
+    this.layoutService.onRebuild(reason => this.ffmpegService.rebuild(reason));
+    this.textLayerService.onRebuild(reason => this.ffmpegService.rebuild(reason));
+    this.queueService = new QueueService(this.fifoService);
+    // The slate or another clip taking over means the queue item that was playing has finished
+    this.contentFeeder.onSlate(() => this.queueService.onSlate());
+    this.contentFeeder.onClipStarted(filePath => this.queueService.onClipStarted(filePath));
+    this.schedulerService = new SchedulerService(this.fifoService, this.zmqService, this.layoutService);
+    this.mediaLibraryService = new MediaLibraryService(this.mediaProbeService);
+    this.apiKeyService = new ApiKeyService();
+    this.urlSigningService = new UrlSigningService();
+    this.healthService = new HealthService(this.hlsService, this.ffmpegService);
+    this.metricsService = new MetricsService();
+    this.metricsService.instrumentServices({
+      ffmpegService: this.ffmpegService,
+      hlsService: this.hlsService,
+      zmqService: this.zmqService,
+      fifoService: this.fifoService,
+      healthService: this.healthService
+    });
     
-    // Initialize controller
+    // Initialize controllers
+    this.layerController = new LayerController(this.layoutService, {
+      fifoService: this.fifoService,
+      mediaProbeService: this.mediaProbeService
+    });
     this.streamController = new StreamController(
       this.fifoService,
       this.zmqService,
       this.ffmpegService,
-      this.hlsService
+      this.hlsService,
+      {
+        dashService: this.dashService,
+        queueService: this.queueService,
+        mediaProbeService: this.mediaProbeService,
+        urlSigningService: this.urlSigningService,
+        healthService: this.healthService,
+        layerController: this.layerController
+      }
     );
+    this.textController = new TextController(this.textLayerService);
+    this.queueController = new QueueController(this.queueService, this.mediaProbeService);
+    this.scheduleController = new ScheduleController(this.schedulerService, this.mediaProbeService);
+    this.mediaController = new MediaController(this.mediaLibraryService);
+    this.apiKeyController = new ApiKeyController(this.apiKeyService);
+    this.hlsKeyController = new HlsKeyController(this.hlsKeyService);
+    this.metricsController = new MetricsController(this.metricsService);
   }
 
   /**
@@ -54,11 +125,22 @@ class HLSStreamerApp {
     // Trust proxy for proper IP detection
     this.app.set('trust proxy', 1);
 
-    // CORS middleware for all origins
+    // Request counts and latency for Prometheus
+    if (this.metricsService.isEnabled()) {
+      this.app.use(requestMetrics(this.metricsService));
+    }
+
+    // CORS middleware for the configured origins
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      const origin = req.get('Origin');
+      if (CONFIG.http.corsOrigins.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+      } else if (origin && CONFIG.http.corsOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Vary', 'Origin');
+      }
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
       
       // Handle preflight requests
       if (req.method === 'OPTIONS') {
@@ -76,26 +158,68 @@ class HLSStreamerApp {
     const publicDir = path.join(__dirname, '..', 'public');
     this.app.use(express.static(publicDir));
 
-    // CORS headers for HLS streaming
-    this.app.use('/hls', (req, res, next) => {
+    // CORS and no-cache headers for HLS/DASH streaming
+    const streamingHeaders = (req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
       res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
       res.header('Cache-Control', 'no-cache, no-store, must-revalidate');
       res.header('Pragma', 'no-cache');
       res.header('Expires', '0');
       next();
-    });
+    };
+    this.app.use('/hls', streamingHeaders);
+
+    // Signed, expiring URLs for private streams (no-op unless HLS_SIGNED_URLS=true)
+    this.app.use('/hls', requireSignedUrl(this.urlSigningService));
+
+    // LL-HLS playlists, blocking reloads and parent segments are handled by HlsService
+    this.app.use('/hls', (req, res, next) => this.hlsService.handleRequest(req, res, next));
+
+    // Serve HLS files (playlists, .ts/.m4s segments and fMP4 init segments)
+    this.app.use('/hls', express.static(CONFIG.hls.outputDir, {
+      setHeaders: (res, filePath) => {
+        const contentType = this.hlsService.getContentType(filePath);
+        if (contentType) {
+          res.setHeader('Content-Type', contentType);
+        }
+      }
+    }));
+
+    // Serve DASH files (manifest and segments)
+    if (this.dashService.isEnabled()) {
+      this.app.use('/dash', streamingHeaders);
+      this.app.use('/dash', express.static(CONFIG.dash.outputDir));
+    }
 
-    // Serve HLS files
-    this.app.use('/hls', express.static(CONFIG.hls.outputDir));
+    // Serve media library thumbnails to the same viewers as the media listing
+    this.app.use('/thumbnails', requireRole(this.apiKeyService, 'viewer'), express.static(CONFIG.media.library.thumbnailDir));
 
     // API routes
-    this.app.use('/api', createApiRoutes(this.streamController));
+    this.app.use('/api', createApiRoutes(this.streamController, {
+      queueController: this.queueController,
+      scheduleController: this.scheduleController,
+      mediaController: this.mediaController,
+      layerController: this.layerController,
+      textController: this.textController,
+      apiKeyController: this.apiKeyController,
+      hlsKeyController: this.hlsKeyController
+    }, {
+      apiKeyService: this.apiKeyService,
+      urlSigningService: this.urlSigningService,
+      metricsService: this.metricsService,
+      // Read per request: text layers add and remove filter instances at runtime
+      filterTargets: () => this.ffmpegService.getFilterTargets()
+    }));
+
+    // Prometheus metrics (GET /metrics), scrapers authenticate with a viewer key as bearer token
+    if (this.metricsService.isEnabled()) {
+      this.app.get('/metrics', requireRole(this.apiKeyService, 'viewer'), (req, res) => this.metricsController.getMetrics(req, res));
+    }
 
     // Root endpoint - basic dashboard
     this.app.get('/', (req, res) => {
       const baseUrl = `${req.protocol}://${req.get('host')}`;
-      const streamUrl = `${baseUrl}/hls/${CONFIG.hls.playlistName}`;
+      const streamUrl = this.hlsService.getStreamUrl(baseUrl);
       
       res.send(`
         <!DOCTYPE html>
@@ -176,7 +300,7 @@ class HLSStreamerApp {
                 <pre>{
   "type": "filter",
   "data": {
-    "command": "Parsed_overlay_1 x=200:y=300"
+    "command": "layer0_overlay x 200"
   }
 }</pre>
               </div>
@@ -255,7 +379,7 @@ class HLSStreamerApp {
     return new Promise((resolve, reject) => {
       this.httpServer = this.app.listen(CONFIG.http.port, CONFIG.http.host, () => {
         logger.info(`HTTP server listening on http://${CONFIG.http.host}:${CONFIG.http.port}`);
-        logger.info(`HLS stream available at: http://${CONFIG.http.host}:${CONFIG.http.port}/hls/${CONFIG.hls.playlistName}`);
+        logger.info(`HLS stream available at: ${this.hlsService.getStreamUrl(`http://${CONFIG.http.host}:${CONFIG.http.port}`)}`);
         resolve();
       });
 
@@ -275,17 +399,36 @@ class HLSStreamerApp {
   async initializeServices() {
     logger.info('Initializing services...');
 
-    // Setup HLS directory
+    // Setup HLS and DASH directories
     this.hlsService.setupDirectory();
+    this.dashService.setupDirectory();
+
+    // Create the first encryption key before FFmpeg reads the keyinfo file
+    this.hlsKeyService.setup();
 
     // Create FIFOs
     await this.fifoService.createAll();
 
+    // Restore the persisted content queue
+    this.queueService.load();
+
+    // Load the media library index
+    this.mediaLibraryService.load();
+
+    // Load API keys (creates an admin key on first start with authentication enabled)
+    this.apiKeyService.load();
+
+    // Restore the persisted schedule
+    this.schedulerService.load();
+
     // Initialize ZeroMQ
     await this.zmqService.initialize();
 
-    // Start HLS cleanup scheduler
+    // Start HLS cleanup scheduler, segment tracking, health monitoring and key rotation
     this.hlsService.startCleanupScheduler();
+    this.hlsService.startSegmentWatcher();
+    this.healthService.start();
+    this.hlsKeyService.startRotation();
 
     logger.info('Services initialized successfully');
   }
@@ -310,8 +453,20 @@ class HLSStreamerApp {
       // Start HTTP server
       await this.startHttpServer();
 
-      // Initialize content
-      await this.ffmpegService.initializeContent();
+      // Initialize content (a persisted queue takes precedence over the default content)
+      if (!this.queueService.hasItems()) {
+        await this.ffmpegService.initializeContent();
+      }
+      this.queueService.start();
+
+      // Play the fallback slate if there is nothing to play yet
+      this.contentFeeder.start();
+
+      // Feed every layer a transparent frame until a source is set
+      this.layerFeeder.start();
+
+      // Start firing scheduled actions
+      this.schedulerService.start();
 
       // Start FFmpeg (with a small delay to ensure FIFOs are ready)
       setTimeout(async () => {
@@ -323,7 +478,12 @@ class HLSStreamerApp {
         ffmpegService: this.ffmpegService,
         zmqService: this.zmqService,
         fifoService: this.fifoService,
-        hlsService: this.hlsService
+        hlsService: this.hlsService,
+        hlsKeyService: this.hlsKeyService,
+        healthService: this.healthService,
+        dashService: this.dashService,
+        queueService: this.queueService,
+        schedulerService: this.schedulerService
       });
 
       // Setup signal handlers
@@ -331,7 +491,7 @@ class HLSStreamerApp {
 
       logger.info('Custom HLS Streamer started successfully!');
       logger.info(`Dashboard: http://${CONFIG.http.host}:${CONFIG.http.port}/`);
-      logger.info(`Stream URL: http://${CONFIG.http.host}:${CONFIG.http.port}/hls/${CONFIG.hls.playlistName}`);
+      logger.info(`Stream URL: ${this.hlsService.getStreamUrl(`http://${CONFIG.http.host}:${CONFIG.http.port}`)}`);
 
     } catch (error) {
       logger.error('Failed to start application:', error.message);
@@ -6,18 +6,80 @@
 'use strict';
 
 const path = require('path');
+const { validateLayout } = require('../utils/layout');
+const { isTextLayerName, buildTextLayer, validateTextLayer } = require('../utils/text');
+
+/**
+ * Default adaptive bitrate ladder
+ */
+const DEFAULT_VARIANTS = [
+  { name: '1080p', width: 1920, height: 1080, videoBitrate: '5000k' },
+  { name: '720p', width: 1280, height: 720, videoBitrate: '2800k' },
+  { name: '480p', width: 854, height: 480, videoBitrate: '1400k' },
+  { name: 'audio', audioOnly: true }
+];
+
+/**
+ * Parse a rendition ladder from an environment string
+ * Format: name:WIDTHxHEIGHT:bitrate for video variants, plain name for audio-only
+ * e.g. "720p:1280x720:2800k,480p:854x480:1400k,audio"
+ */
+function parseVariants(value) {
+  if (!value) {
+    return null;
+  }
+
+  return value.split(',').map(entry => {
+    const [name, size, videoBitrate] = entry.trim().split(':');
+    if (!size) {
+      return { name, audioOnly: true };
+    }
+    const [width, height] = size.split('x').map(n => parseInt(n));
+    return { name, width, height, videoBitrate };
+  });
+}
+
+/**
+ * Parse a JSON array from an environment string (per-layer layouts, text layers), e.g.
+ * [{"anchor":"bottom-right","x":20,"y":20,"width":320},{"anchor":"top","y":"5%","opacity":0.8}]
+ */
+function parseJsonArray(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const entries = JSON.parse(value);
+    return Array.isArray(entries) ? entries : null;
+  } catch (error) {
+    return null;
+  }
+}
 
 const CONFIG = {
   // Server configuration
   http: {
     port: process.env.PORT || 3000,
-    host: process.env.HOST || '0.0.0.0'
+    host: process.env.HOST || '0.0.0.0',
+    // Origins allowed to call the API from a browser ('*' allows any origin)
+    corsOrigins: process.env.CORS_ORIGINS ?
+      process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) :
+      ['*']
+  },
+  
+  // API key authentication (roles: viewer < operator < admin)
+  auth: {
+    enabled: process.env.AUTH_ENABLED === 'true',
+    keysFile: process.env.API_KEYS_FILE || './data/api-keys.json',
+    roles: ['viewer', 'operator', 'admin']
   },
   
   // ZeroMQ configuration
   zmq: {
     port: process.env.ZMQ_PORT || 5555,
-    protocol: 'tcp'
+    host: process.env.ZMQ_HOST || '127.0.0.1',
+    protocol: 'tcp',
+    timeout: parseInt(process.env.ZMQ_TIMEOUT) || 2000
   },
   
   // FFmpeg configuration
@@ -26,7 +88,27 @@ const CONFIG = {
     preset: process.env.FFMPEG_PRESET || 'ultrafast',
     crf: parseInt(process.env.FFMPEG_CRF) || 23,
     gop: parseInt(process.env.FFMPEG_GOP) || 48,
-    audioBitrate: process.env.FFMPEG_AUDIO_BITRATE || '128k'
+    audioBitrate: process.env.FFMPEG_AUDIO_BITRATE || '128k',
+    
+    // Restart backoff (doubling from initialDelay up to maxDelay, +/- jitter) and crash-loop breaker
+    restart: {
+      initialDelay: parseInt(process.env.FFMPEG_RESTART_DELAY) || 1000,
+      maxDelay: parseInt(process.env.FFMPEG_RESTART_MAX_DELAY) || 60000,
+      jitter: 0.2,
+      // A run this long resets the backoff
+      stableAfter: 30000,
+      // This many failures within crashLoopWindow puts the stream in the failed state
+      crashLoopThreshold: parseInt(process.env.FFMPEG_CRASH_LOOP_THRESHOLD) || 5,
+      crashLoopWindow: parseInt(process.env.FFMPEG_CRASH_LOOP_WINDOW) || 60000
+    },
+    
+    // Encoder metrics parsed from -progress output (one sample per stats period)
+    metrics: {
+      historySize: parseInt(process.env.FFMPEG_METRICS_HISTORY) || 120,
+      // Average speed over slowWindow samples below slowSpeed raises the slow encoder alert
+      slowSpeed: parseFloat(process.env.FFMPEG_SLOW_SPEED) || 1.0,
+      slowWindow: 10
+    }
   },
   
   // HLS configuration
@@ -35,7 +117,66 @@ const CONFIG = {
     playlistSize: parseInt(process.env.HLS_PLAYLIST_SIZE) || 5,
     outputDir: process.env.HLS_OUTPUT_DIR || './hls',
     segmentPattern: 'stream_%03d.ts',
-    playlistName: 'stream.m3u8'
+    playlistName: 'stream.m3u8',
+    
+    // Segment container: 'mpegts' (.ts) or 'fmp4' (CMAF init segment + .m4s fragments)
+    segmentType: process.env.HLS_SEGMENT_TYPE || 'mpegts',
+    initFilename: 'init.mp4',
+    
+    // Low-Latency HLS (EXT-X-PART partial segments and blocking playlist reloads)
+    lowLatency: {
+      enabled: process.env.HLS_LOW_LATENCY === 'true',
+      partDuration: parseFloat(process.env.HLS_PART_DURATION) || 0.5,
+      pollInterval: 50
+    },
+    
+    // Adaptive bitrate ladder (master playlist + one media playlist per variant)
+    abr: {
+      enabled: process.env.HLS_ABR === 'true',
+      masterPlaylistName: 'master.m3u8',
+      variantPlaylistPattern: 'stream_%v.m3u8',
+      variantSegmentPattern: 'stream_%v_%03d.ts',
+      variantInitPattern: 'init_%v.mp4',
+      variants: parseVariants(process.env.HLS_VARIANTS) || DEFAULT_VARIANTS
+    },
+    
+    // Signed, expiring playlist and segment URLs (HMAC tokens, optionally bound to a client IP)
+    signing: {
+      enabled: process.env.HLS_SIGNED_URLS === 'true',
+      secret: process.env.HLS_SIGNING_SECRET || null,
+      defaultTtl: parseInt(process.env.HLS_TOKEN_TTL) || 3600,
+      maxTtl: 86400,
+      bindIp: process.env.HLS_TOKEN_BIND_IP === 'true'
+    },
+    
+    // Segment encryption with locally generated keys, rotated every N segments (0 = never)
+    encryption: {
+      enabled: process.env.HLS_ENCRYPTION === 'true',
+      method: process.env.HLS_ENCRYPTION_METHOD || 'AES-128',
+      keyDir: process.env.HLS_KEY_DIR || './data/keys',
+      keyInfoFile: 'keyinfo.txt',
+      keyUriPrefix: '/api/keys/',
+      rotateEvery: process.env.HLS_KEY_ROTATION !== undefined ? parseInt(process.env.HLS_KEY_ROTATION) : 10,
+      // Key requests per minute per IP, players behind one address (NAT, CDN) share it
+      rateLimit: parseInt(process.env.HLS_KEY_RATE_LIMIT) || 600
+    },
+    
+    // Segment freshness: no new segment for stallFactor * segmentTime seconds means the stream is stalled
+    health: {
+      stallFactor: parseFloat(process.env.HLS_STALL_FACTOR) || 3,
+      // Time a freshly started FFmpeg gets to write its first segment
+      startupGrace: parseInt(process.env.HLS_STARTUP_GRACE) || 30000,
+      checkInterval: 1000,
+      restartOnStall: process.env.HLS_RESTART_ON_STALL === 'true'
+    }
+  },
+  
+  // DASH configuration (optional MPD output from the same encode as HLS)
+  dash: {
+    enabled: process.env.DASH_ENABLED === 'true',
+    outputDir: process.env.DASH_OUTPUT_DIR || './dash',
+    manifestName: 'manifest.mpd',
+    windowSize: parseInt(process.env.DASH_WINDOW_SIZE) || 5
   },
   
   // FIFO configuration
@@ -47,12 +188,123 @@ const CONFIG = {
       ['overlay1.fifo', 'overlay2.fifo']
   },
   
+  // Persistent FIFO feeders: the server keeps each FIFO open and FFmpeg processes write into it
+  feeders: {
+    // Content clips are normalized to the media canvas and a common MPEG-TS stream layout,
+    // so switching content never ends the encoder's input
+    content: {
+      enabled: process.env.CONTENT_FEEDER !== 'false',
+      videoCodec: process.env.CONTENT_FEEDER_VIDEO_CODEC || 'mpeg2video',
+      videoQuality: parseInt(process.env.CONTENT_FEEDER_VIDEO_QUALITY) || 2,
+      audioCodec: 'mp2',
+      audioBitrate: '384k',
+      
+      // Fallback slate played by the feeder whenever nothing is cued, until new content arrives
+      slate: {
+        enabled: process.env.SLATE !== 'false',
+        // 'card' (text on a solid color), 'bars' (SMPTE bars and 1 kHz tone),
+        // 'image' or 'video' (SLATE_FILE, looped)
+        type: process.env.SLATE_TYPE || 'card',
+        file: process.env.SLATE_FILE || null,
+        text: process.env.SLATE_TEXT || "We'll be right back",
+        color: process.env.SLATE_COLOR || 'black',
+        fontColor: process.env.SLATE_FONT_COLOR || 'white',
+        fontFile: process.env.SLATE_FONT_FILE || null
+      }
+    },
+    
+    // Layer sources (still images or videos) loop at the stream frame rate until they are replaced,
+    // a transparent frame stands in while a layer is cleared
+    layers: {
+      enabled: process.env.LAYER_FEEDERS !== 'false',
+      // Written as NUT: the codec must keep the alpha channel and allow the frame size to change
+      videoCodec: process.env.LAYER_FEEDER_VIDEO_CODEC || 'png'
+    }
+  },
+  
+  // Layer layout (position, size, opacity, stacking), one entry per FIFO layer, missing fields use defaults
+  layout: {
+    layers: parseJsonArray(process.env.LAYER_LAYOUT) || []
+  },
+  
+  // Named text layers (drawtext) drawn over the composited layers, e.g.
+  // [{"name":"clock","template":"clock"},{"name":"ticker","template":"crawl","text":"Breaking news"}]
+  text: {
+    layers: parseJsonArray(process.env.TEXT_LAYERS) || [],
+    // Default font of every text layer, FFmpeg's default font if unset
+    fontFile: process.env.TEXT_FONT_FILE || null
+  },
+  
+  // Content queue configuration
+  queue: {
+    stateFile: process.env.QUEUE_STATE_FILE || './data/queue.json',
+    historySize: 20
+  },
+  
+  // Wall-clock schedule (EPG) configuration
+  schedule: {
+    file: process.env.SCHEDULE_FILE || './data/schedule.json',
+    tickInterval: 1000,
+    channelId: process.env.CHANNEL_ID || 'custom-hls-streamer',
+    channelName: process.env.CHANNEL_NAME || 'Custom HLS Streamer'
+  },
+  
+  // Media validation (ffprobe checks before content or layer files are accepted)
+  media: {
+    probe: {
+      enabled: process.env.MEDIA_PROBE !== 'false',
+      binary: process.env.FFPROBE_BINARY || 'ffprobe',
+      timeout: 10000
+    },
+    
+    // Directories content and layer paths must resolve into (symlinks are followed)
+    // The media library directory is always allowed
+    allowedRoots: process.env.MEDIA_ALLOWED_ROOTS ?
+      process.env.MEDIA_ALLOWED_ROOTS.split(',').map(root => root.trim()).filter(Boolean) :
+      ['./assets'],
+    
+    // Output canvas: content must match it, layers must fit inside it
+    width: parseInt(process.env.MEDIA_WIDTH) || 1280,
+    height: parseInt(process.env.MEDIA_HEIGHT) || 720,
+    frameRate: parseFloat(process.env.MEDIA_FRAME_RATE) || 30,
+    
+    // The concat demuxer needs every content file to share the same stream layout
+    content: {
+      containers: ['mov,mp4,m4a,3gp,3g2,mj2', 'matroska,webm', 'mpegts'],
+      videoCodecs: ['h264', 'hevc'],
+      audioCodecs: ['aac'],
+      audioChannels: 2,
+      sampleRate: 48000,
+      minDuration: 1
+    },
+    
+    // Managed media library (uploads referenced by ID instead of server paths)
+    library: {
+      dir: process.env.MEDIA_LIBRARY_DIR || './media',
+      indexFile: process.env.MEDIA_INDEX_FILE || './data/media.json',
+      thumbnailDir: process.env.MEDIA_THUMBNAIL_DIR || './data/thumbnails',
+      thumbnailWidth: 320,
+      maxUploadSize: parseInt(process.env.MEDIA_MAX_UPLOAD_SIZE) || 2 * 1024 * 1024 * 1024,
+      extensions: [
+        '.mp4', '.mov', '.mkv', '.webm', '.ts', '.avi',
+        '.png', '.jpg', '.jpeg', '.gif', '.webp',
+        '.mp3', '.aac', '.wav', '.m4a'
+      ]
+    }
+  },
+  
   // Initial content
   initialContent: process.env.INITIAL_CONTENT || './assets/default.mp4',
   
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info'
+  },
+  
+  // Prometheus metrics (GET /metrics)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    prefix: 'hls_streamer_'
   }
 };
 
@@ -78,10 +330,102 @@ function validateConfig() {
     errors.push('HLS playlist size must be at least 1');
   }
   
+  if (!['mpegts', 'fmp4'].includes(CONFIG.hls.segmentType)) {
+    errors.push('HLS segment type must be either mpegts or fmp4');
+  }
+  
+  if (CONFIG.hls.lowLatency.enabled) {
+    const partsPerSegment = CONFIG.hls.segmentTime / CONFIG.hls.lowLatency.partDuration;
+    if (!(CONFIG.hls.lowLatency.partDuration > 0) || !Number.isInteger(partsPerSegment)) {
+      errors.push('HLS part duration must evenly divide the segment time');
+    }
+  }
+  
+  if (CONFIG.hls.signing.secret && CONFIG.hls.signing.secret.length < 32) {
+    errors.push('HLS signing secret must be at least 32 characters');
+  }
+  
+  if (CONFIG.hls.signing.defaultTtl < 1 || CONFIG.hls.signing.defaultTtl > CONFIG.hls.signing.maxTtl) {
+    errors.push(`HLS token TTL must be between 1 and ${CONFIG.hls.signing.maxTtl} seconds`);
+  }
+  
+  if (CONFIG.hls.encryption.enabled) {
+    // FFmpeg's HLS muxer only implements full-segment AES-128 (no SAMPLE-AES sample encryption)
+    if (CONFIG.hls.encryption.method !== 'AES-128') {
+      errors.push(`HLS encryption method ${CONFIG.hls.encryption.method} is not supported by FFmpeg's HLS muxer, use AES-128`);
+    }
+    
+    if (!Number.isInteger(CONFIG.hls.encryption.rotateEvery) || CONFIG.hls.encryption.rotateEvery < 0) {
+      errors.push('HLS key rotation must be a non-negative number of segments');
+    }
+    
+    // LL-HLS parent segments concatenate parts, which breaks per-part CBC encryption
+    if (CONFIG.hls.lowLatency.enabled) {
+      errors.push('HLS encryption cannot be combined with low-latency mode');
+    }
+  }
+  
+  // Anything shorter than a segment would flag every healthy segment boundary as a stall
+  if (!(CONFIG.hls.health.stallFactor >= 1)) {
+    errors.push('HLS stall factor must be at least 1 segment');
+  }
+  
+  if (CONFIG.hls.abr.enabled) {
+    const names = new Set();
+    for (const variant of CONFIG.hls.abr.variants) {
+      if (!variant.name || names.has(variant.name)) {
+        errors.push(`HLS variant names must be unique and non-empty: ${variant.name}`);
+      }
+      names.add(variant.name);
+      
+      if (!variant.audioOnly && (!(variant.width > 0) || !(variant.height > 0) || !variant.videoBitrate)) {
+        errors.push(`HLS variant ${variant.name} requires width, height and videoBitrate`);
+      }
+    }
+    
+    if (!CONFIG.hls.abr.variants.some(variant => !variant.audioOnly)) {
+      errors.push('HLS ABR ladder must contain at least one video variant');
+    }
+  }
+  
+  if (CONFIG.dash.enabled && CONFIG.dash.windowSize < 1) {
+    errors.push('DASH window size must be at least 1');
+  }
+  
+  const slate = CONFIG.feeders.content.slate;
+  if (slate.enabled) {
+    if (!['card', 'bars', 'image', 'video'].includes(slate.type)) {
+      errors.push('Slate type must be one of card, bars, image or video');
+    } else if (['image', 'video'].includes(slate.type) && !slate.file) {
+      errors.push(`Slate type ${slate.type} requires SLATE_FILE`);
+    }
+  }
+  
   if (CONFIG.fifos.layers.length === 0) {
     errors.push('At least one FIFO layer must be configured');
   }
   
+  CONFIG.layout.layers.forEach((layout, index) => {
+    const validation = validateLayout(layout);
+    if (!validation.valid) {
+      errors.push(`Invalid layout for layer ${index}: ${validation.error}`);
+    }
+  });
+  
+  const textNames = new Set();
+  CONFIG.text.layers.forEach((entry, index) => {
+    const { name, ...fields } = entry || {};
+    if (isTextLayerName(name) && textNames.has(name)) {
+      errors.push(`Duplicate text layer name: ${name}`);
+    }
+    textNames.add(name);
+    
+    const validation = validateTextLayer(buildTextLayer(name, fields, CONFIG.text.fontFile), `TEXT_LAYERS[${index}]`);
+    if (!validation.valid) {
+      errors.push(`Invalid text layer ${index}: ${validation.errors.join(', ')}`);
+    }
+  });
+  
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
   }
@@ -0,0 +1,90 @@
+/**
+ * API Key Controller
+ * Handles API endpoints for managing API keys
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class ApiKeyController {
+  constructor(apiKeyService) {
+    this.apiKeyService = apiKeyService;
+  }
+
+  /**
+   * List API keys (hashes are never returned)
+   */
+  list(req, res) {
+    try {
+      res.json({
+        success: true,
+        keys: this.apiKeyService.list(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('List API keys error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list API keys',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create an API key, the plain key is only returned in this response
+   */
+  create(req, res) {
+    try {
+      const { name, role } = req.body;
+      const { key, record } = this.apiKeyService.create(name, role);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now, it cannot be retrieved again',
+        key,
+        record,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Create API key error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create API key',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  revoke(req, res) {
+    try {
+      const record = this.apiKeyService.revoke(req.params.id);
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: `API key not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        record,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Revoke API key error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke API key',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,41 @@
+/**
+ * HLS Key Controller
+ * Serves segment encryption keys to players
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class HlsKeyController {
+  constructor(hlsKeyService) {
+    this.hlsKeyService = hlsKeyService;
+  }
+
+  /**
+   * Serve a key as raw bytes
+   */
+  getKey(req, res) {
+    try {
+      const key = this.hlsKeyService.getKey(req.params.id);
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          message: `Key not found: ${req.params.id}`
+        });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.type('application/octet-stream').send(key);
+    } catch (error) {
+      logger.error('Get key error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get key',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = HlsKeyController;
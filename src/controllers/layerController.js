@@ -0,0 +1,218 @@
+/**
+ * Layer Controller
+ * Handles API endpoints for the overlay layers: their source media and layout
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class LayerController {
+  constructor(layoutService, { fifoService = null, mediaProbeService = null } = {}) {
+    this.layoutService = layoutService;
+    this.fifoService = fifoService;
+    this.mediaProbeService = mediaProbeService;
+  }
+
+  /**
+   * A layer resource: its layout, filter instances, expressions and the file last written to it
+   */
+  describeLayer(layer) {
+    return {
+      ...layer,
+      source: this.fifoService ? this.fifoService.getSource(`layer${layer.index}`) : null
+    };
+  }
+
+  /**
+   * Get a layer resource (null for unknown layers)
+   */
+  findLayer(index) {
+    const layer = this.layoutService.getLayers()[index];
+    return layer ? this.describeLayer(layer) : null;
+  }
+
+  /**
+   * Send a 404 for a layer index past the configured layers
+   */
+  notFound(res, index) {
+    return res.status(404).json({
+      success: false,
+      message: `Layer not found: ${index}`
+    });
+  }
+
+  /**
+   * Probe a layer file before writing it, sends a 422 and returns false if it is incompatible
+   */
+  async checkMedia(index, filePath, res) {
+    if (!this.mediaProbeService) {
+      return true;
+    }
+
+    const mediaCheck = await this.mediaProbeService.validateAction('layer', { index, path: filePath });
+    if (mediaCheck && !mediaCheck.valid) {
+      res.status(422).json({
+        success: false,
+        message: mediaCheck.error,
+        errors: mediaCheck.problems
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get every layer's layout, filter instances, generated expressions and source
+   */
+  getLayers(req, res) {
+    try {
+      res.json({
+        success: true,
+        layers: this.layoutService.getLayers().map(layer => this.describeLayer(layer)),
+        stackingOrder: this.layoutService.getStackingOrder(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get layers error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get layers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one layer (GET /api/layers/:index)
+   */
+  getLayer(req, res) {
+    try {
+      const index = parseInt(req.params.index, 10);
+      const layer = this.findLayer(index);
+      if (!layer) {
+        return this.notFound(res, index);
+      }
+
+      res.json({
+        success: true,
+        layer,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get layer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set a layer's source file and optionally its layout (PUT /api/layers/:index)
+   * Setting a source shows and unmutes the layer unless the layout says otherwise
+   */
+  async setLayer(req, res) {
+    try {
+      const index = parseInt(req.params.index, 10);
+      const { path: layerPath, layout = {} } = req.body;
+      if (!this.findLayer(index)) {
+        return this.notFound(res, index);
+      }
+
+      if (!(await this.checkMedia(index, layerPath, res))) {
+        return;
+      }
+
+      const result = await this.layoutService.setLayerSource(index, layerPath, layout);
+      if (!result) {
+        return res.status(500).json({
+          success: false,
+          message: `Failed to update layer ${index}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Layer ${index} updated successfully`,
+        layer: this.findLayer(index),
+        method: result.method,
+        commands: result.commands,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Set layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update layer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Hide and mute a layer, replace its source with a transparent frame and forget it (DELETE /api/layers/:index)
+   */
+  async clearLayer(req, res) {
+    try {
+      const index = parseInt(req.params.index, 10);
+      if (!this.findLayer(index)) {
+        return this.notFound(res, index);
+      }
+
+      const result = await this.layoutService.clearLayerSource(index);
+      if (!result) {
+        return res.status(500).json({
+          success: false,
+          message: `Failed to clear layer ${index}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Layer ${index} cleared`,
+        layer: this.findLayer(index),
+        method: result.method,
+        commands: result.commands,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Clear layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear layer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change part of a layer's layout, live where FFmpeg supports it
+   */
+  async updateLayout(req, res) {
+    try {
+      const index = parseInt(req.params.index, 10);
+      const result = await this.layoutService.updateLayout(index, req.body);
+      if (!result) {
+        return this.notFound(res, index);
+      }
+
+      res.json({
+        success: true,
+        message: `Layer ${index} layout updated`,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Update layer layout error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update layer layout',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = LayerController;
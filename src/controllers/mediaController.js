@@ -0,0 +1,183 @@
+/**
+ * Media Controller
+ * Handles API endpoints for the media library
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class MediaController {
+  constructor(mediaLibraryService) {
+    this.mediaLibraryService = mediaLibraryService;
+  }
+
+  /**
+   * Shape a library item for API responses
+   */
+  toResponse(item) {
+    return {
+      ...item,
+      thumbnailUrl: item.thumbnail ? `/thumbnails/${item.id}.jpg` : null
+    };
+  }
+
+  /**
+   * List library items (?kind=video|image|audio)
+   */
+  list(req, res) {
+    try {
+      const items = this.mediaLibraryService.list(req.query.kind || null);
+      res.json({
+        success: true,
+        items: items.map(item => this.toResponse(item)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('List media error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list media',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single library item
+   */
+  get(req, res) {
+    try {
+      const item = this.mediaLibraryService.get(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `Media not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        item: this.toResponse(item),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get media error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get media',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add an uploaded file to the library
+   */
+  async upload(req, res) {
+    try {
+      const item = await this.mediaLibraryService.add(req.file);
+      if (!item) {
+        return res.status(422).json({
+          success: false,
+          message: `Uploaded file is not readable media: ${req.file.originalname}`
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Media uploaded successfully',
+        item: this.toResponse(item),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Upload media error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload media',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a library item
+   */
+  remove(req, res) {
+    try {
+      const item = this.mediaLibraryService.remove(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `Media not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Media removed',
+        item: this.toResponse(item),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Remove media error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove media',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Middleware that resolves { mediaId } references in update requests to library paths
+   * content: data = { mediaId } becomes the file path, layer: data.mediaId becomes data.path
+   */
+  resolveReferences(req, res, next) {
+    const { type, data } = req.body;
+    if (!data || typeof data !== 'object' || data.mediaId === undefined) {
+      return next();
+    }
+
+    const filePath = this.mediaLibraryService.resolvePath(data.mediaId);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: `Media not found: ${data.mediaId}`
+      });
+    }
+
+    if (type === 'content') {
+      req.body.data = filePath;
+    } else if (type === 'layer') {
+      const layerData = { ...data, path: filePath };
+      delete layerData.mediaId;
+      req.body.data = layerData;
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware that resolves a { mediaId } request body (content and layer resources) to { path }
+   */
+  resolveBodyReference(req, res, next) {
+    const { mediaId, ...body } = req.body || {};
+    if (mediaId === undefined) {
+      return next();
+    }
+
+    const filePath = this.mediaLibraryService.resolvePath(mediaId);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: `Media not found: ${mediaId}`
+      });
+    }
+
+    req.body = { ...body, path: filePath };
+    next();
+  }
+}
+
+module.exports = MediaController;
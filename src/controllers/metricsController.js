@@ -0,0 +1,32 @@
+/**
+ * Metrics Controller
+ * Serves Prometheus metrics
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class MetricsController {
+  constructor(metricsService) {
+    this.metricsService = metricsService;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  getMetrics(req, res) {
+    try {
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(this.metricsService.render());
+    } catch (error) {
+      logger.error('Get metrics error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get metrics',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = MetricsController;
@@ -0,0 +1,233 @@
+/**
+ * Queue Controller
+ * Handles API endpoints for the content queue
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class QueueController {
+  constructor(queueService, mediaProbeService = null) {
+    this.queueService = queueService;
+    this.mediaProbeService = mediaProbeService;
+  }
+
+  /**
+   * Probe a content file before queueing it, sends a 422 and returns false if it is incompatible
+   */
+  async checkMedia(filePath, res) {
+    if (!this.mediaProbeService) {
+      return true;
+    }
+
+    const mediaCheck = await this.mediaProbeService.validate(filePath, 'content');
+    if (!mediaCheck.valid) {
+      res.status(422).json({
+        success: false,
+        message: mediaCheck.error,
+        errors: mediaCheck.problems
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the full queue
+   */
+  getQueue(req, res) {
+    try {
+      res.json({
+        success: true,
+        ...this.queueService.getState(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get queue error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add an item to the end of the queue
+   */
+  async enqueue(req, res) {
+    try {
+      if (!(await this.checkMedia(req.body.path, res))) {
+        return;
+      }
+
+      const item = this.queueService.enqueue(req.body.path);
+      res.status(201).json({
+        success: true,
+        message: 'Content queued successfully',
+        item,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Enqueue error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to queue content',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add an item to play next
+   */
+  async insertNext(req, res) {
+    try {
+      if (!(await this.checkMedia(req.body.path, res))) {
+        return;
+      }
+
+      const item = this.queueService.insertNext(req.body.path);
+      res.status(201).json({
+        success: true,
+        message: 'Content queued to play next',
+        item,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Insert next error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to queue content',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove an item from the queue
+   */
+  remove(req, res) {
+    try {
+      const item = this.queueService.remove(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `Queue item not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Queue item removed',
+        item,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Remove queue item error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove queue item',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move an item to a new position
+   */
+  reorder(req, res) {
+    try {
+      const moved = this.queueService.reorder(req.params.id, req.body.index);
+      if (!moved) {
+        return res.status(404).json({
+          success: false,
+          message: `Queue item not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Queue item moved',
+        upcoming: this.queueService.getState().upcoming,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Reorder queue error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reorder queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove all upcoming items
+   */
+  clear(req, res) {
+    try {
+      const removed = this.queueService.clear();
+      res.json({
+        success: true,
+        message: `Cleared ${removed} queued items`,
+        removed,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Clear queue error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Enable or disable loop-all
+   */
+  setLoop(req, res) {
+    try {
+      this.queueService.setLoop(req.body.enabled);
+      res.json({
+        success: true,
+        message: `Queue loop ${req.body.enabled ? 'enabled' : 'disabled'}`,
+        loop: req.body.enabled,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Set queue loop error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to set queue loop',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Shuffle upcoming items
+   */
+  shuffle(req, res) {
+    try {
+      this.queueService.shuffle();
+      res.json({
+        success: true,
+        message: 'Queue shuffled',
+        upcoming: this.queueService.getState().upcoming,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Shuffle queue error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to shuffle queue',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = QueueController;
@@ -0,0 +1,207 @@
+/**
+ * Schedule Controller
+ * Handles API endpoints for the wall-clock schedule (EPG)
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class ScheduleController {
+  constructor(schedulerService, mediaProbeService = null) {
+    this.schedulerService = schedulerService;
+    this.mediaProbeService = mediaProbeService;
+  }
+
+  /**
+   * Probe the file referenced by an entry's action, sends a 422 and returns false if it is incompatible
+   */
+  async checkMedia(action, res) {
+    if (!this.mediaProbeService || !action) {
+      return true;
+    }
+
+    const mediaCheck = await this.mediaProbeService.validateAction(action.type, action.data);
+    if (mediaCheck && !mediaCheck.valid) {
+      res.status(422).json({
+        success: false,
+        message: mediaCheck.error,
+        errors: mediaCheck.problems
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * List schedule entries, optionally within a time window (?from=&to=)
+   */
+  list(req, res) {
+    try {
+      const from = req.query.from ? Date.parse(req.query.from) : null;
+      const to = req.query.to ? Date.parse(req.query.to) : null;
+
+      if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid time window: from and to must be ISO 8601 times'
+        });
+      }
+
+      res.json({
+        success: true,
+        entries: this.schedulerService.list(from, to),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('List schedule error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single schedule entry
+   */
+  get(req, res) {
+    try {
+      const entry = this.schedulerService.get(req.params.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: `Schedule entry not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get schedule entry error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get schedule entry',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a schedule entry
+   */
+  async create(req, res) {
+    try {
+      if (!(await this.checkMedia(req.body.action, res))) {
+        return;
+      }
+
+      const entry = this.schedulerService.create(req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Schedule entry created',
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Create schedule entry error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create schedule entry',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a pending schedule entry
+   */
+  async update(req, res) {
+    try {
+      const existing = this.schedulerService.get(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: `Schedule entry not found: ${req.params.id}`
+        });
+      }
+
+      if (existing.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Schedule entry is ${existing.status} and can no longer be changed`
+        });
+      }
+
+      if (!(await this.checkMedia(req.body.action, res))) {
+        return;
+      }
+
+      const entry = this.schedulerService.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        message: 'Schedule entry updated',
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Update schedule entry error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update schedule entry',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a schedule entry
+   */
+  remove(req, res) {
+    try {
+      const entry = this.schedulerService.remove(req.params.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: `Schedule entry not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Schedule entry removed',
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Remove schedule entry error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove schedule entry',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Export the schedule as XMLTV
+   */
+  getXmltv(req, res) {
+    try {
+      res.type('application/xml').send(this.schedulerService.toXmltv());
+    } catch (error) {
+      logger.error('XMLTV export error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export schedule',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = ScheduleController;
@@ -5,44 +5,61 @@
 
 'use strict';
 
+const net = require('net');
+const { CONFIG } = require('../config');
 const logger = require('../utils/logger');
 
 class StreamController {
-  constructor(fifoService, zmqService, ffmpegService, hlsService) {
+  constructor(fifoService, zmqService, ffmpegService, hlsService, { dashService = null, queueService = null, mediaProbeService = null, urlSigningService = null, healthService = null, layerController = null } = {}) {
     this.fifoService = fifoService;
     this.zmqService = zmqService;
     this.ffmpegService = ffmpegService;
     this.hlsService = hlsService;
+    this.dashService = dashService;
+    this.queueService = queueService;
+    this.mediaProbeService = mediaProbeService;
+    this.urlSigningService = urlSigningService;
+    this.healthService = healthService;
+    this.layerController = layerController;
+  }
+
+  /**
+   * Check if the stream is producing segments: fresh ones when health monitoring is available,
+   * otherwise just an existing playlist
+   */
+  isStreamLive() {
+    return this.healthService ? this.healthService.isLive() : this.hlsService.isGeneratingSegments();
   }
 
   /**
    * Handle stream updates (content, layer, filter)
+   * Compatibility shim for POST /api/update: translates { type, data } into a request for the
+   * matching resource handler (PUT /api/content, PUT or DELETE /api/layers/:index, POST /api/filters/:instance/commands)
    */
   async updateStream(req, res) {
     const { type, data } = req.body;
-    
-    try {
-      let result;
-      let message;
 
+    try {
       switch (type) {
         case 'content':
-          result = await this.fifoService.writeContent(data);
-          message = result ? 'Content updated successfully' : 'Failed to update content';
-          break;
-          
+          req.body = { path: data };
+          return await this.setContent(req, res);
+
         case 'layer':
-          const { index, path: layerPath } = data;
-          result = await this.fifoService.writeLayer(index, layerPath);
-          message = result ? `Layer ${index} updated successfully` : `Failed to update layer ${index}`;
-          break;
-          
-        case 'filter':
-          const { command } = data;
-          result = await this.zmqService.sendInstruction(command);
-          message = result ? 'Filter command sent successfully' : 'Failed to send filter command';
-          break;
-          
+          req.params = { ...req.params, index: String(data.index) };
+          if (data.clear) {
+            return await this.layerController.clearLayer(req, res);
+          }
+          req.body = { path: data.path };
+          return await this.layerController.setLayer(req, res);
+
+        case 'filter': {
+          const [instance, command, ...argument] = data.command.trim().split(/\s+/);
+          req.params = { ...req.params, instance };
+          req.body = { command, argument: argument.length > 0 ? argument.join(' ') : undefined };
+          return await this.sendFilterCommand(req, res);
+        }
+
         default:
           return res.status(400).json({ 
             success: false, 
@@ -50,13 +67,6 @@ class StreamController {
             validTypes: ['content', 'layer', 'filter']
           });
       }
-
-      res.json({ 
-        success: result, 
-        message,
-        timestamp: new Date().toISOString()
-      });
-
     } catch (error) {
       logger.error('Stream update error:', error.message);
       res.status(500).json({ 
@@ -67,6 +77,124 @@ class StreamController {
     }
   }
 
+  /**
+   * Probe media before writing it, sends a 422 and returns false if FFmpeg cannot splice it in
+   */
+  async checkMedia(type, data, res) {
+    if (!this.mediaProbeService) {
+      return true;
+    }
+
+    const mediaCheck = await this.mediaProbeService.validateAction(type, data);
+    if (mediaCheck && !mediaCheck.valid) {
+      res.status(422).json({
+        success: false,
+        message: mediaCheck.error,
+        errors: mediaCheck.problems
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the main content: its FIFO and the file last written to it
+   */
+  getContent(req, res) {
+    try {
+      res.json({
+        success: true,
+        content: {
+          fifo: this.fifoService.getContentFifoPath(),
+          source: this.fifoService.getSource('content'),
+          feeder: this.fifoService.getFeederStatus().content
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get content error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get content',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Switch the main content to a file
+   */
+  async setContent(req, res) {
+    try {
+      const { path: contentPath } = req.body;
+
+      if (!(await this.checkMedia('content', contentPath, res))) {
+        return;
+      }
+
+      if (!(await this.fifoService.switchContent(contentPath))) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update content'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Content updated successfully',
+        content: {
+          fifo: this.fifoService.getContentFifoPath(),
+          source: this.fifoService.getSource('content'),
+          feeder: this.fifoService.getFeederStatus().content
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Set content error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update content',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a runtime command to a filter instance over ZeroMQ
+   * The route has already answered 404 for instances outside the filter graph;
+   * 422 when FFmpeg rejects the command, 502 when it does not answer
+   */
+  async sendFilterCommand(req, res) {
+    try {
+      const { instance } = req.params;
+      const { command, argument } = req.body;
+
+      const message = [instance, command, argument]
+        .filter(part => part !== undefined && part !== '')
+        .join(' ');
+      const reply = await this.zmqService.sendCommand(message);
+      const body = {
+        success: reply.success,
+        message: reply.success ? 'Filter command applied successfully' : `Filter command failed: ${reply.error}`,
+        command: message,
+        reply: { code: reply.code, error: reply.error, data: reply.data },
+        timestamp: new Date().toISOString()
+      };
+
+      if (reply.success) {
+        return res.json(body);
+      }
+      res.status(reply.code === null ? 502 : 422).json(body);
+    } catch (error) {
+      logger.error('Filter command error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send filter command',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get stream status
    */
@@ -74,18 +202,23 @@ class StreamController {
     try {
       const ffmpegRunning = this.ffmpegService.isRunning();
       const zmqConnected = this.zmqService.isConnected();
-      const hlsGenerating = this.hlsService.isGeneratingSegments();
+      const hlsGenerating = this.isStreamLive();
       
       // Calculate overall health based on service status
       const healthy = ffmpegRunning && zmqConnected && hlsGenerating;
       
       const status = {
-        ffmpeg: ffmpegRunning ? 'running' : 'stopped',
+        ffmpeg: ffmpegRunning ? 'running' : this.ffmpegService.getState(),
+        ffmpegProcess: this.ffmpegService.getProcessStatus(),
+        encoder: this.ffmpegService.getMetricsSummary(),
         zmq: zmqConnected ? 'connected' : 'disconnected',
         hls: {
           generating: hlsGenerating,
           segmentCount: this.hlsService.getCurrentSegmentCount()
         },
+        stream: this.healthService ? this.healthService.evaluate() : null,
+        queue: this.queueService ? this.queueService.getStatus() : null,
+        feeders: this.fifoService.getFeederStatus(),
         healthy: healthy,
         uptime: process.uptime(),
         memory: process.memoryUsage(),
@@ -115,44 +248,79 @@ class StreamController {
   getStreamInfo(req, res) {
     try {
       const baseUrl = `${req.protocol}://${req.get('host')}`;
-      const streamUrl = this.hlsService.getStreamUrl(baseUrl);
+      let streamUrl = this.hlsService.getStreamUrl(baseUrl);
+      let streamUrlExpiresAt = null;
+
+      // Mint a signed stream URL (?ttl=<seconds>, ?ip=<address> binds it to a viewer)
+      if (this.urlSigningService && this.urlSigningService.isEnabled()) {
+        const ttl = req.query.ttl !== undefined ? Number(req.query.ttl) : CONFIG.hls.signing.defaultTtl;
+        if (!Number.isInteger(ttl) || ttl < 1 || ttl > CONFIG.hls.signing.maxTtl) {
+          return res.status(400).json({
+            success: false,
+            message: `ttl must be an integer between 1 and ${CONFIG.hls.signing.maxTtl} seconds`
+          });
+        }
+
+        const ip = req.query.ip || (CONFIG.hls.signing.bindIp ? req.ip : null);
+        if (req.query.ip && !net.isIP(req.query.ip)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid IP address: ${req.query.ip}`
+          });
+        }
+
+        const signed = this.urlSigningService.signUrl(streamUrl, { ttl, ip });
+        streamUrl = signed.url;
+        streamUrlExpiresAt = signed.expiresAt;
+      }
+
+      const dashUrl = this.dashService ? this.dashService.getStreamUrl(baseUrl) : null;
 
       res.json({
         streamUrl,
+        streamUrlExpiresAt,
+        dashUrl,
+        adaptive: this.hlsService.isAdaptive(),
+        renditions: this.hlsService.getVariants().map(variant => ({
+          name: variant.name,
+          resolution: variant.audioOnly ? null : `${variant.width}x${variant.height}`,
+          videoBitrate: variant.audioOnly ? null : variant.videoBitrate,
+          audioOnly: Boolean(variant.audioOnly)
+        })),
         dashboardUrl: `${baseUrl}/`,
         apiEndpoints: {
+          content: `${baseUrl}/api/content`,
+          layers: `${baseUrl}/api/layers`,
+          filters: `${baseUrl}/api/filters`,
           update: `${baseUrl}/api/update`,
           status: `${baseUrl}/api/status`,
           info: `${baseUrl}/api/info`
         },
         usage: {
           updateContent: {
-            method: 'POST',
-            url: `${baseUrl}/api/update`,
+            method: 'PUT',
+            url: `${baseUrl}/api/content`,
             body: {
-              type: 'content',
-              data: '/path/to/video.mp4'
+              path: '/path/to/video.mp4'
             }
           },
           updateLayer: {
-            method: 'POST',
-            url: `${baseUrl}/api/update`,
+            method: 'PUT',
+            url: `${baseUrl}/api/layers/0`,
             body: {
-              type: 'layer',
-              data: {
-                index: 0,
-                path: '/path/to/overlay.png'
-              }
+              path: '/path/to/overlay.png'
             }
           },
+          clearLayer: {
+            method: 'DELETE',
+            url: `${baseUrl}/api/layers/0`
+          },
           sendFilter: {
             method: 'POST',
-            url: `${baseUrl}/api/update`,
+            url: `${baseUrl}/api/filters/layer0_overlay/commands`,
             body: {
-              type: 'filter',
-              data: {
-                command: 'Parsed_overlay_1 x=200:y=300'
-              }
+              command: 'x',
+              argument: 200
             }
           }
         },
@@ -172,19 +340,87 @@ class StreamController {
    * Health check endpoint
    */
   healthCheck(req, res) {
-    const isHealthy = this.ffmpegService.isRunning() && this.zmqService.isConnected();
+    const stream = this.healthService ? this.healthService.evaluate() : null;
+    const hlsLive = stream ? stream.state === 'live' : this.hlsService.isGeneratingSegments();
+    const isHealthy = this.ffmpegService.isRunning() && this.zmqService.isConnected() && (!stream || hlsLive);
+    const ffmpegProcess = this.ffmpegService.getProcessStatus();
     
     res.status(isHealthy ? 200 : 503).json({
       healthy: isHealthy,
       services: {
         ffmpeg: this.ffmpegService.isRunning(),
         zmq: this.zmqService.isConnected(),
-        hls: this.hlsService.isGeneratingSegments()
+        hls: hlsLive
       },
+      ffmpeg: {
+        state: ffmpegProcess.state,
+        restartCount: ffmpegProcess.restartCount,
+        failureReason: ffmpegProcess.failureReason
+      },
+      stream,
       timestamp: new Date().toISOString()
     });
   }
 
+  /**
+   * Liveness probe: the process and its event loop respond (a restart would not fix FFmpeg issues)
+   */
+  livenessCheck(req, res) {
+    res.json({
+      alive: true,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Readiness probe: FFmpeg runs, ZeroMQ is bound and fresh segments are being written
+   */
+  readinessCheck(req, res) {
+    const checks = {
+      ffmpeg: this.ffmpegService.isRunning(),
+      zmq: this.zmqService.isConnected(),
+      hls: this.isStreamLive()
+    };
+    const ready = Object.values(checks).every(Boolean);
+    
+    res.status(ready ? 200 : 503).json({
+      ready,
+      checks,
+      stream: this.healthService ? this.healthService.evaluate() : null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get the active configuration
+   */
+  getConfig(req, res) {
+    try {
+      // Never hand out the URL signing secret
+      const config = {
+        ...CONFIG,
+        hls: {
+          ...CONFIG.hls,
+          signing: { ...CONFIG.hls.signing, secret: CONFIG.hls.signing.secret ? '[redacted]' : null }
+        }
+      };
+
+      res.json({
+        success: true,
+        config,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get config error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get config',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get FFmpeg logs
    */
@@ -348,6 +584,82 @@ class StreamController {
       clearInterval(keepAlive);
     });
   }
+
+  /**
+   * Get encoder metrics: latest sample, rolling history and slow encoder alert
+   */
+  getEncoderMetrics(req, res) {
+    try {
+      res.json({
+        success: true,
+        running: this.ffmpegService.isRunning(),
+        ...this.ffmpegService.getEncoderMetrics(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get encoder metrics error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get encoder metrics',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the filter graph instances and the runtime commands each accepts
+   */
+  getFilters(req, res) {
+    try {
+      res.json({
+        success: true,
+        filters: this.ffmpegService.getFilterCatalog(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get filters error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get filters',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Stream encoder metrics samples via Server-Sent Events (SSE)
+   */
+  streamEncoderMetrics(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control'
+    });
+
+    res.write(`data: ${JSON.stringify({ type: 'connected', timestamp: new Date().toISOString() })}\n\n`);
+
+    // Send the history so charts start filled
+    const { history, summary } = this.ffmpegService.getEncoderMetrics();
+    res.write(`data: ${JSON.stringify({ type: 'history', history, summary })}\n\n`);
+
+    const unsubscribe = this.ffmpegService.onMetrics((sample) => {
+      res.write(`data: ${JSON.stringify({ type: 'sample', sample, summary: this.ffmpegService.getMetricsSummary() })}\n\n`);
+    });
+
+    req.on('close', () => {
+      unsubscribe();
+    });
+
+    const keepAlive = setInterval(() => {
+      res.write(`data: ${JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() })}\n\n`);
+    }, 30000);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+    });
+  }
 }
 
-module.exports = StreamController;
\ No newline at end of file
+module.exports = StreamController;
@@ -0,0 +1,169 @@
+/**
+ * Text Controller
+ * Handles API endpoints for the named text layers drawn over the stream
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+class TextController {
+  constructor(textLayerService) {
+    this.textLayerService = textLayerService;
+  }
+
+  /**
+   * Send a 404 for an unknown text layer
+   */
+  notFound(res, name) {
+    return res.status(404).json({
+      success: false,
+      message: `Text layer not found: ${name}`
+    });
+  }
+
+  /**
+   * Send a 400 for fields that do not make a valid text layer
+   */
+  invalid(res, errors) {
+    return res.status(400).json({
+      success: false,
+      message: `Request validation failed: ${errors[0]}`,
+      errors
+    });
+  }
+
+  /**
+   * Get every text layer and the built-in templates (GET /api/text)
+   */
+  getTextLayers(req, res) {
+    try {
+      res.json({
+        success: true,
+        layers: this.textLayerService.getLayers(),
+        templates: this.textLayerService.getTemplates(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get text layers error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get text layers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one text layer (GET /api/text/:name)
+   */
+  getTextLayer(req, res) {
+    try {
+      const { name } = req.params;
+      const layer = this.textLayerService.getLayer(name);
+      if (!layer) {
+        return this.notFound(res, name);
+      }
+
+      res.json({
+        success: true,
+        layer,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Get text layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get text layer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a text layer or replace it, starting from its template's defaults (PUT /api/text/:name)
+   */
+  async setTextLayer(req, res) {
+    try {
+      const { name } = req.params;
+      const created = !this.textLayerService.getLayer(name);
+      const result = await this.textLayerService.setLayer(name, req.body);
+      if (result.errors) {
+        return this.invalid(res, result.errors);
+      }
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: `Text layer ${name} ${created ? 'created' : 'updated'}`,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Set text layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to set text layer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change some fields of a text layer, live where FFmpeg supports it (PATCH /api/text/:name)
+   */
+  async updateTextLayer(req, res) {
+    try {
+      const { name } = req.params;
+      const result = await this.textLayerService.updateLayer(name, req.body);
+      if (!result) {
+        return this.notFound(res, name);
+      }
+      if (result.errors) {
+        return this.invalid(res, result.errors);
+      }
+
+      res.json({
+        success: true,
+        message: `Text layer ${name} updated`,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Update text layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update text layer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a text layer (DELETE /api/text/:name)
+   */
+  removeTextLayer(req, res) {
+    try {
+      const { name } = req.params;
+      const result = this.textLayerService.removeLayer(name);
+      if (!result) {
+        return this.notFound(res, name);
+      }
+
+      res.json({
+        success: true,
+        message: `Text layer ${name} removed`,
+        method: result.method,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Remove text layer error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove text layer',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = TextController;
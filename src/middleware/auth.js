@@ -0,0 +1,84 @@
+/**
+ * Authentication Middleware
+ * API key checks and role-based access for the control API
+ */
+
+'use strict';
+
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Read the API key from the X-API-Key header, a Bearer token or the api_key query parameter
+ * The query parameter exists for EventSource, which cannot send headers
+ */
+function getApiKey(req) {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return (req.query && req.query.api_key) || null;
+}
+
+/**
+ * Middleware to require an API key with at least the given role
+ * Passes every request through while authentication is disabled
+ * Logs carry the path without the query string, which may hold the api_key
+ */
+function requireRole(apiKeyService, role) {
+  return (req, res, next) => {
+    if (!CONFIG.auth.enabled) {
+      return next();
+    }
+
+    const clientIp = req.ip || (req.connection && req.connection.remoteAddress);
+
+    if (!apiKeyService) {
+      logger.error('Authentication is enabled but no API key service is configured');
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication is not configured'
+      });
+    }
+
+    const key = getApiKey(req);
+    if (!key) {
+      logger.security(`Missing API key from ${clientIp}: ${req.method} ${req.baseUrl}${req.path}`);
+      return res.status(401).json({
+        success: false,
+        message: 'API key required'
+      });
+    }
+
+    const record = apiKeyService.authenticate(key);
+    if (!record) {
+      logger.security(`Invalid API key from ${clientIp}: ${req.method} ${req.baseUrl}${req.path}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+
+    if (!apiKeyService.hasRole(record, role)) {
+      logger.security(`API key ${record.name} (${record.role}) denied ${role} access from ${clientIp}: ${req.method} ${req.baseUrl}${req.path}`);
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${role} role`
+      });
+    }
+
+    req.apiKey = record;
+    next();
+  };
+}
+
+module.exports = {
+  getApiKey,
+  requireRole
+};
@@ -0,0 +1,47 @@
+/**
+ * Metrics Middleware
+ * Records HTTP request counts and latency for Prometheus
+ */
+
+'use strict';
+
+/**
+ * Get a low-cardinality route label: the route template (/api/queue/:id, not every id),
+ * the mount point for static files (/hls, /dash) or a fixed label for everything else
+ */
+function getRouteLabel(req, res) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  if (req.baseUrl) {
+    return req.baseUrl;
+  }
+  return res.statusCode === 404 ? 'unmatched' : 'static';
+}
+
+/**
+ * Middleware counting requests by method, route and status and observing their duration
+ */
+function requestMetrics(metricsService) {
+  const requests = metricsService.counter('http_requests_total', 'HTTP requests by method, route and status',
+    ['method', 'route', 'status']);
+  const duration = metricsService.histogram('http_request_duration_seconds', 'HTTP request latency by method and route',
+    ['method', 'route']);
+
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const route = getRouteLabel(req, res);
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      duration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  requestMetrics,
+  getRouteLabel
+};
@@ -0,0 +1,45 @@
+/**
+ * Signed URL Middleware
+ * Token checks for the /hls route
+ */
+
+'use strict';
+
+const logger = require('../utils/logger');
+
+/**
+ * Middleware to require a valid ?token= on every playlist and segment request
+ * The verified token is kept on req.hlsToken so playlists can pass it on to their URIs
+ */
+function requireSignedUrl(urlSigningService) {
+  return (req, res, next) => {
+    if (!urlSigningService || !urlSigningService.isEnabled()) {
+      return next();
+    }
+
+    const clientIp = req.ip || (req.connection && req.connection.remoteAddress);
+    const token = req.query.token;
+    const result = urlSigningService.verifyToken(token, clientIp);
+
+    if (!result.valid) {
+      // Expired and missing tokens are routine (players outliving their URL), forged ones are not
+      if (token && !result.expired) {
+        logger.security(`Rejected HLS token from ${clientIp}: ${req.method} ${req.baseUrl}${req.path}`, { error: result.error });
+      } else {
+        logger.debug(`Rejected HLS request from ${clientIp}: ${result.error}`);
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    req.hlsToken = token;
+    next();
+  };
+}
+
+module.exports = {
+  requireSignedUrl
+};
@@ -0,0 +1,70 @@
+/**
+ * Upload Middleware
+ * Multipart uploads into the media library directory
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware to accept a single media file in the "file" field
+ * Files are stored under a generated ID so client-supplied names never reach the filesystem
+ */
+function mediaUpload() {
+  const storage = multer.diskStorage({
+    destination: (req, file, callback) => {
+      fs.mkdirSync(CONFIG.media.library.dir, { recursive: true });
+      callback(null, CONFIG.media.library.dir);
+    },
+    filename: (req, file, callback) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      callback(null, `${crypto.randomBytes(8).toString('hex')}${extension}`);
+    }
+  });
+
+  const upload = multer({
+    storage,
+    limits: { fileSize: CONFIG.media.library.maxUploadSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!CONFIG.media.library.extensions.includes(extension)) {
+        const error = new Error(`Unsupported file type: ${extension || 'none'}`);
+        error.code = 'UNSUPPORTED_TYPE';
+        return callback(error);
+      }
+      callback(null, true);
+    }
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        logger.warn('Media upload rejected:', error.message);
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({
+          success: false,
+          message: `Upload failed: ${error.message}`
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload requires a file in the "file" field'
+        });
+      }
+
+      next();
+    });
+  };
+}
+
+module.exports = {
+  mediaUpload
+};
@@ -4,11 +4,65 @@
 
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { validateLayout } = require('../utils/layout');
+const { isTextLayerName, validateTextFields } = require('../utils/text');
+const { validateSchema } = require('../utils/schema');
+
+// Request body schemas of the resource routes
+const SCHEMAS = {
+  content: {
+    type: 'object',
+    required: ['path'],
+    properties: {
+      path: { type: 'string', minLength: 1, maxLength: 4096 }
+    },
+    additionalProperties: false
+  },
+  layer: {
+    type: 'object',
+    required: ['path'],
+    properties: {
+      path: { type: 'string', minLength: 1, maxLength: 4096 },
+      layout: { type: 'object' }
+    },
+    additionalProperties: false
+  },
+  filterCommand: {
+    type: 'object',
+    required: ['command'],
+    properties: {
+      command: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', maxLength: 100 },
+      argument: { type: ['string', 'number'], maxLength: 800 }
+    },
+    additionalProperties: false
+  }
+};
+
+/**
+ * Check if a path lies inside a root directory
+ */
+function isInsideRoot(filePath, root) {
+  return filePath === root || filePath.startsWith(root + path.sep);
+}
+
+/**
+ * Resolve a path through symlinks, or null if it does not exist
+ */
+function realpathOrNull(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * Validate file path for security
+ * allowedDir may be a single directory or a list of directories. Existing files are checked by
+ * their real location, so a symlink inside a root cannot point outside of it.
  */
 function validateFilePath(filePath, allowedDir = null) {
   if (!filePath || typeof filePath !== 'string') {
@@ -18,15 +72,20 @@ function validateFilePath(filePath, allowedDir = null) {
   // Prevent directory traversal attacks
   const normalizedPath = path.normalize(filePath);
   if (normalizedPath.includes('..')) {
-    return { valid: false, error: 'Directory traversal is not allowed' };
+    return { valid: false, error: 'Directory traversal is not allowed', security: true };
   }
 
-  // Check against allowed directory if specified
+  // Check against allowed directories if specified
   if (allowedDir) {
+    const roots = (Array.isArray(allowedDir) ? allowedDir : [allowedDir])
+      .map(root => realpathOrNull(path.resolve(root)) || path.resolve(root));
+
+    // Missing files are checked lexically; whether they exist is reported further down the line
     const resolved = path.resolve(normalizedPath);
-    const allowedResolved = path.resolve(allowedDir);
-    if (!resolved.startsWith(allowedResolved)) {
-      return { valid: false, error: 'File path is outside allowed directory' };
+    const target = realpathOrNull(resolved) || resolved;
+
+    if (!roots.some(root => isInsideRoot(target, root))) {
+      return { valid: false, error: 'File path is outside allowed directory', security: true };
     }
   }
 
@@ -50,8 +109,9 @@ function validateLayerIndex(index, maxLayers) {
 
 /**
  * Validate ZMQ command
+ * knownTargets is a list of filter instances, or a function returning the current list
  */
-function validateZmqCommand(command) {
+function validateZmqCommand(command, knownTargets = null) {
   if (!command || typeof command !== 'string') {
     return { valid: false, error: 'Command must be a non-empty string' };
   }
@@ -79,13 +139,88 @@ function validateZmqCommand(command) {
     }
   }
 
+  // Commands are "<instance> <command> [argument]", the instance must exist in the filter graph
+  const target = command.trim().split(/\s+/)[0];
+  const targets = typeof knownTargets === 'function' ? knownTargets() : knownTargets;
+  if (targets && !targets.includes(target)) {
+    return { valid: false, error: `Unknown filter instance: ${target}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate the data of a content, layer or filter update
+ */
+function validateUpdateData(type, data, maxLayers = 2, allowedRoots = null, filterTargets = null) {
+  let validation;
+
+  switch (type) {
+    case 'content':
+      validation = validateFilePath(data, allowedRoots);
+      if (!validation.valid) {
+        return { valid: false, error: `Content validation failed: ${validation.error}`, security: validation.security };
+      }
+      break;
+
+    case 'layer':
+      if (!data.index && data.index !== 0) {
+        return { valid: false, error: 'Layer update requires index field' };
+      }
+
+      if ('clear' in data && typeof data.clear !== 'boolean') {
+        return { valid: false, error: 'Layer clear must be a boolean' };
+      }
+
+      if (!data.path && !data.clear) {
+        return { valid: false, error: 'Layer update requires path field (or clear: true)' };
+      }
+
+      validation = validateLayerIndex(data.index, maxLayers);
+      if (!validation.valid) {
+        return { valid: false, error: `Layer index validation failed: ${validation.error}` };
+      }
+
+      if (data.clear) {
+        break;
+      }
+
+      validation = validateFilePath(data.path, allowedRoots);
+      if (!validation.valid) {
+        return { valid: false, error: `Layer path validation failed: ${validation.error}`, security: validation.security };
+      }
+      break;
+
+    case 'filter':
+      if (!data.command) {
+        return { valid: false, error: 'Filter update requires command field' };
+      }
+
+      validation = validateZmqCommand(data.command, filterTargets);
+      if (!validation.valid) {
+        return { valid: false, error: `Filter command validation failed: ${validation.error}` };
+      }
+      break;
+
+    default:
+      return { valid: false, error: `Invalid update type: ${type}. Valid types are: content, layer, filter` };
+  }
+
   return { valid: true };
 }
 
+/**
+ * Log a path rejected by the media root check as a security event
+ */
+function logRejectedPath(req, error) {
+  const clientIp = req.ip || (req.connection && req.connection.remoteAddress);
+  logger.security(`Rejected file path outside media roots from ${clientIp}: ${req.method} ${req.baseUrl}${req.path}`, { error });
+}
+
 /**
  * Middleware to validate update requests
  */
-function validateUpdateRequest(maxLayers = 2) {
+function validateUpdateRequest(maxLayers = 2, allowedRoots = null, filterTargets = null) {
   return (req, res, next) => {
     const { type, data } = req.body;
 
@@ -103,77 +238,322 @@ function validateUpdateRequest(maxLayers = 2) {
       });
     }
 
-    let validation;
+    const validation = validateUpdateData(type, data, maxLayers, allowedRoots, filterTargets);
+    if (!validation.valid) {
+      if (validation.security) {
+        logRejectedPath(req, validation.error);
+      }
+      return res.status(400).json({
+        success: false,
+        message: validation.error
+      });
+    }
 
-    switch (type) {
-      case 'content':
-        validation = validateFilePath(data);
-        if (!validation.valid) {
-          return res.status(400).json({
-            success: false,
-            message: `Content validation failed: ${validation.error}`
-          });
-        }
-        break;
+    // Log the validated request
+    logger.debug(`Validated ${type} update request`, { type, data: typeof data === 'object' ? JSON.stringify(data) : data });
 
-      case 'layer':
-        if (!data.index && data.index !== 0) {
-          return res.status(400).json({
-            success: false,
-            message: 'Layer update requires index field'
-          });
-        }
+    next();
+  };
+}
 
-        if (!data.path) {
-          return res.status(400).json({
-            success: false,
-            message: 'Layer update requires path field'
-          });
-        }
+/**
+ * Middleware to validate schedule entries
+ * Partial entries are accepted for updates (PUT)
+ */
+function validateScheduleEntry(maxLayers = 2, allowedRoots = null, filterTargets = null) {
+  return (req, res, next) => {
+    const { start, duration, action, title } = req.body;
+    const partial = req.method === 'PUT';
 
-        validation = validateLayerIndex(data.index, maxLayers);
-        if (!validation.valid) {
-          return res.status(400).json({
-            success: false,
-            message: `Layer index validation failed: ${validation.error}`
-          });
-        }
+    if ((start !== undefined || !partial) && Number.isNaN(Date.parse(start))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule entry requires a valid start time (ISO 8601)'
+      });
+    }
 
-        validation = validateFilePath(data.path);
-        if (!validation.valid) {
-          return res.status(400).json({
-            success: false,
-            message: `Layer path validation failed: ${validation.error}`
-          });
-        }
-        break;
+    if ((duration !== undefined || !partial) && !(typeof duration === 'number' && duration > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule entry requires a positive duration in seconds'
+      });
+    }
 
-      case 'filter':
-        if (!data.command) {
-          return res.status(400).json({
-            success: false,
-            message: 'Filter update requires command field'
-          });
-        }
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule entry title must be a string'
+      });
+    }
 
-        validation = validateZmqCommand(data.command);
-        if (!validation.valid) {
-          return res.status(400).json({
-            success: false,
-            message: `Filter command validation failed: ${validation.error}`
-          });
-        }
-        break;
+    if (action !== undefined || !partial) {
+      if (!action || !action.type || !action.data) {
+        return res.status(400).json({
+          success: false,
+          message: 'Schedule entry requires an action with type and data'
+        });
+      }
 
-      default:
+      const validation = validateUpdateData(action.type, action.data, maxLayers, allowedRoots, filterTargets);
+      if (!validation.valid) {
+        if (validation.security) {
+          logRejectedPath(req, validation.error);
+        }
         return res.status(400).json({
           success: false,
-          message: `Invalid update type: ${type}. Valid types are: content, layer, filter`
+          message: validation.error
         });
+      }
     }
 
-    // Log the validated request
-    logger.debug(`Validated ${type} update request`, { type, data: typeof data === 'object' ? JSON.stringify(data) : data });
+    next();
+  };
+}
+
+/**
+ * Middleware to validate content queue item requests
+ */
+function validateQueueItem(allowedRoots = null) {
+  return (req, res, next) => {
+    const validation = validateFilePath(req.body.path, allowedRoots);
+    if (!validation.valid) {
+      if (validation.security) {
+        logRejectedPath(req, validation.error);
+      }
+      return res.status(400).json({
+        success: false,
+        message: `Queue item validation failed: ${validation.error}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to validate content queue reorder requests
+ */
+function validateQueuePosition() {
+  return (req, res, next) => {
+    const { index } = req.body;
+    if (typeof index !== 'number' || !Number.isInteger(index) || index < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Queue position must be a non-negative integer'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to validate layer layout changes (PATCH /api/layers/:index)
+ */
+function validateLayoutRequest(maxLayers = 2) {
+  return (req, res, next) => {
+    const index = /^\d+$/.test(req.params.index) ? parseInt(req.params.index, 10) : NaN;
+    let validation = validateLayerIndex(index, maxLayers);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    validation = validateLayout(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Layout validation failed: ${validation.error}`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Reject a request with 400 and the list of problems found
+ */
+function rejectRequest(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: `Request validation failed: ${errors[0]}`,
+    errors
+  });
+}
+
+/**
+ * Middleware to validate a request body against one of the API schemas
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const validation = validateSchema(schema, req.body);
+    if (!validation.valid) {
+      return rejectRequest(res, validation.errors);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to validate a path in the request body against the media roots
+ */
+function validateBodyPath(allowedRoots = null) {
+  return (req, res, next) => {
+    const validation = validateFilePath(req.body.path, allowedRoots);
+    if (!validation.valid) {
+      if (validation.security) {
+        logRejectedPath(req, validation.error);
+      }
+      return rejectRequest(res, [`body.path: ${validation.error}`]);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to validate the :index route parameter of layer resources
+ * Indexes past the last layer are left to the handler, which answers 404
+ */
+function validateLayerParam() {
+  return (req, res, next) => {
+    if (!/^\d+$/.test(req.params.index)) {
+      return rejectRequest(res, ['params.index must be a non-negative integer']);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to validate content requests (PUT /api/content)
+ */
+function validateContentRequest(allowedRoots = null) {
+  const checks = [validateBody(SCHEMAS.content), validateBodyPath(allowedRoots)];
+  return (req, res, next) => runChecks(checks, req, res, next);
+}
+
+/**
+ * Middleware to validate layer source requests (PUT /api/layers/:index)
+ */
+function validateLayerRequest(allowedRoots = null) {
+  const checkLayout = (req, res, next) => {
+    if (req.body.layout !== undefined) {
+      const validation = validateLayout(req.body.layout);
+      if (!validation.valid) {
+        return rejectRequest(res, [`body.layout: ${validation.error}`]);
+      }
+    }
+    next();
+  };
+
+  const checks = [validateLayerParam(), validateBody(SCHEMAS.layer), validateBodyPath(allowedRoots), checkLayout];
+  return (req, res, next) => runChecks(checks, req, res, next);
+}
+
+/**
+ * Middleware to validate filter command requests (POST /api/filters/:instance/commands)
+ * filterTargets lists the instances of the running graph (or returns them); others answer 404
+ */
+function validateFilterCommandRequest(filterTargets = null) {
+  const checkInstance = (req, res, next) => {
+    const targets = typeof filterTargets === 'function' ? filterTargets() : filterTargets;
+    if (targets && !targets.includes(req.params.instance)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown filter instance: ${req.params.instance}`
+      });
+    }
+    next();
+  };
+
+  const checkCommand = (req, res, next) => {
+    const { command, argument } = req.body;
+    const validation = validateZmqCommand([req.params.instance, command, argument].join(' '));
+    if (!validation.valid) {
+      return rejectRequest(res, [validation.error]);
+    }
+    next();
+  };
+
+  const checks = [checkInstance, validateBody(SCHEMAS.filterCommand), checkCommand];
+  return (req, res, next) => runChecks(checks, req, res, next);
+}
+
+/**
+ * Middleware to validate the :name route parameter of text layers
+ */
+function validateTextParam() {
+  return (req, res, next) => {
+    if (!isTextLayerName(req.params.name)) {
+      return rejectRequest(res, ['params.name must start with a letter and contain at most 32 letters, digits or underscores']);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware to validate text layer requests (PUT and PATCH /api/text/:name)
+ * A font file must lie in a media root like any other file the encoder reads; null restores the default.
+ */
+function validateTextRequest(allowedRoots = null) {
+  const checkFields = (req, res, next) => {
+    const validation = validateTextFields(req.body);
+    if (!validation.valid) {
+      return rejectRequest(res, validation.errors);
+    }
+    next();
+  };
+
+  const checkFont = (req, res, next) => {
+    if (req.body.fontFile !== undefined && req.body.fontFile !== null) {
+      const validation = validateFilePath(req.body.fontFile, allowedRoots);
+      if (!validation.valid) {
+        if (validation.security) {
+          logRejectedPath(req, validation.error);
+        }
+        return rejectRequest(res, [`body.fontFile: ${validation.error}`]);
+      }
+    }
+    next();
+  };
+
+  const checks = [validateTextParam(), checkFields, checkFont];
+  return (req, res, next) => runChecks(checks, req, res, next);
+}
+
+/**
+ * Run middleware checks in order, stopping at the first one that answers the request
+ */
+function runChecks(checks, req, res, next) {
+  const run = (i) => {
+    if (i === checks.length) {
+      return next();
+    }
+    checks[i](req, res, () => run(i + 1));
+  };
+  run(0);
+}
+
+/**
+ * Middleware to validate API key creation requests
+ */
+function validateApiKeyRequest(roles) {
+  return (req, res, next) => {
+    const { name, role } = req.body;
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key name must be a non-empty string of at most 100 characters'
+      });
+    }
+
+    if (!roles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `API key role must be one of: ${roles.join(', ')}`
+      });
+    }
 
     next();
   };
@@ -181,11 +561,10 @@ function validateUpdateRequest(maxLayers = 2) {
 
 /**
  * Middleware to validate request rate limiting
+ * The optional onReject callback fires for every rejected request
  */
-function validateRateLimit() {
+function validateRateLimit({ maxRequests = 30, windowMs = 60000, onReject = null } = {}) {
   const requests = new Map();
-  const windowMs = 60000; // 1 minute
-  const maxRequests = 30; // 30 requests per minute
 
   return (req, res, next) => {
     const clientIp = req.ip || req.connection.remoteAddress;
@@ -203,6 +582,9 @@ function validateRateLimit() {
 
     if (validRequests.length >= maxRequests) {
       logger.warn(`Rate limit exceeded for IP: ${clientIp}`);
+      if (onReject) {
+        onReject(req);
+      }
       return res.status(429).json({
         success: false,
         message: 'Rate limit exceeded. Please try again later.',
@@ -236,10 +618,24 @@ function validateJSON() {
 }
 
 module.exports = {
+  SCHEMAS,
   validateFilePath,
   validateLayerIndex,
   validateZmqCommand,
+  validateUpdateData,
   validateUpdateRequest,
+  validateScheduleEntry,
+  validateQueueItem,
+  validateQueuePosition,
+  validateLayoutRequest,
+  validateBody,
+  validateLayerParam,
+  validateContentRequest,
+  validateLayerRequest,
+  validateFilterCommandRequest,
+  validateTextParam,
+  validateTextRequest,
+  validateApiKeyRequest,
   validateRateLimit,
   validateJSON
 };
\ No newline at end of file
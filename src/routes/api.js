@@ -7,41 +7,172 @@
 
 const express = require('express');
 const { CONFIG } = require('../config');
-const { validateUpdateRequest, validateRateLimit, validateJSON } = require('../middleware/validation');
+const {
+  validateUpdateRequest,
+  validateScheduleEntry,
+  validateQueueItem,
+  validateQueuePosition,
+  validateLayoutRequest,
+  validateLayerParam,
+  validateContentRequest,
+  validateLayerRequest,
+  validateFilterCommandRequest,
+  validateTextParam,
+  validateTextRequest,
+  validateApiKeyRequest,
+  validateRateLimit,
+  validateJSON
+} = require('../middleware/validation');
+const { mediaUpload } = require('../middleware/upload');
+const { requireRole } = require('../middleware/auth');
 
-function createApiRoutes(streamController) {
+function createApiRoutes(streamController, controllers = {}, { apiKeyService = null, urlSigningService = null, metricsService = null, filterTargets = null } = {}) {
   const router = express.Router();
+  const { queueController, scheduleController, mediaController, layerController, textController, apiKeyController, hlsKeyController } = controllers;
+
+  // Content, layer and font paths must resolve into a media root (the media library is always one)
+  const mediaRoots = [CONFIG.media.library.dir, ...CONFIG.media.allowedRoots];
+
+  // Role checks (no-ops while authentication is disabled)
+  const viewer = requireRole(apiKeyService, 'viewer');
+  const operator = requireRole(apiKeyService, 'operator');
+  const admin = requireRole(apiKeyService, 'admin');
 
   // Apply global middleware
+  const rateLimitRejections = metricsService ?
+    metricsService.counter('rate_limit_rejections_total', 'API requests rejected by the rate limiter') : null;
+  const onReject = rateLimitRejections ? () => rateLimitRejections.inc() : null;
   router.use(validateJSON());
-  router.use(validateRateLimit());
 
-  // Update stream endpoint (POST /api/update)
-  router.post('/update', 
-    validateUpdateRequest(CONFIG.fifos.layers.length),
+  // HLS encryption keys (GET /api/keys/:id), mounted before the API rate limit: players fetch a
+  // key at every rotation, start and seek, so they get their own, larger limit
+  if (hlsKeyController) {
+    // Players may present the stream token their signed playlist carried instead of an API key
+    const keyAccess = (req, res, next) => {
+      if (urlSigningService && urlSigningService.isEnabled() &&
+          urlSigningService.verifyToken(req.query.token, req.ip).valid) {
+        return next();
+      }
+      viewer(req, res, next);
+    };
+    router.get('/keys/:id',
+      validateRateLimit({ maxRequests: CONFIG.hls.encryption.rateLimit, onReject }),
+      keyAccess,
+      (req, res) => hlsKeyController.getKey(req, res)
+    );
+  }
+
+  router.use(validateRateLimit({ onReject }));
+
+  // Media library references ({ mediaId }) are resolved to paths before validation
+  const resolveMedia = mediaController ?
+    (req, res, next) => mediaController.resolveReferences(req, res, next) :
+    (req, res, next) => next();
+  const resolveBodyMedia = mediaController ?
+    (req, res, next) => mediaController.resolveBodyReference(req, res, next) :
+    (req, res, next) => next();
+
+  // Update stream endpoint (POST /api/update), kept for compatibility: delegates to the resource handlers below
+  router.post('/update',
+    operator,
+    resolveMedia,
+    validateUpdateRequest(CONFIG.fifos.layers.length, mediaRoots, filterTargets),
     (req, res) => streamController.updateStream(req, res)
   );
 
   // Get stream status (GET /api/status)
-  router.get('/status', (req, res) => streamController.getStatus(req, res));
+  router.get('/status', viewer, (req, res) => streamController.getStatus(req, res));
 
   // Get stream information (GET /api/info)
-  router.get('/info', (req, res) => streamController.getStreamInfo(req, res));
+  router.get('/info', viewer, (req, res) => streamController.getStreamInfo(req, res));
 
-  // Health check endpoint (GET /api/health)
+  // Health check endpoints, public for monitoring and orchestrator probes
   router.get('/health', (req, res) => streamController.healthCheck(req, res));
+  router.get('/health/live', (req, res) => streamController.livenessCheck(req, res));
+  router.get('/health/ready', (req, res) => streamController.readinessCheck(req, res));
+
+  // Active configuration (GET /api/config)
+  router.get('/config', admin, (req, res) => streamController.getConfig(req, res));
 
   // FFmpeg logs endpoints
-  router.get('/logs', (req, res) => streamController.getLogs(req, res));
-  router.delete('/logs', (req, res) => streamController.clearLogs(req, res));
-  router.get('/logs/stream', (req, res) => streamController.streamLogs(req, res));
+  router.get('/logs', viewer, (req, res) => streamController.getLogs(req, res));
+  router.delete('/logs', admin, (req, res) => streamController.clearLogs(req, res));
+  router.get('/logs/stream', viewer, (req, res) => streamController.streamLogs(req, res));
+
+  // Encoder metrics endpoints
+  router.get('/metrics/encoder', viewer, (req, res) => streamController.getEncoderMetrics(req, res));
+  router.get('/metrics/encoder/stream', viewer, (req, res) => streamController.streamEncoderMetrics(req, res));
+
+  // Main content (GET/PUT /api/content)
+  router.get('/content', viewer, (req, res) => streamController.getContent(req, res));
+  router.put('/content', operator, resolveBodyMedia, validateContentRequest(mediaRoots), (req, res) => streamController.setContent(req, res));
+
+  // Filter graph instances and their runtime commands (GET /api/filters)
+  router.get('/filters', viewer, (req, res) => streamController.getFilters(req, res));
+  router.post('/filters/:instance/commands', operator, validateFilterCommandRequest(filterTargets), (req, res) => streamController.sendFilterCommand(req, res));
 
   // ZeroMQ logs endpoints
-  router.get('/zmq/logs', (req, res) => streamController.getZmqLogs(req, res));
-  router.delete('/zmq/logs', (req, res) => streamController.clearZmqLogs(req, res));
-  router.get('/zmq/logs/stream', (req, res) => streamController.streamZmqLogs(req, res));
+  router.get('/zmq/logs', viewer, (req, res) => streamController.getZmqLogs(req, res));
+  router.delete('/zmq/logs', admin, (req, res) => streamController.clearZmqLogs(req, res));
+  router.get('/zmq/logs/stream', viewer, (req, res) => streamController.streamZmqLogs(req, res));
+
+  // Content queue endpoints
+  if (queueController) {
+    router.get('/queue', viewer, (req, res) => queueController.getQueue(req, res));
+    router.post('/queue', operator, validateQueueItem(mediaRoots), (req, res) => queueController.enqueue(req, res));
+    router.post('/queue/next', operator, validateQueueItem(mediaRoots), (req, res) => queueController.insertNext(req, res));
+    router.post('/queue/shuffle', operator, (req, res) => queueController.shuffle(req, res));
+    router.put('/queue/loop', operator, (req, res) => queueController.setLoop(req, res));
+    router.put('/queue/:id/position', operator, validateQueuePosition(), (req, res) => queueController.reorder(req, res));
+    router.delete('/queue/:id', operator, (req, res) => queueController.remove(req, res));
+    router.delete('/queue', operator, (req, res) => queueController.clear(req, res));
+  }
+
+  // Media library endpoints
+  if (mediaController) {
+    router.get('/media', viewer, (req, res) => mediaController.list(req, res));
+    router.post('/media', operator, mediaUpload(), (req, res) => mediaController.upload(req, res));
+    router.get('/media/:id', viewer, (req, res) => mediaController.get(req, res));
+    router.delete('/media/:id', operator, (req, res) => mediaController.remove(req, res));
+  }
+
+  // Layer endpoints
+  if (layerController) {
+    router.get('/layers', viewer, (req, res) => layerController.getLayers(req, res));
+    router.get('/layers/:index', viewer, validateLayerParam(), (req, res) => layerController.getLayer(req, res));
+    router.put('/layers/:index', operator, resolveBodyMedia, validateLayerRequest(mediaRoots), (req, res) => layerController.setLayer(req, res));
+    router.delete('/layers/:index', operator, validateLayerParam(), (req, res) => layerController.clearLayer(req, res));
+    router.patch('/layers/:index', operator, validateLayoutRequest(CONFIG.fifos.layers.length), (req, res) => layerController.updateLayout(req, res));
+  }
+
+  // Text layer endpoints
+  if (textController) {
+    router.get('/text', viewer, (req, res) => textController.getTextLayers(req, res));
+    router.get('/text/:name', viewer, validateTextParam(), (req, res) => textController.getTextLayer(req, res));
+    router.put('/text/:name', operator, validateTextRequest(mediaRoots), (req, res) => textController.setTextLayer(req, res));
+    router.patch('/text/:name', operator, validateTextRequest(mediaRoots), (req, res) => textController.updateTextLayer(req, res));
+    router.delete('/text/:name', operator, validateTextParam(), (req, res) => textController.removeTextLayer(req, res));
+  }
+
+  // Schedule (EPG) endpoints
+  if (scheduleController) {
+    const validateEntry = validateScheduleEntry(CONFIG.fifos.layers.length, mediaRoots, filterTargets);
+    router.get('/schedule', viewer, (req, res) => scheduleController.list(req, res));
+    router.get('/schedule/xmltv', viewer, (req, res) => scheduleController.getXmltv(req, res));
+    router.get('/schedule/:id', viewer, (req, res) => scheduleController.get(req, res));
+    router.post('/schedule', operator, validateEntry, (req, res) => scheduleController.create(req, res));
+    router.put('/schedule/:id', operator, validateEntry, (req, res) => scheduleController.update(req, res));
+    router.delete('/schedule/:id', operator, (req, res) => scheduleController.remove(req, res));
+  }
+
+  // API key management endpoints
+  if (apiKeyController) {
+    router.get('/auth/keys', admin, (req, res) => apiKeyController.list(req, res));
+    router.post('/auth/keys', admin, validateApiKeyRequest(CONFIG.auth.roles), (req, res) => apiKeyController.create(req, res));
+    router.delete('/auth/keys/:id', admin, (req, res) => apiKeyController.revoke(req, res));
+  }
 
   return router;
 }
 
-module.exports = createApiRoutes;
\ No newline at end of file
+module.exports = createApiRoutes;
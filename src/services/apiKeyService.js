@@ -0,0 +1,151 @@
+/**
+ * API Key Service
+ * Issues, stores (hashed) and verifies API keys with viewer, operator and admin roles
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are long random strings, so a fast hash is enough (no password stretching needed)
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyService {
+  constructor() {
+    this.keys = [];
+  }
+
+  /**
+   * Load stored keys from disk
+   * When authentication is enabled and no keys exist, an admin key is created and logged once
+   */
+  load() {
+    try {
+      if (fs.existsSync(CONFIG.auth.keysFile)) {
+        const state = JSON.parse(fs.readFileSync(CONFIG.auth.keysFile, 'utf8'));
+        this.keys = state.keys || [];
+        logger.info(`Loaded ${this.keys.length} API keys`);
+      }
+    } catch (error) {
+      logger.error('Failed to load API keys:', error.message);
+    }
+
+    if (CONFIG.auth.enabled && this.keys.length === 0) {
+      const { key } = this.create('bootstrap-admin', 'admin');
+      logger.warn(`No API keys configured. Created admin key (shown once): ${key}`);
+    }
+  }
+
+  /**
+   * Persist keys to disk (hashes only)
+   */
+  save() {
+    try {
+      const keysDir = path.dirname(CONFIG.auth.keysFile);
+      if (!fs.existsSync(keysDir)) {
+        fs.mkdirSync(keysDir, { recursive: true });
+      }
+
+      fs.writeFileSync(CONFIG.auth.keysFile, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Failed to save API keys:', error.message);
+    }
+  }
+
+  /**
+   * Check if a role name is known
+   */
+  isValidRole(role) {
+    return CONFIG.auth.roles.includes(role);
+  }
+
+  /**
+   * Check if a key record's role grants at least the required role
+   */
+  hasRole(record, requiredRole) {
+    return CONFIG.auth.roles.indexOf(record.role) >= CONFIG.auth.roles.indexOf(requiredRole);
+  }
+
+  /**
+   * Strip the hash from a key record
+   */
+  toPublic(record) {
+    const publicRecord = { ...record };
+    delete publicRecord.hash;
+    return publicRecord;
+  }
+
+  /**
+   * Create a key, returns the plain key (only available now) and its public record
+   */
+  create(name, role) {
+    const key = `hls_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      role,
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.keys.push(record);
+    this.save();
+    logger.info(`Created ${role} API key: ${name} (${record.id})`);
+    return { key, record: this.toPublic(record) };
+  }
+
+  /**
+   * List keys without their hashes
+   */
+  list() {
+    return this.keys.map(record => this.toPublic(record));
+  }
+
+  /**
+   * Revoke a key, returns the revoked record or null
+   */
+  revoke(id) {
+    const index = this.keys.findIndex(record => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [record] = this.keys.splice(index, 1);
+    this.save();
+    logger.info(`Revoked API key: ${record.name} (${record.id})`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Find the record for a presented key, or null
+   */
+  authenticate(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+
+    const hash = Buffer.from(hashKey(key), 'hex');
+    const record = this.keys.find(candidate =>
+      crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+    );
+
+    if (!record) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    return this.toPublic(record);
+  }
+}
+
+module.exports = ApiKeyService;
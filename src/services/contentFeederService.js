@@ -0,0 +1,432 @@
+/**
+ * Content Feeder Service
+ * Keeps the content FIFO open and plays clips into it one after another, each normalized by its own
+ * FFmpeg process, so the encoder reading the FIFO never sees an end of input or a format change
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { escapeDrawtext } = require('../utils/text');
+
+const SILENCE = 'anullsrc=channel_layout=stereo:sample_rate=48000';
+
+class ContentFeederService {
+  constructor(mediaProbeService = null) {
+    this.mediaProbeService = mediaProbeService;
+    this.fd = null;
+    this.process = null;
+    this.current = null;
+    this.cued = [];
+    // Each start attempt gets a number so a newer one (a switch while probing) wins
+    this.attempts = 0;
+    this.starting = false;
+    this.timelineStartedAt = null;
+    this.slateSince = null;
+    this.slateListeners = new Set();
+    this.clipListeners = new Set();
+    this.clipsPlayed = 0;
+    this.lastError = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Check if content is fed through the persistent feeder instead of the concat demuxer
+   */
+  isEnabled() {
+    return CONFIG.feeders.content.enabled;
+  }
+
+  /**
+   * Get the content FIFO path
+   */
+  getFifoPath() {
+    return path.join(CONFIG.fifos.baseDir, CONFIG.fifos.content);
+  }
+
+  /**
+   * Hold the FIFO open so the encoder never reads an end of file between clips
+   * Read-write because a write-only open blocks until the encoder opens its end (Linux semantics)
+   */
+  open() {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.getFifoPath(), fs.constants.O_RDWR);
+      logger.info(`Content feeder holding ${this.getFifoPath()} open`);
+    }
+  }
+
+  /**
+   * Seconds on the feeder's output timeline: each clip continues where the previous one stopped
+   */
+  getTimelinePosition(now = Date.now()) {
+    return this.timelineStartedAt === null ? 0 : (now - this.timelineStartedAt) / 1000;
+  }
+
+  /**
+   * Build the FFmpeg arguments that normalize a clip into the FIFO
+   * Clips are paced in real time and stamped at the current timeline position
+   */
+  buildArgs(filePath, { hasAudio = true, offset = 0 } = {}) {
+    return [
+      '-hide_banner', '-nostdin', '-loglevel', 'error', '-re', '-i', filePath,
+      ...this.buildMapArgs(hasAudio ? '0:a:0' : null, 1),
+      ...this.buildOutputArgs(offset)
+    ];
+  }
+
+  /**
+   * Build the FFmpeg arguments that play the slate into the FIFO until it is stopped
+   */
+  buildSlateArgs({ hasAudio = true, offset = 0 } = {}) {
+    const { width, height, frameRate } = CONFIG.media;
+    const slate = CONFIG.feeders.content.slate;
+    const args = ['-hide_banner', '-nostdin', '-loglevel', 'error', '-re'];
+    let audio = null;
+
+    if (slate.type === 'bars') {
+      args.push(
+        '-f', 'lavfi', '-i', `smptehdbars=size=${width}x${height}:rate=${frameRate}`,
+        '-f', 'lavfi', '-i', 'sine=frequency=1000:sample_rate=48000'
+      );
+      audio = '1:a';
+    } else if (slate.type === 'image') {
+      args.push('-loop', '1', '-framerate', String(frameRate), '-i', slate.file);
+    } else if (slate.type === 'video') {
+      args.push('-stream_loop', '-1', '-i', slate.file);
+      audio = hasAudio ? '0:a:0' : null;
+    } else {
+      const font = slate.fontFile ? `:fontfile=${escapeDrawtext(slate.fontFile)}` : '';
+      args.push('-f', 'lavfi', '-i',
+        `color=c=${slate.color}:size=${width}x${height}:rate=${frameRate},` +
+        `drawtext=text=${escapeDrawtext(slate.text)}${font}:fontcolor=${slate.fontColor}:` +
+        `fontsize=${Math.round(height / 12)}:x=(w-text_w)/2:y=(h-text_h)/2`);
+    }
+
+    const inputCount = args.filter(arg => arg === '-i').length;
+    return [...args, ...this.buildMapArgs(audio, inputCount), ...this.buildOutputArgs(offset)];
+  }
+
+  /**
+   * Map the video and audio streams, adding silence as the next input when there is no audio
+   * so the encoder's audio input never starves
+   */
+  buildMapArgs(audio, nextInput) {
+    if (audio) {
+      return ['-map', '0:v:0', '-map', audio];
+    }
+    return ['-f', 'lavfi', '-i', SILENCE, '-map', '0:v:0', '-map', `${nextInput}:a`, '-shortest'];
+  }
+
+  /**
+   * Build the normalizing encode and MPEG-TS output into the FIFO
+   */
+  buildOutputArgs(offset) {
+    const { width, height, frameRate } = CONFIG.media;
+    const feeder = CONFIG.feeders.content;
+
+    return [
+      '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate},format=yuv420p`,
+      '-c:v', feeder.videoCodec,
+      '-q:v', String(feeder.videoQuality),
+      '-g', String(Math.round(frameRate)),
+      '-c:a', feeder.audioCodec,
+      '-b:a', feeder.audioBitrate,
+      '-ar', '48000',
+      '-ac', '2',
+      '-output_ts_offset', offset.toFixed(3),
+      '-f', 'mpegts',
+      '-y', this.getFifoPath()
+    ];
+  }
+
+  /**
+   * Check if a clip has an audio stream (assumed when it cannot be probed)
+   */
+  async hasAudio(filePath) {
+    if (!this.mediaProbeService || !this.mediaProbeService.isEnabled()) {
+      return true;
+    }
+
+    try {
+      const info = await this.mediaProbeService.probe(filePath);
+      return info.audio !== null;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Play a clip after the current one (right away when nothing is playing)
+   * The optional onStarted callback fires once the clip starts playing
+   */
+  cue(filePath, onStarted = null) {
+    this.stopped = false;
+    this.cued.push({ path: filePath, onStarted });
+    if (this.isSlateActive()) {
+      // The close handler starts the clip
+      this.process.kill('SIGKILL');
+    } else if (!this.process && !this.starting) {
+      this.playNext();
+    }
+    return true;
+  }
+
+  /**
+   * Switch to a clip now, the clips cued so far play after it
+   */
+  play(filePath, onStarted = null) {
+    this.stopped = false;
+    this.cued.unshift({ path: filePath, onStarted });
+    if (this.process) {
+      // The close handler starts the next clip
+      this.process.kill('SIGKILL');
+    } else {
+      this.playNext();
+    }
+    return true;
+  }
+
+  /**
+   * Play the slate when nothing is cued or playing yet (at startup)
+   */
+  start() {
+    if (this.isEnabled() && !this.process && !this.starting && this.cued.length === 0) {
+      this.stopped = false;
+      this.playNext();
+    }
+  }
+
+  /**
+   * Check if the fallback slate is playing
+   */
+  isSlateActive() {
+    return Boolean(this.process && this.current.slate);
+  }
+
+  /**
+   * Start the next cued clip, or the slate when nothing is cued,
+   * or go idle with the FIFO still held open when the slate is disabled
+   */
+  async playNext() {
+    const slate = CONFIG.feeders.content.slate;
+    const item = this.cued.shift() || (slate.enabled ? { path: slate.file, slate: true } : null);
+    if (!item) {
+      this.current = null;
+      logger.info('Content feeder idle: nothing cued');
+      return;
+    }
+
+    try {
+      this.open();
+    } catch (error) {
+      this.lastError = `Failed to open content FIFO: ${error.message}`;
+      logger.error(this.lastError);
+      this.cued.unshift(item);
+      return;
+    }
+
+    const attempt = ++this.attempts;
+    this.starting = true;
+    // Only clips and a video slate come with audio of their own
+    const hasAudio = item.slate && slate.type !== 'video' ? false : await this.hasAudio(item.path);
+    if (this.stopped) {
+      return;
+    }
+    if (attempt !== this.attempts || this.process) {
+      // Another clip was started while probing, this one plays after it (the slate just gives way)
+      if (!item.slate) {
+        this.cued.unshift(item);
+      }
+      return;
+    }
+    this.starting = false;
+    if (item.slate && this.cued.length > 0) {
+      // Content arrived while the slate was starting
+      this.playNext();
+      return;
+    }
+
+    const now = Date.now();
+    if (this.timelineStartedAt === null) {
+      this.timelineStartedAt = now;
+    }
+
+    const offset = this.getTimelinePosition(now);
+    const args = item.slate ? this.buildSlateArgs({ hasAudio, offset }) : this.buildArgs(item.path, { hasAudio, offset });
+    const child = spawn(CONFIG.ffmpeg.binary, args, {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    this.process = child;
+    this.current = { path: item.path, startedAt: new Date(now).toISOString(), offset };
+    if (item.slate) {
+      this.current.slate = true;
+      this.slateSince = this.slateSince || this.current.startedAt;
+    } else {
+      this.slateSince = null;
+    }
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+
+    child.on('error', (error) => {
+      this.lastError = `Content feeder failed to start: ${error.message}`;
+      logger.error(this.lastError);
+    });
+
+    child.on('close', (code, signal) => {
+      if (this.process !== child) {
+        return;
+      }
+      this.process = null;
+
+      const failure = code !== 0 && signal !== 'SIGKILL' ?
+        `${item.slate ? 'slate' : item.path}: ${stderr.trim().split('\n').pop() || `exited with code ${code}`}` :
+        null;
+
+      if (item.slate && failure) {
+        // A broken slate is not retried until the next clip ends, the feeder idles instead
+        this.lastError = failure;
+        this.slateSince = null;
+        logger.error(`Content feeder slate failed: ${failure}`);
+        if (!this.stopped && this.cued.length > 0) {
+          this.playNext();
+        }
+        return;
+      }
+
+      if (!item.slate && code === 0) {
+        this.clipsPlayed++;
+      } else if (failure) {
+        // A clip that cannot be decoded is skipped rather than retried
+        this.lastError = failure;
+        logger.warn(`Content feeder skipped ${this.lastError}`);
+      }
+
+      if (!this.stopped) {
+        this.playNext();
+      }
+    });
+
+    if (item.slate) {
+      logger.info(`Content feeder playing the ${slate.type} slate at ${offset.toFixed(3)}s: nothing cued`);
+      this.notifySlate();
+      return;
+    }
+    logger.info(`Content feeder playing ${item.path} at ${offset.toFixed(3)}s`);
+    // Listeners hear about every clip before the one who cued it does
+    this.notifyClipStarted(item.path);
+    if (item.onStarted) {
+      item.onStarted(item.path);
+    }
+  }
+
+  /**
+   * Tell the slate listeners the slate took over: whatever was playing has finished
+   */
+  notifySlate() {
+    for (const listener of this.slateListeners) {
+      try {
+        listener();
+      } catch (error) {
+        logger.warn('Error notifying slate listener:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Tell the clip listeners a clip started, replacing whatever was playing
+   */
+  notifyClipStarted(filePath) {
+    for (const listener of this.clipListeners) {
+      try {
+        listener(filePath);
+      } catch (error) {
+        logger.warn('Error notifying clip listener:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to clips starting, whoever cued or switched to them
+   */
+  onClipStarted(callback) {
+    this.clipListeners.add(callback);
+    return () => this.clipListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to the slate starting because nothing is cued
+   */
+  onSlate(callback) {
+    this.slateListeners.add(callback);
+    return () => this.slateListeners.delete(callback);
+  }
+
+  /**
+   * Get the feeder state: playing, slate, idle or stopped
+   */
+  getState() {
+    if (this.stopped) {
+      return 'stopped';
+    }
+    if (this.isSlateActive()) {
+      return 'slate';
+    }
+    return this.process ? 'playing' : 'idle';
+  }
+
+  /**
+   * Get the feeder status for status reporting
+   */
+  getStatus() {
+    return {
+      state: this.getState(),
+      current: this.process ? { ...this.current } : null,
+      cued: this.cued.map(item => item.path),
+      timelinePosition: this.getTimelinePosition(),
+      slate: {
+        active: this.isSlateActive(),
+        type: CONFIG.feeders.content.slate.enabled ? CONFIG.feeders.content.slate.type : null,
+        since: this.isSlateActive() ? this.slateSince : null
+      },
+      clipsPlayed: this.clipsPlayed,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Stop playing and release the FIFO
+   */
+  stop() {
+    this.stopped = true;
+    this.starting = false;
+    this.cued = [];
+
+    if (this.process) {
+      this.process.kill('SIGKILL');
+      this.process = null;
+    }
+
+    if (this.fd !== null) {
+      try {
+        fs.closeSync(this.fd);
+      } catch (error) {
+        logger.warn('Error closing content FIFO:', error.message);
+      }
+      this.fd = null;
+    }
+
+    this.current = null;
+    this.slateSince = null;
+    logger.info('Content feeder stopped');
+  }
+}
+
+module.exports = ContentFeederService;
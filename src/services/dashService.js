@@ -0,0 +1,85 @@
+/**
+ * DASH Service
+ * Manages the optional MPEG-DASH output directory produced alongside HLS
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+class DashService {
+  /**
+   * Check if DASH output is enabled
+   */
+  isEnabled() {
+    return Boolean(CONFIG.dash && CONFIG.dash.enabled);
+  }
+
+  /**
+   * Setup DASH output directory
+   */
+  setupDirectory() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    if (!fs.existsSync(CONFIG.dash.outputDir)) {
+      fs.mkdirSync(CONFIG.dash.outputDir, { recursive: true });
+      logger.info(`Created DASH output directory: ${CONFIG.dash.outputDir}`);
+    }
+  }
+
+  /**
+   * Get DASH manifest path
+   */
+  getManifestPath() {
+    return path.join(CONFIG.dash.outputDir, CONFIG.dash.manifestName);
+  }
+
+  /**
+   * Get DASH stream URL (null when DASH output is disabled)
+   */
+  getStreamUrl(baseUrl) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    return `${baseUrl}/dash/${CONFIG.dash.manifestName}`;
+  }
+
+  /**
+   * Check if the DASH manifest is being generated
+   */
+  isGeneratingSegments() {
+    try {
+      return this.isEnabled() && fs.existsSync(this.getManifestPath());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Clean up all DASH files (for shutdown)
+   */
+  cleanupAll() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      const files = fs.readdirSync(CONFIG.dash.outputDir);
+      files.forEach(file => {
+        if (file.endsWith('.mpd') || file.endsWith('.m4s') || file.endsWith('.tmp')) {
+          fs.unlinkSync(path.join(CONFIG.dash.outputDir, file));
+        }
+      });
+      logger.info('Cleaned up all DASH files');
+    } catch (error) {
+      logger.warn('Error cleaning up DASH files:', error.message);
+    }
+  }
+}
+
+module.exports = DashService;
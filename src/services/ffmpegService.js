@@ -12,18 +12,164 @@ const fs = require('fs');
 const path = require('path');
 const { CONFIG } = require('../config');
 const logger = require('../utils/logger');
+const LayoutService = require('./layoutService');
+const TextLayerService = require('./textLayerService');
+const { overlayPosition, scaleSize, enableExpression, layerVolume } = require('../utils/layout');
+const { escapeFilterGraph } = require('../utils/text');
 
 const execAsync = util.promisify(exec);
 
+// Known FFmpeg failure causes, matched against the last stderr lines (first match wins)
+const FAILURE_PATTERNS = [
+  { reason: 'missing-binary', pattern: /spawn .* ENOENT/ },
+  { reason: 'invalid-argument', pattern: /Unrecognized option|Option .* not found|Error splitting the argument list|Invalid argument/ },
+  { reason: 'missing-encoder', pattern: /Unknown encoder|Encoder .* not found/ },
+  { reason: 'missing-decoder', pattern: /Unknown decoder|Decoder .* not found|Decoding requested, but no decoder/ },
+  { reason: 'missing-filter', pattern: /No such filter|Filter .* not found/ },
+  { reason: 'filter-graph', pattern: /Error (?:initializing|reinitializing|configuring) (?:complex )?filters?|Failed to configure (?:input|output) pad/ },
+  { reason: 'port-in-use', pattern: /Address already in use/ },
+  { reason: 'input-not-found', pattern: /No such file or directory/ },
+  { reason: 'invalid-input', pattern: /Invalid data found when processing input|moov atom not found/ },
+  { reason: 'permission-denied', pattern: /Permission denied/ },
+  { reason: 'disk-full', pattern: /No space left on device/ },
+  { reason: 'output-error', pattern: /Could not write header|Error writing trailer|Failed to open segment|Error opening output/ }
+];
+
+// Runtime commands (sent through the zmq filter) supported by the filters in the graph
+const FILTER_COMMANDS = {
+  overlay: [
+    { command: 'x', description: 'Horizontal position expression' },
+    { command: 'y', description: 'Vertical position expression' },
+    { command: 'enable', description: 'Timeline expression, 0 hides the layer' }
+  ],
+  scale: [
+    { command: 'w', description: 'Output width expression' },
+    { command: 'h', description: 'Output height expression' }
+  ],
+  colorchannelmixer: [
+    { command: 'aa', description: 'Alpha multiplier between 0 and 1' }
+  ],
+  volume: [
+    { command: 'volume', description: 'Volume expression, 1.0 leaves the level unchanged' }
+  ],
+  amix: [
+    { command: 'weights', description: 'Space-separated weight per input' }
+  ],
+  drawtext: [
+    { command: 'reinit', description: 'Replace drawtext options, e.g. text=Live:fontcolor=red' }
+  ],
+  zmq: []
+};
+
+/**
+ * Serialize a filter graph node as [in]...filter@instance=options[out]...
+ */
+function formatFilterNode(node) {
+  const inputs = node.inputs.map(label => `[${label}]`).join('');
+  const outputs = node.outputs.map(label => `[${label}]`).join('');
+  return `${inputs}${node.filter}@${node.instance}${node.options ? `=${node.options}` : ''}${outputs}`;
+}
+
+/**
+ * Convert an FFmpeg bitrate string (e.g. "2800k", "5M", "128000") to kbit/s
+ */
+function toKbps(bitrate) {
+  const value = parseFloat(bitrate);
+  if (/m$/i.test(bitrate)) {
+    return value * 1000;
+  }
+  if (/k$/i.test(bitrate)) {
+    return value;
+  }
+  return value / 1000;
+}
+
+/**
+ * Parse a number from a -progress value ("N/A" and empty values become null)
+ */
+function parseProgressNumber(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Turn one block of -progress key=value fields into a metrics sample
+ */
+function parseProgressSample(fields) {
+  // Older FFmpeg versions only write out_time_ms, which despite its name is in microseconds
+  const outTimeUs = parseProgressNumber(fields.out_time_us !== undefined ? fields.out_time_us : fields.out_time_ms);
+  
+  return {
+    timestamp: new Date().toISOString(),
+    frame: parseProgressNumber(fields.frame),
+    fps: parseProgressNumber(fields.fps),
+    bitrate: parseProgressNumber(fields.bitrate),
+    totalSize: parseProgressNumber(fields.total_size),
+    outTime: outTimeUs === null ? null : outTimeUs / 1000000,
+    speed: parseProgressNumber(fields.speed),
+    dupFrames: parseProgressNumber(fields.dup_frames),
+    dropFrames: parseProgressNumber(fields.drop_frames)
+  };
+}
+
+/**
+ * Average a sample field, ignoring missing values (null without any)
+ */
+function averageOf(samples, key) {
+  const values = samples.map(sample => sample[key]).filter(value => value !== null);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Escape characters the tee muxer treats as output separators or quotes
+ */
+function escapeTeeSpecial(value) {
+  return value.replace(/[\\'|]/g, '\\$&');
+}
+
+/**
+ * Escape a tee output option value. Values are unescaped twice (once when
+ * splitting outputs, once when parsing options), so quote them first
+ */
+function escapeTeeValue(value) {
+  const quoted = /[:\\'[\]|=,\s]/.test(value) ? `'${value}'` : value;
+  return escapeTeeSpecial(quoted);
+}
+
 class FFmpegService {
-  constructor(fifoService, hlsService) {
+  constructor(fifoService, hlsService, dashService = null, layoutService = null, textLayerService = null) {
     this.process = null;
     this.isShuttingDown = false;
     this.fifoService = fifoService;
     this.hlsService = hlsService;
+    this.dashService = dashService;
+    // Without shared layout and text layer services the graph uses the configured ones
+    this.layoutService = layoutService || new LayoutService();
+    this.textLayerService = textLayerService || new TextLayerService();
     this.logBuffer = [];
     this.maxLogBuffer = 1000;
     this.logListeners = new Set();
+    
+    // Restart supervision
+    this.state = 'stopped';
+    this.startedAt = null;
+    this.restartTimer = null;
+    this.nextRestartAt = null;
+    this.restartCount = 0;
+    this.consecutiveFailures = 0;
+    this.recentFailures = [];
+    this.lastFailure = null;
+    this.restartReason = null;
+    this.rebuildReason = null;
+    this.stderrTail = [];
+    this.maxStderrTail = 20;
+    
+    // Encoder metrics from -progress output on stdout
+    this.progressBuffer = '';
+    this.progressFields = {};
+    this.metricsHistory = [];
+    this.metricsListeners = new Set();
+    this.slowEncoder = false;
   }
 
   /**
@@ -49,7 +195,9 @@ class FFmpegService {
    * Build FFmpeg command arguments for HLS streaming
    */
   buildArgs() {
-    const args = [];
+    // Machine-readable progress on stdout replaces the periodic stats line on stderr
+    const args = ['-nostats', '-progress', 'pipe:1'];
+    const adaptive = this.hlsService.isAdaptive();
     
     if (!this.canUseFifos()) {
       // Simplified Windows approach - use test pattern for now
@@ -60,120 +208,411 @@ class FFmpegService {
         '-i', 'sine=frequency=1000:duration=3600'
       );
       
-      // Simple video encoding for Windows
-      args.push(
-        '-c:v', 'libx264',
-        '-preset', CONFIG.ffmpeg.preset,
-        '-crf', String(CONFIG.ffmpeg.crf),
-        '-g', String(CONFIG.ffmpeg.gop),
-        '-keyint_min', String(CONFIG.ffmpeg.gop),
-        '-sc_threshold', '0',
-        '-force_key_frames', `expr:gte(t,n_forced*${CONFIG.hls.segmentTime})`
-      );
-      
-      // Audio encoding
-      args.push(
-        '-c:a', 'aac',
-        '-b:a', CONFIG.ffmpeg.audioBitrate,
-        '-ar', '48000'
-      );
+      if (adaptive) {
+        // Split the test pattern into the configured rendition ladder
+        args.push('-filter_complex', this.buildVariantFilter('[0:v]', '[1:a]'));
+        args.push(...this.buildVariantEncodingArgs());
+      } else {
+        // Simple video encoding for Windows
+        args.push(
+          '-map', '0:v',
+          '-c:v', 'libx264',
+          '-crf', String(CONFIG.ffmpeg.crf),
+          ...this.getVideoEncoderArgs()
+        );
+        
+        // Audio encoding
+        args.push(
+          '-map', '1:a',
+          '-c:a', 'aac',
+          '-b:a', CONFIG.ffmpeg.audioBitrate,
+          '-ar', '48000'
+        );
+      }
     } else {
       // Systems with FIFO support - use FIFO approach
       // Input arguments - Main content FIFO
-      args.push(
-        '-f', 'concat',
-        '-safe', '0',
-        '-i', this.fifoService.getContentFifoPath()
-      );
+      if (CONFIG.feeders.content.enabled) {
+        // The content feeder writes one continuous, normalized MPEG-TS stream
+        args.push(
+          '-f', 'mpegts',
+          '-fflags', '+genpts+discardcorrupt',
+          '-i', this.fifoService.getContentFifoPath()
+        );
+      } else {
+        args.push(
+          '-f', 'concat',
+          '-safe', '0',
+          '-i', this.fifoService.getContentFifoPath()
+        );
+      }
       
       // Layer input FIFOs
       CONFIG.fifos.layers.forEach((_, index) => {
+        if (CONFIG.feeders.layers.enabled) {
+          // Layer feeders write NUT whose frame size changes with the source; the scale and overlay
+          // filters follow the new size, so the graph (and its live layout) is not reconfigured
+          args.push(
+            '-f', 'nut',
+            '-fflags', '+genpts+discardcorrupt',
+            '-reinit_filter', '0'
+          );
+        }
         args.push('-i', this.fifoService.getLayerFifoPath(index));
       });
       
       // Build filter_complex
-      const filterComplex = this.buildFilterComplex();
+      let filterComplex = this.buildFilterComplex();
+      if (adaptive) {
+        filterComplex += `;${this.buildVariantFilter('[vout]', '[aout]')}`;
+      }
       args.push('-filter_complex', filterComplex);
       
-      // Video encoding
-      args.push(
-        '-map', '[vout]',
-        '-c:v', 'libx264',
-        '-preset', CONFIG.ffmpeg.preset,
-        '-crf', String(CONFIG.ffmpeg.crf),
-        '-g', String(CONFIG.ffmpeg.gop),
-        '-keyint_min', String(CONFIG.ffmpeg.gop),
-        '-sc_threshold', '0',
-        '-force_key_frames', `expr:gte(t,n_forced*${CONFIG.hls.segmentTime})`
+      if (adaptive) {
+        args.push(...this.buildVariantEncodingArgs());
+      } else {
+        // Video encoding
+        args.push(
+          '-map', '[vout]',
+          '-c:v', 'libx264',
+          '-crf', String(CONFIG.ffmpeg.crf),
+          ...this.getVideoEncoderArgs()
+        );
+        
+        // Audio encoding
+        args.push(
+          '-map', '[aout]',
+          '-c:a', 'aac',
+          '-b:a', CONFIG.ffmpeg.audioBitrate,
+          '-ar', '48000'
+        );
+      }
+    }
+    
+    // Output options (same for all platforms)
+    args.push(...this.buildOutputArgs());
+    
+    return args;
+  }
+
+  /**
+   * Build HLS muxer options as [name, value] pairs
+   */
+  buildHlsOptions() {
+    const options = [];
+    // After a restart, append_list continues the media sequence of the existing playlist
+    // and discont_start marks the first new segment with EXT-X-DISCONTINUITY
+    const continuity = 'append_list+discont_start';
+    
+    if (this.hlsService.isLowLatency()) {
+      // LL-HLS: FFmpeg writes part-sized segments that HlsService groups into full segments
+      const partsPerSegment = this.hlsService.getPartsPerSegment();
+      options.push(
+        ['hls_time', String(CONFIG.hls.lowLatency.partDuration)],
+        ['hls_list_size', String((CONFIG.hls.playlistSize + 1) * partsPerSegment)],
+        ['hls_flags', `delete_segments+split_by_time+temp_file+${continuity}`]
       );
-      
-      // Audio encoding
-      args.push(
-        '-map', '[aout]',
-        '-c:a', 'aac',
-        '-b:a', CONFIG.ffmpeg.audioBitrate,
-        '-ar', '48000'
+    } else {
+      options.push(
+        ['hls_time', String(CONFIG.hls.segmentTime)],
+        ['hls_list_size', String(CONFIG.hls.playlistSize)],
+        ['hls_flags', `delete_segments+independent_segments+${continuity}${this.hlsService.isEncrypted() ? '+periodic_rekey' : ''}`]
+      );
+    }
+    
+    options.push(['hls_segment_filename', this.hlsService.getSegmentPatternPath()]);
+    
+    if (this.hlsService.isEncrypted()) {
+      // periodic_rekey re-reads the keyinfo file at every segment, picking up rotated keys
+      options.push(['hls_key_info_file', this.hlsService.getKeyInfoPath()]);
+    }
+    
+    if (this.hlsService.isFragmentedMp4()) {
+      // CMAF output: one init segment per rendition followed by .m4s fragments
+      options.push(
+        ['hls_segment_type', 'fmp4'],
+        ['hls_fmp4_init_filename', this.hlsService.getInitFilename()]
+      );
+    }
+    
+    if (this.hlsService.isAdaptive()) {
+      options.push(
+        ['var_stream_map', this.buildVarStreamMap()],
+        ['master_pl_name', CONFIG.hls.abr.masterPlaylistName]
       );
     }
     
-    // HLS output options (same for all platforms)
-    args.push(
-      '-f', 'hls',
-      '-hls_time', String(CONFIG.hls.segmentTime),
-      '-hls_list_size', String(CONFIG.hls.playlistSize),
-      '-hls_flags', 'delete_segments+independent_segments',
-      '-hls_segment_filename', this.hlsService.getSegmentPatternPath(),
-      this.hlsService.getOutputPath()
-    );
+    return options;
+  }
+
+  /**
+   * Build DASH muxer options as [name, value] pairs
+   */
+  buildDashOptions() {
+    return [
+      // A failing DASH output must not take the HLS output down with it
+      ['onfail', 'ignore'],
+      ['seg_duration', String(CONFIG.hls.segmentTime)],
+      ['window_size', String(CONFIG.dash.windowSize)],
+      ['extra_window_size', '2'],
+      ['use_template', '1'],
+      ['use_timeline', '1'],
+      ['adaptation_sets', 'id=0,streams=v id=1,streams=a']
+    ];
+  }
+
+  /**
+   * Build output arguments: plain HLS, or HLS and DASH from the same encode via the tee muxer
+   */
+  buildOutputArgs() {
+    const hlsOptions = this.buildHlsOptions();
+    
+    if (!this.dashService || !this.dashService.isEnabled()) {
+      const args = ['-f', 'hls'];
+      hlsOptions.forEach(([name, value]) => args.push(`-${name}`, value));
+      args.push(this.hlsService.getOutputPath());
+      return args;
+    }
+    
+    const outputs = [
+      this.buildTeeOutput('hls', hlsOptions, this.hlsService.getOutputPath()),
+      this.buildTeeOutput('dash', this.buildDashOptions(), this.dashService.getManifestPath())
+    ];
+    
+    // DASH writes MP4 segments, which need codec headers out of band
+    return ['-flags', '+global_header', '-f', 'tee', outputs.join('|')];
+  }
+
+  /**
+   * Build one tee muxer output specification: [f=format:opt=value]path
+   */
+  buildTeeOutput(format, options, outputPath) {
+    const spec = [['f', format], ...options]
+      .map(([name, value]) => `${name}=${escapeTeeValue(value)}`)
+      .join(':');
+    return `[${spec}]${escapeTeeSpecial(outputPath)}`;
+  }
+
+  /**
+   * Shared libx264 options that keep keyframes aligned with HLS segments
+   */
+  getVideoEncoderArgs() {
+    return [
+      '-preset', CONFIG.ffmpeg.preset,
+      '-g', String(CONFIG.ffmpeg.gop),
+      '-keyint_min', String(CONFIG.ffmpeg.gop),
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${CONFIG.hls.segmentTime})`
+    ];
+  }
+
+  /**
+   * Build the filter chain that splits one video/audio pair into the ABR ladder
+   * Produces [v0]..[vN] scaled video outputs and [a0]..[aM] audio outputs
+   */
+  buildVariantFilter(videoLabel, audioLabel) {
+    const variants = this.hlsService.getVariants();
+    const videoVariants = variants.filter(variant => !variant.audioOnly);
+    const chains = [];
+    
+    const splitLabels = videoVariants.map((_, i) => `[vsplit${i}]`).join('');
+    chains.push(`${videoLabel}split=${videoVariants.length}${splitLabels}`);
+    
+    videoVariants.forEach((variant, i) => {
+      chains.push(`[vsplit${i}]scale=${variant.width}:${variant.height}[v${i}]`);
+    });
+    
+    // Every variant carries its own audio stream, as required by var_stream_map
+    const audioLabels = variants.map((_, i) => `[a${i}]`).join('');
+    chains.push(`${audioLabel}asplit=${variants.length}${audioLabels}`);
+    
+    return chains.join(';');
+  }
+
+  /**
+   * Build -map and encoder arguments for every ABR variant
+   */
+  buildVariantEncodingArgs() {
+    const variants = this.hlsService.getVariants();
+    const args = [];
+    let videoIndex = 0;
+    
+    variants.forEach((variant, i) => {
+      if (!variant.audioOnly) {
+        args.push('-map', `[v${videoIndex}]`);
+        videoIndex++;
+      }
+      args.push('-map', `[a${i}]`);
+    });
+    
+    args.push('-c:v', 'libx264', ...this.getVideoEncoderArgs());
+    
+    videoIndex = 0;
+    variants.forEach(variant => {
+      if (variant.audioOnly) {
+        return;
+      }
+      const bitrate = toKbps(variant.videoBitrate);
+      args.push(
+        `-b:v:${videoIndex}`, variant.videoBitrate,
+        `-maxrate:v:${videoIndex}`, `${Math.round(bitrate * 1.07)}k`,
+        `-bufsize:v:${videoIndex}`, `${Math.round(bitrate * 1.5)}k`
+      );
+      videoIndex++;
+    });
+    
+    args.push('-c:a', 'aac', '-ar', '48000');
+    variants.forEach((variant, i) => {
+      args.push(`-b:a:${i}`, variant.audioBitrate || CONFIG.ffmpeg.audioBitrate);
+    });
     
     return args;
   }
 
   /**
-   * Build filter_complex string for overlays and ZMQ integration
+   * Build the -var_stream_map value grouping each variant's streams
    */
-  buildFilterComplex() {
+  buildVarStreamMap() {
+    let videoIndex = 0;
+    
+    return this.hlsService.getVariants().map((variant, i) => {
+      const streams = [];
+      if (!variant.audioOnly) {
+        streams.push(`v:${videoIndex}`);
+        videoIndex++;
+      }
+      streams.push(`a:${i}`, `name:${variant.name}`);
+      return streams.join(',');
+    }).join(' ');
+  }
+
+  /**
+   * Describe the compositing filter graph as named filter instances
+   * Instances are written as filter@instance, so FFmpeg (and zmq commands) address them by name
+   */
+  getFilterGraph() {
     if (!this.canUseFifos()) {
       // Simplified filter for Windows - just add text overlay without font file
-      return `[0:v]drawtext=text='HLS Stream - Windows Mode':fontsize=24:fontcolor=white:x=10:y=10[vout];[1:a]anull[aout]`;
+      return [
+        { instance: 'status_text', filter: 'drawtext', options: `text='HLS Stream - Windows Mode':fontsize=24:fontcolor=white:x=10:y=10`, inputs: ['0:v'], outputs: ['vout'], layer: null },
+        { instance: 'main_volume', filter: 'volume', options: 'volume=1', inputs: ['1:a'], outputs: ['aout'], layer: null }
+      ];
     }
     
     const numLayers = CONFIG.fifos.layers.length;
-    let filter = '';
-    
-    if (numLayers === 0) {
-      // No overlays, just pass through with ZMQ
-      filter = `[0:v]zmq=bind_address=tcp\\://\\*\\:${CONFIG.zmq.port}[vout];[0:a]anull[aout]`;
-    } else if (numLayers === 1) {
-      // Single overlay
-      filter = `[0:v][1:v]overlay=0:0,zmq=bind_address=tcp\\://\\*\\:${CONFIG.zmq.port}[vout];[0:a][1:a]amix=inputs=2[aout]`;
-    } else if (numLayers === 2) {
-      // Two overlays (as per default config)
-      filter = `[0:v][1:v]overlay=0:0[tmp];[tmp][2:v]overlay=100:100,zmq=bind_address=tcp\\://\\*\\:${CONFIG.zmq.port}[vout];[0:a][1:a][2:a]amix=inputs=3[aout]`;
-    } else {
-      // Extensible for more overlays - chain them
-      filter = '[0:v]';
-      for (let i = 1; i <= numLayers; i++) {
-        const isLast = i === numLayers;
-        const inputLabel = i === 1 ? '[0:v]' : '[tmp' + (i - 2) + ']';
-        const outputLabel = isLast ? '' : '[tmp' + (i - 1) + ']';
-        
-        if (i === 1) {
-          filter += `[${i}:v]overlay=0:0${outputLabel}`;
-        } else {
-          filter += `;${inputLabel}[${i}:v]overlay=${i * 50}:${i * 50}${outputLabel}`;
-        }
+    const nodes = [];
+    
+    // Each layer is scaled and given its opacity before it is overlaid
+    this.layoutService.getLayers().forEach(layer => {
+      const i = layer.index;
+      const size = scaleSize(layer);
+      nodes.push(
+        { instance: `layer${i}_scale`, filter: 'scale', options: `w=${size.w}:h=${size.h}`, inputs: [`${i + 1}:v`], outputs: [`lscaled${i}`], layer: i },
+        { instance: `layer${i}_format`, filter: 'format', options: 'rgba', inputs: [`lscaled${i}`], outputs: [`lrgba${i}`], layer: i },
+        { instance: `layer${i}_opacity`, filter: 'colorchannelmixer', options: `aa=${layer.opacity}`, inputs: [`lrgba${i}`], outputs: [`lsrc${i}`], layer: i }
+      );
+    });
+    
+    // Overlays are chained from the lowest to the highest zIndex
+    let videoLabel = '0:v';
+    this.layoutService.getStackingOrder().forEach(i => {
+      const layer = this.layoutService.getLayer(i);
+      const position = overlayPosition(layer);
+      nodes.push({
+        instance: `layer${i}_overlay`,
+        filter: 'overlay',
+        options: `x=${position.x}:y=${position.y}:enable='${enableExpression(layer)}'`,
+        inputs: [videoLabel, `lsrc${i}`],
+        outputs: [`vlayer${i}`],
+        layer: i
+      });
+      videoLabel = `vlayer${i}`;
+    });
+    
+    // Text layers are drawn over the composited layers, in the order they were added
+    this.textLayerService.getLayers().forEach(layer => {
+      nodes.push({
+        instance: layer.instance,
+        filter: 'drawtext',
+        options: escapeFilterGraph(layer.options),
+        inputs: [videoLabel],
+        outputs: [`v${layer.instance}`],
+        layer: null
+      });
+      videoLabel = `v${layer.instance}`;
+    });
+    
+    // The zmq filter receives the runtime commands for every instance in the graph
+    nodes.push({
+      instance: 'control_zmq',
+      filter: 'zmq',
+      options: `bind_address=tcp\\://\\*\\:${CONFIG.zmq.port}`,
+      inputs: [videoLabel],
+      outputs: ['vout'],
+      layer: null
+    });
+    
+    // Audio: a volume per input (0 for muted layers), mixed when there are layers
+    nodes.push({
+      instance: 'main_volume',
+      filter: 'volume',
+      options: 'volume=1',
+      inputs: ['0:a'],
+      outputs: [numLayers === 0 ? 'aout' : 'amain'],
+      layer: null
+    });
+    
+    if (numLayers > 0) {
+      for (let i = 0; i < numLayers; i++) {
+        nodes.push({
+          instance: `layer${i}_volume`,
+          filter: 'volume',
+          options: `volume=${layerVolume(this.layoutService.getLayer(i))}`,
+          inputs: [`${i + 1}:a`],
+          outputs: [`alayer${i}`],
+          layer: i
+        });
       }
       
-      // Add ZMQ filter to the last overlay
-      filter += `,zmq=bind_address=tcp\\://\\*\\:${CONFIG.zmq.port}[vout]`;
-      
-      // Audio mixing
-      const audioInputs = Array.from({length: numLayers + 1}, (_, i) => `[${i}:a]`).join('');
-      filter += `;${audioInputs}amix=inputs=${numLayers + 1}[aout]`;
+      nodes.push({
+        instance: 'audio_mix',
+        filter: 'amix',
+        options: `inputs=${numLayers + 1}`,
+        inputs: ['amain', ...Array.from({ length: numLayers }, (_, i) => `alayer${i}`)],
+        outputs: ['aout'],
+        layer: null
+      });
     }
     
-    return filter;
+    return nodes;
+  }
+
+  /**
+   * List the filter instances with their type and supported runtime commands
+   */
+  getFilterCatalog() {
+    return this.getFilterGraph().map(({ instance, filter, layer }) => ({
+      instance,
+      filter,
+      layer,
+      commands: FILTER_COMMANDS[filter] || []
+    }));
+  }
+
+  /**
+   * Names of the filter instances that accept zmq commands
+   */
+  getFilterTargets() {
+    return this.getFilterGraph()
+      .filter(node => (FILTER_COMMANDS[node.filter] || []).length > 0)
+      .map(node => node.instance);
+  }
+
+  /**
+   * Build the -filter_complex graph producing [vout] and [aout]
+   */
+  buildFilterComplex() {
+    return this.getFilterGraph().map(formatFilterNode).join(';');
   }
 
   /**
@@ -196,30 +635,28 @@ class FFmpegService {
     logger.info(startMessage);
     logger.debug(commandMessage);
     
+    this.stderrTail = [];
+    this.restartReason = null;
+    this.resetMetrics();
+    this.startedAt = Date.now();
+    this.state = 'running';
+    // Crash, stall and rebuild restarts join the layer streams midway, so they start over
+    this.fifoService.restartLayerFeeders();
     this.process = spawn(CONFIG.ffmpeg.binary, args, {
       stdio: ['ignore', 'pipe', 'pipe']
     });
     
-    // Handle FFmpeg stdout
+    // Handle FFmpeg stdout (only -progress output, the streams go to files)
     this.process.stdout.on('data', (data) => {
-      const output = data.toString().trim();
-      this.addToLogBuffer('stdout', output);
-      logger.debug('FFmpeg stdout:', output);
+      this.handleProgressOutput(data.toString());
     });
     
     // Handle FFmpeg stderr (most FFmpeg output goes to stderr)
     this.process.stderr.on('data', (data) => {
       const output = data.toString().trim();
       this.addToLogBuffer('stderr', output);
-      
-      if (output.includes('frame=')) {
-        // Filter out verbose frame information - only log occasionally
-        if (Math.random() < 0.01) { // Log ~1% of frame messages
-          logger.debug('FFmpeg progress:', output);
-        }
-      } else {
-        logger.debug('FFmpeg:', output);
-      }
+      this.addToStderrTail(output);
+      logger.debug('FFmpeg:', output);
     });
     
     // Handle FFmpeg process exit
@@ -229,21 +666,22 @@ class FFmpegService {
       logger.warn(exitMessage);
       this.process = null;
       
-      if (!this.isShuttingDown) {
-        const restartMessage = 'FFmpeg exited unexpectedly, restarting in 5 seconds...';
-        this.addToLogBuffer('system', restartMessage);
-        logger.warn(restartMessage);
-        setTimeout(() => {
-          if (!this.isShuttingDown) {
-            this.start();
-          }
-        }, 5000);
+      // stop() marks the state as stopped before killing, so only crashes are restarted
+      if (this.isShuttingDown || this.state === 'stopped') {
+        this.state = 'stopped';
+      } else if (this.rebuildReason) {
+        // A requested rebuild is not a failure: start the regenerated graph right away
+        this.rebuildReason = null;
+        this.start();
+      } else {
+        this.handleUnexpectedExit(code, signal);
       }
     });
     
     this.process.on('error', (error) => {
       const errorMessage = `FFmpeg process error: ${error.message}`;
       this.addToLogBuffer('error', errorMessage);
+      this.addToStderrTail(errorMessage);
       logger.error(errorMessage);
       this.process = null;
     });
@@ -251,10 +689,280 @@ class FFmpegService {
     logger.info('FFmpeg process started successfully');
   }
 
+  /**
+   * Record an unexpected exit and schedule a restart, or give up on a crash loop
+   */
+  handleUnexpectedExit(code, signal) {
+    const now = Date.now();
+    const { restart } = CONFIG.ffmpeg;
+    
+    this.lastFailure = {
+      // A kill requested through restart() carries its own reason
+      reason: this.restartReason || this.classifyFailure(this.stderrTail, signal),
+      message: this.stderrTail[this.stderrTail.length - 1] || null,
+      code,
+      signal,
+      runtime: this.startedAt ? now - this.startedAt : 0,
+      timestamp: new Date(now).toISOString()
+    };
+    
+    // A long enough run means the last failure was transient, start backing off from scratch
+    if (this.lastFailure.runtime >= restart.stableAfter) {
+      this.consecutiveFailures = 0;
+    }
+    this.consecutiveFailures++;
+    
+    this.restartReason = null;
+    
+    this.recentFailures = this.recentFailures.filter(timestamp => now - timestamp < restart.crashLoopWindow);
+    this.recentFailures.push(now);
+    
+    if (this.recentFailures.length >= restart.crashLoopThreshold) {
+      this.state = 'failed';
+      const failedMessage = `FFmpeg failed ${this.recentFailures.length} times within ${restart.crashLoopWindow / 1000}s ` +
+        `(${this.lastFailure.reason}), giving up. Last error: ${this.lastFailure.message}`;
+      this.addToLogBuffer('error', failedMessage);
+      logger.error(failedMessage);
+      return;
+    }
+    
+    const delay = this.getRestartDelay(this.consecutiveFailures);
+    this.state = 'restarting';
+    this.nextRestartAt = new Date(now + delay).toISOString();
+    
+    const restartMessage = `FFmpeg exited unexpectedly (${this.lastFailure.reason}), restarting in ${(delay / 1000).toFixed(1)} seconds...`;
+    this.addToLogBuffer('system', restartMessage);
+    logger.warn(restartMessage);
+    
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.nextRestartAt = null;
+      if (!this.isShuttingDown) {
+        this.restartCount++;
+        this.start();
+      }
+    }, delay);
+  }
+
+  /**
+   * Get the delay before the given restart attempt (1-based): exponential backoff with jitter
+   */
+  getRestartDelay(attempt) {
+    const { initialDelay, maxDelay, jitter } = CONFIG.ffmpeg.restart;
+    const base = Math.min(initialDelay * Math.pow(2, attempt - 1), maxDelay);
+    return Math.round(base * (1 - jitter + Math.random() * 2 * jitter));
+  }
+
+  /**
+   * Classify the last stderr lines into a known failure reason
+   */
+  classifyFailure(lines, signal = null) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const match = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(lines[i]));
+      if (match) {
+        return match.reason;
+      }
+    }
+    return signal ? 'killed' : 'unknown';
+  }
+
+  /**
+   * Keep the last stderr lines for failure classification
+   */
+  addToStderrTail(output) {
+    output.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => this.stderrTail.push(line));
+    if (this.stderrTail.length > this.maxStderrTail) {
+      this.stderrTail = this.stderrTail.slice(-this.maxStderrTail);
+    }
+  }
+
+  /**
+   * Collect -progress key=value lines, recording a sample at each progress=continue|end line
+   */
+  handleProgressOutput(chunk) {
+    // Chunks may end mid-line, keep the remainder for the next one
+    const lines = (this.progressBuffer + chunk).split('\n');
+    this.progressBuffer = lines.pop();
+    
+    lines.forEach(line => {
+      const separator = line.indexOf('=');
+      if (separator === -1) {
+        return;
+      }
+      
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (key === 'progress') {
+        this.recordMetrics(parseProgressSample(this.progressFields));
+        this.progressFields = {};
+      } else {
+        this.progressFields[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Add a sample to the rolling history, update the slow encoder alert and notify listeners
+   */
+  recordMetrics(sample) {
+    this.metricsHistory.push(sample);
+    if (this.metricsHistory.length > CONFIG.ffmpeg.metrics.historySize) {
+      this.metricsHistory = this.metricsHistory.slice(-CONFIG.ffmpeg.metrics.historySize);
+    }
+    
+    this.updateSlowEncoderAlert();
+    
+    for (const listener of this.metricsListeners) {
+      try {
+        listener(sample);
+      } catch (error) {
+        logger.warn('Error notifying metrics listener:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Raise or clear the alert for an encoder that cannot keep up with real time
+   */
+  updateSlowEncoderAlert() {
+    const { slowSpeed, slowWindow } = CONFIG.ffmpeg.metrics;
+    const recent = this.metricsHistory.slice(-slowWindow);
+    const averageSpeed = averageOf(recent, 'speed');
+    
+    // Wait for a full window so the startup ramp does not trigger the alert
+    if (recent.length < slowWindow || averageSpeed === null) {
+      return;
+    }
+    
+    if (!this.slowEncoder && averageSpeed < slowSpeed) {
+      this.slowEncoder = true;
+      const slowMessage = `FFmpeg is encoding slower than real time (${averageSpeed.toFixed(2)}x), ` +
+        'segments will arrive late and players will stall';
+      this.addToLogBuffer('system', slowMessage);
+      logger.warn(slowMessage);
+    } else if (this.slowEncoder && averageSpeed >= slowSpeed) {
+      this.slowEncoder = false;
+      const recoveredMessage = `FFmpeg encoding speed recovered (${averageSpeed.toFixed(2)}x)`;
+      this.addToLogBuffer('system', recoveredMessage);
+      logger.info(recoveredMessage);
+    }
+  }
+
+  /**
+   * Forget the metrics of the previous process
+   */
+  resetMetrics() {
+    this.progressBuffer = '';
+    this.progressFields = {};
+    this.metricsHistory = [];
+    this.slowEncoder = false;
+  }
+
+  /**
+   * Get the averages over the alert window and the slow encoder alert
+   */
+  getMetricsSummary() {
+    const { slowSpeed, slowWindow } = CONFIG.ffmpeg.metrics;
+    const recent = this.metricsHistory.slice(-slowWindow);
+    
+    return {
+      samples: this.metricsHistory.length,
+      averageSpeed: averageOf(recent, 'speed'),
+      averageFps: averageOf(recent, 'fps'),
+      averageBitrate: averageOf(recent, 'bitrate'),
+      slow: this.slowEncoder,
+      slowSpeed
+    };
+  }
+
+  /**
+   * Get the latest sample, the rolling history and its summary
+   */
+  getEncoderMetrics() {
+    return {
+      current: this.metricsHistory.length > 0 ? this.metricsHistory[this.metricsHistory.length - 1] : null,
+      history: [...this.metricsHistory],
+      summary: this.getMetricsSummary()
+    };
+  }
+
+  /**
+   * Subscribe to real-time metrics samples
+   */
+  onMetrics(callback) {
+    this.metricsListeners.add(callback);
+    return () => this.metricsListeners.delete(callback);
+  }
+
+  /**
+   * Get the process state: running, restarting, failed or stopped
+   */
+  getState() {
+    // A spawn error leaves no process behind without a close event
+    return this.state === 'running' && !this.process ? 'stopped' : this.state;
+  }
+
+  /**
+   * Get the restart supervision status for status and health reporting
+   */
+  getProcessStatus() {
+    return {
+      state: this.getState(),
+      restartCount: this.restartCount,
+      consecutiveFailures: this.consecutiveFailures,
+      failureReason: this.lastFailure ? this.lastFailure.reason : null,
+      lastFailure: this.lastFailure,
+      nextRestartAt: this.nextRestartAt,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Kill the running process and let the supervisor restart it (with backoff and crash-loop breaker)
+   * SIGKILL because a process blocked on a FIFO read does not act on SIGTERM
+   */
+  restart(reason) {
+    if (!this.process) {
+      return false;
+    }
+    
+    this.restartReason = reason;
+    const restartMessage = `Restarting FFmpeg (${reason})`;
+    this.addToLogBuffer('system', restartMessage);
+    logger.warn(restartMessage);
+    this.process.kill('SIGKILL');
+    return true;
+  }
+
+  /**
+   * Restart FFmpeg immediately with a regenerated filter graph, outside the failure backoff
+   */
+  rebuild(reason) {
+    if (!this.process) {
+      return false;
+    }
+    
+    this.rebuildReason = reason;
+    const rebuildMessage = `Rebuilding FFmpeg filter graph (${reason})`;
+    this.addToLogBuffer('system', rebuildMessage);
+    logger.info(rebuildMessage);
+    this.process.kill('SIGKILL');
+    return true;
+  }
+
   /**
    * Stop FFmpeg process
    */
   stop() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+      this.nextRestartAt = null;
+    }
+    if (this.state !== 'failed') {
+      this.state = 'stopped';
+    }
+    
     if (this.process) {
       logger.info('Stopping FFmpeg process...');
       this.process.kill('SIGTERM');
@@ -295,7 +1003,7 @@ class FFmpegService {
       
       try {
         const testPatternPath = path.join(CONFIG.hls.outputDir, 'test_pattern.mp4');
-        await execAsync(`${CONFIG.ffmpeg.binary} -f lavfi -i testsrc=duration=60:size=1280x720:rate=30 -f lavfi -i sine=frequency=1000:duration=60 -c:v libx264 -c:a aac -t 60 "${testPatternPath}" -y`);
+        await execAsync(`${CONFIG.ffmpeg.binary} -f lavfi -i testsrc=duration=60:size=1280x720:rate=30 -f lavfi -i sine=frequency=1000:duration=60 -c:v libx264 -c:a aac -ac 2 -ar 48000 -t 60 "${testPatternPath}" -y`);
         await this.fifoService.writeContent(testPatternPath);
         logger.info('Created and initialized with test pattern');
       } catch (error) {
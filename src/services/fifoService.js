@@ -14,8 +14,12 @@ const logger = require('../utils/logger');
 const execAsync = util.promisify(require('child_process').exec);
 
 class FifoService {
-  constructor() {
+  constructor(contentFeeder = null, layerFeeder = null) {
+    this.contentFeeder = contentFeeder;
+    this.layerFeeder = layerFeeder;
     this.activeFifos = new Map();
+    this.writeCounts = {};
+    this.sources = {};
   }
 
   /**
@@ -102,18 +106,41 @@ class FifoService {
     }
   }
 
+  /**
+   * Check if content goes through the persistent content feeder
+   */
+  usesContentFeeder() {
+    return Boolean(this.contentFeeder && this.contentFeeder.isEnabled());
+  }
+
   /**
    * Write content to content FIFO
+   * The optional onConsumed callback fires once FFmpeg has opened the FIFO and read the entry
+   * (with the content feeder: once the clip starts playing)
    */
-  async writeContent(filePath) {
+  async writeContent(filePath, onConsumed = null) {
     const contentFifoPath = path.join(CONFIG.fifos.baseDir, CONFIG.fifos.content);
     
     // Validate file exists
     if (!fs.existsSync(filePath)) {
       logger.error(`Content file does not exist: ${filePath}`);
+      this.countWrite('content', false);
       return false;
     }
     
+    if (this.usesContentFeeder()) {
+      // The source is the clip playing, so it is recorded once the cued clip starts
+      this.contentFeeder.cue(filePath, startedPath => {
+        this.recordSource('content', startedPath);
+        if (onConsumed) {
+          onConsumed(startedPath);
+        }
+      });
+      logger.info(`Cued main content: ${filePath}`);
+      this.countWrite('content', true);
+      return true;
+    }
+    
     try {
       // Prepare concat entry
       const concatEntry = `file '${path.resolve(filePath)}'\n`;
@@ -121,18 +148,72 @@ class FifoService {
       // Open FIFO for writing
       const fd = fs.createWriteStream(contentFifoPath, { flags: 'a' });
       
+      if (onConsumed) {
+        fd.on('finish', () => onConsumed(filePath));
+      }
+      
       // Write the concat entry
       fd.write(concatEntry);
       fd.end();
       
       logger.info(`Updated main content: ${filePath}`);
+      this.countWrite('content', true);
+      this.recordSource('content', filePath);
       return true;
     } catch (error) {
       logger.error(`Failed to update content with ${filePath}:`, error.message);
+      this.countWrite('content', false);
       return false;
     }
   }
 
+  /**
+   * Switch the main content right away
+   * Without the content feeder this is the same as writeContent: the file plays after the current one
+   */
+  async switchContent(filePath) {
+    if (!this.usesContentFeeder()) {
+      return this.writeContent(filePath);
+    }
+
+    if (!fs.existsSync(filePath)) {
+      logger.error(`Content file does not exist: ${filePath}`);
+      this.countWrite('content', false);
+      return false;
+    }
+
+    this.contentFeeder.play(filePath, startedPath => this.recordSource('content', startedPath));
+    logger.info(`Switched main content: ${filePath}`);
+    this.countWrite('content', true);
+    return true;
+  }
+
+  /**
+   * Check if layers go through the persistent layer feeders
+   */
+  usesLayerFeeders() {
+    return Boolean(this.layerFeeder && this.layerFeeder.isEnabled());
+  }
+
+  /**
+   * Restart the layer feeders for a newly started encoder
+   */
+  restartLayerFeeders() {
+    if (this.usesLayerFeeders()) {
+      this.layerFeeder.restart();
+    }
+  }
+
+  /**
+   * Get the status of the persistent FIFO feeders (null for FIFOs written directly)
+   */
+  getFeederStatus() {
+    return {
+      content: this.usesContentFeeder() ? this.contentFeeder.getStatus() : null,
+      layers: this.usesLayerFeeders() ? this.layerFeeder.getStatus() : null
+    };
+  }
+
   /**
    * Write to a specific layer FIFO
    */
@@ -145,9 +226,20 @@ class FifoService {
     // Validate file exists
     if (!fs.existsSync(filePath)) {
       logger.error(`Layer file does not exist: ${filePath}`);
+      this.countWrite(`layer${index}`, false);
       return false;
     }
     
+    if (this.usesLayerFeeders()) {
+      const looping = await this.layerFeeder.setSource(index, filePath);
+      if (looping) {
+        logger.info(`Updated layer ${index}: ${filePath}`);
+        this.recordSource(`layer${index}`, filePath);
+      }
+      this.countWrite(`layer${index}`, looping);
+      return looping;
+    }
+    
     try {
       const layerFifoPath = path.join(CONFIG.fifos.baseDir, CONFIG.fifos.layers[index]);
       
@@ -158,13 +250,73 @@ class FifoService {
       sourceStream.pipe(targetStream);
       
       logger.info(`Updated layer ${index}: ${filePath}`);
+      this.countWrite(`layer${index}`, true);
+      this.recordSource(`layer${index}`, filePath);
       return true;
     } catch (error) {
       logger.error(`Failed to update layer ${index} with ${filePath}:`, error.message);
+      this.countWrite(`layer${index}`, false);
       return false;
     }
   }
 
+  /**
+   * Clear a layer: its feeder switches to a transparent frame and its source is forgotten
+   * Without layer feeders the last frame written stays in the graph
+   */
+  async clearLayer(index) {
+    if (index < 0 || index >= CONFIG.fifos.layers.length) {
+      logger.error(`Invalid layer index: ${index}. Available layers: 0-${CONFIG.fifos.layers.length - 1}`);
+      return false;
+    }
+    
+    if (this.usesLayerFeeders() && !(await this.layerFeeder.clear(index))) {
+      return false;
+    }
+    
+    this.clearSource(`layer${index}`);
+    logger.info(`Cleared layer ${index}`);
+    return true;
+  }
+
+  /**
+   * Count a successful or failed write to a FIFO ('content' or 'layerN')
+   */
+  countWrite(fifo, success) {
+    if (!this.writeCounts[fifo]) {
+      this.writeCounts[fifo] = { success: 0, failed: 0 };
+    }
+    this.writeCounts[fifo][success ? 'success' : 'failed']++;
+  }
+
+  /**
+   * Get the write counts per FIFO
+   */
+  getWriteCounts() {
+    return Object.fromEntries(Object.entries(this.writeCounts).map(([fifo, counts]) => [fifo, { ...counts }]));
+  }
+
+  /**
+   * Remember the file last written to a FIFO ('content' or 'layerN')
+   */
+  recordSource(fifo, filePath) {
+    this.sources[fifo] = { path: filePath, updatedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Get the file last written to a FIFO as { path, updatedAt } (null before the first write)
+   */
+  getSource(fifo) {
+    return this.sources[fifo] ? { ...this.sources[fifo] } : null;
+  }
+
+  /**
+   * Forget the file last written to a FIFO
+   */
+  clearSource(fifo) {
+    delete this.sources[fifo];
+  }
+
   /**
    * Get content FIFO path
    */
@@ -188,6 +340,13 @@ class FifoService {
   cleanup() {
     logger.info('Cleaning up FIFOs...');
     
+    if (this.contentFeeder) {
+      this.contentFeeder.stop();
+    }
+    if (this.layerFeeder) {
+      this.layerFeeder.stop();
+    }
+    
     // Close active FIFO file descriptors
     for (const [fifoPath, fd] of this.activeFifos) {
       try {
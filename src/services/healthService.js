@@ -0,0 +1,133 @@
+/**
+ * Health Service
+ * Judges stream health from segment freshness and restarts a stalled FFmpeg on request
+ */
+
+'use strict';
+
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Seconds since a millisecond timestamp (null for missing timestamps)
+ */
+function ageInSeconds(timestamp, now) {
+  return timestamp === null ? null : Math.max(0, now - timestamp) / 1000;
+}
+
+class HealthService {
+  constructor(hlsService, ffmpegService) {
+    this.hlsService = hlsService;
+    this.ffmpegService = ffmpegService;
+    this.checkInterval = null;
+    this.stalledSince = null;
+    this.stallRestarts = 0;
+  }
+
+  /**
+   * Time without a new segment after which the stream counts as stalled (ms)
+   */
+  getStallThreshold() {
+    return CONFIG.hls.health.stallFactor * CONFIG.hls.segmentTime * 1000;
+  }
+
+  /**
+   * Evaluate the stream: starting, live, stalled or down (FFmpeg not running)
+   */
+  evaluate(now = Date.now()) {
+    const freshness = this.hlsService.getFreshness();
+    const processStatus = this.ffmpegService.getProcessStatus();
+    const startedAt = processStatus.startedAt ? new Date(processStatus.startedAt).getTime() : null;
+
+    // Either signal counts as progress: the playlist may lag the segment file by a moment
+    const progress = [freshness.playlistAdvancedAt, freshness.newestSegmentAt].filter(timestamp => timestamp !== null);
+    const lastProgressAt = progress.length > 0 ? Math.max(...progress) : null;
+
+    let state;
+    if (processStatus.state !== 'running') {
+      state = 'down';
+    } else if (lastProgressAt === null || (startedAt !== null && lastProgressAt < startedAt)) {
+      // Nothing from the current process yet: give it time to open its inputs and write a segment
+      state = startedAt !== null && now - startedAt < CONFIG.hls.health.startupGrace ? 'starting' : 'stalled';
+    } else {
+      state = now - lastProgressAt > this.getStallThreshold() ? 'stalled' : 'live';
+    }
+
+    return {
+      state,
+      playlistUpdatedAt: freshness.playlistUpdatedAt ? new Date(freshness.playlistUpdatedAt).toISOString() : null,
+      playlistAge: ageInSeconds(freshness.playlistUpdatedAt, now),
+      mediaSequence: freshness.mediaSequence,
+      newestSegmentAge: ageInSeconds(freshness.newestSegmentAt, now),
+      lastProgressAge: ageInSeconds(lastProgressAt, now),
+      stallThreshold: this.getStallThreshold() / 1000,
+      stalledSince: state === 'stalled' && this.stalledSince ? new Date(this.stalledSince).toISOString() : null,
+      restartOnStall: CONFIG.hls.health.restartOnStall,
+      stallRestarts: this.stallRestarts
+    };
+  }
+
+  /**
+   * Check if the stream is producing fresh segments
+   */
+  isLive() {
+    return this.evaluate().state === 'live';
+  }
+
+  /**
+   * Evaluate, log stall transitions and restart a stalled FFmpeg when configured
+   */
+  check() {
+    const now = Date.now();
+    const health = this.evaluate(now);
+
+    if (health.state !== 'stalled') {
+      // A restarted process starts over, only fresh segments count as recovery
+      if (this.stalledSince && health.state === 'live') {
+        logger.info(`HLS output recovered after ${((now - this.stalledSince) / 1000).toFixed(1)}s stalled`);
+      }
+      this.stalledSince = null;
+      return health;
+    }
+
+    if (!this.stalledSince) {
+      this.stalledSince = now;
+      const age = health.lastProgressAge === null ? 'since FFmpeg started' : `for ${health.lastProgressAge.toFixed(1)}s`;
+      logger.warn(`HLS output stalled: no new segment ${age} (threshold ${health.stallThreshold}s)`);
+
+      if (CONFIG.hls.health.restartOnStall && this.ffmpegService.restart('stalled')) {
+        this.stallRestarts++;
+      }
+    }
+
+    return health;
+  }
+
+  /**
+   * Start periodic health checks
+   */
+  start() {
+    this.checkInterval = setInterval(() => {
+      try {
+        this.check();
+      } catch (error) {
+        logger.error('Health check failed:', error.message);
+      }
+    }, CONFIG.hls.health.checkInterval);
+
+    logger.info('Started HLS health monitoring');
+  }
+
+  /**
+   * Stop periodic health checks
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Stopped HLS health monitoring');
+    }
+  }
+}
+
+module.exports = HealthService;
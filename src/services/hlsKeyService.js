@@ -0,0 +1,199 @@
+/**
+ * HLS Key Service
+ * Generates, rotates and retires AES-128 segment encryption keys
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+class HlsKeyService {
+  constructor() {
+    this.keys = [];
+    this.rotating = false;
+    // New segments seen per rendition, rotation follows the rendition furthest ahead
+    this.segmentCounts = new Map();
+    this.segmentsCounted = 0;
+  }
+
+  /**
+   * Check if segment encryption is enabled
+   */
+  isEnabled() {
+    return CONFIG.hls.encryption.enabled;
+  }
+
+  /**
+   * Get the path of a key file
+   */
+  getKeyPath(id) {
+    return path.resolve(CONFIG.hls.encryption.keyDir, `${id}.key`);
+  }
+
+  /**
+   * Get the path of the keyinfo file FFmpeg reads (re-read at every segment with periodic_rekey)
+   */
+  getKeyInfoPath() {
+    return path.resolve(CONFIG.hls.encryption.keyDir, CONFIG.hls.encryption.keyInfoFile);
+  }
+
+  /**
+   * Get the URI players fetch a key from
+   */
+  getKeyUri(id) {
+    return `${CONFIG.hls.encryption.keyUriPrefix}${id}`;
+  }
+
+  /**
+   * Extract the key id from a playlist key URI (null for foreign URIs)
+   */
+  getKeyIdFromUri(uri) {
+    const [uriPath] = uri.split('?');
+    if (!uriPath.startsWith(CONFIG.hls.encryption.keyUriPrefix)) {
+      return null;
+    }
+    return uriPath.slice(CONFIG.hls.encryption.keyUriPrefix.length);
+  }
+
+  /**
+   * Get the id of the key new segments are encrypted with
+   */
+  getCurrentKeyId() {
+    return this.keys.length > 0 ? this.keys[this.keys.length - 1].id : null;
+  }
+
+  /**
+   * Setup the key directory, pick up keys from a previous run and create a fresh key
+   */
+  setup() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const keyDir = CONFIG.hls.encryption.keyDir;
+    if (!fs.existsSync(keyDir)) {
+      fs.mkdirSync(keyDir, { recursive: true, mode: 0o700 });
+      logger.info(`Created HLS key directory: ${keyDir}`);
+    }
+
+    // Old keys stay available until no playlist references them
+    this.keys = fs.readdirSync(keyDir)
+      .filter(filename => /^[0-9a-f]{16}\.key$/.test(filename))
+      .map(filename => ({
+        id: path.basename(filename, '.key'),
+        createdAt: fs.statSync(path.join(keyDir, filename)).mtime.toISOString()
+      }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    this.rotate();
+  }
+
+  /**
+   * Generate a new key and point the keyinfo file at it
+   */
+  rotate() {
+    const id = crypto.randomBytes(8).toString('hex');
+    fs.writeFileSync(this.getKeyPath(id), crypto.randomBytes(16), { mode: 0o600 });
+
+    // FFmpeg may read the keyinfo file at any segment boundary, so replace it atomically
+    const keyInfoPath = this.getKeyInfoPath();
+    const tempPath = `${keyInfoPath}.tmp`;
+    fs.writeFileSync(tempPath, `${this.getKeyUri(id)}\n${this.getKeyPath(id)}\n`);
+    fs.renameSync(tempPath, keyInfoPath);
+
+    this.keys.push({ id, createdAt: new Date().toISOString() });
+    logger.info(`Rotated HLS encryption key: ${id}`);
+    return id;
+  }
+
+  /**
+   * Start rotating keys every CONFIG.hls.encryption.rotateEvery segments, counted from the
+   * segments the HLS service sees FFmpeg write (see countSegment)
+   */
+  startRotation() {
+    if (!this.isEnabled() || CONFIG.hls.encryption.rotateEvery === 0) {
+      return;
+    }
+
+    this.rotating = true;
+    logger.info(`Started HLS key rotation every ${CONFIG.hls.encryption.rotateEvery} segments`);
+  }
+
+  /**
+   * Stop key rotation
+   */
+  stopRotation() {
+    if (this.rotating) {
+      this.rotating = false;
+      logger.info('Stopped HLS key rotation');
+    }
+  }
+
+  /**
+   * Count a new segment of a rendition, rotating the key every rotateEvery segments
+   * Renditions write their segments side by side, so only the one furthest ahead advances the count
+   */
+  countSegment(variant) {
+    const count = (this.segmentCounts.get(variant) || 0) + 1;
+    this.segmentCounts.set(variant, count);
+    if (!this.rotating || count <= this.segmentsCounted) {
+      return;
+    }
+
+    this.segmentsCounted = count;
+    if (count % CONFIG.hls.encryption.rotateEvery === 0) {
+      try {
+        this.rotate();
+      } catch (error) {
+        logger.error('Failed to rotate HLS encryption key:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get a key's bytes, or null for unknown or retired keys
+   */
+  getKey(id) {
+    if (typeof id !== 'string' || !/^[0-9a-f]{16}$/.test(id) || !this.keys.some(key => key.id === id)) {
+      return null;
+    }
+
+    try {
+      return fs.readFileSync(this.getKeyPath(id));
+    } catch (error) {
+      logger.warn(`Failed to read HLS key ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete keys that no playlist references any more, returns the number retired
+   * The two newest keys are kept: the segment being written may still use the previous one
+   */
+  retireUnreferenced(referencedIds) {
+    const protectedIds = new Set(this.keys.slice(-2).map(key => key.id));
+    const retired = this.keys.filter(key => !protectedIds.has(key.id) && !referencedIds.has(key.id));
+
+    retired.forEach(key => {
+      try {
+        fs.rmSync(this.getKeyPath(key.id), { force: true });
+      } catch (error) {
+        logger.warn(`Failed to delete HLS key ${key.id}:`, error.message);
+      }
+    });
+
+    if (retired.length > 0) {
+      const retiredIds = new Set(retired.map(key => key.id));
+      this.keys = this.keys.filter(key => !retiredIds.has(key.id));
+      logger.debug(`Retired ${retired.length} unreferenced HLS keys`);
+    }
+
+    return retired.length;
+  }
+}
+
+module.exports = HlsKeyService;
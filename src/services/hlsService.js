@@ -9,10 +9,26 @@ const fs = require('fs');
 const path = require('path');
 const { CONFIG } = require('../config');
 const logger = require('../utils/logger');
+const { parseMediaPlaylist, appendQueryToUris } = require('../utils/playlist');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class HlsService {
-  constructor() {
+  constructor(hlsKeyService = null) {
     this.cleanupInterval = null;
+    this.hlsKeyService = hlsKeyService;
+    
+    // Segment tracking from directory change events (no directory scan per query)
+    this.segmentWatcher = null;
+    this.knownSegments = new Set();
+    this.segmentsCreated = 0;
+    this.newestSegmentAt = null;
+    
+    // Playlist freshness: last rewrite, media sequence and when the newest segment sequence last changed
+    this.playlistUpdatedAt = null;
+    this.playlistAdvancedAt = null;
+    this.mediaSequence = null;
+    this.lastSegmentSequences = new Map();
   }
 
   /**
@@ -48,28 +64,157 @@ class HlsService {
     }
   }
 
+  /**
+   * Start tracking segments as FFmpeg writes and deletes them
+   */
+  startSegmentWatcher() {
+    try {
+      this.knownSegments = new Set(fs.readdirSync(CONFIG.hls.outputDir).filter(f => this.isSegmentFile(f)));
+      this.segmentWatcher = fs.watch(CONFIG.hls.outputDir, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+        if (this.isSegmentFile(filename)) {
+          this.handleSegmentEvent(filename);
+        } else if (this.isMediaPlaylistFile(filename)) {
+          this.handlePlaylistEvent(filename);
+        }
+      });
+      this.segmentWatcher.on('error', (error) => {
+        logger.warn('HLS segment watcher error:', error.message);
+      });
+      logger.info('Started HLS segment watcher');
+    } catch (error) {
+      logger.warn('Failed to start HLS segment watcher:', error.message);
+    }
+  }
+
+  /**
+   * Stop tracking segments
+   */
+  stopSegmentWatcher() {
+    if (this.segmentWatcher) {
+      this.segmentWatcher.close();
+      this.segmentWatcher = null;
+      logger.info('Stopped HLS segment watcher');
+    }
+  }
+
+  /**
+   * Record a segment appearing in or disappearing from the output directory
+   */
+  handleSegmentEvent(filename) {
+    const exists = fs.existsSync(path.join(CONFIG.hls.outputDir, filename));
+    
+    if (exists && !this.knownSegments.has(filename)) {
+      this.knownSegments.add(filename);
+      this.segmentsCreated++;
+      this.newestSegmentAt = Date.now();
+      if (this.isEncrypted()) {
+        this.hlsKeyService.countSegment(this.getSegmentVariant(filename));
+      }
+    } else if (!exists) {
+      this.knownSegments.delete(filename);
+    }
+  }
+
+  /**
+   * Check if a filename is a media playlist FFmpeg rewrites (not the master playlist)
+   */
+  isMediaPlaylistFile(filename) {
+    return filename.endsWith('.m3u8') && filename !== CONFIG.hls.abr.masterPlaylistName;
+  }
+
+  /**
+   * Record a media playlist rewrite and whether it advanced to a new segment
+   */
+  handlePlaylistEvent(filename) {
+    let playlist;
+    try {
+      playlist = this.readMediaPlaylist(filename);
+    } catch (error) {
+      // FFmpeg may replace the playlist between the event and the read
+      logger.debug(`Failed to read playlist ${filename}:`, error.message);
+      return;
+    }
+    if (!playlist) {
+      return;
+    }
+    
+    const now = Date.now();
+    const lastSequence = playlist.mediaSequence + playlist.segments.length - 1;
+    
+    this.playlistUpdatedAt = now;
+    this.mediaSequence = playlist.mediaSequence;
+    
+    // A rewrite with the same newest segment is not progress
+    if (playlist.segments.length > 0 && this.lastSegmentSequences.get(filename) !== lastSequence) {
+      this.lastSegmentSequences.set(filename, lastSequence);
+      this.playlistAdvancedAt = now;
+    }
+  }
+
+  /**
+   * Get playlist freshness: when a playlist was last rewritten and advanced, its media sequence
+   * and when the newest segment appeared (timestamps in ms, null until seen)
+   */
+  getFreshness() {
+    return {
+      playlistUpdatedAt: this.playlistUpdatedAt,
+      playlistAdvancedAt: this.playlistAdvancedAt,
+      mediaSequence: this.mediaSequence,
+      newestSegmentAt: this.newestSegmentAt
+    };
+  }
+
+  /**
+   * Get tracked segment statistics: current count, segments created and when the newest appeared
+   */
+  getSegmentStats() {
+    return {
+      count: this.knownSegments.size,
+      created: this.segmentsCreated,
+      newestAt: this.newestSegmentAt
+    };
+  }
+
   /**
    * Clean up old HLS segments
    */
   cleanupOldSegments() {
     try {
       const files = fs.readdirSync(CONFIG.hls.outputDir);
-      const segments = files.filter(f => f.endsWith('.ts') && f.startsWith('stream_'));
+      const segments = files.filter(f => this.isSegmentFile(f));
       
       // Keep only recent segments (more than playlist size for safety)
-      const keepCount = CONFIG.hls.playlistSize + 2;
+      const keepCount = (CONFIG.hls.playlistSize + 2) * this.getPartsPerSegment();
+      
+      // Each rendition keeps its own window, so group segments by variant
+      const groups = new Map();
+      segments.forEach(filename => {
+        const variant = this.getSegmentVariant(filename);
+        if (!groups.has(variant)) {
+          groups.set(variant, []);
+        }
+        groups.get(variant).push(filename);
+      });
       
-      if (segments.length > keepCount) {
+      let deletedCount = 0;
+      
+      for (const variantSegments of groups.values()) {
+        if (variantSegments.length <= keepCount) {
+          continue;
+        }
+        
         // Sort by modification time (oldest first)
-        const segmentsWithStats = segments.map(filename => ({
+        const segmentsWithStats = variantSegments.map(filename => ({
           filename,
           path: path.join(CONFIG.hls.outputDir, filename),
           mtime: fs.statSync(path.join(CONFIG.hls.outputDir, filename)).mtime
         })).sort((a, b) => a.mtime - b.mtime);
         
         // Delete oldest segments
-        const toDelete = segmentsWithStats.slice(0, segments.length - keepCount);
-        let deletedCount = 0;
+        const toDelete = segmentsWithStats.slice(0, variantSegments.length - keepCount);
         
         toDelete.forEach(({ path: segmentPath, filename }) => {
           try {
@@ -79,35 +224,463 @@ class HlsService {
             logger.warn(`Failed to delete segment ${filename}:`, err.message);
           }
         });
-        
-        if (deletedCount > 0) {
-          logger.debug(`Cleaned up ${deletedCount} old HLS segments`);
-        }
       }
+      
+      if (deletedCount > 0) {
+        logger.debug(`Cleaned up ${deletedCount} old HLS segments`);
+      }
+      
+      this.retireUnreferencedKeys(files);
     } catch (error) {
       logger.warn('Failed to cleanup old segments:', error.message);
     }
   }
 
+  /**
+   * Retire encryption keys that no segment in any media playlist references
+   */
+  retireUnreferencedKeys(files) {
+    if (!this.hlsKeyService || !this.hlsKeyService.isEnabled()) {
+      return;
+    }
+    
+    const referencedIds = new Set();
+    files.filter(filename => filename.endsWith('.m3u8')).forEach(filename => {
+      const playlist = this.readMediaPlaylist(filename);
+      (playlist ? playlist.segments : []).forEach(segment => {
+        const keyId = segment.key && segment.key.URI ? this.hlsKeyService.getKeyIdFromUri(segment.key.URI) : null;
+        if (keyId) {
+          referencedIds.add(keyId);
+        }
+      });
+    });
+    
+    this.hlsKeyService.retireUnreferenced(referencedIds);
+  }
+
+  /**
+   * Check if a filename is an HLS media segment (.ts or fMP4 .m4s fragment)
+   */
+  isSegmentFile(filename) {
+    return (filename.endsWith('.ts') || filename.endsWith('.m4s')) && filename.startsWith('stream_');
+  }
+
+  /**
+   * Check if segments are encrypted
+   */
+  isEncrypted() {
+    return Boolean(this.hlsKeyService && this.hlsKeyService.isEnabled());
+  }
+
+  /**
+   * Get the keyinfo file FFmpeg encrypts segments with
+   */
+  getKeyInfoPath() {
+    return this.hlsKeyService.getKeyInfoPath();
+  }
+
+  /**
+   * Check if a filename is an fMP4 initialization segment
+   */
+  isInitFile(filename) {
+    const { name, ext } = path.parse(CONFIG.hls.initFilename);
+    return filename.endsWith(ext) && (filename === CONFIG.hls.initFilename || filename.startsWith(`${name}_`));
+  }
+
+  /**
+   * Check if segments are written as fragmented MP4 (CMAF)
+   */
+  isFragmentedMp4() {
+    return CONFIG.hls.segmentType === 'fmp4';
+  }
+
+  /**
+   * Get the file extension of media segments
+   */
+  getSegmentExtension() {
+    return this.isFragmentedMp4() ? '.m4s' : '.ts';
+  }
+
+  /**
+   * Get the fMP4 init segment filename (with %v in ABR mode)
+   */
+  getInitFilename() {
+    return this.isAdaptive() ? CONFIG.hls.abr.variantInitPattern : CONFIG.hls.initFilename;
+  }
+
+  /**
+   * Get the Content-Type for HLS files that the default MIME table does not know
+   */
+  getContentType(filePath) {
+    if (filePath.endsWith('.m4s')) {
+      return 'video/iso.segment';
+    }
+    if (filePath.endsWith('.m3u8')) {
+      return 'application/vnd.apple.mpegurl';
+    }
+    return null;
+  }
+
+  /**
+   * Get the variant a segment belongs to (filename without its sequence number)
+   */
+  getSegmentVariant(filename) {
+    const match = filename.match(/^(.*)_\d+\.[^.]+$/);
+    return match ? match[1] : filename;
+  }
+
+  /**
+   * Check if adaptive bitrate output is enabled
+   */
+  isAdaptive() {
+    return Boolean(CONFIG.hls.abr && CONFIG.hls.abr.enabled);
+  }
+
+  /**
+   * Get configured ABR variants
+   */
+  getVariants() {
+    return this.isAdaptive() ? CONFIG.hls.abr.variants : [];
+  }
+
+  /**
+   * Check if Low-Latency HLS output is enabled
+   */
+  isLowLatency() {
+    return Boolean(CONFIG.hls.lowLatency && CONFIG.hls.lowLatency.enabled);
+  }
+
+  /**
+   * Number of partial segments FFmpeg writes per full segment
+   * (in LL-HLS mode FFmpeg's own segments are the parts)
+   */
+  getPartsPerSegment() {
+    if (!this.isLowLatency()) {
+      return 1;
+    }
+    return Math.round(CONFIG.hls.segmentTime / CONFIG.hls.lowLatency.partDuration);
+  }
+
+  /**
+   * Serve playlists and LL-HLS parent segments for the /hls route
+   * Everything else falls through to the static file handler
+   */
+  async handleRequest(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const filename = path.basename(req.path);
+
+    try {
+      if (filename.endsWith('.m3u8')) {
+        if (this.isLowLatency() && filename !== CONFIG.hls.abr.masterPlaylistName) {
+          return await this.serveLowLatencyPlaylist(filename, req, res);
+        }
+        if (req.hlsToken) {
+          return this.serveSignedPlaylist(filename, req, res);
+        }
+      }
+
+      if (!this.isLowLatency()) {
+        return next();
+      }
+
+      const parent = filename.match(/^(.+)\.seg(\d+)(\.ts|\.m4s)$/);
+      if (parent) {
+        return this.serveParentSegment(`${parent[1]}.m3u8`, parseInt(parent[2]), parent[3], res);
+      }
+
+      if (this.isSegmentFile(filename)) {
+        // Players request the preload-hinted part before it exists, hold until it does
+        await this.waitForPartFile(filename);
+      }
+
+      next();
+    } catch (error) {
+      logger.error(`Failed to serve HLS file ${filename}:`, error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to serve HLS file',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Read and parse a media playlist written by FFmpeg
+   */
+  readMediaPlaylist(filename) {
+    const playlistPath = path.join(CONFIG.hls.outputDir, filename);
+    if (!fs.existsSync(playlistPath)) {
+      return null;
+    }
+    return parseMediaPlaylist(fs.readFileSync(playlistPath, 'utf8'));
+  }
+
+  /**
+   * Get the sequence number of the newest part in a playlist (-1 if empty)
+   */
+  getLastPartSequence(playlist) {
+    if (!playlist || playlist.segments.length === 0) {
+      return -1;
+    }
+    return playlist.segments[playlist.segments.length - 1].sequence;
+  }
+
+  /**
+   * Serve an LL-HLS media playlist, honoring _HLS_msn/_HLS_part blocking reloads
+   */
+  async serveLowLatencyPlaylist(filename, req, res) {
+    const { _HLS_msn: msnParam, _HLS_part: partParam } = req.query;
+
+    if (msnParam !== undefined) {
+      const msn = Number(msnParam);
+      const part = partParam !== undefined ? Number(partParam) : null;
+
+      if (!Number.isInteger(msn) || msn < 0 ||
+          (part !== null && (!Number.isInteger(part) || part < 0 || part >= this.getPartsPerSegment()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid _HLS_msn or _HLS_part query parameter'
+        });
+      }
+
+      const result = await this.waitForPart(filename, msn, part);
+      if (result === 'too-far') {
+        return res.status(400).json({
+          success: false,
+          message: `Media sequence ${msn} is too far ahead of the live edge`
+        });
+      }
+      if (result === 'timeout') {
+        return res.status(503).json({
+          success: false,
+          message: 'Playlist did not advance in time'
+        });
+      }
+    }
+
+    const playlist = this.readMediaPlaylist(filename);
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    res.type('application/vnd.apple.mpegurl');
+    res.send(this.signPlaylist(this.renderLowLatencyPlaylist(filename, playlist), req));
+  }
+
+  /**
+   * Serve a playlist written by FFmpeg with the request's token added to its URIs
+   */
+  serveSignedPlaylist(filename, req, res) {
+    const playlistPath = path.join(CONFIG.hls.outputDir, filename);
+    if (!fs.existsSync(playlistPath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    res.type('application/vnd.apple.mpegurl');
+    res.send(this.signPlaylist(fs.readFileSync(playlistPath, 'utf8'), req));
+  }
+
+  /**
+   * Carry a verified stream token over to every URI in a playlist
+   */
+  signPlaylist(text, req) {
+    return req.hlsToken ? appendQueryToUris(text, `token=${encodeURIComponent(req.hlsToken)}`) : text;
+  }
+
+  /**
+   * Hold until the playlist contains the requested segment/part
+   * Resolves to 'ready', 'timeout' or 'too-far'
+   */
+  async waitForPart(filename, msn, part) {
+    const partsPerSegment = this.getPartsPerSegment();
+    const target = msn * partsPerSegment + (part === null ? partsPerSegment - 1 : part);
+    const deadline = Date.now() + CONFIG.hls.segmentTime * 3 * 1000;
+
+    for (;;) {
+      const lastSequence = this.getLastPartSequence(this.readMediaPlaylist(filename));
+
+      if (lastSequence >= target) {
+        return 'ready';
+      }
+
+      if (lastSequence >= 0 && msn > Math.floor(lastSequence / partsPerSegment) + 2) {
+        return 'too-far';
+      }
+
+      if (Date.now() >= deadline) {
+        return 'timeout';
+      }
+
+      await sleep(CONFIG.hls.lowLatency.pollInterval);
+    }
+  }
+
+  /**
+   * Hold a request for the next (preload-hinted) part until FFmpeg has written it
+   */
+  async waitForPartFile(filename) {
+    const filePath = path.join(CONFIG.hls.outputDir, filename);
+    const match = filename.match(/_(\d+)\.[^.]+$/);
+    if (fs.existsSync(filePath) || !match) {
+      return;
+    }
+
+    // Only wait for parts ahead of the live edge, not for expired ones
+    const playlist = this.readMediaPlaylist(`${this.getSegmentVariant(filename)}.m3u8`);
+    if (parseInt(match[1]) <= this.getLastPartSequence(playlist)) {
+      return;
+    }
+
+    const deadline = Date.now() + CONFIG.hls.segmentTime * 3 * 1000;
+    while (!fs.existsSync(filePath) && Date.now() < deadline) {
+      await sleep(CONFIG.hls.lowLatency.pollInterval);
+    }
+  }
+
+  /**
+   * Render FFmpeg's part-sized playlist as an LL-HLS playlist
+   * Consecutive parts are grouped into parent segments of CONFIG.hls.segmentTime
+   */
+  renderLowLatencyPlaylist(filename, playlist) {
+    const partsPerSegment = this.getPartsPerSegment();
+    const partTarget = CONFIG.hls.lowLatency.partDuration;
+    const baseName = path.parse(filename).name;
+
+    // Group parts into parent segments, skipping a parent whose first parts were deleted
+    const parents = [];
+    for (const part of playlist.segments) {
+      const msn = Math.floor(part.sequence / partsPerSegment);
+      const current = parents[parents.length - 1];
+      if (current && current.msn === msn) {
+        current.parts.push(part);
+      } else if (part.sequence === msn * partsPerSegment) {
+        parents.push({ msn, parts: [part] });
+      }
+    }
+
+    const durations = parents.map(parent => parent.parts.reduce((sum, part) => sum + part.duration, 0));
+    const targetDuration = Math.max(CONFIG.hls.segmentTime, ...durations.map(Math.round));
+    const lastMsn = parents.length > 0 ? parents[parents.length - 1].msn : 0;
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:6',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      `#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES,PART-HOLD-BACK=${(partTarget * 3).toFixed(3)}`,
+      `#EXT-X-PART-INF:PART-TARGET=${partTarget.toFixed(3)}`,
+      `#EXT-X-MEDIA-SEQUENCE:${parents.length > 0 ? parents[0].msn : 0}`,
+      '#EXT-X-INDEPENDENT-SEGMENTS'
+    ];
+
+    if (playlist.map) {
+      lines.push(`#EXT-X-MAP:URI="${playlist.map.URI}"`);
+    }
+
+    parents.forEach((parent, i) => {
+      if (parent.parts[0].discontinuity) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+
+      // Only the last three segments carry their parts
+      if (parent.msn > lastMsn - 3) {
+        parent.parts.forEach((part, index) => {
+          const independent = index === 0 ? ',INDEPENDENT=YES' : '';
+          lines.push(`#EXT-X-PART:DURATION=${part.duration.toFixed(5)},URI="${part.uri}"${independent}`);
+        });
+      }
+
+      if (parent.parts.length === partsPerSegment) {
+        const extension = path.extname(parent.parts[0].uri);
+        lines.push(`#EXTINF:${durations[i].toFixed(5)},`);
+        lines.push(`${baseName}.seg${parent.msn}${extension}`);
+      }
+    });
+
+    const lastPart = playlist.segments[playlist.segments.length - 1];
+    if (lastPart) {
+      const nextUri = lastPart.uri.replace(/(\d+)(\.[^.]+)$/, (match, sequence, extension) =>
+        String(parseInt(sequence) + 1).padStart(sequence.length, '0') + extension
+      );
+      lines.push(`#EXT-X-PRELOAD-HINT:TYPE=PART,URI="${nextUri}"`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serve a parent segment by concatenating its parts
+   */
+  serveParentSegment(playlistName, msn, extension, res) {
+    const partsPerSegment = this.getPartsPerSegment();
+    const playlist = this.readMediaPlaylist(playlistName);
+    const parts = playlist ?
+      playlist.segments.filter(part => Math.floor(part.sequence / partsPerSegment) === msn) :
+      [];
+
+    if (parts.length !== partsPerSegment) {
+      return res.status(404).json({
+        success: false,
+        message: `Segment ${msn} is not available`
+      });
+    }
+
+    try {
+      const data = Buffer.concat(parts.map(part => fs.readFileSync(path.join(CONFIG.hls.outputDir, part.uri))));
+      res.type(extension === '.m4s' ? 'video/iso.segment' : 'video/mp2t');
+      res.send(data);
+    } catch (error) {
+      // Parts may have been deleted between reading the playlist and the files
+      res.status(404).json({
+        success: false,
+        message: `Segment ${msn} is not available`
+      });
+    }
+  }
+
   /**
    * Get HLS stream URL
    */
   getStreamUrl(baseUrl) {
-    return `${baseUrl}/hls/${CONFIG.hls.playlistName}`;
+    return `${baseUrl}/hls/${this.getPlaylistName()}`;
+  }
+
+  /**
+   * Get the name of the playlist players should load (master playlist in ABR mode)
+   */
+  getPlaylistName() {
+    return this.isAdaptive() ? CONFIG.hls.abr.masterPlaylistName : CONFIG.hls.playlistName;
+  }
+
+  /**
+   * Get the path of the playlist players should load
+   */
+  getPlaylistPath() {
+    return path.join(CONFIG.hls.outputDir, this.getPlaylistName());
   }
 
   /**
-   * Get HLS output path
+   * Get HLS output path (media playlist pattern with %v in ABR mode)
    */
   getOutputPath() {
-    return path.join(CONFIG.hls.outputDir, CONFIG.hls.playlistName);
+    const playlistName = this.isAdaptive() ? CONFIG.hls.abr.variantPlaylistPattern : CONFIG.hls.playlistName;
+    return path.join(CONFIG.hls.outputDir, playlistName);
   }
 
   /**
    * Get segment pattern path
    */
   getSegmentPatternPath() {
-    return path.join(CONFIG.hls.outputDir, CONFIG.hls.segmentPattern);
+    const segmentPattern = this.isAdaptive() ? CONFIG.hls.abr.variantSegmentPattern : CONFIG.hls.segmentPattern;
+    return path.join(CONFIG.hls.outputDir, segmentPattern.replace(/\.ts$/, this.getSegmentExtension()));
   }
 
   /**
@@ -115,7 +688,7 @@ class HlsService {
    */
   isGeneratingSegments() {
     try {
-      const playlistPath = this.getOutputPath();
+      const playlistPath = this.getPlaylistPath();
       return fs.existsSync(playlistPath);
     } catch (error) {
       return false;
@@ -128,7 +701,7 @@ class HlsService {
   getCurrentSegmentCount() {
     try {
       const files = fs.readdirSync(CONFIG.hls.outputDir);
-      return files.filter(f => f.endsWith('.ts') && f.startsWith('stream_')).length;
+      return files.filter(f => this.isSegmentFile(f)).length;
     } catch (error) {
       return 0;
     }
@@ -141,7 +714,7 @@ class HlsService {
     try {
       const files = fs.readdirSync(CONFIG.hls.outputDir);
       files.forEach(file => {
-        if (file.endsWith('.ts') || file.endsWith('.m3u8')) {
+        if (file.endsWith('.ts') || file.endsWith('.m4s') || file.endsWith('.m3u8') || this.isInitFile(file)) {
           const filePath = path.join(CONFIG.hls.outputDir, file);
           fs.unlinkSync(filePath);
         }
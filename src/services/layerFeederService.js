@@ -0,0 +1,337 @@
+/**
+ * Layer Feeder Service
+ * Keeps each layer FIFO open and loops the layer's source (still image or video) into it at the
+ * stream frame rate, so overlays stay on screen and the overlay filter never runs out of frames
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+const SILENCE = 'anullsrc=channel_layout=stereo:sample_rate=48000';
+
+// Used when the layer's source cannot be probed
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp'];
+
+class LayerFeederService {
+  constructor(mediaProbeService = null) {
+    this.mediaProbeService = mediaProbeService;
+    this.stopped = false;
+    this.layers = CONFIG.fifos.layers.map((_, index) => ({
+      index,
+      fd: null,
+      process: null,
+      // Resolves once the last replaced process has exited
+      exiting: null,
+      // The layer's source: { path, kind, hasAudio }, null while the layer is clear
+      source: null,
+      startedAt: null,
+      timelineStartedAt: null,
+      // Each swap gets a number so only the latest one starts its process
+      attempts: 0,
+      swaps: 0,
+      failed: false,
+      lastError: null
+    }));
+  }
+
+  /**
+   * Check if layers are fed through persistent feeders instead of one-off FIFO writes
+   */
+  isEnabled() {
+    return CONFIG.feeders.layers.enabled;
+  }
+
+  /**
+   * Get a layer FIFO path
+   */
+  getFifoPath(index) {
+    return path.join(CONFIG.fifos.baseDir, CONFIG.fifos.layers[index]);
+  }
+
+  /**
+   * Hold a layer FIFO open so the encoder never reads an end of file between sources
+   */
+  open(layer) {
+    if (layer.fd === null) {
+      layer.fd = fs.openSync(this.getFifoPath(layer.index), fs.constants.O_RDWR);
+    }
+  }
+
+  /**
+   * Describe a source file as { path, kind: 'image' | 'video', hasAudio }
+   * Falls back to the file extension when it cannot be probed
+   */
+  async describeSource(filePath) {
+    const guess = {
+      path: filePath,
+      kind: IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'image' : 'video',
+      hasAudio: false
+    };
+
+    if (!this.mediaProbeService || !this.mediaProbeService.isEnabled()) {
+      return guess;
+    }
+
+    try {
+      const info = await this.mediaProbeService.probe(filePath);
+      // Still images are demuxed by image2 or one of the *_pipe demuxers
+      const container = info.container || '';
+      const image = container === 'image2' || container.endsWith('_pipe');
+      return { path: filePath, kind: image ? 'image' : 'video', hasAudio: !image && info.audio !== null };
+    } catch (error) {
+      return guess;
+    }
+  }
+
+  /**
+   * Build the FFmpeg arguments that loop a source into a layer FIFO (a transparent frame for null)
+   * Frames keep their alpha channel and size, audio is the source's own or silence
+   */
+  buildArgs(index, source, offset = 0) {
+    const { frameRate } = CONFIG.media;
+    const args = ['-hide_banner', '-nostdin', '-loglevel', 'error', '-re'];
+
+    if (!source) {
+      args.push('-f', 'lavfi', '-i', `color=c=black@0:size=2x2:rate=${frameRate},format=rgba`);
+    } else if (source.kind === 'image') {
+      args.push('-loop', '1', '-framerate', String(frameRate), '-i', source.path);
+    } else {
+      args.push('-stream_loop', '-1', '-i', source.path);
+    }
+
+    if (source && source.hasAudio) {
+      args.push('-map', '0:v:0', '-map', '0:a:0');
+    } else {
+      args.push('-f', 'lavfi', '-i', SILENCE, '-map', '0:v:0', '-map', '1:a');
+    }
+
+    args.push(
+      '-vf', `fps=${frameRate},format=rgba`,
+      '-c:v', CONFIG.feeders.layers.videoCodec,
+      '-c:a', 'pcm_s16le',
+      '-ar', '48000',
+      '-ac', '2',
+      '-output_ts_offset', offset.toFixed(3),
+      '-f', 'nut',
+      '-y', this.getFifoPath(index)
+    );
+
+    return args;
+  }
+
+  /**
+   * Start every layer with a transparent frame, so FFmpeg can open the layer inputs right away
+   */
+  start() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    this.stopped = false;
+    this.layers.forEach(layer => {
+      if (!layer.process) {
+        this.swap(layer, null);
+      }
+    });
+  }
+
+  /**
+   * Restart every running feeder on its current source, so an encoder that was just started reads
+   * each layer from a fresh NUT header instead of searching mid-stream for the next one
+   */
+  restart() {
+    if (!this.isEnabled() || this.stopped) {
+      return;
+    }
+
+    this.layers.forEach(layer => {
+      if (layer.process) {
+        this.swap(layer, layer.source);
+      }
+    });
+  }
+
+  /**
+   * Loop a file on a layer, replacing its current source
+   */
+  async setSource(index, filePath) {
+    const layer = this.layers[index];
+    if (!layer) {
+      return false;
+    }
+
+    this.stopped = false;
+    return this.swap(layer, await this.describeSource(filePath));
+  }
+
+  /**
+   * Replace a layer's source with a transparent frame
+   */
+  async clear(index) {
+    const layer = this.layers[index];
+    if (!layer) {
+      return false;
+    }
+
+    this.stopped = false;
+    return this.swap(layer, null);
+  }
+
+  /**
+   * Stop the layer's current process and start the new source in its place
+   * The FIFO stays open in between, so the encoder only sees the stream continue with new frames
+   */
+  async swap(layer, source) {
+    const attempt = ++layer.attempts;
+
+    try {
+      this.open(layer);
+    } catch (error) {
+      layer.lastError = `Failed to open layer FIFO: ${error.message}`;
+      logger.error(`Layer ${layer.index} feeder: ${layer.lastError}`);
+      return false;
+    }
+
+    const previous = layer.process;
+    layer.process = null;
+    if (previous) {
+      layer.exiting = this.kill(previous);
+    }
+    // Also waits for a process an earlier swap is still stopping
+    await layer.exiting;
+
+    if (attempt !== layer.attempts || this.stopped) {
+      // A newer swap (or stop) took over while the previous source was stopping
+      return false;
+    }
+
+    this.spawnFeeder(layer, source);
+    return true;
+  }
+
+  /**
+   * Kill a feeder process and wait until it has exited
+   */
+  kill(child) {
+    return new Promise(resolve => {
+      if (child.exitCode !== null || child.signalCode !== null) {
+        resolve();
+        return;
+      }
+      child.once('close', () => resolve());
+      child.kill('SIGKILL');
+    });
+  }
+
+  /**
+   * Start the FFmpeg process looping a source into a layer FIFO
+   */
+  spawnFeeder(layer, source) {
+    const now = Date.now();
+    if (layer.timelineStartedAt === null) {
+      layer.timelineStartedAt = now;
+    }
+
+    const offset = (now - layer.timelineStartedAt) / 1000;
+    const child = spawn(CONFIG.ffmpeg.binary, this.buildArgs(layer.index, source, offset), {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    layer.process = child;
+    layer.source = source;
+    layer.startedAt = new Date(now).toISOString();
+    layer.failed = false;
+    layer.swaps++;
+
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+
+    child.on('error', (error) => {
+      layer.lastError = `Layer feeder failed to start: ${error.message}`;
+      logger.error(`Layer ${layer.index} feeder: ${layer.lastError}`);
+    });
+
+    child.on('close', (code) => {
+      if (layer.process !== child) {
+        return;
+      }
+      layer.process = null;
+
+      // Sources loop forever, so any exit is a failure
+      layer.lastError = `${source ? source.path : 'transparent frame'}: ${stderr.trim().split('\n').pop() || `exited with code ${code}`}`;
+
+      if (source && !this.stopped) {
+        logger.warn(`Layer ${layer.index} feeder failed, clearing the layer: ${layer.lastError}`);
+        this.swap(layer, null);
+        return;
+      }
+
+      // Not retried: a failing transparent frame would fail again right away
+      layer.failed = true;
+      logger.error(`Layer ${layer.index} feeder failed: ${layer.lastError}`);
+    });
+
+    logger.info(`Layer ${layer.index} feeder ${source ? `looping ${source.kind} ${source.path}` : 'cleared'}`);
+  }
+
+  /**
+   * Get a layer feeder's state: playing, clear, failed or stopped
+   */
+  getState(layer) {
+    if (layer.process) {
+      return layer.source ? 'playing' : 'clear';
+    }
+    return layer.failed ? 'failed' : 'stopped';
+  }
+
+  /**
+   * Get the status of every layer feeder for status reporting
+   */
+  getStatus() {
+    return this.layers.map(layer => ({
+      index: layer.index,
+      state: this.getState(layer),
+      source: layer.process && layer.source ? { path: layer.source.path, kind: layer.source.kind } : null,
+      startedAt: layer.process ? layer.startedAt : null,
+      swaps: layer.swaps,
+      lastError: layer.lastError
+    }));
+  }
+
+  /**
+   * Stop every layer feeder and release the FIFOs
+   */
+  stop() {
+    this.stopped = true;
+
+    this.layers.forEach(layer => {
+      layer.attempts++;
+      if (layer.process) {
+        layer.process.kill('SIGKILL');
+        layer.process = null;
+      }
+
+      if (layer.fd !== null) {
+        try {
+          fs.closeSync(layer.fd);
+        } catch (error) {
+          logger.warn(`Error closing layer ${layer.index} FIFO:`, error.message);
+        }
+        layer.fd = null;
+      }
+
+      layer.source = null;
+      layer.failed = false;
+    });
+
+    logger.info('Layer feeders stopped');
+  }
+}
+
+module.exports = LayerFeederService;
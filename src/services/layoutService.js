@@ -0,0 +1,238 @@
+/**
+ * Layout Service
+ * Per-layer position, size, opacity, stacking and audio mute, applied live over ZeroMQ where possible
+ */
+
+'use strict';
+
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { overlayPosition, scaleSize, enableExpression, layerVolume } = require('../utils/layout');
+const { quoteArgument } = require('../utils/zmq');
+
+class LayoutService {
+  constructor(zmqService = null, fifoService = null) {
+    this.zmqService = zmqService;
+    this.fifoService = fifoService;
+    this.rebuildListeners = new Set();
+    this.layers = CONFIG.fifos.layers.map((_, index) => ({
+      index,
+      ...this.getDefaultLayout(index),
+      ...(CONFIG.layout.layers[index] || {})
+    }));
+  }
+
+  /**
+   * Default layout: layers stacked in FIFO order at fixed offsets from the top-left corner
+   */
+  getDefaultLayout(index) {
+    const count = CONFIG.fifos.layers.length;
+    const offset = index === 0 ? 0 : (count === 2 ? 100 : (index + 1) * 50);
+
+    return {
+      x: offset,
+      y: offset,
+      anchor: 'top-left',
+      width: null,
+      height: null,
+      opacity: 1,
+      zIndex: index,
+      visible: true,
+      enable: null,
+      muted: false
+    };
+  }
+
+  /**
+   * Filter instance names of a layer
+   */
+  getInstances(index) {
+    return {
+      scale: `layer${index}_scale`,
+      opacity: `layer${index}_opacity`,
+      overlay: `layer${index}_overlay`,
+      volume: `layer${index}_volume`
+    };
+  }
+
+  /**
+   * Get a layer's layout (null for unknown layers)
+   */
+  getLayer(index) {
+    const layer = this.layers[index];
+    return layer ? { ...layer } : null;
+  }
+
+  /**
+   * Get every layer with its filter instances and generated FFmpeg expressions
+   */
+  getLayers() {
+    return this.layers.map(layer => ({
+      ...layer,
+      instances: this.getInstances(layer.index),
+      expressions: {
+        ...overlayPosition(layer),
+        ...scaleSize(layer),
+        enable: enableExpression(layer),
+        volume: layerVolume(layer)
+      }
+    }));
+  }
+
+  /**
+   * Layer indexes from bottom to top (zIndex, then FIFO order)
+   */
+  getStackingOrder() {
+    return [...this.layers]
+      .sort((a, b) => a.zIndex - b.zIndex || a.index - b.index)
+      .map(layer => layer.index);
+  }
+
+  /**
+   * ZeroMQ commands that turn one layout into another
+   */
+  getLayoutCommands(before, after) {
+    const instances = this.getInstances(after.index);
+    const commands = [];
+
+    const fromSize = scaleSize(before);
+    const toSize = scaleSize(after);
+    ['w', 'h'].forEach(side => {
+      if (fromSize[side] !== toSize[side]) {
+        commands.push(`${instances.scale} ${side} ${toSize[side]}`);
+      }
+    });
+
+    if (before.opacity !== after.opacity) {
+      commands.push(`${instances.opacity} aa ${after.opacity}`);
+    }
+
+    const fromPosition = overlayPosition(before);
+    const toPosition = overlayPosition(after);
+    ['x', 'y'].forEach(axis => {
+      if (fromPosition[axis] !== toPosition[axis]) {
+        commands.push(`${instances.overlay} ${axis} ${toPosition[axis]}`);
+      }
+    });
+
+    if (enableExpression(before) !== enableExpression(after)) {
+      // Timeline expressions such as between(t,10,20) contain commas
+      commands.push(`${instances.overlay} enable ${quoteArgument(enableExpression(after))}`);
+    }
+
+    if (layerVolume(before) !== layerVolume(after)) {
+      commands.push(`${instances.volume} volume ${layerVolume(after)}`);
+    }
+
+    return commands;
+  }
+
+  /**
+   * Change a layer's layout: live over ZeroMQ, or by rebuilding the filter graph when the
+   * stacking order changes or FFmpeg does not accept a command
+   * Returns { layer, method: 'zmq' | 'rebuild' | 'deferred' | 'unchanged', commands } (null for unknown layers)
+   */
+  async updateLayout(index, changes) {
+    const before = this.layers[index];
+    if (!before) {
+      return null;
+    }
+
+    const orderBefore = this.getStackingOrder().join(',');
+    const after = { ...before, ...changes, index };
+    this.layers[index] = after;
+
+    if (this.getStackingOrder().join(',') !== orderBefore) {
+      return this.finishUpdate(index, this.requestRebuild(`layer ${index} stacking order`) ? 'rebuild' : 'deferred', []);
+    }
+
+    const commands = this.getLayoutCommands(before, after);
+    if (commands.length === 0) {
+      return this.finishUpdate(index, 'unchanged', []);
+    }
+
+    const results = [];
+    for (const command of commands) {
+      const reply = this.zmqService ?
+        await this.zmqService.sendCommand(command) :
+        { success: false, code: null, error: 'ZeroMQ not available', data: null };
+      results.push({ command, success: reply.success, code: reply.code, error: reply.error });
+
+      if (!reply.success) {
+        // A half-applied layout would leave the graph out of sync with the model
+        logger.warn(`Layout change for layer ${index} not applied live (${reply.error}), rebuilding the filter graph`);
+        return this.finishUpdate(index, this.requestRebuild(`layer ${index} layout`) ? 'rebuild' : 'deferred', results);
+      }
+    }
+
+    return this.finishUpdate(index, 'zmq', results);
+  }
+
+  /**
+   * Set a layer's source file, then show and unmute it with any layout changes given
+   * Returns the layout update, false when the source cannot be written (null for unknown layers)
+   */
+  async setLayerSource(index, filePath, layout = {}) {
+    if (!this.layers[index]) {
+      return null;
+    }
+
+    if (!this.fifoService || !(await this.fifoService.writeLayer(index, filePath))) {
+      return false;
+    }
+    return this.updateLayout(index, { visible: true, muted: false, ...layout });
+  }
+
+  /**
+   * Hide and mute a layer, then replace its source with a transparent frame
+   * Returns the layout update, false when the source cannot be cleared (null for unknown layers)
+   */
+  async clearLayerSource(index) {
+    if (!this.layers[index]) {
+      return null;
+    }
+
+    const result = await this.updateLayout(index, { visible: false, muted: true });
+    if (this.fifoService && !(await this.fifoService.clearLayer(index))) {
+      return false;
+    }
+    return result;
+  }
+
+  /**
+   * Log and describe the outcome of a layout change
+   */
+  finishUpdate(index, method, commands) {
+    logger.info(`Layer ${index} layout updated (${method})`);
+    return {
+      layer: this.getLayers()[index],
+      method,
+      commands
+    };
+  }
+
+  /**
+   * Ask for a filter graph rebuild, true when a running FFmpeg is being rebuilt
+   */
+  requestRebuild(reason) {
+    const results = [...this.rebuildListeners].map(listener => {
+      try {
+        return listener(reason) === true;
+      } catch (error) {
+        logger.warn('Error notifying layout rebuild listener:', error.message);
+        return false;
+      }
+    });
+    return results.includes(true);
+  }
+
+  /**
+   * Subscribe to filter graph rebuild requests
+   */
+  onRebuild(callback) {
+    this.rebuildListeners.add(callback);
+    return () => this.rebuildListeners.delete(callback);
+  }
+}
+
+module.exports = LayoutService;
@@ -0,0 +1,219 @@
+/**
+ * Media Library Service
+ * Managed directory of uploaded media with probed metadata and thumbnails
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+class MediaLibraryService {
+  constructor(mediaProbeService) {
+    this.mediaProbeService = mediaProbeService;
+    this.items = [];
+  }
+
+  /**
+   * Setup library and thumbnail directories and load the index
+   */
+  load() {
+    [CONFIG.media.library.dir, CONFIG.media.library.thumbnailDir].forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        logger.info(`Created media directory: ${dir}`);
+      }
+    });
+
+    try {
+      if (!fs.existsSync(CONFIG.media.library.indexFile)) {
+        return;
+      }
+
+      const index = JSON.parse(fs.readFileSync(CONFIG.media.library.indexFile, 'utf8'));
+
+      // Drop entries whose files were removed from disk behind our back
+      this.items = (index.items || []).filter(item => fs.existsSync(this.getFilePath(item)));
+      logger.info(`Loaded media library with ${this.items.length} items`);
+    } catch (error) {
+      logger.warn('Failed to load media library:', error.message);
+    }
+  }
+
+  /**
+   * Persist the library index to disk
+   */
+  save() {
+    try {
+      const indexDir = path.dirname(CONFIG.media.library.indexFile);
+      if (!fs.existsSync(indexDir)) {
+        fs.mkdirSync(indexDir, { recursive: true });
+      }
+
+      fs.writeFileSync(CONFIG.media.library.indexFile, JSON.stringify({ items: this.items }, null, 2));
+    } catch (error) {
+      logger.warn('Failed to save media library:', error.message);
+    }
+  }
+
+  /**
+   * Get the absolute path of a library item's file
+   */
+  getFilePath(item) {
+    return path.resolve(CONFIG.media.library.dir, item.filename);
+  }
+
+  /**
+   * Get the path of a library item's thumbnail
+   */
+  getThumbnailPath(item) {
+    return path.resolve(CONFIG.media.library.thumbnailDir, `${item.id}.jpg`);
+  }
+
+  /**
+   * Classify probed media as video, image or audio
+   */
+  getKind(info) {
+    if (!info.video) {
+      return info.audio ? 'audio' : 'unknown';
+    }
+
+    // Still images are demuxed by image2 or one of the *_pipe demuxers
+    const container = info.container || '';
+    if (container === 'image2' || container.endsWith('_pipe')) {
+      return 'image';
+    }
+
+    return 'video';
+  }
+
+  /**
+   * Render a thumbnail with FFmpeg
+   */
+  createThumbnail(item) {
+    return new Promise((resolve) => {
+      const args = ['-y', '-v', 'error'];
+
+      // Skip the first second of videos, which is often black
+      if (item.kind === 'video' && item.metadata.duration > 2) {
+        args.push('-ss', '1');
+      }
+
+      args.push(
+        '-i', this.getFilePath(item),
+        '-frames:v', '1',
+        '-vf', `scale=${CONFIG.media.library.thumbnailWidth}:-2`,
+        this.getThumbnailPath(item)
+      );
+
+      const child = spawn(CONFIG.ffmpeg.binary, args);
+      const timer = setTimeout(() => child.kill('SIGKILL'), CONFIG.media.probe.timeout);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        logger.warn(`Failed to create thumbnail for ${item.id}:`, error.message);
+        resolve(false);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          logger.warn(`Failed to create thumbnail for ${item.id}: ffmpeg exited with code ${code}`);
+        }
+        resolve(code === 0);
+      });
+    });
+  }
+
+  /**
+   * Add an uploaded file to the library
+   * Returns the new item, or null if the file is not readable media (the file is deleted)
+   */
+  async add(file) {
+    const filePath = path.resolve(file.path);
+
+    let metadata;
+    try {
+      metadata = await this.mediaProbeService.probe(filePath);
+    } catch (error) {
+      logger.warn(`Rejected unreadable upload ${file.originalname}:`, error.message);
+      fs.rmSync(filePath, { force: true });
+      return null;
+    }
+
+    const contentProblems = this.mediaProbeService.checkContent(metadata).map(problem => problem.message);
+    const layerProblems = this.mediaProbeService.checkLayer(metadata).map(problem => problem.message);
+
+    const item = {
+      id: path.basename(file.filename, path.extname(file.filename)),
+      name: file.originalname,
+      filename: file.filename,
+      size: file.size,
+      kind: this.getKind(metadata),
+      metadata,
+      compatible: {
+        content: contentProblems.length === 0,
+        layer: layerProblems.length === 0
+      },
+      problems: {
+        content: contentProblems,
+        layer: layerProblems
+      },
+      thumbnail: false,
+      uploadedAt: new Date().toISOString()
+    };
+
+    if (item.kind === 'video' || item.kind === 'image') {
+      item.thumbnail = await this.createThumbnail(item);
+    }
+
+    this.items.unshift(item);
+    this.save();
+    logger.info(`Added ${item.kind} to media library: ${item.name} (${item.id})`);
+    return item;
+  }
+
+  /**
+   * List library items, optionally filtered by kind
+   */
+  list(kind = null) {
+    return kind ? this.items.filter(item => item.kind === kind) : [...this.items];
+  }
+
+  /**
+   * Get a library item by id
+   */
+  get(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Resolve a library item id to its file path (null if unknown)
+   */
+  resolvePath(id) {
+    const item = this.get(id);
+    return item ? this.getFilePath(item) : null;
+  }
+
+  /**
+   * Remove an item and its files, returns the removed item or null
+   */
+  remove(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    fs.rmSync(this.getFilePath(item), { force: true });
+    fs.rmSync(this.getThumbnailPath(item), { force: true });
+    this.save();
+    logger.info(`Removed media: ${item.name} (${item.id})`);
+    return item;
+  }
+}
+
+module.exports = MediaLibraryService;
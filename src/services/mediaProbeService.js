@@ -0,0 +1,248 @@
+/**
+ * Media Probe Service
+ * Inspects media files with ffprobe and checks them against the stream's media profile
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+// Allowed difference between a file's frame rate and the configured one (e.g. 29.97 vs 30 is a mismatch)
+const FRAME_RATE_TOLERANCE = 0.01;
+
+/**
+ * Parse an ffprobe rational such as "30000/1001" into a number
+ */
+function parseRational(value) {
+  if (!value) {
+    return null;
+  }
+
+  const [numerator, denominator = '1'] = String(value).split('/');
+  const result = parseFloat(numerator) / parseFloat(denominator);
+  return Number.isFinite(result) && result > 0 ? result : null;
+}
+
+class MediaProbeService {
+  /**
+   * Check if media probing is enabled
+   */
+  isEnabled() {
+    return Boolean(CONFIG.media && CONFIG.media.probe.enabled);
+  }
+
+  /**
+   * Run ffprobe and return its JSON output
+   */
+  runFfprobe(filePath) {
+    return new Promise((resolve, reject) => {
+      const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+      const child = spawn(CONFIG.media.probe.binary, args);
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`ffprobe timed out after ${CONFIG.media.probe.timeout}ms`));
+      }, CONFIG.media.probe.timeout);
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          reject(new Error(stderr.trim() || `ffprobe exited with code ${code}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (error) {
+          reject(new Error(`Invalid ffprobe output: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Probe a file and summarise its container, video and audio streams
+   */
+  async probe(filePath) {
+    const output = await this.runFfprobe(filePath);
+    const format = output.format || {};
+    const streams = output.streams || [];
+
+    // Cover art is reported as a video stream but is not playable video
+    const video = streams.find(stream =>
+      stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+    );
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const duration = parseFloat(format.duration);
+
+    return {
+      container: format.format_name || null,
+      duration: Number.isFinite(duration) ? duration : null,
+      video: video ? {
+        codec: video.codec_name,
+        width: video.width,
+        height: video.height,
+        frameRate: parseRational(video.avg_frame_rate) || parseRational(video.r_frame_rate)
+      } : null,
+      audio: audio ? {
+        codec: audio.codec_name,
+        channels: audio.channels,
+        channelLayout: audio.channel_layout || null,
+        sampleRate: parseInt(audio.sample_rate) || null
+      } : null
+    };
+  }
+
+  /**
+   * Check probed content against the content profile, returns a list of problems
+   */
+  checkContent(info) {
+    const profile = CONFIG.media.content;
+    const problems = [];
+    const mismatch = (property, expected, actual) => {
+      problems.push({ property, expected, actual, message: `${property} is ${actual}, expected ${expected}` });
+    };
+
+    if (info.duration === null || info.duration < profile.minDuration) {
+      mismatch('duration', `at least ${profile.minDuration}s`, info.duration === null ? 'unknown' : `${info.duration}s`);
+    }
+
+    if (!info.video) {
+      mismatch('video', 'a video stream', 'none');
+    }
+
+    // The content feeder normalizes container, codecs, canvas, frame rate and audio layout
+    if (CONFIG.feeders.content.enabled) {
+      return problems;
+    }
+
+    if (!profile.containers.includes(info.container)) {
+      mismatch('container', profile.containers.join(' | '), info.container);
+    }
+
+    if (info.video) {
+      if (!profile.videoCodecs.includes(info.video.codec)) {
+        mismatch('video.codec', profile.videoCodecs.join(' | '), info.video.codec);
+      }
+      if (info.video.width !== CONFIG.media.width || info.video.height !== CONFIG.media.height) {
+        mismatch('video.resolution', `${CONFIG.media.width}x${CONFIG.media.height}`, `${info.video.width}x${info.video.height}`);
+      }
+      if (info.video.frameRate === null || Math.abs(info.video.frameRate - CONFIG.media.frameRate) > FRAME_RATE_TOLERANCE) {
+        mismatch('video.frameRate', CONFIG.media.frameRate, info.video.frameRate === null ? 'unknown' : Number(info.video.frameRate.toFixed(3)));
+      }
+    }
+
+    if (!info.audio) {
+      mismatch('audio', 'an audio stream', 'none');
+    } else {
+      if (!profile.audioCodecs.includes(info.audio.codec)) {
+        mismatch('audio.codec', profile.audioCodecs.join(' | '), info.audio.codec);
+      }
+      if (info.audio.channels !== profile.audioChannels) {
+        mismatch('audio.channels', profile.audioChannels, info.audio.channels);
+      }
+      if (info.audio.sampleRate !== profile.sampleRate) {
+        mismatch('audio.sampleRate', profile.sampleRate, info.audio.sampleRate);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check probed layer media (image or video), returns a list of problems
+   */
+  checkLayer(info) {
+    const problems = [];
+
+    if (!info.video) {
+      problems.push({ property: 'video', expected: 'a video or image stream', actual: 'none', message: 'video is none, expected a video or image stream' });
+    } else if (info.video.width > CONFIG.media.width || info.video.height > CONFIG.media.height) {
+      const expected = `at most ${CONFIG.media.width}x${CONFIG.media.height}`;
+      const actual = `${info.video.width}x${info.video.height}`;
+      problems.push({ property: 'video.resolution', expected, actual, message: `video.resolution is ${actual}, expected ${expected}` });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate a content or layer file
+   * Returns { valid, error, problems, info }
+   */
+  async validate(filePath, kind = 'content') {
+    if (!this.isEnabled()) {
+      return { valid: true, problems: [], info: null };
+    }
+
+    if (!fs.existsSync(filePath)) {
+      return {
+        valid: false,
+        error: `File does not exist: ${filePath}`,
+        problems: [{ property: 'file', expected: 'an existing file', actual: 'missing', message: 'file is missing' }],
+        info: null
+      };
+    }
+
+    let info;
+    try {
+      info = await this.probe(filePath);
+    } catch (error) {
+      logger.warn(`Failed to probe ${filePath}:`, error.message);
+      return {
+        valid: false,
+        error: `File could not be probed: ${error.message}`,
+        problems: [{ property: 'file', expected: 'readable media', actual: 'unreadable', message: error.message }],
+        info: null
+      };
+    }
+
+    const problems = kind === 'layer' ? this.checkLayer(info) : this.checkContent(info);
+    if (problems.length > 0) {
+      logger.warn(`Rejected incompatible ${kind} media ${filePath}: ${problems.map(p => p.message).join('; ')}`);
+      return {
+        valid: false,
+        error: `Incompatible ${kind} media: ${problems.map(p => p.message).join('; ')}`,
+        problems,
+        info
+      };
+    }
+
+    return { valid: true, problems: [], info };
+  }
+
+  /**
+   * Validate the media file referenced by an update action (content or layer)
+   * Returns null for actions that do not reference a file
+   */
+  async validateAction(type, data) {
+    switch (type) {
+      case 'content':
+        return this.validate(data, 'content');
+      case 'layer':
+        return data.clear ? null : this.validate(data.path, 'layer');
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = MediaProbeService;
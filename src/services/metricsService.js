@@ -0,0 +1,276 @@
+/**
+ * Metrics Service
+ * Prometheus metrics registry and text exposition format
+ */
+
+'use strict';
+
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+// Request latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {name="value",...} (empty string without labels)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity +Inf/-Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames, buckets) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+
+    // Unlabelled counters and gauges start at 0 so they are scraped before the first event
+    if (labelNames.length === 0 && type !== 'histogram') {
+      this.getSeries({});
+    }
+  }
+
+  /**
+   * Get the series for a label set, creating it on first use
+   */
+  getSeries(labels) {
+    const labelValues = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = labelValues.join('\u0000');
+
+    if (!this.series.has(key)) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, i) => {
+        seriesLabels[name] = labelValues[i];
+      });
+      this.series.set(key, this.type === 'histogram' ?
+        { key, labels: seriesLabels, counts: this.buckets.map(() => 0), sum: 0, count: 0 } :
+        { key, labels: seriesLabels, value: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Increase a counter or gauge
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+
+  /**
+   * Set a gauge (or a counter tracked by a service), null removes the series
+   */
+  set(labels, value) {
+    const series = this.getSeries(labels);
+    if (value === null || value === undefined) {
+      this.series.delete(series.key);
+    } else {
+      series.value = value;
+    }
+  }
+
+  /**
+   * Record a histogram observation
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Render the metric family in the text format
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+    for (const series of this.series.values()) {
+      if (this.type === 'histogram') {
+        this.buckets.forEach((bound, i) => {
+          lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+        });
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+      } else {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+class MetricsService {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Check if the metrics endpoint is enabled
+   */
+  isEnabled() {
+    return CONFIG.metrics.enabled;
+  }
+
+  /**
+   * Register (or get the already registered) counter
+   */
+  counter(name, help, labelNames = []) {
+    return this.register('counter', name, help, labelNames);
+  }
+
+  /**
+   * Register (or get the already registered) gauge
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Register (or get the already registered) histogram
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register('histogram', name, help, labelNames, buckets);
+  }
+
+  /**
+   * Register a metric family under the configured prefix
+   */
+  register(type, name, help, labelNames, buckets = null) {
+    const fullName = `${CONFIG.metrics.prefix}${name}`;
+    const existing = this.metrics.get(fullName);
+
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new Metric(type, fullName, help, labelNames, buckets);
+    this.metrics.set(fullName, metric);
+    return metric;
+  }
+
+  /**
+   * Add a function that updates metrics from service state before each scrape
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Read the in-memory state of the streaming services at scrape time
+   */
+  instrumentServices({ ffmpegService, hlsService, zmqService, fifoService, healthService = null }) {
+    const ffmpegUp = this.gauge('ffmpeg_up', 'Whether the FFmpeg process is running');
+    const ffmpegRestarts = this.counter('ffmpeg_restarts_total', 'FFmpeg restarts after unexpected exits');
+    const ffmpegFps = this.gauge('ffmpeg_fps', 'Frames per second encoded by FFmpeg');
+    const ffmpegSpeed = this.gauge('ffmpeg_speed', 'FFmpeg encoding speed relative to real time');
+    const ffmpegBitrate = this.gauge('ffmpeg_bitrate_kbps', 'FFmpeg output bitrate in kbit/s');
+    const ffmpegDropped = this.gauge('ffmpeg_dropped_frames', 'Frames dropped by the current FFmpeg process');
+    const ffmpegDuplicated = this.gauge('ffmpeg_duplicated_frames', 'Frames duplicated by the current FFmpeg process');
+    const ffmpegSlow = this.gauge('ffmpeg_slow', 'Whether FFmpeg is encoding slower than real time');
+
+    this.addCollector(() => {
+      const { current, summary } = ffmpegService.getEncoderMetrics();
+      ffmpegUp.set({}, ffmpegService.isRunning() ? 1 : 0);
+      ffmpegRestarts.set({}, ffmpegService.getProcessStatus().restartCount);
+      ffmpegFps.set({}, current ? current.fps : null);
+      ffmpegSpeed.set({}, current ? current.speed : null);
+      ffmpegBitrate.set({}, current ? current.bitrate : null);
+      ffmpegDropped.set({}, current ? current.dropFrames : null);
+      ffmpegDuplicated.set({}, current ? current.dupFrames : null);
+      ffmpegSlow.set({}, summary.slow ? 1 : 0);
+    });
+
+    const hlsSegments = this.gauge('hls_segments', 'HLS segments currently in the output directory');
+    const hlsSegmentsCreated = this.counter('hls_segments_created_total', 'HLS segments written by FFmpeg');
+    const hlsSegmentAge = this.gauge('hls_newest_segment_age_seconds', 'Seconds since the newest HLS segment was written');
+
+    this.addCollector(() => {
+      const stats = hlsService.getSegmentStats();
+      hlsSegments.set({}, stats.count);
+      hlsSegmentsCreated.set({}, stats.created);
+      hlsSegmentAge.set({}, stats.newestAt ? (Date.now() - stats.newestAt) / 1000 : null);
+    });
+
+    if (healthService) {
+      const hlsStalled = this.gauge('hls_stalled', 'Whether the HLS playlist stopped advancing');
+      const hlsStallRestarts = this.counter('hls_stall_restarts_total', 'FFmpeg restarts triggered by a stalled playlist');
+
+      this.addCollector(() => {
+        const health = healthService.evaluate();
+        hlsStalled.set({}, health.state === 'stalled' ? 1 : 0);
+        hlsStallRestarts.set({}, health.stallRestarts);
+      });
+    }
+
+    const zmqMessages = this.counter('zmq_messages_total', 'ZeroMQ filter commands by result', ['result']);
+
+    this.addCollector(() => {
+      const counts = zmqService.getMessageCounts();
+      zmqMessages.set({ result: 'sent' }, counts.sent);
+      zmqMessages.set({ result: 'failed' }, counts.failed);
+    });
+
+    const fifoWrites = this.counter('fifo_writes_total', 'Writes to the content and layer FIFOs by result', ['fifo', 'result']);
+
+    this.addCollector(() => {
+      Object.entries(fifoService.getWriteCounts()).forEach(([fifo, counts]) => {
+        fifoWrites.set({ fifo, result: 'success' }, counts.success);
+        fifoWrites.set({ fifo, result: 'failed' }, counts.failed);
+      });
+    });
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  render() {
+    this.collectors.forEach(collector => {
+      try {
+        collector();
+      } catch (error) {
+        logger.warn('Metrics collector failed:', error.message);
+      }
+    });
+
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = MetricsService;
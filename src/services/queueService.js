@@ -0,0 +1,294 @@
+/**
+ * Queue Service
+ * Server-side content queue that feeds the main content FIFO
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+class QueueService {
+  constructor(fifoService) {
+    this.fifoService = fifoService;
+    this.items = [];
+    this.nowPlaying = null;
+    this.cued = null;
+    this.history = [];
+    this.loop = false;
+    this.started = false;
+  }
+
+  /**
+   * Load persisted queue state from disk
+   * Items that were playing or cued when the process stopped are queued again first
+   */
+  load() {
+    try {
+      if (!fs.existsSync(CONFIG.queue.stateFile)) {
+        return;
+      }
+
+      const state = JSON.parse(fs.readFileSync(CONFIG.queue.stateFile, 'utf8'));
+      const interrupted = [state.nowPlaying, state.cued].filter(Boolean);
+
+      this.items = [...interrupted, ...(state.items || [])];
+      this.history = state.history || [];
+      this.loop = Boolean(state.loop);
+
+      logger.info(`Loaded content queue with ${this.items.length} items`);
+    } catch (error) {
+      logger.warn('Failed to load content queue:', error.message);
+    }
+  }
+
+  /**
+   * Persist queue state to disk
+   */
+  save() {
+    try {
+      const stateDir = path.dirname(CONFIG.queue.stateFile);
+      if (!fs.existsSync(stateDir)) {
+        fs.mkdirSync(stateDir, { recursive: true });
+      }
+
+      fs.writeFileSync(CONFIG.queue.stateFile, JSON.stringify({
+        nowPlaying: this.nowPlaying,
+        cued: this.cued,
+        items: this.items,
+        history: this.history,
+        loop: this.loop
+      }, null, 2));
+    } catch (error) {
+      logger.warn('Failed to save content queue:', error.message);
+    }
+  }
+
+  /**
+   * Start feeding queued items to the content FIFO
+   */
+  start() {
+    this.started = true;
+    this.feed();
+  }
+
+  /**
+   * Stop feeding queued items
+   */
+  stop() {
+    this.started = false;
+  }
+
+  /**
+   * Create a queue item
+   */
+  createItem(filePath) {
+    return {
+      id: crypto.randomBytes(8).toString('hex'),
+      path: filePath,
+      addedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add an item to the end of the queue
+   */
+  enqueue(filePath) {
+    const item = this.createItem(filePath);
+    this.items.push(item);
+    this.save();
+    logger.info(`Queued content: ${filePath}`);
+    this.feed();
+    return item;
+  }
+
+  /**
+   * Add an item to the front of the queue
+   */
+  insertNext(filePath) {
+    const item = this.createItem(filePath);
+    this.items.unshift(item);
+    this.save();
+    logger.info(`Queued content next: ${filePath}`);
+    this.feed();
+    return item;
+  }
+
+  /**
+   * Remove an upcoming item, returns the removed item or null
+   */
+  remove(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    this.save();
+    logger.info(`Removed queued content: ${item.path}`);
+    return item;
+  }
+
+  /**
+   * Move an upcoming item to a new position
+   */
+  reorder(id, newIndex) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [item] = this.items.splice(index, 1);
+    const target = Math.max(0, Math.min(newIndex, this.items.length));
+    this.items.splice(target, 0, item);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove all upcoming items, returns the number of removed items
+   */
+  clear() {
+    const count = this.items.length;
+    this.items = [];
+    this.save();
+    logger.info(`Cleared ${count} queued items`);
+    return count;
+  }
+
+  /**
+   * Enable or disable looping over the whole queue
+   */
+  setLoop(enabled) {
+    this.loop = Boolean(enabled);
+    this.save();
+  }
+
+  /**
+   * Shuffle upcoming items
+   */
+  shuffle() {
+    for (let i = this.items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+    }
+    this.save();
+  }
+
+  /**
+   * Check if there are items waiting to be played
+   */
+  hasItems() {
+    return this.items.length > 0;
+  }
+
+  /**
+   * Cue the next item in the content FIFO
+   * Only one item is cued at a time: the FIFO write completes once FFmpeg reads it,
+   * which is when the cued item becomes the one playing
+   */
+  async feed() {
+    if (!this.started || this.cued || this.items.length === 0) {
+      return;
+    }
+
+    const item = this.items.shift();
+    this.cued = item;
+    this.save();
+
+    const written = await this.fifoService.writeContent(item.path, () => this.onConsumed(item));
+    if (!written) {
+      logger.warn(`Skipping queued content that could not be written: ${item.path}`);
+      this.cued = null;
+      this.save();
+      this.feed();
+    }
+  }
+
+  /**
+   * Handle FFmpeg picking up the cued item
+   */
+  onConsumed(item) {
+    this.finishNowPlaying();
+    this.nowPlaying = { ...item, startedAt: new Date().toISOString() };
+    this.cued = null;
+
+    if (this.loop) {
+      this.items.push(item);
+    }
+
+    this.save();
+    logger.info(`Now playing: ${item.path}`);
+    this.feed();
+  }
+
+  /**
+   * Handle the content feeder falling back to the slate: the item playing has finished
+   * and nothing from the queue plays until the next item is consumed
+   */
+  onSlate() {
+    this.replaceNowPlaying('slate playing');
+  }
+
+  /**
+   * Handle a clip starting in the content feeder: the item playing has been replaced
+   * A clip the queue cued becomes the item playing right after, through onConsumed
+   */
+  onClipStarted(filePath) {
+    this.replaceNowPlaying(`replaced by ${filePath}`);
+  }
+
+  /**
+   * Move the item playing to the history when something else takes over
+   */
+  replaceNowPlaying(reason) {
+    if (!this.nowPlaying) {
+      return;
+    }
+
+    logger.info(`Finished playing: ${this.nowPlaying.path}, ${reason}`);
+    this.finishNowPlaying();
+    this.save();
+  }
+
+  /**
+   * Move the item playing to the history
+   */
+  finishNowPlaying() {
+    if (this.nowPlaying) {
+      this.history.unshift({ ...this.nowPlaying, finishedAt: new Date().toISOString() });
+      this.history = this.history.slice(0, CONFIG.queue.historySize);
+      this.nowPlaying = null;
+    }
+  }
+
+  /**
+   * Get the full queue state
+   */
+  getState() {
+    return {
+      nowPlaying: this.nowPlaying,
+      cued: this.cued,
+      upcoming: [...this.items],
+      history: [...this.history],
+      loop: this.loop
+    };
+  }
+
+  /**
+   * Get a short summary for status reporting
+   */
+  getStatus(limit = 5) {
+    return {
+      nowPlaying: this.nowPlaying,
+      upcoming: [this.cued, ...this.items].filter(Boolean).slice(0, limit),
+      length: this.items.length + (this.cued ? 1 : 0),
+      loop: this.loop
+    };
+  }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,302 @@
+/**
+ * Scheduler Service
+ * Wall-clock schedule (EPG) that fires content, layer and filter actions at set times
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Escape text for XML element content and attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a date as an XMLTV timestamp (YYYYMMDDhhmmss +0000)
+ */
+function formatXmltvDate(date) {
+  return `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)} +0000`;
+}
+
+class SchedulerService {
+  constructor(fifoService, zmqService, layoutService) {
+    this.fifoService = fifoService;
+    this.zmqService = zmqService;
+    this.layoutService = layoutService;
+    this.entries = [];
+    this.tickInterval = null;
+  }
+
+  /**
+   * Load the persisted schedule from disk
+   */
+  load() {
+    try {
+      if (!fs.existsSync(CONFIG.schedule.file)) {
+        return;
+      }
+
+      const state = JSON.parse(fs.readFileSync(CONFIG.schedule.file, 'utf8'));
+      this.entries = state.entries || [];
+      logger.info(`Loaded schedule with ${this.entries.length} entries`);
+    } catch (error) {
+      logger.warn('Failed to load schedule:', error.message);
+    }
+  }
+
+  /**
+   * Persist the schedule to disk
+   */
+  save() {
+    try {
+      const scheduleDir = path.dirname(CONFIG.schedule.file);
+      if (!fs.existsSync(scheduleDir)) {
+        fs.mkdirSync(scheduleDir, { recursive: true });
+      }
+
+      fs.writeFileSync(CONFIG.schedule.file, JSON.stringify({ entries: this.entries }, null, 2));
+    } catch (error) {
+      logger.warn('Failed to save schedule:', error.message);
+    }
+  }
+
+  /**
+   * Start checking for due entries
+   */
+  start() {
+    // Entries that ended while the process was down are not replayed, and entries it went
+    // down in the middle of executing are not retried
+    const now = Date.now();
+    let missed = 0;
+    let interrupted = 0;
+    for (const entry of this.entries) {
+      if (entry.status === 'pending' && this.getEndTime(entry) <= now) {
+        entry.status = 'missed';
+        missed++;
+      } else if (entry.status === 'running') {
+        entry.status = 'failed';
+        interrupted++;
+      }
+    }
+    if (missed > 0) {
+      logger.warn(`Marked ${missed} schedule entries as missed`);
+    }
+    if (interrupted > 0) {
+      logger.warn(`Marked ${interrupted} interrupted schedule entries as failed`);
+    }
+    if (missed > 0 || interrupted > 0) {
+      this.save();
+    }
+
+    this.tickInterval = setInterval(() => {
+      this.tick();
+    }, CONFIG.schedule.tickInterval);
+
+    logger.info('Started schedule');
+  }
+
+  /**
+   * Stop checking for due entries
+   */
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+      logger.info('Stopped schedule');
+    }
+  }
+
+  /**
+   * Get the end time of an entry in milliseconds
+   */
+  getEndTime(entry) {
+    return Date.parse(entry.start) + entry.duration * 1000;
+  }
+
+  /**
+   * Sort entries by start time
+   */
+  sortEntries() {
+    this.entries.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+
+  /**
+   * List entries, optionally limited to those overlapping [from, to]
+   */
+  list(from = null, to = null) {
+    return this.entries.filter(entry => {
+      if (from !== null && this.getEndTime(entry) <= from) {
+        return false;
+      }
+      if (to !== null && Date.parse(entry.start) >= to) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Get an entry by id
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Create a schedule entry
+   */
+  create({ start, duration, action, title = null, description = null }) {
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      start: new Date(start).toISOString(),
+      duration,
+      action: { type: action.type, data: action.data },
+      title,
+      description,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    this.entries.push(entry);
+    this.sortEntries();
+    this.save();
+    logger.info(`Scheduled ${action.type} action at ${entry.start}`);
+    return entry;
+  }
+
+  /**
+   * Update a pending entry, returns the updated entry or null if it cannot be changed
+   */
+  update(id, changes) {
+    const entry = this.get(id);
+    if (!entry || entry.status !== 'pending') {
+      return null;
+    }
+
+    if (changes.start !== undefined) {
+      entry.start = new Date(changes.start).toISOString();
+    }
+    if (changes.duration !== undefined) {
+      entry.duration = changes.duration;
+    }
+    if (changes.action !== undefined) {
+      entry.action = { type: changes.action.type, data: changes.action.data };
+    }
+    if (changes.title !== undefined) {
+      entry.title = changes.title;
+    }
+    if (changes.description !== undefined) {
+      entry.description = changes.description;
+    }
+
+    this.sortEntries();
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Remove an entry, returns the removed entry or null
+   */
+  remove(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [entry] = this.entries.splice(index, 1);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Execute all pending entries that are due
+   */
+  async tick(now = Date.now()) {
+    const due = this.entries.filter(entry => entry.status === 'pending' && Date.parse(entry.start) <= now);
+
+    for (const entry of due) {
+      entry.status = 'running';
+      const result = await this.execute(entry);
+      entry.status = result ? 'done' : 'failed';
+      entry.executedAt = new Date().toISOString();
+    }
+
+    if (due.length > 0) {
+      this.save();
+    }
+  }
+
+  /**
+   * Execute an entry's action through the FIFO, layout or ZeroMQ services
+   */
+  async execute(entry) {
+    const { type, data } = entry.action;
+    logger.info(`Executing scheduled ${type} action ${entry.id}`);
+
+    try {
+      switch (type) {
+        case 'content':
+          // Switch right away like /api/update, so entries start at their listed time
+          return await this.fifoService.switchContent(data);
+        case 'layer':
+          // Same path as the layer API, so the layer is also shown or hidden and (un)muted
+          return Boolean(data.clear ?
+            await this.layoutService.clearLayerSource(data.index) :
+            await this.layoutService.setLayerSource(data.index, data.path));
+        case 'filter':
+          return await this.zmqService.sendInstruction(data.command);
+        default:
+          logger.error(`Unknown scheduled action type: ${type}`);
+          return false;
+      }
+    } catch (error) {
+      logger.error(`Scheduled action ${entry.id} failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Export content entries as an XMLTV document
+   */
+  toXmltv() {
+    const channelId = escapeXml(CONFIG.schedule.channelId);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+      '<tv generator-info-name="custom-hls-streamer">',
+      `  <channel id="${channelId}">`,
+      `    <display-name>${escapeXml(CONFIG.schedule.channelName)}</display-name>`,
+      '  </channel>'
+    ];
+
+    for (const entry of this.entries.filter(item => item.action.type === 'content')) {
+      const start = new Date(entry.start);
+      const stop = new Date(this.getEndTime(entry));
+      const title = entry.title || path.basename(entry.action.data);
+
+      lines.push(`  <programme start="${formatXmltvDate(start)}" stop="${formatXmltvDate(stop)}" channel="${channelId}">`);
+      lines.push(`    <title>${escapeXml(title)}</title>`);
+      if (entry.description) {
+        lines.push(`    <desc>${escapeXml(entry.description)}</desc>`);
+      }
+      lines.push('  </programme>');
+    }
+
+    lines.push('</tv>');
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,190 @@
+/**
+ * Text Layer Service
+ * Named drawtext layers (titles, lower thirds, clocks, crawls) drawn over the stream,
+ * updated live over ZeroMQ with drawtext's reinit command
+ */
+
+'use strict';
+
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+const { TEXT_TEMPLATES, buildTextLayer, validateTextLayer, textPosition, drawtextOptions } = require('../utils/text');
+const { quoteArgument } = require('../utils/zmq');
+
+class TextLayerService {
+  constructor(zmqService = null) {
+    this.zmqService = zmqService;
+    this.rebuildListeners = new Set();
+    // Text layers by name, in the order they are drawn (later ones on top)
+    this.layers = new Map();
+    CONFIG.text.layers.forEach(({ name, ...fields }) => {
+      this.layers.set(name, buildTextLayer(name, fields, CONFIG.text.fontFile));
+    });
+  }
+
+  /**
+   * Filter instance name of a text layer
+   */
+  getInstance(name) {
+    return `text_${name}`;
+  }
+
+  /**
+   * Describe a text layer with its filter instance and generated drawtext options
+   */
+  describeLayer(layer) {
+    return {
+      ...layer,
+      instance: this.getInstance(layer.name),
+      expressions: textPosition(layer),
+      options: drawtextOptions(layer)
+    };
+  }
+
+  /**
+   * Get a text layer (null for unknown layers)
+   */
+  getLayer(name) {
+    const layer = this.layers.get(name);
+    return layer ? this.describeLayer(layer) : null;
+  }
+
+  /**
+   * Get every text layer in drawing order
+   */
+  getLayers() {
+    return [...this.layers.values()].map(layer => this.describeLayer(layer));
+  }
+
+  /**
+   * Get the built-in templates with the defaults a layer starts from
+   */
+  getTemplates() {
+    return Object.entries(TEXT_TEMPLATES).map(([name, template]) => ({
+      name,
+      description: template.description,
+      defaults: template.defaults
+    }));
+  }
+
+  /**
+   * Create a text layer, or replace every field of an existing one
+   * Returns { layer, method, commands }, or { errors } when the fields do not make a valid layer
+   */
+  async setLayer(name, fields) {
+    const layer = buildTextLayer(name, fields, CONFIG.text.fontFile);
+    const validation = validateTextLayer(layer);
+    if (!validation.valid) {
+      return { errors: validation.errors };
+    }
+
+    const before = this.layers.get(name);
+    this.layers.set(name, layer);
+
+    if (!before) {
+      // A new drawtext instance needs a new filter graph
+      return this.finishUpdate(name, this.requestRebuild(`text layer ${name} added`) ? 'rebuild' : 'deferred', []);
+    }
+    return this.apply(before, layer);
+  }
+
+  /**
+   * Change some fields of a text layer
+   * Returns { layer, method, commands }, { errors } when the result is not a valid layer, null for unknown layers
+   */
+  async updateLayer(name, changes) {
+    const before = this.layers.get(name);
+    if (!before) {
+      return null;
+    }
+
+    const layer = { ...before, ...changes, name };
+    const validation = validateTextLayer(layer);
+    if (!validation.valid) {
+      return { errors: validation.errors };
+    }
+
+    this.layers.set(name, layer);
+    return this.apply(before, layer);
+  }
+
+  /**
+   * Remove a text layer from the filter graph
+   * Returns { method } (null for unknown layers)
+   */
+  removeLayer(name) {
+    if (!this.layers.delete(name)) {
+      return null;
+    }
+
+    const method = this.requestRebuild(`text layer ${name} removed`) ? 'rebuild' : 'deferred';
+    logger.info(`Text layer ${name} removed (${method})`);
+    return { method };
+  }
+
+  /**
+   * Apply a changed text layer: a drawtext reinit over ZeroMQ, or a filter graph rebuild
+   * when there is no running FFmpeg to take it or it rejects the command
+   */
+  async apply(before, after) {
+    const options = drawtextOptions(after);
+    if (options === drawtextOptions(before)) {
+      return this.finishUpdate(after.name, 'unchanged', []);
+    }
+
+    if (before.fontFile && !after.fontFile) {
+      // reinit keeps the options it is not given, so going back to the default font takes a new graph
+      return this.finishUpdate(after.name, this.requestRebuild(`text layer ${after.name} font`) ? 'rebuild' : 'deferred', []);
+    }
+
+    const command = `${this.getInstance(after.name)} reinit ${quoteArgument(options)}`;
+    const reply = this.zmqService ?
+      await this.zmqService.sendCommand(command) :
+      { success: false, code: null, error: 'ZeroMQ not available', data: null };
+    const results = [{ command, success: reply.success, code: reply.code, error: reply.error }];
+
+    if (!reply.success) {
+      logger.warn(`Text layer ${after.name} not updated live (${reply.error}), rebuilding the filter graph`);
+      return this.finishUpdate(after.name, this.requestRebuild(`text layer ${after.name}`) ? 'rebuild' : 'deferred', results);
+    }
+
+    return this.finishUpdate(after.name, 'zmq', results);
+  }
+
+  /**
+   * Log and describe the outcome of a text layer change
+   */
+  finishUpdate(name, method, commands) {
+    logger.info(`Text layer ${name} updated (${method})`);
+    return {
+      layer: this.getLayer(name),
+      method,
+      commands
+    };
+  }
+
+  /**
+   * Ask for a filter graph rebuild, true when a running FFmpeg is being rebuilt
+   */
+  requestRebuild(reason) {
+    const results = [...this.rebuildListeners].map(listener => {
+      try {
+        return listener(reason) === true;
+      } catch (error) {
+        logger.warn('Error notifying text layer rebuild listener:', error.message);
+        return false;
+      }
+    });
+    return results.includes(true);
+  }
+
+  /**
+   * Subscribe to filter graph rebuild requests
+   */
+  onRebuild(callback) {
+    this.rebuildListeners.add(callback);
+    return () => this.rebuildListeners.delete(callback);
+  }
+}
+
+module.exports = TextLayerService;
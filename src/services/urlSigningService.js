@@ -0,0 +1,109 @@
+/**
+ * URL Signing Service
+ * HMAC-signed, expiring tokens for HLS playlist and segment URLs
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { CONFIG } = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Normalize IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) to plain IPv4
+ */
+function normalizeIp(ip) {
+  return ip ? ip.replace(/^::ffff:/, '') : '';
+}
+
+class UrlSigningService {
+  constructor() {
+    this.secret = null;
+  }
+
+  /**
+   * Check if /hls requires signed URLs
+   */
+  isEnabled() {
+    return CONFIG.hls.signing.enabled;
+  }
+
+  /**
+   * Get the signing secret
+   * Without HLS_SIGNING_SECRET a random one is used, so tokens do not survive a restart
+   */
+  getSecret() {
+    if (!this.secret) {
+      this.secret = CONFIG.hls.signing.secret;
+      if (!this.secret) {
+        this.secret = crypto.randomBytes(32).toString('hex');
+        logger.warn('HLS_SIGNING_SECRET is not set, using a random secret (signed URLs expire on restart)');
+      }
+    }
+    return this.secret;
+  }
+
+  /**
+   * Compute the signature for an expiry time and an optional client IP
+   */
+  computeSignature(expires, ip) {
+    return crypto.createHmac('sha256', this.getSecret())
+      .update(`${expires}|${normalizeIp(ip)}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Create a token (<expires>.<ip bound flag>.<signature>) valid for ttl seconds
+   */
+  createToken({ ttl = CONFIG.hls.signing.defaultTtl, ip = null } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const token = `${expires}.${ip ? 1 : 0}.${this.computeSignature(expires, ip)}`;
+    return {
+      token,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a token for a request from the given client IP
+   */
+  verifyToken(token, clientIp) {
+    if (!token || typeof token !== 'string') {
+      return { valid: false, error: 'Missing stream token' };
+    }
+
+    const match = token.match(/^(\d+)\.([01])\.([A-Za-z0-9_-]+)$/);
+    if (!match) {
+      return { valid: false, error: 'Malformed stream token' };
+    }
+
+    const expires = parseInt(match[1]);
+    const ipBound = match[2] === '1';
+    const expected = Buffer.from(this.computeSignature(expires, ipBound ? clientIp : null));
+    const signature = Buffer.from(match[3]);
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return { valid: false, error: ipBound ? 'Invalid stream token or client address' : 'Invalid stream token' };
+    }
+
+    if (expires * 1000 <= Date.now()) {
+      return { valid: false, expired: true, error: 'Stream token has expired' };
+    }
+
+    return { valid: true, expires, ipBound };
+  }
+
+  /**
+   * Append a fresh token to a URL
+   */
+  signUrl(url, options = {}) {
+    const { token, expiresAt } = this.createToken(options);
+    const separator = url.includes('?') ? '&' : '?';
+    return {
+      url: `${url}${separator}token=${token}`,
+      expiresAt
+    };
+  }
+}
+
+module.exports = UrlSigningService;
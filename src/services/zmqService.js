@@ -9,25 +9,53 @@ const zmq = require('zeromq');
 const { CONFIG } = require('../config');
 const logger = require('../utils/logger');
 
+/**
+ * Parse the zmq filter's reply: "<code> <error text>" followed by optional response data
+ */
+function parseReply(reply) {
+  const [statusLine, ...dataLines] = String(reply).split('\n');
+  const match = statusLine.match(/^\s*(-?\d+)\s*(.*)$/);
+
+  if (!match) {
+    return { code: null, error: statusLine.trim() || 'Unparseable reply', data: dataLines.join('\n') || null };
+  }
+
+  return {
+    code: parseInt(match[1], 10),
+    error: match[2].trim(),
+    data: dataLines.join('\n') || null
+  };
+}
+
 class ZmqService {
   constructor() {
     this.socket = null;
     this.logBuffer = [];
     this.maxLogBuffer = 1000;
     this.logListeners = new Set();
+    this.messageCounts = { sent: 0, failed: 0 };
+    this.pending = Promise.resolve();
   }
 
   /**
-   * Initialize ZeroMQ socket
+   * Initialize the ZeroMQ request socket connected to the zmq filter's bind address
    */
   async initialize() {
     try {
-      this.socket = new zmq.Push();
-      const zmqAddress = `${CONFIG.zmq.protocol}://localhost:${CONFIG.zmq.port}`;
-
-      await this.socket.bind(zmqAddress);
-      logger.info(`ZeroMQ socket bound to ${zmqAddress}`);
-      this.addToLogBuffer('system', `Socket bound to ${zmqAddress}`);
+      // Relaxed + correlate: a command that timed out does not block the next one,
+      // and its late reply is discarded instead of answering the next command
+      this.socket = new zmq.Request({
+        receiveTimeout: CONFIG.zmq.timeout,
+        sendTimeout: CONFIG.zmq.timeout,
+        linger: 0,
+        relaxed: true,
+        correlate: true
+      });
+      const zmqAddress = `${CONFIG.zmq.protocol}://${CONFIG.zmq.host}:${CONFIG.zmq.port}`;
+
+      this.socket.connect(zmqAddress);
+      logger.info(`ZeroMQ socket connected to ${zmqAddress}`);
+      this.addToLogBuffer('system', `Socket connected to ${zmqAddress}`);
 
       return this.socket;
     } catch (error) {
@@ -38,25 +66,63 @@ class ZmqService {
   }
 
   /**
-   * Send instruction to FFmpeg via ZeroMQ
+   * Send a command to the zmq filter and wait for its reply: { success, code, error, data }
+   */
+  sendCommand(command) {
+    // REQ sockets allow one request in flight, so commands are queued
+    const result = this.pending.then(() => this.request(command));
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Send instruction to FFmpeg via ZeroMQ, true when the filter accepted it
    */
   async sendInstruction(command) {
+    const result = await this.sendCommand(command);
+    return result.success;
+  }
+
+  /**
+   * Send one command and parse the reply
+   */
+  async request(command) {
     if (!this.socket) {
       logger.error('ZeroMQ socket not initialized');
-       this.addToLogBuffer('error', 'Socket not initialized');
-      return false;
+      this.addToLogBuffer('error', 'Socket not initialized');
+      this.messageCounts.failed++;
+      return { success: false, code: null, error: 'Socket not initialized', data: null };
     }
 
+    let reply;
     try {
       await this.socket.send(command);
       logger.debug(`Sent ZMQ instruction: ${command}`);
       this.addToLogBuffer('sent', command);
-      return true;
+
+      [reply] = await this.socket.receive();
     } catch (error) {
-      logger.error('Failed to send ZMQ instruction:', error.message);
-      this.addToLogBuffer('error', `Send failed: ${error.message}`);
-      return false;
+      // EAGAIN: FFmpeg did not take the command or answer it within the timeout
+      const message = error.code === 'EAGAIN' ? `No reply within ${CONFIG.zmq.timeout}ms` : error.message;
+      logger.error('Failed to send ZMQ instruction:', message);
+      this.addToLogBuffer('error', `Send failed: ${message}`);
+      this.messageCounts.failed++;
+      return { success: false, code: null, error: message, data: null };
+    }
+
+    const { code, error, data } = parseReply(reply);
+    const success = code === 0;
+
+    if (success) {
+      this.addToLogBuffer('reply', `${command} -> ${code} ${error}`);
+      this.messageCounts.sent++;
+    } else {
+      logger.warn(`ZMQ instruction rejected (${code} ${error}): ${command}`);
+      this.addToLogBuffer('error', `Rejected ${command} -> ${code} ${error}`);
+      this.messageCounts.failed++;
     }
+
+    return { success, code, error, data };
   }
 
   /**
@@ -66,6 +132,13 @@ class ZmqService {
     return this.socket !== null;
   }
 
+  /**
+   * Get the number of accepted and failed (unsent, unanswered or rejected) instructions
+   */
+  getMessageCounts() {
+    return { ...this.messageCounts };
+  }
+
   /**
    * Close ZeroMQ socket
    */
@@ -131,4 +204,4 @@ class ZmqService {
   }
 }
 
-module.exports = ZmqService;
\ No newline at end of file
+module.exports = ZmqService;
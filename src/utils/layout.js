@@ -0,0 +1,167 @@
+/**
+ * Layout Utilities
+ * Layer layout model and the FFmpeg filter expressions generated from it
+ */
+
+'use strict';
+
+// Anchor point of a layer: [horizontal, vertical] alignment within the output
+const ANCHORS = {
+  'top-left': ['start', 'start'],
+  'top': ['center', 'start'],
+  'top-right': ['end', 'start'],
+  'left': ['start', 'center'],
+  'center': ['center', 'center'],
+  'right': ['end', 'center'],
+  'bottom-left': ['start', 'end'],
+  'bottom': ['center', 'end'],
+  'bottom-right': ['end', 'end']
+};
+
+const LAYOUT_FIELDS = ['x', 'y', 'anchor', 'width', 'height', 'opacity', 'zIndex', 'visible', 'enable', 'muted'];
+
+// Timeline expressions are quoted in the filter graph, so no quotes or graph separators
+const ENABLE_PATTERN = /^[\w\s.,()+\-*/<>=!]{1,200}$/;
+
+/**
+ * Check an x/y offset: pixels or a percentage of the output size ("25%")
+ */
+function isOffset(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && /^-?\d+(\.\d+)?%$/.test(value));
+}
+
+/**
+ * Check a width/height: null keeps the source size
+ */
+function isSize(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Validate a (partial) layer layout
+ */
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    return { valid: false, error: 'Layout must be an object' };
+  }
+
+  const unknown = Object.keys(layout).find(field => !LAYOUT_FIELDS.includes(field));
+  if (unknown) {
+    return { valid: false, error: `Unknown layout field: ${unknown}. Valid fields are: ${LAYOUT_FIELDS.join(', ')}` };
+  }
+
+  for (const field of ['x', 'y']) {
+    if (field in layout && !isOffset(layout[field])) {
+      return { valid: false, error: `${field} must be a number of pixels or a percentage such as "25%"` };
+    }
+  }
+
+  if ('anchor' in layout && !ANCHORS[layout.anchor]) {
+    return { valid: false, error: `anchor must be one of: ${Object.keys(ANCHORS).join(', ')}` };
+  }
+
+  for (const field of ['width', 'height']) {
+    if (field in layout && !isSize(layout[field])) {
+      return { valid: false, error: `${field} must be a positive integer or null` };
+    }
+  }
+
+  if ('opacity' in layout && !(typeof layout.opacity === 'number' && layout.opacity >= 0 && layout.opacity <= 1)) {
+    return { valid: false, error: 'opacity must be a number between 0 and 1' };
+  }
+
+  if ('zIndex' in layout && !Number.isInteger(layout.zIndex)) {
+    return { valid: false, error: 'zIndex must be an integer' };
+  }
+
+  if ('visible' in layout && typeof layout.visible !== 'boolean') {
+    return { valid: false, error: 'visible must be a boolean' };
+  }
+
+  if ('enable' in layout && layout.enable !== null &&
+      !(typeof layout.enable === 'string' && ENABLE_PATTERN.test(layout.enable))) {
+    return { valid: false, error: 'enable must be null or an FFmpeg timeline expression such as "between(t,10,20)"' };
+  }
+
+  if ('muted' in layout && typeof layout.muted !== 'boolean') {
+    return { valid: false, error: 'muted must be a boolean' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Position expression along one axis for an alignment and offset
+ * size/overlaySize are the overlay filter variables (W/w or H/h)
+ */
+function alignedExpression(align, offset, size, overlaySize) {
+  const percent = typeof offset === 'string';
+  const amount = percent ? parseFloat(offset) : offset;
+  const magnitude = percent ? `${size}*${Math.abs(amount) / 100}` : String(Math.abs(amount));
+
+  if (align === 'start') {
+    return amount === 0 ? '0' : `${amount < 0 ? '-' : ''}${magnitude}`;
+  }
+
+  const base = align === 'center' ? `(${size}-${overlaySize})/2` : `${size}-${overlaySize}`;
+  if (amount === 0) {
+    return base;
+  }
+
+  // Offsets from the right/bottom edge move the layer inwards
+  const subtract = align === 'end' ? amount > 0 : amount < 0;
+  return `${base}${subtract ? '-' : '+'}${magnitude}`;
+}
+
+/**
+ * Overlay x/y expressions for a layer
+ */
+function overlayPosition(layer) {
+  const [horizontal, vertical] = ANCHORS[layer.anchor];
+  return {
+    x: alignedExpression(horizontal, layer.x, 'W', 'w'),
+    y: alignedExpression(vertical, layer.y, 'H', 'h')
+  };
+}
+
+/**
+ * Scale w/h expressions for a layer (-1 keeps the aspect ratio when only one side is set)
+ */
+function scaleSize(layer) {
+  if (layer.width === null && layer.height === null) {
+    return { w: 'iw', h: 'ih' };
+  }
+  return {
+    w: layer.width === null ? '-1' : String(layer.width),
+    h: layer.height === null ? '-1' : String(layer.height)
+  };
+}
+
+/**
+ * Overlay timeline expression: hidden layers are disabled, visible ones follow their enable window
+ */
+function enableExpression(layer) {
+  if (!layer.visible) {
+    return '0';
+  }
+  return layer.enable || '1';
+}
+
+/**
+ * Volume of a layer's audio in the mix: muted layers contribute silence
+ */
+function layerVolume(layer) {
+  return layer.muted ? '0' : '1';
+}
+
+module.exports = {
+  ANCHORS,
+  LAYOUT_FIELDS,
+  validateLayout,
+  alignedExpression,
+  overlayPosition,
+  scaleSize,
+  enableExpression,
+  layerVolume
+};
@@ -57,6 +57,11 @@ const logger = {
    */
   debug: (msg, ...args) => log('debug', msg, ...args),
   
+  /**
+   * Log security event (rejected access attempts and similar)
+   */
+  security: (msg, ...args) => log('warn', `[SECURITY] ${msg}`, ...args),
+  
   /**
    * Set log level
    */
@@ -0,0 +1,109 @@
+/**
+ * Playlist Utilities
+ * Minimal M3U8 media playlist parsing helpers
+ */
+
+'use strict';
+
+/**
+ * Parse the attribute list of an M3U8 tag (e.g. URI="init.mp4",BYTERANGE="...")
+ */
+function parseAttributes(value) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+
+  while ((match = pattern.exec(value)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse a media playlist into its header values and segment list
+ */
+function parseMediaPlaylist(text) {
+  const playlist = {
+    version: null,
+    targetDuration: null,
+    mediaSequence: 0,
+    map: null,
+    endList: false,
+    segments: []
+  };
+
+  let pending = {};
+  // EXT-X-KEY applies to every following segment until the next EXT-X-KEY
+  let key = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseFloat(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      playlist.map = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attributes = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+      key = attributes.METHOD === 'NONE' ? null : attributes;
+    } else if (line.startsWith('#EXTINF:')) {
+      pending.duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line === '#EXT-X-DISCONTINUITY') {
+      pending.discontinuity = true;
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (!line.startsWith('#')) {
+      playlist.segments.push({
+        sequence: playlist.mediaSequence + playlist.segments.length,
+        duration: pending.duration || 0,
+        discontinuity: Boolean(pending.discontinuity),
+        key,
+        uri: line
+      });
+      pending = {};
+    }
+  }
+
+  return playlist;
+}
+
+/**
+ * Append a query string to every relative URI in a playlist
+ * Covers segment/playlist lines and URI="..." attributes (EXT-X-MAP, EXT-X-PART, EXT-X-MEDIA, ...)
+ */
+function appendQueryToUris(text, query) {
+  const appendQuery = (uri) => {
+    // Leave absolute URLs alone so tokens never leak to other hosts
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+      return uri;
+    }
+    return `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+  };
+
+  return text.split('\n').map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return line;
+    }
+
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${appendQuery(uri)}"`);
+    }
+
+    return appendQuery(trimmed);
+  }).join('\n');
+}
+
+module.exports = {
+  parseAttributes,
+  parseMediaPlaylist,
+  appendQueryToUris
+};
@@ -0,0 +1,100 @@
+/**
+ * Schema Utilities
+ * Checks request bodies against the subset of JSON Schema the API schemas use
+ */
+
+'use strict';
+
+/**
+ * JSON Schema type of a value ('integer' also counts as 'number')
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against one or more JSON Schema types
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Collect the problems of a value against a schema, each as "<path> <problem>"
+ * Supported keywords: type, enum, properties, required, additionalProperties,
+ * minLength, maxLength, pattern, minimum, maximum
+ */
+function collectErrors(schema, value, at, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at} must be of type ${[].concat(schema.type).join(' or ')}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push(`${at}.${name} is required`);
+      }
+    });
+
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        collectErrors(properties[name], value[name], `${at}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${name} is not allowed`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * Returns { valid, errors } with every problem found
+ */
+function validateSchema(schema, value, root = 'body') {
+  const errors = [];
+  collectErrors(schema, value, root, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  validateSchema
+};
@@ -95,6 +95,16 @@ class ShutdownHandler {
         service.ffmpegService.stop();
       }
 
+      if (service.queueService && typeof service.queueService.stop === 'function') {
+        // Content queue (state is already persisted on every change)
+        service.queueService.stop();
+      }
+
+      if (service.schedulerService && typeof service.schedulerService.stop === 'function') {
+        // Schedule (entries are already persisted on every change)
+        service.schedulerService.stop();
+      }
+
       if (service.zmqService && typeof service.zmqService.close === 'function') {
         // ZMQ service
         shutdownPromises.push(service.zmqService.close());
@@ -105,14 +115,32 @@ class ShutdownHandler {
         service.fifoService.cleanup();
       }
 
+      if (service.healthService && typeof service.healthService.stop === 'function') {
+        // Health monitoring
+        service.healthService.stop();
+      }
+
       if (service.hlsService) {
         // HLS service
         service.hlsService.stopCleanupScheduler();
+        if (typeof service.hlsService.stopSegmentWatcher === 'function') {
+          service.hlsService.stopSegmentWatcher();
+        }
         
         // Optionally clean up HLS files (comment out if you want to keep them)
         service.hlsService.cleanupAll();
       }
 
+      if (service.hlsKeyService && typeof service.hlsKeyService.stopRotation === 'function') {
+        // HLS key rotation
+        service.hlsKeyService.stopRotation();
+      }
+
+      if (service.dashService && typeof service.dashService.cleanupAll === 'function') {
+        // DASH service
+        service.dashService.cleanupAll();
+      }
+
       // Custom cleanup method
       if (typeof service.cleanup === 'function') {
         try {
@@ -0,0 +1,215 @@
+/**
+ * Text Layer Utilities
+ * Text layer model, built-in templates and the drawtext options generated from it
+ */
+
+'use strict';
+
+const { ANCHORS, alignedExpression } = require('./layout');
+const { validateSchema } = require('./schema');
+
+// Names become filter instance names (text_<name>), so they must be valid graph identifiers
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+// Colors are FFmpeg color names or hex values, optionally with an @alpha suffix
+const COLOR_PATTERN = '^(#|0x)?[A-Za-z0-9]+(@(0|1|0?\\.\\d+))?$';
+
+// Fields every text layer starts from, before its template defaults
+const TEXT_DEFAULTS = {
+  template: 'text',
+  text: '',
+  format: '%H:%M:%S',
+  fontFile: null,
+  fontSize: 36,
+  fontColor: 'white',
+  box: false,
+  boxColor: 'black@0.6',
+  boxBorder: 10,
+  anchor: 'top-left',
+  x: 20,
+  y: 20,
+  speed: 0,
+  visible: true
+};
+
+// Built-in templates: what the text shows and the defaults the layer starts from
+const TEXT_TEMPLATES = {
+  'text': {
+    description: 'Static text',
+    defaults: {}
+  },
+  'lower-third': {
+    description: 'Static text in a box over the bottom left, for names and captions',
+    defaults: { anchor: 'bottom-left', x: 60, y: 90, fontSize: 42, box: true, boxBorder: 16 }
+  },
+  'clock': {
+    description: 'The text followed by the wall clock time (strftime format)',
+    defaults: { anchor: 'top-right', x: 20, y: 20, fontSize: 32, box: true }
+  },
+  'timecode': {
+    description: 'The text followed by the stream time (HH:MM:SS.mmm)',
+    defaults: { anchor: 'top-left', x: 20, y: 20, fontSize: 32, box: true }
+  },
+  'crawl': {
+    description: 'News-style crawl: the text scrolls right to left along the bottom at speed pixels per second',
+    defaults: { anchor: 'bottom-left', x: 0, y: 20, fontSize: 32, box: true, speed: 120 }
+  }
+};
+
+// Templates that show something without any text of their own
+const GENERATED_TEMPLATES = ['clock', 'timecode'];
+
+// Request body of a text layer (PUT and PATCH /api/text/:name), every field is optional
+const TEXT_LAYER_SCHEMA = {
+  type: 'object',
+  properties: {
+    template: { type: 'string', enum: Object.keys(TEXT_TEMPLATES) },
+    text: { type: 'string', maxLength: 500 },
+    format: { type: 'string', minLength: 1, maxLength: 100 },
+    fontFile: { type: ['string', 'null'], minLength: 1, maxLength: 4096 },
+    fontSize: { type: 'integer', minimum: 4, maximum: 500 },
+    fontColor: { type: 'string', pattern: COLOR_PATTERN, maxLength: 50 },
+    box: { type: 'boolean' },
+    boxColor: { type: 'string', pattern: COLOR_PATTERN, maxLength: 50 },
+    boxBorder: { type: 'integer', minimum: 0, maximum: 200 },
+    anchor: { type: 'string', enum: Object.keys(ANCHORS) },
+    x: { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?%$' },
+    y: { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?%$' },
+    speed: { type: 'number', minimum: 0, maximum: 5000 },
+    visible: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Escape text for drawtext's own expansion of %{...} sequences and backslashes
+ */
+function escapeExpansion(value) {
+  return String(value).replace(/[\\%]/g, '\\$&');
+}
+
+/**
+ * Escape a filter option value (values end at ':' and are unquoted once)
+ */
+function escapeOption(value) {
+  return String(value).replace(/[\\':]/g, '\\$&');
+}
+
+/**
+ * Escape filter options for the filtergraph, which splits on , ; [ ] and unquotes once more
+ */
+function escapeFilterGraph(value) {
+  return String(value).replace(/[\\',;[\]]/g, '\\$&');
+}
+
+/**
+ * Escape text for a drawtext option inside a filtergraph: once for drawtext's own
+ * expansion, once for the option value and once for the filtergraph
+ */
+function escapeDrawtext(value) {
+  return escapeFilterGraph(escapeOption(escapeExpansion(value)));
+}
+
+/**
+ * Check a text layer name
+ */
+function isTextLayerName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+/**
+ * Build a complete text layer from the defaults, its template's defaults and the given fields
+ */
+function buildTextLayer(name, fields = {}, fontFile = null) {
+  const template = TEXT_TEMPLATES[fields.template] || TEXT_TEMPLATES[TEXT_DEFAULTS.template];
+  return {
+    ...TEXT_DEFAULTS,
+    fontFile,
+    ...template.defaults,
+    ...fields,
+    name
+  };
+}
+
+/**
+ * Validate the fields of a (partial) text layer
+ * Returns { valid, errors } with every problem found
+ */
+function validateTextFields(fields, root = 'body') {
+  return validateSchema(TEXT_LAYER_SCHEMA, fields, root);
+}
+
+/**
+ * Validate a complete text layer: its fields, and text for the templates that show only text
+ */
+function validateTextLayer(layer, root = 'body') {
+  const { name, ...fields } = layer;
+  const validation = validateTextFields(fields, root);
+  if (!isTextLayerName(name)) {
+    validation.errors.unshift(`${root}.name must match ${NAME_PATTERN.source}`);
+  }
+  if (!GENERATED_TEMPLATES.includes(layer.template) && !layer.text) {
+    validation.errors.push(`${root}.text is required for the ${layer.template} template`);
+  }
+  return { valid: validation.errors.length === 0, errors: validation.errors };
+}
+
+/**
+ * drawtext text of a layer, with the clock or timecode expansion of its template
+ */
+function expandedText(layer) {
+  const text = escapeExpansion(layer.text);
+  if (layer.template === 'clock') {
+    // Arguments of an expansion end at ':' or '}'
+    return `${text}%{localtime:${layer.format.replace(/[\\:}]/g, '\\$&')}}`;
+  }
+  if (layer.template === 'timecode') {
+    return `${text}%{pts:hms}`;
+  }
+  return text;
+}
+
+/**
+ * drawtext x/y expressions for a text layer (w/h is the frame, tw/th the text)
+ * A layer with a speed scrolls from the right edge to the left and starts over
+ */
+function textPosition(layer) {
+  const [horizontal, vertical] = ANCHORS[layer.anchor];
+  return {
+    x: layer.speed > 0 ? `w-mod(t*${layer.speed},w+tw)` : alignedExpression(horizontal, layer.x, 'w', 'tw'),
+    y: alignedExpression(vertical, layer.y, 'h', 'th')
+  };
+}
+
+/**
+ * drawtext options of a text layer, escaped as option values but not for the filtergraph:
+ * the form drawtext's reinit command takes
+ * Hidden layers are drawn fully transparent, so showing them again is a reinit as well
+ */
+function drawtextOptions(layer) {
+  const position = textPosition(layer);
+  return [
+    `text=${escapeOption(expandedText(layer))}`,
+    layer.fontFile ? `fontfile=${escapeOption(layer.fontFile)}` : null,
+    `fontsize=${layer.fontSize}`,
+    `fontcolor=${layer.fontColor}`,
+    `box=${layer.box ? 1 : 0}`,
+    `boxcolor=${layer.boxColor}`,
+    `boxborderw=${layer.boxBorder}`,
+    `x=${position.x}`,
+    `y=${position.y}`,
+    `alpha=${layer.visible ? 1 : 0}`
+  ].filter(Boolean).join(':');
+}
+
+module.exports = {
+  TEXT_TEMPLATES,
+  escapeFilterGraph,
+  escapeDrawtext,
+  isTextLayerName,
+  buildTextLayer,
+  validateTextFields,
+  validateTextLayer,
+  textPosition,
+  drawtextOptions
+};
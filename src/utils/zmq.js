@@ -0,0 +1,18 @@
+/**
+ * ZeroMQ Utilities
+ * Formatting for the commands the zmq filter receives
+ */
+
+'use strict';
+
+/**
+ * Quote a zmq command argument: the zmq filter reads the argument as one token that ends at a
+ * space or comma unless it is quoted
+ */
+function quoteArgument(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = {
+  quoteArgument
+};
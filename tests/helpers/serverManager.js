@@ -18,6 +18,8 @@ async function startServer(port) {
     FIFO_BASE_DIR: './test_fifos',
     FIFO_LAYERS: 'overlay1.fifo,overlay2.fifo',
     INITIAL_CONTENT: video1,
+    MEDIA_ALLOWED_ROOTS: './samples,./temp_test_files',
+    MEDIA_PROBE: 'false',
     LOG_LEVEL: 'error'
   });
 
@@ -185,6 +185,7 @@ const mockLogger = {
   warn: () => {},
   error: () => {},
   debug: () => {},
+  security: () => {},
   _logs: [],
   capture: function() {
     this._logs = [];
@@ -192,12 +193,14 @@ const mockLogger = {
     this.warn = (msg, ...args) => this._logs.push({ level: 'warn', msg, args });
     this.error = (msg, ...args) => this._logs.push({ level: 'error', msg, args });
     this.debug = (msg, ...args) => this._logs.push({ level: 'debug', msg, args });
+    this.security = (msg, ...args) => this._logs.push({ level: 'security', msg, args });
   },
   restore: function() {
     this.info = () => {};
     this.warn = () => {};
     this.error = () => {};
     this.debug = () => {};
+    this.security = () => {};
   },
   getLogs: function() {
     return this._logs;
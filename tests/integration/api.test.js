@@ -249,12 +249,31 @@ describe('API Integration Tests', () => {
           timeout: TEST_CONFIG.timeout
         }, {
           type: 'content',
-          data: '/non/existent/file.mp4'
+          data: './temp_test_files/non_existent_file.mp4'
         });
         
         assert.equal(response.statusCode, 200, 'Should return 200 status code');
         assert.isFalse(response.data.success, 'Should indicate failure');
       });
+
+      test('should reject content outside the media roots', async () => {
+        const response = await makeHttpRequest({
+          hostname: TEST_CONFIG.host,
+          port: TEST_CONFIG.port,
+          path: '/api/update',
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          timeout: TEST_CONFIG.timeout
+        }, {
+          type: 'content',
+          data: '/etc/passwd'
+        });
+        
+        assert.equal(response.statusCode, 400, 'Should return 400 status code');
+        assert.isTrue(response.data.message.includes('outside allowed directory'), 'Should explain rejection');
+      });
     });
 
     describe('Layer Updates', () => {
@@ -324,13 +343,13 @@ describe('API Integration Tests', () => {
         }, {
           type: 'filter',
           data: {
-            command: 'Parsed_overlay_1 x=100:y=200'
+            command: 'layer0_overlay x 100'
           }
         });
         
         assert.equal(response.statusCode, 200, 'Should return 200 status code');
         assert.isTrue(response.data.success, 'Should indicate success');
-        assert.isTrue(response.data.message.includes('Filter command sent'), 'Should include success message');
+        assert.isTrue(response.data.message.includes('Filter command applied'), 'Should include success message');
       });
 
       test.skip('should handle invalid filter command', async () => {
@@ -0,0 +1,76 @@
+/**
+ * API Key Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const ApiKeyController = require('../../../src/controllers/apiKeyController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('ApiKeyController', () => {
+  let apiKeyController;
+  let mockApiKeyService;
+  let mockReq;
+  let mockRes;
+
+  const record = { id: 'k1', name: 'ci', role: 'operator', createdAt: '2025-01-01T00:00:00.000Z', lastUsedAt: null };
+
+  beforeEach(() => {
+    mockApiKeyService = {
+      list: jest.fn(() => [record]),
+      create: jest.fn(() => ({ key: 'hls_secret', record })),
+      revoke: jest.fn()
+    };
+
+    apiKeyController = new ApiKeyController(mockApiKeyService);
+
+    mockReq = { body: {}, params: {} };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should list keys', () => {
+    apiKeyController.list(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should succeed');
+    assert.deepEqual(response.keys, [record], 'Should return key records');
+  });
+
+  test('should create a key and return it once with 201', () => {
+    mockReq.body = { name: 'ci', role: 'operator' };
+    apiKeyController.create(mockReq, mockRes);
+
+    expect(mockApiKeyService.create).toHaveBeenCalledWith('ci', 'operator');
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+    assert.equal(mockRes.json.mock.calls[0][0].key, 'hls_secret', 'Should return the plain key');
+  });
+
+  test('should revoke a key', () => {
+    mockApiKeyService.revoke.mockReturnValue(record);
+    mockReq.params.id = 'k1';
+    apiKeyController.revoke(mockReq, mockRes);
+
+    expect(mockApiKeyService.revoke).toHaveBeenCalledWith('k1');
+    assert.isTrue(mockRes.json.mock.calls[0][0].success, 'Should succeed');
+  });
+
+  test('should return 404 when revoking an unknown key', () => {
+    mockApiKeyService.revoke.mockReturnValue(null);
+    mockReq.params.id = 'missing';
+    apiKeyController.revoke(mockReq, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * HLS Key Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const HlsKeyController = require('../../../src/controllers/hlsKeyController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('HlsKeyController', () => {
+  let hlsKeyController;
+  let mockHlsKeyService;
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    mockHlsKeyService = {
+      getKey: jest.fn((id) => (id === '0123456789abcdef' ? Buffer.alloc(16, 1) : null))
+    };
+
+    hlsKeyController = new HlsKeyController(mockHlsKeyService);
+
+    mockReq = { params: {} };
+    mockRes = {
+      json: jest.fn(),
+      send: jest.fn(),
+      set: jest.fn(() => mockRes),
+      type: jest.fn(() => mockRes),
+      status: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should serve key bytes without caching', () => {
+    mockReq.params.id = '0123456789abcdef';
+    hlsKeyController.getKey(mockReq, mockRes);
+
+    expect(mockRes.type).toHaveBeenCalledWith('application/octet-stream');
+    expect(mockRes.set).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    assert.equal(mockRes.send.mock.calls[0][0].length, 16, 'Should send the key');
+  });
+
+  test('should return 404 for unknown keys', () => {
+    mockReq.params.id = 'ffffffffffffffff';
+    hlsKeyController.getKey(mockReq, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockRes.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Layer Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const LayerController = require('../../../src/controllers/layerController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('LayerController', () => {
+  let layerController;
+  let mockLayoutService;
+  let mockFifoService;
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    mockLayoutService = {
+      getLayers: jest.fn(() => [{ index: 0, x: 0, y: 0, anchor: 'top-left', zIndex: 0 }]),
+      getStackingOrder: jest.fn(() => [0]),
+      updateLayout: jest.fn(async (index, changes) => ({
+        layer: { index, ...changes },
+        method: 'zmq',
+        commands: [{ command: 'layer0_overlay x 10', success: true, code: 0, error: 'Success' }]
+      })),
+      setLayerSource: jest.fn(async (index, filePath, layout) => ({
+        layer: { index, visible: true, muted: false, ...layout },
+        method: 'zmq',
+        commands: []
+      })),
+      clearLayerSource: jest.fn(async index => ({
+        layer: { index, visible: false, muted: true },
+        method: 'zmq',
+        commands: []
+      }))
+    };
+
+    mockFifoService = {
+      getSource: jest.fn(() => ({ path: '/media/logo.png', updatedAt: '2024-01-01T00:00:00.000Z' }))
+    };
+
+    layerController = new LayerController(mockLayoutService, { fifoService: mockFifoService });
+
+    mockReq = { body: {}, params: {} };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should list the layers and their stacking order', () => {
+    layerController.getLayers(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.layers.length, 1, 'Should include the layers');
+    assert.deepEqual(response.stackingOrder, [0], 'Should include the stacking order');
+  });
+
+  test('should update a layer layout', async () => {
+    mockReq.params.index = '0';
+    mockReq.body = { x: 10 };
+
+    await layerController.updateLayout(mockReq, mockRes);
+
+    assert.deepEqual(mockLayoutService.updateLayout.mock.calls[0], [0, { x: 10 }], 'Should pass the index and changes');
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.method, 'zmq', 'Should report how the change was applied');
+    assert.equal(response.commands.length, 1, 'Should include the ZeroMQ replies');
+  });
+
+  test('should return 404 for unknown layers', async () => {
+    mockReq.params.index = '3';
+    mockLayoutService.updateLayout.mockResolvedValue(null);
+
+    await layerController.updateLayout(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+  });
+
+  test('should handle layout errors', async () => {
+    mockReq.params.index = '0';
+    mockLayoutService.updateLayout.mockRejectedValue(new Error('Layout failed'));
+
+    await layerController.updateLayout(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+    assert.equal(mockRes.json.mock.calls[0][0].error, 'Layout failed', 'Should include the error');
+  });
+
+  test('should include each layer source', () => {
+    layerController.getLayers(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.equal(response.layers[0].source.path, '/media/logo.png', 'Should include the layer source');
+    assert.equal(mockFifoService.getSource.mock.calls[0][0], 'layer0', 'Should read the layer FIFO source');
+  });
+
+  test('should get one layer', () => {
+    mockReq.params.index = '0';
+
+    layerController.getLayer(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.layer.index, 0, 'Should return the layer');
+    assert.equal(response.layer.source.path, '/media/logo.png', 'Should include its source');
+  });
+
+  test('should return 404 when getting an unknown layer', () => {
+    mockReq.params.index = '5';
+
+    layerController.getLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+    assert.deepEqual(mockRes.json.mock.calls[0][0], { success: false, message: 'Layer not found: 5' }, 'Should use the error body');
+  });
+
+  test('should set a layer source and show the layer with its layout', async () => {
+    mockReq.params.index = '0';
+    mockReq.body = { path: '/media/logo.png', layout: { x: 10 } };
+
+    await layerController.setLayer(mockReq, mockRes);
+
+    assert.deepEqual(mockLayoutService.setLayerSource.mock.calls[0], [0, '/media/logo.png', { x: 10 }], 'Should set the source and layout');
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.layer.source.path, '/media/logo.png', 'Should return the layer resource');
+  });
+
+  test('should reject incompatible layer media with 422', async () => {
+    const mockMediaProbeService = {
+      validateAction: jest.fn().mockResolvedValue({ valid: false, error: 'Incompatible layer media', problems: [] })
+    };
+    layerController = new LayerController(mockLayoutService, { fifoService: mockFifoService, mediaProbeService: mockMediaProbeService });
+    mockReq.params.index = '0';
+    mockReq.body = { path: '/media/clip.mov' };
+
+    await layerController.setLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 422, 'Should return 422 status');
+    assert.equal(mockLayoutService.setLayerSource.mock.calls.length, 0, 'Should not write rejected media');
+  });
+
+  test('should return 500 when the layer cannot be written', async () => {
+    mockReq.params.index = '0';
+    mockReq.body = { path: '/media/missing.png' };
+    mockLayoutService.setLayerSource.mockResolvedValue(false);
+
+    await layerController.setLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+    assert.equal(mockRes.json.mock.calls[0][0].message, 'Failed to update layer 0', 'Should name the layer');
+  });
+
+  test('should hide and mute a cleared layer and clear its source', async () => {
+    mockReq.params.index = '0';
+
+    await layerController.clearLayer(mockReq, mockRes);
+
+    assert.equal(mockLayoutService.clearLayerSource.mock.calls[0][0], 0, 'Should hide, mute and clear the layer');
+    assert.isTrue(mockRes.json.mock.calls[0][0].success, 'Should indicate success');
+  });
+
+  test('should return 500 when the layer source cannot be cleared', async () => {
+    mockReq.params.index = '0';
+    mockLayoutService.clearLayerSource.mockResolvedValue(false);
+
+    await layerController.clearLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+    assert.equal(mockRes.json.mock.calls[0][0].message, 'Failed to clear layer 0', 'Should name the layer');
+  });
+
+  test('should return 404 when clearing an unknown layer', async () => {
+    mockReq.params.index = '2';
+
+    await layerController.clearLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+    assert.equal(mockLayoutService.clearLayerSource.mock.calls.length, 0, 'Should not change the layout');
+  });
+});
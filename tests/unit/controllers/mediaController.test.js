@@ -0,0 +1,134 @@
+/**
+ * Media Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const MediaController = require('../../../src/controllers/mediaController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('MediaController', () => {
+  let mediaController;
+  let mockMediaLibraryService;
+  let mockReq;
+  let mockRes;
+  let next;
+
+  const item = { id: 'abc123', name: 'promo.mp4', kind: 'video', thumbnail: true };
+
+  beforeEach(() => {
+    mockMediaLibraryService = {
+      list: jest.fn(() => [item]),
+      get: jest.fn(),
+      add: jest.fn(async () => item),
+      remove: jest.fn(),
+      resolvePath: jest.fn((id) => (id === 'abc123' ? '/srv/media/abc123.mp4' : null))
+    };
+
+    mediaController = new MediaController(mockMediaLibraryService);
+
+    mockReq = { body: {}, params: {}, query: {} };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+    next = jest.fn();
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should list items with thumbnail URLs', () => {
+    mockReq.query = { kind: 'video' };
+
+    mediaController.list(mockReq, mockRes);
+
+    assert.equal(mockMediaLibraryService.list.mock.calls[0][0], 'video', 'Should filter by kind');
+    assert.equal(mockRes.json.mock.calls[0][0].items[0].thumbnailUrl, '/thumbnails/abc123.jpg', 'Should include thumbnail URL');
+  });
+
+  test('should upload media with 201', async () => {
+    mockReq.file = { originalname: 'promo.mp4' };
+
+    await mediaController.upload(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 201, 'Should return 201 status');
+    assert.equal(mockRes.json.mock.calls[0][0].item.id, 'abc123', 'Should return new item');
+  });
+
+  test('should reject unreadable uploads with 422', async () => {
+    mockMediaLibraryService.add.mockResolvedValue(null);
+    mockReq.file = { originalname: 'broken.mp4' };
+
+    await mediaController.upload(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 422, 'Should return 422 status');
+  });
+
+  test('should return 404 for unknown media', () => {
+    mockReq.params = { id: 'missing' };
+
+    mediaController.get(mockReq, mockRes);
+    mediaController.remove(mockReq, mockRes);
+
+    assert.deepEqual(mockRes.status.mock.calls.map(call => call[0]), [404, 404], 'Should return 404 status');
+  });
+
+  describe('resolveReferences', () => {
+    test('should resolve content and layer references to paths', () => {
+      mockReq.body = { type: 'content', data: { mediaId: 'abc123' } };
+      mediaController.resolveReferences(mockReq, mockRes, next);
+      assert.equal(mockReq.body.data, '/srv/media/abc123.mp4', 'Should resolve content path');
+
+      mockReq.body = { type: 'layer', data: { index: 1, mediaId: 'abc123' } };
+      mediaController.resolveReferences(mockReq, mockRes, next);
+      assert.deepEqual(mockReq.body.data, { index: 1, path: '/srv/media/abc123.mp4' }, 'Should resolve layer path');
+
+      assert.equal(next.mock.calls.length, 2, 'Should continue to validation');
+    });
+
+    test('should leave path-based requests untouched', () => {
+      mockReq.body = { type: 'content', data: '/videos/a.mp4' };
+
+      mediaController.resolveReferences(mockReq, mockRes, next);
+
+      assert.equal(mockReq.body.data, '/videos/a.mp4', 'Should keep path');
+      assert.equal(next.mock.calls.length, 1, 'Should continue');
+    });
+
+    test('should return 404 for unknown references', () => {
+      mockReq.body = { type: 'content', data: { mediaId: 'missing' } };
+
+      mediaController.resolveReferences(mockReq, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+      assert.equal(next.mock.calls.length, 0, 'Should not continue');
+    });
+  });
+
+  describe('resolveBodyReference', () => {
+    test('should replace a mediaId with the library path', () => {
+      mockReq.body = { mediaId: 'abc123', layout: { x: 10 } };
+
+      mediaController.resolveBodyReference(mockReq, mockRes, next);
+
+      assert.deepEqual(mockReq.body, { layout: { x: 10 }, path: '/srv/media/abc123.mp4' }, 'Should resolve the path');
+      assert.equal(next.mock.calls.length, 1, 'Should continue to validation');
+    });
+
+    test('should return 404 for unknown references', () => {
+      mockReq.body = { mediaId: 'missing' };
+
+      mediaController.resolveBodyReference(mockReq, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+      assert.equal(next.mock.calls.length, 0, 'Should not continue');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Metrics Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const MetricsController = require('../../../src/controllers/metricsController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('MetricsController', () => {
+  let metricsController;
+  let mockMetricsService;
+  let mockRes;
+
+  beforeEach(() => {
+    mockMetricsService = {
+      render: jest.fn(() => '# HELP hls_streamer_ffmpeg_up Up\n# TYPE hls_streamer_ffmpeg_up gauge\nhls_streamer_ffmpeg_up 1\n')
+    };
+
+    metricsController = new MetricsController(mockMetricsService);
+
+    mockRes = {
+      json: jest.fn(),
+      send: jest.fn(),
+      type: jest.fn(() => mockRes),
+      status: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should serve the text exposition format', () => {
+    metricsController.getMetrics({}, mockRes);
+
+    expect(mockRes.type).toHaveBeenCalledWith('text/plain; version=0.0.4; charset=utf-8');
+    assert.isTrue(mockRes.send.mock.calls[0][0].includes('hls_streamer_ffmpeg_up 1'), 'Should send the rendered metrics');
+  });
+
+  test('should return 500 when rendering fails', () => {
+    mockMetricsService.render.mockImplementation(() => {
+      throw new Error('render failed');
+    });
+
+    metricsController.getMetrics({}, mockRes);
+
+    expect(mockRes.status).toHaveBeenCalledWith(500);
+    assert.equal(mockRes.json.mock.calls[0][0].error, 'render failed', 'Should include the error');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Queue Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const QueueController = require('../../../src/controllers/queueController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('QueueController', () => {
+  let queueController;
+  let mockQueueService;
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    mockQueueService = {
+      getState: jest.fn(() => ({ nowPlaying: null, cued: null, upcoming: [], history: [], loop: false })),
+      enqueue: jest.fn((filePath) => ({ id: 'abc', path: filePath })),
+      insertNext: jest.fn((filePath) => ({ id: 'def', path: filePath })),
+      remove: jest.fn(),
+      reorder: jest.fn(),
+      clear: jest.fn(() => 2),
+      setLoop: jest.fn(),
+      shuffle: jest.fn()
+    };
+
+    queueController = new QueueController(mockQueueService);
+
+    mockReq = { body: {}, params: {} };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should return queue state', () => {
+    queueController.getQueue(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.isTrue(Array.isArray(response.upcoming), 'Should include upcoming items');
+  });
+
+  test('should enqueue content with 201', async () => {
+    mockReq.body = { path: '/a.mp4' };
+
+    await queueController.enqueue(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 201, 'Should return 201 status');
+    assert.equal(mockRes.json.mock.calls[0][0].item.path, '/a.mp4', 'Should return queued item');
+  });
+
+  test('should insert next content', async () => {
+    mockReq.body = { path: '/b.mp4' };
+
+    await queueController.insertNext(mockReq, mockRes);
+
+    assert.equal(mockQueueService.insertNext.mock.calls[0][0], '/b.mp4', 'Should insert next');
+  });
+
+  test('should return 404 when removing unknown item', () => {
+    mockReq.params = { id: 'missing' };
+    mockQueueService.remove.mockReturnValue(null);
+
+    queueController.remove(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+  });
+
+  test('should return 404 when moving unknown item', () => {
+    mockReq.params = { id: 'missing' };
+    mockReq.body = { index: 0 };
+    mockQueueService.reorder.mockReturnValue(false);
+
+    queueController.reorder(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+  });
+
+  test('should clear the queue', () => {
+    queueController.clear(mockReq, mockRes);
+
+    assert.equal(mockRes.json.mock.calls[0][0].removed, 2, 'Should report removed count');
+  });
+
+  test('should handle service errors', () => {
+    mockQueueService.shuffle.mockImplementation(() => {
+      throw new Error('Disk full');
+    });
+
+    queueController.shuffle(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+    const errorLogs = mockLogger.getLogs().filter(log => log.level === 'error');
+    assert.isTrue(errorLogs.some(log => log.msg.includes('Shuffle queue error')), 'Should log error');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Schedule Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const ScheduleController = require('../../../src/controllers/scheduleController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('ScheduleController', () => {
+  let scheduleController;
+  let mockSchedulerService;
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    mockSchedulerService = {
+      list: jest.fn(() => []),
+      get: jest.fn(),
+      create: jest.fn((entry) => ({ id: 'abc', status: 'pending', ...entry })),
+      update: jest.fn((id, changes) => ({ id, status: 'pending', ...changes })),
+      remove: jest.fn(),
+      toXmltv: jest.fn(() => '<tv></tv>\n')
+    };
+
+    scheduleController = new ScheduleController(mockSchedulerService);
+
+    mockReq = { body: {}, params: {}, query: {} };
+    mockRes = {
+      json: jest.fn(),
+      send: jest.fn(),
+      status: jest.fn(() => mockRes),
+      type: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should list entries within a time window', () => {
+    mockReq.query = { from: '2030-01-01T10:00:00Z', to: '2030-01-01T12:00:00Z' };
+
+    scheduleController.list(mockReq, mockRes);
+
+    assert.deepEqual(mockSchedulerService.list.mock.calls[0], [
+      Date.parse('2030-01-01T10:00:00Z'),
+      Date.parse('2030-01-01T12:00:00Z')
+    ], 'Should pass parsed window');
+    assert.isTrue(mockRes.json.mock.calls[0][0].success, 'Should indicate success');
+  });
+
+  test('should reject invalid time window', () => {
+    mockReq.query = { from: 'yesterday' };
+
+    scheduleController.list(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+  });
+
+  test('should create entries with 201', async () => {
+    mockReq.body = { start: '2030-01-01T10:00:00Z', duration: 60, action: { type: 'content', data: '/a.mp4' } };
+
+    await scheduleController.create(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 201, 'Should return 201 status');
+    assert.equal(mockRes.json.mock.calls[0][0].entry.id, 'abc', 'Should return created entry');
+  });
+
+  test('should return 404 for unknown entries', async () => {
+    mockReq.params = { id: 'missing' };
+
+    scheduleController.get(mockReq, mockRes);
+    await scheduleController.update(mockReq, mockRes);
+    scheduleController.remove(mockReq, mockRes);
+
+    assert.deepEqual(mockRes.status.mock.calls.map(call => call[0]), [404, 404, 404], 'Should return 404 status');
+  });
+
+  test('should return 409 when updating an entry that already ran', () => {
+    mockSchedulerService.get.mockReturnValue({ id: 'abc', status: 'done' });
+    mockReq.params = { id: 'abc' };
+
+    scheduleController.update(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 409, 'Should return 409 status');
+    assert.equal(mockSchedulerService.update.mock.calls.length, 0, 'Should not update entry');
+  });
+
+  test('should serve XMLTV as XML', () => {
+    scheduleController.getXmltv(mockReq, mockRes);
+
+    assert.equal(mockRes.type.mock.calls[0][0], 'application/xml', 'Should set XML content type');
+    assert.equal(mockRes.send.mock.calls[0][0], '<tv></tv>\n', 'Should send XMLTV document');
+  });
+});
@@ -6,6 +6,7 @@
 
 const { mockLogger, assert } = require('../../helpers/testUtils');
 const StreamController = require('../../../src/controllers/streamController');
+const LayerController = require('../../../src/controllers/layerController');
 
 // Mock the logger
 jest.mock('../../../src/utils/logger', () => mockLogger);
@@ -16,41 +17,77 @@ describe('StreamController', () => {
   let mockZmqService;
   let mockFFmpegService;
   let mockHlsService;
+  let mockLayoutService;
   let mockReq;
   let mockRes;
   
   beforeEach(() => {
     // Setup mock services
     mockFifoService = {
-      writeContent: jest.fn(),
-      writeLayer: jest.fn()
+      switchContent: jest.fn(),
+      writeLayer: jest.fn(),
+      clearLayer: jest.fn(),
+      getSource: jest.fn(() => null),
+      getFeederStatus: jest.fn(() => ({ content: null })),
+      getContentFifoPath: jest.fn(() => 'fifos/content.fifo')
     };
     
     mockZmqService = {
-      sendInstruction: jest.fn(),
+      sendCommand: jest.fn(),
       isConnected: jest.fn()
     };
     
     mockFFmpegService = {
-      isRunning: jest.fn()
+      isRunning: jest.fn(),
+      getState: jest.fn(() => 'stopped'),
+      getProcessStatus: jest.fn(() => ({
+        state: 'stopped',
+        restartCount: 0,
+        consecutiveFailures: 0,
+        failureReason: null,
+        lastFailure: null,
+        nextRestartAt: null
+      })),
+      getMetricsSummary: jest.fn(() => ({
+        samples: 0,
+        averageSpeed: null,
+        averageFps: null,
+        averageBitrate: null,
+        slow: false,
+        slowSpeed: 1
+      })),
+      getEncoderMetrics: jest.fn(),
+      onMetrics: jest.fn(),
+      getFilterCatalog: jest.fn()
     };
     
     mockHlsService = {
       isGeneratingSegments: jest.fn(),
       getCurrentSegmentCount: jest.fn(),
-      getStreamUrl: jest.fn()
+      getStreamUrl: jest.fn(),
+      isAdaptive: jest.fn(() => false),
+      getVariants: jest.fn(() => [])
+    };
+    
+    mockLayoutService = {
+      getLayers: jest.fn(() => [{ index: 0 }, { index: 1 }]),
+      updateLayout: jest.fn().mockResolvedValue({ method: 'unchanged', commands: [] }),
+      setLayerSource: jest.fn(async (index, filePath) => (await mockFifoService.writeLayer(index, filePath)) && { method: 'unchanged', commands: [] }),
+      clearLayerSource: jest.fn(async index => (await mockFifoService.clearLayer(index)) && { method: 'unchanged', commands: [] })
     };
     
     streamController = new StreamController(
       mockFifoService,
       mockZmqService,
       mockFFmpegService,
-      mockHlsService
+      mockHlsService,
+      { layerController: new LayerController(mockLayoutService, { fifoService: mockFifoService }) }
     );
     
     // Setup mock request/response
     mockReq = {
       body: {},
+      params: {},
       protocol: 'http',
       get: jest.fn(() => 'localhost:3000')
     };
@@ -85,12 +122,12 @@ describe('StreamController', () => {
           data: '/path/to/video.mp4'
         };
         
-        mockFifoService.writeContent.mockResolvedValue(true);
+        mockFifoService.switchContent.mockResolvedValue(true);
         
         await streamController.updateStream(mockReq, mockRes);
         
-        assert.isTrue(mockFifoService.writeContent.mock.calls.length === 1, 'Should call writeContent');
-        assert.equal(mockFifoService.writeContent.mock.calls[0][0], '/path/to/video.mp4', 'Should pass correct path');
+        assert.isTrue(mockFifoService.switchContent.mock.calls.length === 1, 'Should call switchContent');
+        assert.equal(mockFifoService.switchContent.mock.calls[0][0], '/path/to/video.mp4', 'Should pass correct path');
         
         assert.isTrue(mockRes.json.mock.calls.length === 1, 'Should call res.json');
         const response = mockRes.json.mock.calls[0][0];
@@ -104,7 +141,7 @@ describe('StreamController', () => {
           data: '/path/to/invalid.mp4'
         };
         
-        mockFifoService.writeContent.mockResolvedValue(false);
+        mockFifoService.switchContent.mockResolvedValue(false);
         
         await streamController.updateStream(mockReq, mockRes);
         
@@ -154,6 +191,28 @@ describe('StreamController', () => {
         assert.isFalse(response.success, 'Should indicate failure');
         assert.isTrue(response.message.includes('Failed to update layer 1'), 'Should include failure message');
       });
+
+      test('should clear a layer', async () => {
+        mockReq.body = {
+          type: 'layer',
+          data: {
+            index: 1,
+            clear: true
+          }
+        };
+
+        mockFifoService.clearLayer.mockResolvedValue(true);
+
+        await streamController.updateStream(mockReq, mockRes);
+
+        assert.equal(mockFifoService.clearLayer.mock.calls[0][0], 1, 'Should clear the layer');
+        assert.equal(mockLayoutService.clearLayerSource.mock.calls[0][0], 1, 'Should hide and mute the layer');
+        assert.equal(mockFifoService.writeLayer.mock.calls.length, 0, 'Should not write a file');
+
+        const response = mockRes.json.mock.calls[0][0];
+        assert.isTrue(response.success, 'Should indicate success');
+        assert.equal(response.message, 'Layer 1 cleared', 'Should include success message');
+      });
     });
 
     describe('Filter Updates', () => {
@@ -161,37 +220,115 @@ describe('StreamController', () => {
         mockReq.body = {
           type: 'filter',
           data: {
-            command: 'Parsed_overlay_1 x=100:y=200'
+            command: 'layer0_overlay x 100'
           }
         };
         
-        mockZmqService.sendInstruction.mockResolvedValue(true);
+        mockZmqService.sendCommand.mockResolvedValue({ success: true, code: 0, error: 'Success', data: null });
         
         await streamController.updateStream(mockReq, mockRes);
         
-        assert.isTrue(mockZmqService.sendInstruction.mock.calls.length === 1, 'Should call sendInstruction');
-        assert.equal(mockZmqService.sendInstruction.mock.calls[0][0], 'Parsed_overlay_1 x=100:y=200', 'Should pass correct command');
+        assert.isTrue(mockZmqService.sendCommand.mock.calls.length === 1, 'Should call sendCommand');
+        assert.equal(mockZmqService.sendCommand.mock.calls[0][0], 'layer0_overlay x 100', 'Should pass correct command');
         
         const response = mockRes.json.mock.calls[0][0];
         assert.isTrue(response.success, 'Should indicate success');
-        assert.isTrue(response.message.includes('Filter command sent'), 'Should include success message');
+        assert.isTrue(response.message.includes('Filter command applied'), 'Should include success message');
+        assert.deepEqual(response.reply, { code: 0, error: 'Success', data: null }, 'Should include the filter reply');
+      });
+
+      test('should surface the filter return code when the command is rejected', async () => {
+        mockReq.body = {
+          type: 'filter',
+          data: {
+            command: 'layer0_overlay size 100'
+          }
+        };
+        
+        mockZmqService.sendCommand.mockResolvedValue({ success: false, code: 38, error: 'Function not implemented', data: null });
+        
+        await streamController.updateStream(mockReq, mockRes);
+        
+        const response = mockRes.json.mock.calls[0][0];
+        assert.isFalse(response.success, 'Should indicate failure');
+        assert.isTrue(response.message.includes('Function not implemented'), 'Should include the filter error text');
+        assert.equal(response.reply.code, 38, 'Should include the return code');
       });
 
-      test('should handle failed filter command', async () => {
+      test('should report a missing reply', async () => {
         mockReq.body = {
           type: 'filter',
           data: {
-            command: 'invalid command'
+            command: 'layer0_overlay x 100'
           }
         };
         
-        mockZmqService.sendInstruction.mockResolvedValue(false);
+        mockZmqService.sendCommand.mockResolvedValue({ success: false, code: null, error: 'No reply within 2000ms', data: null });
         
         await streamController.updateStream(mockReq, mockRes);
         
         const response = mockRes.json.mock.calls[0][0];
         assert.isFalse(response.success, 'Should indicate failure');
-        assert.isTrue(response.message.includes('Failed to send filter command'), 'Should include failure message');
+        assert.isTrue(response.message.includes('No reply'), 'Should include the timeout');
+        assert.equal(response.reply.code, null, 'Should have no return code');
+      });
+    });
+
+    describe('Media Validation', () => {
+      test('should reject incompatible media with 422', async () => {
+        const mockMediaProbeService = {
+          validateAction: jest.fn().mockResolvedValue({
+            valid: false,
+            error: 'Incompatible content media: video.resolution is 1920x1080, expected 1280x720',
+            problems: [{ property: 'video.resolution', expected: '1280x720', actual: '1920x1080' }]
+          })
+        };
+        streamController = new StreamController(
+          mockFifoService,
+          mockZmqService,
+          mockFFmpegService,
+          mockHlsService,
+          { mediaProbeService: mockMediaProbeService }
+        );
+        mockReq.body = {
+          type: 'content',
+          data: '/path/to/1080p.mp4'
+        };
+        
+        await streamController.updateStream(mockReq, mockRes);
+        
+        assert.equal(mockRes.status.mock.calls[0][0], 422, 'Should return 422 status');
+        const response = mockRes.json.mock.calls[0][0];
+        assert.isTrue(response.message.includes('video.resolution'), 'Should name the wrong property');
+        assert.equal(response.errors[0].property, 'video.resolution', 'Should list problems');
+        assert.equal(mockFifoService.switchContent.mock.calls.length, 0, 'Should not write rejected media');
+      });
+
+      test('should write media that passes validation', async () => {
+        const mockMediaProbeService = {
+          validateAction: jest.fn().mockResolvedValue({ valid: true, problems: [] })
+        };
+        const layerController = new LayerController(mockLayoutService, {
+          fifoService: mockFifoService,
+          mediaProbeService: mockMediaProbeService
+        });
+        streamController = new StreamController(
+          mockFifoService,
+          mockZmqService,
+          mockFFmpegService,
+          mockHlsService,
+          { mediaProbeService: mockMediaProbeService, layerController }
+        );
+        mockReq.body = {
+          type: 'layer',
+          data: { index: 0, path: '/path/to/logo.png' }
+        };
+        mockFifoService.writeLayer.mockResolvedValue(true);
+        
+        await streamController.updateStream(mockReq, mockRes);
+        
+        assert.deepEqual(mockMediaProbeService.validateAction.mock.calls[0], ['layer', { index: 0, path: '/path/to/logo.png' }], 'Should validate layer media');
+        assert.isTrue(mockRes.json.mock.calls[0][0].success, 'Should indicate success');
       });
     });
 
@@ -220,7 +357,7 @@ describe('StreamController', () => {
         };
         
         const error = new Error('Service error');
-        mockFifoService.writeContent.mockRejectedValue(error);
+        mockFifoService.switchContent.mockRejectedValue(error);
         
         await streamController.updateStream(mockReq, mockRes);
         
@@ -229,15 +366,103 @@ describe('StreamController', () => {
         
         const response = mockRes.json.mock.calls[0][0];
         assert.isFalse(response.success, 'Should indicate failure');
-        assert.isTrue(response.message.includes('Internal server error'), 'Should include error message');
+        assert.isTrue(response.message.includes('Failed to update content'), 'Should include error message');
+        assert.equal(response.error, 'Service error', 'Should include the error');
         
         const logs = mockLogger.getLogs();
         const errorLogs = logs.filter(log => log.level === 'error');
-        assert.isTrue(errorLogs.some(log => log.msg.includes('Stream update error')), 'Should log error');
+        assert.isTrue(errorLogs.some(log => log.msg.includes('Set content error')), 'Should log error');
       });
     });
   });
 
+  describe('content resource', () => {
+    test('should report the content FIFO and its last source', () => {
+      mockFifoService.getSource.mockReturnValue({ path: '/media/video.mp4', updatedAt: '2024-01-01T00:00:00.000Z' });
+
+      streamController.getContent(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.isTrue(response.success, 'Should indicate success');
+      assert.equal(mockFifoService.getSource.mock.calls[0][0], 'content', 'Should read the content source');
+      assert.deepEqual(response.content, {
+        fifo: 'fifos/content.fifo',
+        source: { path: '/media/video.mp4', updatedAt: '2024-01-01T00:00:00.000Z' },
+        feeder: null
+      }, 'Should describe the content');
+    });
+
+    test('should write the requested content', async () => {
+      mockReq.body = { path: '/media/video.mp4' };
+      mockFifoService.switchContent.mockResolvedValue(true);
+
+      await streamController.setContent(mockReq, mockRes);
+
+      assert.equal(mockFifoService.switchContent.mock.calls[0][0], '/media/video.mp4', 'Should write the path');
+      assert.equal(mockRes.status.mock.calls.length, 0, 'Should answer 200');
+      assert.equal(mockRes.json.mock.calls[0][0].content.fifo, 'fifos/content.fifo', 'Should return the content resource');
+    });
+
+    test('should answer 500 when the content cannot be written', async () => {
+      mockReq.body = { path: '/media/missing.mp4' };
+      mockFifoService.switchContent.mockResolvedValue(false);
+
+      await streamController.setContent(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+      assert.deepEqual(mockRes.json.mock.calls[0][0], { success: false, message: 'Failed to update content' }, 'Should use the error body');
+    });
+  });
+
+  describe('filter commands', () => {
+    test('should send the instance, command and argument as one message', async () => {
+      mockReq.params = { instance: 'layer0_overlay' };
+      mockReq.body = { command: 'x', argument: 200 };
+      mockZmqService.sendCommand.mockResolvedValue({ success: true, code: 0, error: 'Success', data: null });
+
+      await streamController.sendFilterCommand(mockReq, mockRes);
+
+      assert.equal(mockZmqService.sendCommand.mock.calls[0][0], 'layer0_overlay x 200', 'Should build the zmq message');
+      assert.equal(mockRes.status.mock.calls.length, 0, 'Should answer 200');
+      const response = mockRes.json.mock.calls[0][0];
+      assert.isTrue(response.success, 'Should indicate success');
+      assert.equal(response.command, 'layer0_overlay x 200', 'Should echo the message');
+    });
+
+    test('should answer 422 when FFmpeg rejects the command', async () => {
+      mockReq.params = { instance: 'main_volume' };
+      mockReq.body = { command: 'gain', argument: '2' };
+      mockZmqService.sendCommand.mockResolvedValue({ success: false, code: 38, error: 'Function not implemented', data: null });
+
+      await streamController.sendFilterCommand(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 422, 'Should return 422 status');
+      assert.equal(mockRes.json.mock.calls[0][0].reply.code, 38, 'Should include the return code');
+    });
+
+    test('should answer 502 when FFmpeg does not reply', async () => {
+      mockReq.params = { instance: 'layer0_overlay' };
+      mockReq.body = { command: 'y', argument: 10 };
+      mockZmqService.sendCommand.mockResolvedValue({ success: false, code: null, error: 'No reply within 2000ms', data: null });
+
+      await streamController.sendFilterCommand(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 502, 'Should return 502 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].message.includes('No reply'), 'Should include the timeout');
+    });
+
+    test('should keep the status code of the resource handler behind /api/update', async () => {
+      mockReq.body = { type: 'filter', data: { command: 'layer0_overlay size 100' } };
+      mockZmqService.sendCommand.mockResolvedValue({ success: false, code: 38, error: 'Function not implemented', data: null });
+
+      await streamController.updateStream(mockReq, mockRes);
+
+      assert.equal(mockReq.params.instance, 'layer0_overlay', 'Should address the instance');
+      assert.deepEqual(mockReq.body, { command: 'size', argument: '100' }, 'Should translate the update');
+      assert.equal(mockRes.status.mock.calls[0][0], 422, 'Should return 422 status');
+    });
+  });
+
   describe('getStatus', () => {
     test('should return complete status information', () => {
       mockFFmpegService.isRunning.mockReturnValue(true);
@@ -259,6 +484,43 @@ describe('StreamController', () => {
       assert.isTrue(response.hasOwnProperty('timestamp'), 'Should include timestamp');
     });
 
+    test('should report a failed FFmpeg process with its failure details', () => {
+      mockFFmpegService.isRunning.mockReturnValue(false);
+      mockFFmpegService.getState.mockReturnValue('failed');
+      
+      streamController.getStatus(mockReq, mockRes);
+      
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(response.ffmpeg, 'failed', 'Should report failed state');
+      assert.equal(response.ffmpegProcess.restartCount, 0, 'Should include restart count');
+    });
+
+    test('should include queue summary when queue service is available', () => {
+      const queueStatus = { nowPlaying: { id: 'a', path: '/a.mp4' }, upcoming: [], length: 0, loop: false };
+      const mockQueueService = { getStatus: jest.fn(() => queueStatus) };
+      streamController = new StreamController(
+        mockFifoService,
+        mockZmqService,
+        mockFFmpegService,
+        mockHlsService,
+        { queueService: mockQueueService }
+      );
+      
+      streamController.getStatus(mockReq, mockRes);
+      
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(response.queue, queueStatus, 'Should include queue status');
+    });
+
+    test('should include the feeder status', () => {
+      const feeders = { content: { state: 'playing', current: { path: '/a.mp4' }, cued: [], clipsPlayed: 3, lastError: null } };
+      mockFifoService.getFeederStatus.mockReturnValue(feeders);
+
+      streamController.getStatus(mockReq, mockRes);
+
+      assert.deepEqual(mockRes.json.mock.calls[0][0].feeders, feeders, 'Should include feeder status');
+    });
+
     test('should handle status errors', () => {
       mockFFmpegService.isRunning.mockImplementation(() => {
         throw new Error('Status error');
@@ -289,6 +551,82 @@ describe('StreamController', () => {
       assert.isTrue(response.hasOwnProperty('apiEndpoints'), 'Should include API endpoints');
       assert.isTrue(response.hasOwnProperty('usage'), 'Should include usage examples');
       assert.isTrue(response.hasOwnProperty('timestamp'), 'Should include timestamp');
+      assert.equal(response.dashUrl, null, 'Should not include DASH URL without DASH service');
+    });
+
+    test('should include DASH URL when DASH output is enabled', () => {
+      const mockDashService = {
+        getStreamUrl: jest.fn(() => 'http://localhost:3000/dash/manifest.mpd')
+      };
+      streamController = new StreamController(
+        mockFifoService,
+        mockZmqService,
+        mockFFmpegService,
+        mockHlsService,
+        { dashService: mockDashService }
+      );
+      
+      streamController.getStreamInfo(mockReq, mockRes);
+      
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(response.dashUrl, 'http://localhost:3000/dash/manifest.mpd', 'Should include DASH URL');
+    });
+  });
+
+  describe('signed stream URLs', () => {
+    let mockUrlSigningService;
+
+    beforeEach(() => {
+      mockHlsService.getStreamUrl.mockReturnValue('http://localhost:3000/hls/stream.m3u8');
+      mockUrlSigningService = {
+        isEnabled: jest.fn(() => true),
+        signUrl: jest.fn((url, options) => ({ url: `${url}?token=signed-${options.ttl}`, expiresAt: '2030-01-01T00:00:00.000Z' }))
+      };
+      streamController = new StreamController(
+        mockFifoService,
+        mockZmqService,
+        mockFFmpegService,
+        mockHlsService,
+        { urlSigningService: mockUrlSigningService }
+      );
+      mockReq.query = {};
+    });
+
+    test('should mint a signed stream URL for the requested TTL', () => {
+      mockReq.query = { ttl: '600', ip: '203.0.113.7' };
+      streamController.getStreamInfo(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(response.streamUrl, 'http://localhost:3000/hls/stream.m3u8?token=signed-600', 'Should return signed URL');
+      assert.equal(response.streamUrlExpiresAt, '2030-01-01T00:00:00.000Z', 'Should include expiry');
+      expect(mockUrlSigningService.signUrl).toHaveBeenCalledWith('http://localhost:3000/hls/stream.m3u8', { ttl: 600, ip: '203.0.113.7' });
+    });
+
+    test('should reject invalid TTLs and IP addresses', () => {
+      mockReq.query = { ttl: '0' };
+      streamController.getStreamInfo(mockReq, mockRes);
+      mockReq.query = { ip: 'not-an-ip' };
+      streamController.getStreamInfo(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls.length, 2, 'Should reject both requests');
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      expect(mockUrlSigningService.signUrl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getConfig', () => {
+    test('should return the configuration without the signing secret', () => {
+      const { CONFIG } = require('../../../src/config');
+      const originalSecret = CONFIG.hls.signing.secret;
+      CONFIG.hls.signing.secret = 'x'.repeat(32);
+
+      streamController.getConfig(mockReq, mockRes);
+      CONFIG.hls.signing.secret = originalSecret;
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.isTrue(response.success, 'Should succeed');
+      assert.equal(response.config.hls.signing.secret, '[redacted]', 'Should redact the secret');
+      assert.equal(response.config.http.port, CONFIG.http.port, 'Should include other settings');
     });
   });
 
@@ -324,5 +662,176 @@ describe('StreamController', () => {
       assert.isFalse(response.services.ffmpeg, 'Should show FFmpeg as stopped');
       assert.isFalse(response.services.zmq, 'Should show ZMQ as disconnected');
     });
+
+    test('should report the FFmpeg failure reason and restart count', () => {
+      mockFFmpegService.isRunning.mockReturnValue(false);
+      mockFFmpegService.getProcessStatus.mockReturnValue({
+        state: 'failed',
+        restartCount: 4,
+        consecutiveFailures: 5,
+        failureReason: 'missing-encoder',
+        lastFailure: { reason: 'missing-encoder', message: 'Unknown encoder \'libx264\'' },
+        nextRestartAt: null
+      });
+      
+      streamController.healthCheck(mockReq, mockRes);
+      
+      assert.equal(mockRes.status.mock.calls[0][0], 503, 'Should return 503 status');
+      assert.deepEqual(mockRes.json.mock.calls[0][0].ffmpeg, {
+        state: 'failed',
+        restartCount: 4,
+        failureReason: 'missing-encoder'
+      }, 'Should include FFmpeg supervision status');
+    });
+  });
+
+  describe('segment freshness health', () => {
+    let mockHealthService;
+    let stream;
+
+    beforeEach(() => {
+      stream = { state: 'stalled', mediaSequence: 42, newestSegmentAge: 14.2, stallThreshold: 6 };
+      mockHealthService = {
+        evaluate: jest.fn(() => stream),
+        isLive: jest.fn(() => stream.state === 'live')
+      };
+      streamController = new StreamController(mockFifoService, mockZmqService, mockFFmpegService, mockHlsService, {
+        healthService: mockHealthService
+      });
+      mockFFmpegService.isRunning.mockReturnValue(true);
+      mockZmqService.isConnected.mockReturnValue(true);
+      mockHlsService.isGeneratingSegments.mockReturnValue(true);
+    });
+
+    test('should report unhealthy when the playlist stalls even though it exists', () => {
+      streamController.healthCheck(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(mockRes.status.mock.calls[0][0], 503, 'Should return 503 status');
+      assert.isFalse(response.services.hls, 'Should show HLS as not live');
+      assert.equal(response.stream.state, 'stalled', 'Should include the stream health');
+    });
+
+    test('should report healthy when segments are fresh', () => {
+      stream.state = 'live';
+
+      streamController.healthCheck(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 200, 'Should return 200 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].healthy, 'Should indicate healthy');
+    });
+
+    test('should answer liveness regardless of the stream', () => {
+      streamController.livenessCheck(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls.length, 0, 'Should keep the default 200 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].alive, 'Should report alive');
+    });
+
+    test('should report not ready while the stream is stalled', () => {
+      streamController.readinessCheck(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(mockRes.status.mock.calls[0][0], 503, 'Should return 503 status');
+      assert.isFalse(response.ready, 'Should not be ready');
+      assert.deepEqual(response.checks, { ffmpeg: true, zmq: true, hls: false }, 'Should show the failing check');
+    });
+
+    test('should report ready when everything is live', () => {
+      stream.state = 'live';
+
+      streamController.readinessCheck(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 200, 'Should return 200 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].ready, 'Should be ready');
+    });
+
+    test('should include the stream health in the status', () => {
+      streamController.getStatus(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.equal(response.stream.state, 'stalled', 'Should include the stream state');
+      assert.isFalse(response.hls.generating, 'Should not count a stalled stream as generating');
+    });
+  });
+
+  describe('encoder metrics', () => {
+    const sample = { timestamp: '2026-01-01T00:00:00.000Z', frame: 300, fps: 30, bitrate: 2800, speed: 0.8 };
+    const summary = { samples: 1, averageSpeed: 0.8, averageFps: 30, averageBitrate: 2800, slow: true, slowSpeed: 1 };
+
+    test('should return the current sample, history and summary', () => {
+      mockFFmpegService.isRunning.mockReturnValue(true);
+      mockFFmpegService.getEncoderMetrics.mockReturnValue({ current: sample, history: [sample], summary });
+
+      streamController.getEncoderMetrics(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.isTrue(response.success, 'Should succeed');
+      assert.isTrue(response.running, 'Should report that FFmpeg is running');
+      assert.deepEqual(response.current, sample, 'Should include the current sample');
+      assert.equal(response.history.length, 1, 'Should include the history');
+      assert.isTrue(response.summary.slow, 'Should include the slow encoder alert');
+    });
+
+    test('should include the encoder summary in the status', () => {
+      mockFFmpegService.getMetricsSummary.mockReturnValue(summary);
+
+      streamController.getStatus(mockReq, mockRes);
+
+      assert.deepEqual(mockRes.json.mock.calls[0][0].encoder, summary, 'Should include the encoder summary');
+    });
+
+    test('should stream the history and new samples via SSE', () => {
+      let listener;
+      const unsubscribe = jest.fn();
+      mockFFmpegService.getEncoderMetrics.mockReturnValue({ current: sample, history: [sample], summary });
+      mockFFmpegService.getMetricsSummary.mockReturnValue(summary);
+      mockFFmpegService.onMetrics.mockImplementation(callback => {
+        listener = callback;
+        return unsubscribe;
+      });
+
+      const closeHandlers = [];
+      mockReq.on = jest.fn((event, handler) => closeHandlers.push(handler));
+      mockRes.writeHead = jest.fn();
+      mockRes.write = jest.fn();
+
+      streamController.streamEncoderMetrics(mockReq, mockRes);
+      listener({ ...sample, frame: 330 });
+
+      const events = mockRes.write.mock.calls.map(call => JSON.parse(call[0].replace(/^data: /, '')));
+      assert.equal(mockRes.writeHead.mock.calls[0][1]['Content-Type'], 'text/event-stream', 'Should open an event stream');
+      assert.deepEqual(events.map(event => event.type), ['connected', 'history', 'sample'], 'Should send history then samples');
+      assert.equal(events[2].sample.frame, 330, 'Should forward new samples');
+
+      closeHandlers.forEach(handler => handler());
+      assert.equal(unsubscribe.mock.calls.length, 1, 'Should unsubscribe on disconnect');
+    });
+  });
+
+  describe('getFilters', () => {
+    test('should list the filter instances and their commands', () => {
+      const catalog = [
+        { instance: 'layer0_overlay', filter: 'overlay', layer: 0, commands: [{ command: 'x', description: 'Horizontal position expression' }] },
+        { instance: 'main_volume', filter: 'volume', layer: null, commands: [{ command: 'volume', description: 'Volume expression' }] }
+      ];
+      mockFFmpegService.getFilterCatalog.mockReturnValue(catalog);
+
+      streamController.getFilters(mockReq, mockRes);
+
+      const response = mockRes.json.mock.calls[0][0];
+      assert.isTrue(response.success, 'Should succeed');
+      assert.deepEqual(response.filters, catalog, 'Should return the catalog');
+    });
+
+    test('should handle catalog errors', () => {
+      mockFFmpegService.getFilterCatalog.mockImplementation(() => {
+        throw new Error('Graph error');
+      });
+
+      streamController.getFilters(mockReq, mockRes);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,138 @@
+/**
+ * Text Controller Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const TextController = require('../../../src/controllers/textController');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('TextController', () => {
+  let textController;
+  let mockTextLayerService;
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    mockTextLayerService = {
+      getLayers: jest.fn(() => [{ name: 'clock', template: 'clock', instance: 'text_clock' }]),
+      getLayer: jest.fn(name => (name === 'clock' ? { name, template: 'clock', instance: 'text_clock' } : null)),
+      getTemplates: jest.fn(() => [{ name: 'clock', description: 'Clock', defaults: {} }]),
+      setLayer: jest.fn(async name => ({ layer: { name }, method: 'rebuild', commands: [] })),
+      updateLayer: jest.fn(async (name, changes) => (name === 'clock' ?
+        { layer: { name, ...changes }, method: 'zmq', commands: [{ command: 'text_clock reinit ...', success: true, code: 0, error: 'Success' }] } :
+        null)),
+      removeLayer: jest.fn(name => (name === 'clock' ? { method: 'rebuild' } : null))
+    };
+
+    textController = new TextController(mockTextLayerService);
+
+    mockReq = { body: {}, params: {} };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should list the text layers and templates', () => {
+    textController.getTextLayers(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.layers[0].instance, 'text_clock', 'Should include the layers');
+    assert.equal(response.templates[0].name, 'clock', 'Should include the templates');
+  });
+
+  test('should return 404 for an unknown text layer', () => {
+    mockReq.params.name = 'missing';
+
+    textController.getTextLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+    assert.equal(mockRes.json.mock.calls[0][0].message, 'Text layer not found: missing', 'Should name the layer');
+  });
+
+  test('should create a text layer with 201', async () => {
+    mockReq.params.name = 'ticker';
+    mockReq.body = { template: 'crawl', text: 'Breaking news' };
+
+    await textController.setTextLayer(mockReq, mockRes);
+
+    assert.deepEqual(mockTextLayerService.setLayer.mock.calls[0], ['ticker', mockReq.body], 'Should set the layer');
+    assert.equal(mockRes.status.mock.calls[0][0], 201, 'Should return 201 status');
+    const response = mockRes.json.mock.calls[0][0];
+    assert.equal(response.message, 'Text layer ticker created', 'Should report the creation');
+    assert.equal(response.method, 'rebuild', 'Should report how it was applied');
+  });
+
+  test('should replace an existing text layer with 200', async () => {
+    mockReq.params.name = 'clock';
+    mockReq.body = { template: 'clock', format: '%H:%M' };
+
+    await textController.setTextLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 200, 'Should return 200 status');
+    assert.equal(mockRes.json.mock.calls[0][0].message, 'Text layer clock updated', 'Should report the update');
+  });
+
+  test('should return 400 when the fields do not make a valid layer', async () => {
+    mockReq.params.name = 'ticker';
+    mockReq.body = { template: 'crawl' };
+    mockTextLayerService.setLayer.mockResolvedValue({ errors: ['body.text is required for the crawl template'] });
+
+    await textController.setTextLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+    assert.deepEqual(mockRes.json.mock.calls[0][0].errors, ['body.text is required for the crawl template'], 'Should list the problems');
+  });
+
+  test('should update a text layer live', async () => {
+    mockReq.params.name = 'clock';
+    mockReq.body = { fontColor: 'yellow' };
+
+    await textController.updateTextLayer(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.method, 'zmq', 'Should report the live update');
+    assert.equal(response.layer.fontColor, 'yellow', 'Should return the layer');
+  });
+
+  test('should return 404 when updating or removing an unknown text layer', async () => {
+    mockReq.params.name = 'missing';
+
+    await textController.updateTextLayer(mockReq, mockRes);
+    textController.removeTextLayer(mockReq, mockRes);
+
+    assert.deepEqual(mockRes.status.mock.calls.map(call => call[0]), [404, 404], 'Should return 404 status');
+  });
+
+  test('should remove a text layer', () => {
+    mockReq.params.name = 'clock';
+
+    textController.removeTextLayer(mockReq, mockRes);
+
+    const response = mockRes.json.mock.calls[0][0];
+    assert.isTrue(response.success, 'Should indicate success');
+    assert.equal(response.method, 'rebuild', 'Should report the rebuild');
+  });
+
+  test('should return 500 when the service fails', async () => {
+    mockReq.params.name = 'clock';
+    mockTextLayerService.updateLayer.mockRejectedValue(new Error('boom'));
+
+    await textController.updateTextLayer(mockReq, mockRes);
+
+    assert.equal(mockRes.status.mock.calls[0][0], 500, 'Should return 500 status');
+    assert.equal(mockRes.json.mock.calls[0][0].error, 'boom', 'Should include the error');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Authentication Middleware Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const { getApiKey, requireRole } = require('../../../src/middleware/auth');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    auth: {
+      enabled: true,
+      roles: ['viewer', 'operator', 'admin']
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('Authentication Middleware', () => {
+  const keys = {
+    'viewer-key': { id: '1', name: 'dashboard', role: 'viewer' },
+    'admin-key': { id: '2', name: 'ops', role: 'admin' }
+  };
+  let mockApiKeyService;
+  let mockRes;
+  let next;
+
+  /**
+   * Build a request with the given headers and query
+   */
+  function createRequest(headers = {}, query = {}) {
+    return {
+      method: 'POST',
+      baseUrl: '/api',
+      path: '/update',
+      originalUrl: `/api/update${query.api_key ? `?api_key=${query.api_key}` : ''}`,
+      ip: '10.0.0.5',
+      query,
+      get: (name) => headers[name.toLowerCase()]
+    };
+  }
+
+  beforeEach(() => {
+    CONFIG.auth.enabled = true;
+    mockApiKeyService = {
+      authenticate: jest.fn((key) => keys[key] || null),
+      hasRole: jest.fn((record, role) => CONFIG.auth.roles.indexOf(record.role) >= CONFIG.auth.roles.indexOf(role))
+    };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+    next = jest.fn();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  describe('getApiKey', () => {
+    test('should read the X-API-Key header, Bearer token or api_key query', () => {
+      assert.equal(getApiKey(createRequest({ 'x-api-key': 'a' })), 'a', 'Should read header');
+      assert.equal(getApiKey(createRequest({ authorization: 'Bearer b' })), 'b', 'Should read bearer token');
+      assert.equal(getApiKey(createRequest({}, { api_key: 'c' })), 'c', 'Should read query parameter');
+      assert.equal(getApiKey(createRequest()), null, 'Should return null without a key');
+    });
+  });
+
+  describe('requireRole', () => {
+    test('should pass every request while authentication is disabled', () => {
+      CONFIG.auth.enabled = false;
+      requireRole(null, 'admin')(createRequest(), mockRes, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject missing keys with 401', () => {
+      requireRole(mockApiKeyService, 'viewer')(createRequest(), mockRes, next);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'security'), 'Should log a security event');
+    });
+
+    test('should reject invalid keys with 401', () => {
+      requireRole(mockApiKeyService, 'viewer')(createRequest({ 'x-api-key': 'wrong' }), mockRes, next);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject insufficient roles with 403', () => {
+      requireRole(mockApiKeyService, 'operator')(createRequest({ 'x-api-key': 'viewer-key' }), mockRes, next);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'security'), 'Should log a security event');
+    });
+
+    test('should keep api_key query parameters out of the log', () => {
+      requireRole(mockApiKeyService, 'operator')(createRequest({}, { api_key: 'viewer-key' }), mockRes, next);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      const securityLogs = mockLogger.getLogs().filter(log => log.level === 'security');
+      assert.isTrue(securityLogs[0].msg.endsWith('POST /api/update'), 'Should log the request path');
+      assert.isFalse(securityLogs.some(log => log.msg.includes('viewer-key')), 'Should not log the key');
+    });
+
+    test('should attach the key record and continue for sufficient roles', () => {
+      const req = createRequest({ 'x-api-key': 'admin-key' });
+      requireRole(mockApiKeyService, 'operator')(req, mockRes, next);
+
+      expect(next).toHaveBeenCalled();
+      assert.equal(req.apiKey.name, 'ops', 'Should attach the key record');
+    });
+
+    test('should fail closed without an API key service', () => {
+      requireRole(null, 'viewer')(createRequest({ 'x-api-key': 'admin-key' }), mockRes, next);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
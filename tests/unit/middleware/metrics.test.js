@@ -0,0 +1,62 @@
+/**
+ * Metrics Middleware Unit Tests
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const MetricsService = require('../../../src/services/metricsService');
+const { requestMetrics, getRouteLabel } = require('../../../src/middleware/metrics');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    metrics: {
+      enabled: true,
+      prefix: 'test_'
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('Metrics Middleware', () => {
+  describe('getRouteLabel', () => {
+    test('should use the route template for matched routes', () => {
+      const req = { baseUrl: '/api', route: { path: '/queue/:id' } };
+      assert.equal(getRouteLabel(req, { statusCode: 200 }), '/api/queue/:id', 'Should not include the id');
+    });
+
+    test('should use the mount point for static files', () => {
+      assert.equal(getRouteLabel({ baseUrl: '/hls' }, { statusCode: 200 }), '/hls', 'Should group segments');
+    });
+
+    test('should use fixed labels for everything else', () => {
+      assert.equal(getRouteLabel({ baseUrl: '' }, { statusCode: 404 }), 'unmatched', 'Should label unknown paths');
+      assert.equal(getRouteLabel({ baseUrl: '' }, { statusCode: 200 }), 'static', 'Should label public files');
+    });
+  });
+
+  describe('requestMetrics', () => {
+    test('should count requests and observe their duration when the response finishes', () => {
+      const metricsService = new MetricsService();
+      const middleware = requestMetrics(metricsService);
+      const req = { method: 'GET', baseUrl: '/api', route: { path: '/status' } };
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      const next = jest.fn();
+
+      middleware(req, res, next);
+      assert.equal(next.mock.calls.length, 1, 'Should call next');
+      assert.isFalse(metricsService.render().includes('test_http_requests_total{'), 'Should wait for the response');
+
+      res.emit('finish');
+      const output = metricsService.render();
+
+      assert.isTrue(output.includes('test_http_requests_total{method="GET",route="/api/status",status="200"} 1'), 'Should count the request');
+      assert.isTrue(output.includes('test_http_request_duration_seconds_count{method="GET",route="/api/status"} 1'), 'Should observe the duration');
+    });
+  });
+});
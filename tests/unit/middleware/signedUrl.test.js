@@ -0,0 +1,78 @@
+/**
+ * Signed URL Middleware Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const { requireSignedUrl } = require('../../../src/middleware/signedUrl');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('Signed URL Middleware', () => {
+  let mockUrlSigningService;
+  let mockRes;
+  let next;
+
+  const createRequest = (token) => ({
+    method: 'GET',
+    baseUrl: '/hls',
+    path: '/stream.m3u8',
+    ip: '203.0.113.7',
+    query: token ? { token } : {}
+  });
+
+  beforeEach(() => {
+    mockUrlSigningService = {
+      isEnabled: jest.fn(() => true),
+      verifyToken: jest.fn((token) => {
+        if (token === 'good') return { valid: true };
+        if (token === 'old') return { valid: false, expired: true, error: 'Stream token has expired' };
+        return { valid: false, error: token ? 'Invalid stream token' : 'Missing stream token' };
+      })
+    };
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+    next = jest.fn();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  test('should pass requests through while signing is disabled', () => {
+    mockUrlSigningService.isEnabled.mockReturnValue(false);
+    requireSignedUrl(mockUrlSigningService)(createRequest(), mockRes, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should keep a valid token on the request', () => {
+    const req = createRequest('good');
+    requireSignedUrl(mockUrlSigningService)(req, mockRes, next);
+
+    expect(next).toHaveBeenCalled();
+    assert.equal(req.hlsToken, 'good', 'Should keep the token for playlist rewriting');
+  });
+
+  test('should reject missing and expired tokens without a security event', () => {
+    requireSignedUrl(mockUrlSigningService)(createRequest(), mockRes, next);
+    requireSignedUrl(mockUrlSigningService)(createRequest('old'), mockRes, next);
+
+    expect(next).not.toHaveBeenCalled();
+    assert.equal(mockRes.status.mock.calls[0][0], 403, 'Should return 403 status');
+    assert.isFalse(mockLogger.getLogs().some(log => log.level === 'security'), 'Should not log security events');
+  });
+
+  test('should reject forged tokens with a security event', () => {
+    requireSignedUrl(mockUrlSigningService)(createRequest('forged'), mockRes, next);
+
+    expect(next).not.toHaveBeenCalled();
+    assert.equal(mockRes.status.mock.calls[0][0], 403, 'Should return 403 status');
+    assert.isTrue(mockLogger.getLogs().some(log => log.level === 'security' && log.msg.includes('203.0.113.7')), 'Should log security event');
+  });
+});
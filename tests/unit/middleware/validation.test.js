@@ -0,0 +1,357 @@
+/**
+ * Validation Middleware Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const {
+  validateFilePath,
+  validateZmqCommand,
+  validateUpdateRequest,
+  validateQueueItem,
+  validateLayoutRequest,
+  validateLayerParam,
+  validateContentRequest,
+  validateLayerRequest,
+  validateFilterCommandRequest,
+  validateTextRequest,
+  validateApiKeyRequest,
+  validateRateLimit
+} = require('../../../src/middleware/validation');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('Validation Middleware', () => {
+  const rootDir = path.resolve('./test_data/roots');
+  const mediaRoot = path.join(rootDir, 'media');
+  const outsideDir = path.join(rootDir, 'outside');
+  let mockRes;
+  let next;
+
+  beforeEach(() => {
+    fs.mkdirSync(mediaRoot, { recursive: true });
+    fs.mkdirSync(outsideDir, { recursive: true });
+    fs.writeFileSync(path.join(mediaRoot, 'video.mp4'), 'video');
+    fs.writeFileSync(path.join(outsideDir, 'secret.txt'), 'secret');
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn(() => mockRes)
+    };
+    next = jest.fn();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    fs.rmSync('./test_data', { recursive: true, force: true });
+  });
+
+  describe('validateFilePath with media roots', () => {
+    test('should accept files inside any allowed root', () => {
+      const roots = [outsideDir, mediaRoot];
+
+      assert.isTrue(validateFilePath(path.join(mediaRoot, 'video.mp4'), roots).valid, 'Should accept file in root');
+      assert.isTrue(validateFilePath(path.join(mediaRoot, 'missing.mp4'), roots).valid, 'Should leave missing files to later checks');
+    });
+
+    test('should reject files outside the allowed roots', () => {
+      const result = validateFilePath('/etc/shadow', [mediaRoot]);
+
+      assert.isFalse(result.valid, 'Should reject absolute path outside roots');
+      assert.isTrue(result.security, 'Should flag as security event');
+    });
+
+    test('should reject sibling directories sharing the root prefix', () => {
+      fs.mkdirSync(`${mediaRoot}-private`, { recursive: true });
+
+      assert.isFalse(validateFilePath(`${mediaRoot}-private/file.mp4`, [mediaRoot]).valid, 'Should not match by prefix');
+    });
+
+    test('should reject symlinks that escape the root', () => {
+      const link = path.join(mediaRoot, 'link.mp4');
+      fs.symlinkSync(path.join(outsideDir, 'secret.txt'), link);
+
+      const result = validateFilePath(link, [mediaRoot]);
+
+      assert.isFalse(result.valid, 'Should follow symlinks');
+      assert.equal(result.error, 'File path is outside allowed directory', 'Should explain rejection');
+    });
+  });
+
+  describe('validateUpdateRequest', () => {
+    test('should reject and log content outside the media roots', () => {
+      const middleware = validateUpdateRequest(2, [mediaRoot]);
+      const req = {
+        body: { type: 'content', data: '/etc/shadow' },
+        ip: '10.0.0.5',
+        method: 'POST',
+        baseUrl: '/api',
+        path: '/update'
+      };
+
+      middleware(req, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      assert.equal(next.mock.calls.length, 0, 'Should not continue');
+      const securityLogs = mockLogger.getLogs().filter(log => log.level === 'security');
+      assert.isTrue(securityLogs.some(log => log.msg.includes('10.0.0.5')), 'Should log security event with client IP');
+    });
+
+    test('should check layer paths against the media roots', () => {
+      const middleware = validateUpdateRequest(2, [mediaRoot]);
+
+      middleware({ body: { type: 'layer', data: { index: 0, path: path.join(outsideDir, 'secret.txt') } }, method: 'POST' }, mockRes, next);
+      middleware({ body: { type: 'layer', data: { index: 0, path: path.join(mediaRoot, 'video.mp4') } }, method: 'POST' }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls.length, 1, 'Should reject only the outside path');
+      assert.equal(next.mock.calls.length, 1, 'Should accept the path inside the root');
+    });
+
+    test('should accept layer clears without a path', () => {
+      const middleware = validateUpdateRequest(2, [mediaRoot]);
+
+      middleware({ body: { type: 'layer', data: { index: 1, clear: true } }, method: 'POST' }, mockRes, next);
+      middleware({ body: { type: 'layer', data: { index: 1, clear: 'yes' } }, method: 'POST' }, mockRes, next);
+      middleware({ body: { type: 'layer', data: { index: 1, clear: false } }, method: 'POST' }, mockRes, next);
+      middleware({ body: { type: 'layer', data: { index: 5, clear: true } }, method: 'POST' }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should accept the clear');
+      assert.equal(mockRes.status.mock.calls.length, 3, 'Should reject invalid clears');
+    });
+  });
+
+  describe('validateZmqCommand', () => {
+    const targets = ['layer0_overlay', 'main_volume'];
+
+    test('should accept commands for known filter instances', () => {
+      assert.isTrue(validateZmqCommand('layer0_overlay x 100', targets).valid, 'Should accept a known instance');
+      assert.isTrue(validateZmqCommand('main_volume volume 0.5', targets).valid, 'Should accept a known instance');
+    });
+
+    test('should reject commands for unknown filter instances', () => {
+      const result = validateZmqCommand('Parsed_overlay_1 x=100', targets);
+
+      assert.isFalse(result.valid, 'Should reject an unknown instance');
+      assert.equal(result.error, 'Unknown filter instance: Parsed_overlay_1', 'Should name the instance');
+    });
+
+    test('should reject filter updates for unknown instances', () => {
+      const middleware = validateUpdateRequest(2, [mediaRoot], targets);
+
+      middleware({ body: { type: 'filter', data: { command: 'layer5_overlay x 10' } }, method: 'POST' }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].message.includes('Unknown filter instance'), 'Should explain rejection');
+    });
+  });
+
+  describe('validateLayoutRequest', () => {
+    test('should accept a valid partial layout', () => {
+      const middleware = validateLayoutRequest(2);
+
+      middleware({ params: { index: '1' }, body: { anchor: 'bottom-right', x: '5%', width: 320, opacity: 0.5, enable: 'between(t,10,20)' } }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should continue');
+    });
+
+    test('should reject an unknown layer index', () => {
+      const middleware = validateLayoutRequest(2);
+
+      middleware({ params: { index: '2' }, body: { x: 0 } }, mockRes, next);
+      middleware({ params: { index: 'abc' }, body: { x: 0 } }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls.length, 2, 'Should reject both');
+      assert.equal(next.mock.calls.length, 0, 'Should not continue');
+    });
+
+    test('should reject invalid layout fields', () => {
+      const middleware = validateLayoutRequest(2);
+      const invalid = [
+        { left: 10 },
+        { x: '10px' },
+        { anchor: 'middle' },
+        { width: 0 },
+        { opacity: 1.5 },
+        { zIndex: 1.5 },
+        { muted: 1 },
+        { visible: 'yes' },
+        { enable: "1'; rm" }
+      ];
+
+      invalid.forEach(body => middleware({ params: { index: '0' }, body }, mockRes, next));
+
+      assert.equal(mockRes.status.mock.calls.length, invalid.length, 'Should reject every invalid layout');
+      assert.equal(next.mock.calls.length, 0, 'Should not continue');
+      assert.isTrue(mockRes.json.mock.calls[0][0].message.includes('Unknown layout field: left'), 'Should name the field');
+    });
+  });
+
+  describe('resource request schemas', () => {
+    test('should accept a content path inside the media roots', () => {
+      const middleware = validateContentRequest([mediaRoot]);
+
+      middleware({ body: { path: path.join(mediaRoot, 'video.mp4') }, method: 'PUT' }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should continue');
+    });
+
+    test('should list every schema problem of a content request', () => {
+      const middleware = validateContentRequest([mediaRoot]);
+
+      middleware({ body: { file: 'video.mp4' }, method: 'PUT' }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      const response = mockRes.json.mock.calls[0][0];
+      assert.isFalse(response.success, 'Should indicate failure');
+      assert.deepEqual(response.errors, ['body.path is required', 'body.file is not allowed'], 'Should list the problems');
+      assert.isTrue(response.message.includes('body.path is required'), 'Should lead with the first problem');
+      assert.equal(next.mock.calls.length, 0, 'Should not continue');
+    });
+
+    test('should reject content paths outside the media roots', () => {
+      const middleware = validateContentRequest([mediaRoot]);
+
+      middleware({ body: { path: path.join(outsideDir, 'secret.txt') }, method: 'PUT', baseUrl: '/api', path: '/content' }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'security'), 'Should log security event');
+    });
+
+    test('should check the layer index, path and layout of layer requests', () => {
+      const middleware = validateLayerRequest([mediaRoot]);
+      const videoPath = path.join(mediaRoot, 'video.mp4');
+
+      middleware({ params: { index: '0' }, body: { path: videoPath, layout: { anchor: 'center' } } }, mockRes, next);
+      middleware({ params: { index: 'first' }, body: { path: videoPath } }, mockRes, next);
+      middleware({ params: { index: '0' }, body: { path: 42 } }, mockRes, next);
+      middleware({ params: { index: '0' }, body: { path: videoPath, layout: { anchor: 'middle' } } }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should accept the valid request');
+      assert.equal(mockRes.status.mock.calls.length, 3, 'Should reject the others');
+      assert.deepEqual(mockRes.json.mock.calls[1][0].errors, ['body.path must be of type string'], 'Should name the wrong type');
+      assert.isTrue(mockRes.json.mock.calls[2][0].message.includes('anchor must be one of'), 'Should check the layout');
+    });
+
+    test('should leave out-of-range layer indexes to the handler', () => {
+      const middleware = validateLayerParam();
+
+      middleware({ params: { index: '7' } }, mockRes, next);
+      middleware({ params: { index: '-1' } }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should continue for any non-negative integer');
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should reject a malformed index');
+    });
+
+    test('should validate filter commands', () => {
+      const middleware = validateFilterCommandRequest();
+
+      middleware({ params: { instance: 'layer0_overlay' }, body: { command: 'x', argument: 200 } }, mockRes, next);
+      middleware({ params: { instance: 'layer0_overlay' }, body: { command: 'x y' } }, mockRes, next);
+      middleware({ params: { instance: 'layer0_overlay' }, body: { command: 'x', argument: '1; rm' } }, mockRes, next);
+      middleware({ params: { instance: 'layer0_overlay' }, body: { command: 'x', argument: true } }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should accept the valid command');
+      assert.equal(mockRes.status.mock.calls.length, 3, 'Should reject the others');
+      assert.isTrue(mockRes.json.mock.calls[1][0].message.includes('dangerous'), 'Should check the assembled command');
+      assert.deepEqual(mockRes.json.mock.calls[2][0].errors, ['body.argument must be of type string or number'], 'Should check the argument type');
+    });
+
+    test('should answer 404 for instances outside the current filter graph', () => {
+      let targets = ['layer0_overlay'];
+      const middleware = validateFilterCommandRequest(() => targets);
+
+      middleware({ params: { instance: 'layer9_overlay' }, body: { command: 'x', argument: 200 } }, mockRes, next);
+      targets = ['layer0_overlay', 'layer9_overlay'];
+      middleware({ params: { instance: 'layer9_overlay' }, body: { command: 'x', argument: 200 } }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 404, 'Should return 404 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].message.includes('layer9_overlay'), 'Should name the instance');
+      assert.equal(next.mock.calls.length, 1, 'Should read the targets on every request');
+    });
+
+    test('should validate text layer names and fields', () => {
+      const middleware = validateTextRequest();
+
+      middleware({ params: { name: 'ticker' }, body: { template: 'crawl', text: 'News', y: '5%', boxColor: 'black@0.5' } }, mockRes, next);
+      middleware({ params: { name: 'ticker; rm' }, body: { text: 'News' } }, mockRes, next);
+      middleware({ params: { name: 'ticker' }, body: { template: 'marquee', fontSize: 0 } }, mockRes, next);
+      middleware({ params: { name: 'ticker' }, body: { fontColor: 'red:box=1', x: '10px', shadow: true } }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should accept the valid layer');
+      assert.equal(mockRes.status.mock.calls.length, 3, 'Should reject the others');
+      assert.isTrue(mockRes.json.mock.calls[0][0].message.includes('params.name'), 'Should check the name');
+      assert.equal(mockRes.json.mock.calls[1][0].errors.length, 2, 'Should list every problem');
+      assert.equal(mockRes.json.mock.calls[2][0].errors.length, 3, 'Should reject option injection, bad offsets and unknown fields');
+    });
+
+    test('should check font files against the media roots', () => {
+      const middleware = validateTextRequest([mediaRoot]);
+
+      middleware({ params: { name: 'ticker' }, body: { fontFile: path.join(mediaRoot, 'video.mp4') } }, mockRes, next);
+      middleware({ params: { name: 'ticker' }, body: { fontFile: null } }, mockRes, next);
+      middleware({ params: { name: 'ticker' }, body: { fontFile: path.join(outsideDir, 'secret.txt') }, method: 'PUT' }, mockRes, next);
+
+      assert.equal(next.mock.calls.length, 2, 'Should accept fonts in a media root and the default font');
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      assert.isTrue(mockRes.json.mock.calls[0][0].message.includes('body.fontFile'), 'Should name the field');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'security'), 'Should log security event');
+    });
+  });
+
+  describe('validateQueueItem', () => {
+    test('should check queued paths against the media roots', () => {
+      const middleware = validateQueueItem([mediaRoot]);
+
+      middleware({ body: { path: '/etc/passwd' }, method: 'POST' }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls[0][0], 400, 'Should return 400 status');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'security'), 'Should log security event');
+    });
+  });
+
+  describe('validateApiKeyRequest', () => {
+    test('should require a name and a known role', () => {
+      const middleware = validateApiKeyRequest(['viewer', 'operator', 'admin']);
+
+      middleware({ body: { role: 'viewer' } }, mockRes, next);
+      middleware({ body: { name: 'ci', role: 'root' } }, mockRes, next);
+      middleware({ body: { name: 'ci', role: 'operator' } }, mockRes, next);
+
+      assert.equal(mockRes.status.mock.calls.length, 2, 'Should reject missing name and unknown role');
+      assert.equal(next.mock.calls.length, 1, 'Should accept a valid request');
+    });
+  });
+
+  describe('validateRateLimit', () => {
+    test('should reject requests over the limit and report each rejection', () => {
+      const onReject = jest.fn();
+      const middleware = validateRateLimit({ onReject });
+      const req = { ip: '10.0.0.1' };
+
+      for (let i = 0; i < 32; i++) {
+        middleware(req, mockRes, next);
+      }
+
+      assert.equal(next.mock.calls.length, 30, 'Should allow 30 requests per minute');
+      assert.equal(mockRes.status.mock.calls[0][0], 429, 'Should return 429');
+      assert.equal(onReject.mock.calls.length, 2, 'Should report each rejection');
+    });
+
+    test('should take a limit of its own', () => {
+      const middleware = validateRateLimit({ maxRequests: 100 });
+      const req = { ip: '10.0.0.1' };
+
+      for (let i = 0; i < 101; i++) {
+        middleware(req, mockRes, next);
+      }
+
+      assert.equal(next.mock.calls.length, 100, 'Should allow 100 requests per minute');
+      assert.equal(mockRes.status.mock.calls.length, 1, 'Should reject the request over the limit');
+    });
+  });
+});
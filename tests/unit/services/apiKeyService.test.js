@@ -0,0 +1,118 @@
+/**
+ * API Key Service Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const ApiKeyService = require('../../../src/services/apiKeyService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    auth: {
+      enabled: false,
+      keysFile: './test_data/api-keys.json',
+      roles: ['viewer', 'operator', 'admin']
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('ApiKeyService', () => {
+  let apiKeyService;
+
+  beforeEach(() => {
+    CONFIG.auth.enabled = false;
+    apiKeyService = new ApiKeyService();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    fs.rmSync('./test_data', { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    test('should return the plain key once and store only its hash', () => {
+      const { key, record } = apiKeyService.create('ci', 'operator');
+
+      assert.isTrue(key.startsWith('hls_'), 'Should prefix keys');
+      assert.equal(record.name, 'ci', 'Should keep the name');
+      assert.equal(record.role, 'operator', 'Should keep the role');
+      assert.equal(record.hash, undefined, 'Should not expose the hash');
+
+      const stored = fs.readFileSync('./test_data/api-keys.json', 'utf8');
+      assert.isFalse(stored.includes(key), 'Should not persist the plain key');
+      assert.equal(JSON.parse(stored).keys.length, 1, 'Should persist the record');
+    });
+  });
+
+  describe('authenticate', () => {
+    test('should return the record for a valid key', () => {
+      const { key, record } = apiKeyService.create('viewer', 'viewer');
+
+      const authenticated = apiKeyService.authenticate(key);
+      assert.equal(authenticated.id, record.id, 'Should find the key');
+      assert.isTrue(typeof authenticated.lastUsedAt === 'string', 'Should record the last use');
+    });
+
+    test('should reject unknown and malformed keys', () => {
+      apiKeyService.create('viewer', 'viewer');
+
+      assert.equal(apiKeyService.authenticate('hls_wrong'), null, 'Should reject unknown key');
+      assert.equal(apiKeyService.authenticate(''), null, 'Should reject empty key');
+      assert.equal(apiKeyService.authenticate(null), null, 'Should reject missing key');
+    });
+  });
+
+  describe('hasRole', () => {
+    test('should grant lower roles to higher ones', () => {
+      assert.isTrue(apiKeyService.hasRole({ role: 'admin' }, 'operator'), 'Admin should act as operator');
+      assert.isTrue(apiKeyService.hasRole({ role: 'operator' }, 'viewer'), 'Operator should act as viewer');
+      assert.isTrue(apiKeyService.hasRole({ role: 'viewer' }, 'viewer'), 'Viewer should act as viewer');
+      assert.isFalse(apiKeyService.hasRole({ role: 'viewer' }, 'operator'), 'Viewer should not act as operator');
+      assert.isFalse(apiKeyService.hasRole({ role: 'operator' }, 'admin'), 'Operator should not act as admin');
+    });
+  });
+
+  describe('revoke', () => {
+    test('should remove the key so it no longer authenticates', () => {
+      const { key, record } = apiKeyService.create('temp', 'viewer');
+
+      assert.equal(apiKeyService.revoke(record.id).id, record.id, 'Should return the revoked record');
+      assert.equal(apiKeyService.authenticate(key), null, 'Should no longer authenticate');
+      assert.equal(apiKeyService.revoke(record.id), null, 'Should return null for unknown id');
+    });
+  });
+
+  describe('load', () => {
+    test('should restore keys from disk', () => {
+      const { key } = apiKeyService.create('persisted', 'admin');
+
+      const restored = new ApiKeyService();
+      restored.load();
+      assert.equal(restored.list().length, 1, 'Should load the key');
+      assert.equal(restored.authenticate(key).name, 'persisted', 'Should authenticate restored key');
+    });
+
+    test('should create an admin key when authentication is enabled without keys', () => {
+      CONFIG.auth.enabled = true;
+      apiKeyService.load();
+
+      const keys = apiKeyService.list();
+      assert.equal(keys.length, 1, 'Should create a bootstrap key');
+      assert.equal(keys[0].role, 'admin', 'Should be an admin key');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'warn' && log.msg.includes('hls_')), 'Should log the key once');
+    });
+
+    test('should not create keys while authentication is disabled', () => {
+      apiKeyService.load();
+      assert.equal(apiKeyService.list().length, 0, 'Should not create keys');
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Content Feeder Service Unit Tests
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { CONFIG } = require('../../../src/config');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const ContentFeederService = require('../../../src/services/contentFeederService');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    fifos: { baseDir: './test_fifos', content: 'content.fifo' },
+    media: { width: 1280, height: 720, frameRate: 30 },
+    ffmpeg: { binary: 'ffmpeg' },
+    feeders: {
+      content: {
+        enabled: true,
+        videoCodec: 'mpeg2video',
+        videoQuality: 2,
+        audioCodec: 'mp2',
+        audioBitrate: '384k',
+        slate: {
+          enabled: false,
+          type: 'card',
+          file: null,
+          text: "We'll be right back",
+          color: 'black',
+          fontColor: 'white',
+          fontFile: null
+        }
+      }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+/**
+ * Build a fake FFmpeg child process that closes like the real one when killed
+ */
+function createMockProcess() {
+  const child = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = jest.fn(signal => child.emit('close', null, signal));
+  return child;
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ContentFeederService', () => {
+  let feeder;
+  let processes;
+
+  beforeEach(() => {
+    processes = [];
+    spawn.mockReset();
+    spawn.mockImplementation(() => {
+      const child = createMockProcess();
+      processes.push(child);
+      return child;
+    });
+    jest.spyOn(fs, 'openSync').mockReturnValue(42);
+    jest.spyOn(fs, 'closeSync').mockImplementation(() => {});
+    feeder = new ContentFeederService();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    jest.restoreAllMocks();
+    Object.assign(CONFIG.feeders.content.slate, { enabled: false, type: 'card', file: null });
+  });
+
+  describe('buildArgs', () => {
+    test('should normalize clips to the media canvas and write MPEG-TS into the FIFO', () => {
+      const args = feeder.buildArgs('/media/clip.mov', { offset: 12.5 });
+
+      assert.equal(args[args.indexOf('-i') + 1], '/media/clip.mov', 'Should read the clip');
+      assert.isTrue(args.includes('-re'), 'Should pace the clip in real time');
+      assert.equal(args[args.indexOf('-vf') + 1],
+        'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p',
+        'Should letterbox to the canvas at the stream frame rate');
+      assert.equal(args[args.indexOf('-c:v') + 1], 'mpeg2video', 'Should use the feeder video codec');
+      assert.equal(args[args.indexOf('-ar') + 1], '48000', 'Should resample audio');
+      assert.equal(args[args.indexOf('-output_ts_offset') + 1], '12.500', 'Should continue the timeline');
+      assert.equal(args[args.indexOf('-f') + 1], 'mpegts', 'Should write MPEG-TS');
+      assert.equal(args[args.length - 1], 'test_fifos/content.fifo', 'Should write into the content FIFO');
+    });
+
+    test('should add silence to clips without audio', () => {
+      const args = feeder.buildArgs('/media/silent.mp4', { hasAudio: false });
+
+      assert.equal(args.filter(arg => arg === '-i').length, 2, 'Should add a second input');
+      assert.isTrue(args.includes('anullsrc=channel_layout=stereo:sample_rate=48000'), 'Should generate silence');
+      assert.isTrue(args.includes('-shortest'), 'Should stop with the clip');
+    });
+  });
+
+  describe('cue', () => {
+    test('should hold the FIFO open and play the clip when idle', async () => {
+      const onStarted = jest.fn();
+
+      feeder.cue('/media/a.mp4', onStarted);
+      await flush();
+
+      assert.equal(fs.openSync.mock.calls[0][1], fs.constants.O_RDWR, 'Should open the FIFO read-write');
+      assert.equal(processes.length, 1, 'Should start one FFmpeg');
+      assert.equal(onStarted.mock.calls[0][0], '/media/a.mp4', 'Should report the clip as started');
+      assert.equal(feeder.getStatus().state, 'playing', 'Should be playing');
+    });
+
+    test('should play cued clips one after another', async () => {
+      const onStarted = jest.fn();
+
+      feeder.cue('/media/a.mp4');
+      await flush();
+      feeder.cue('/media/b.mp4', onStarted);
+      await flush();
+
+      assert.equal(processes.length, 1, 'Should wait for the current clip');
+      assert.deepEqual(feeder.getStatus().cued, ['/media/b.mp4'], 'Should list the cued clip');
+
+      processes[0].emit('close', 0, null);
+      await flush();
+
+      assert.equal(processes.length, 2, 'Should start the next clip');
+      assert.equal(onStarted.mock.calls.length, 1, 'Should report the next clip as started');
+      assert.equal(feeder.getStatus().clipsPlayed, 1, 'Should count the finished clip');
+      assert.equal(fs.openSync.mock.calls.length, 1, 'Should keep the FIFO open between clips');
+    });
+
+    test('should go idle without closing the FIFO when nothing is cued', async () => {
+      feeder.cue('/media/a.mp4');
+      await flush();
+      processes[0].emit('close', 0, null);
+      await flush();
+
+      assert.equal(feeder.getStatus().state, 'idle', 'Should be idle');
+      assert.equal(fs.closeSync.mock.calls.length, 0, 'Should keep holding the FIFO');
+    });
+
+    test('should skip clips that fail and remember the error', async () => {
+      feeder.cue('/media/broken.mp4');
+      feeder.cue('/media/b.mp4');
+      await flush();
+
+      processes[0].stderr.emit('data', Buffer.from('/media/broken.mp4: Invalid data found when processing input\n'));
+      processes[0].emit('close', 1, null);
+      await flush();
+
+      assert.equal(processes.length, 2, 'Should move on to the next clip');
+      assert.isTrue(feeder.getStatus().lastError.includes('Invalid data found'), 'Should keep the FFmpeg error');
+    });
+
+    test('should tell clip listeners before the caller that cued the clip', async () => {
+      const order = [];
+      feeder.onClipStarted(filePath => order.push(`listener ${filePath}`));
+      feeder.cue('/media/a.mp4', filePath => order.push(`cue ${filePath}`));
+      await flush();
+
+      assert.deepEqual(order, ['listener /media/a.mp4', 'cue /media/a.mp4'], 'Listeners should hear first');
+    });
+  });
+
+  describe('play', () => {
+    test('should replace the current clip right away', async () => {
+      feeder.cue('/media/a.mp4');
+      await flush();
+      feeder.cue('/media/b.mp4');
+      feeder.play('/media/live.mp4');
+      await flush();
+
+      assert.equal(processes[0].kill.mock.calls[0][0], 'SIGKILL', 'Should stop the current clip');
+      assert.equal(processes.length, 2, 'Should start the new clip');
+      assert.equal(feeder.getStatus().current.path, '/media/live.mp4', 'Should play the new clip');
+      assert.deepEqual(feeder.getStatus().cued, ['/media/b.mp4'], 'Should keep the cued clips');
+      assert.equal(feeder.getStatus().lastError, null, 'Should not treat the switch as a failure');
+    });
+
+    test('should stamp each clip at the current timeline position', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+      feeder.cue('/media/a.mp4');
+      await flush();
+
+      now.mockReturnValue(1004000);
+      feeder.play('/media/b.mp4');
+      await flush();
+
+      const args = spawn.mock.calls[1][1];
+      assert.equal(args[args.indexOf('-output_ts_offset') + 1], '4.000', 'Should continue after the previous clip');
+    });
+
+    test('should add silence when the probe finds no audio', async () => {
+      const mediaProbeService = {
+        isEnabled: jest.fn(() => true),
+        probe: jest.fn(async () => ({ video: {}, audio: null }))
+      };
+      feeder = new ContentFeederService(mediaProbeService);
+
+      feeder.play('/media/silent.mp4');
+      await flush();
+
+      assert.isTrue(spawn.mock.calls[0][1].includes('-shortest'), 'Should mix in silence');
+    });
+
+    test('should play a switched clip first when it arrives while the next one is probed', async () => {
+      let resolveProbe;
+      const mediaProbeService = {
+        isEnabled: jest.fn(() => true),
+        probe: jest.fn()
+          .mockImplementationOnce(() => new Promise(resolve => { resolveProbe = resolve; }))
+          .mockResolvedValue({ video: {}, audio: {} })
+      };
+      feeder = new ContentFeederService(mediaProbeService);
+
+      feeder.cue('/media/a.mp4');
+      feeder.play('/media/live.mp4');
+      await flush();
+      resolveProbe({ video: {}, audio: {} });
+      await flush();
+
+      assert.equal(processes.length, 1, 'Should start one clip');
+      assert.equal(feeder.getStatus().current.path, '/media/live.mp4', 'Should play the switched clip');
+      assert.deepEqual(feeder.getStatus().cued, ['/media/a.mp4'], 'Should play the other clip next');
+    });
+  });
+
+  describe('slate', () => {
+    beforeEach(() => {
+      CONFIG.feeders.content.slate.enabled = true;
+    });
+
+    test('should build a text card with escaped text', () => {
+      const args = feeder.buildSlateArgs();
+
+      assert.equal(args[args.indexOf('-i') + 1],
+        "color=c=black:size=1280x720:rate=30,drawtext=text=We\\\\\\'ll be right back:fontcolor=white:" +
+        'fontsize=60:x=(w-text_w)/2:y=(h-text_h)/2',
+        'Should draw the text centered on the card');
+      assert.isTrue(args.includes('anullsrc=channel_layout=stereo:sample_rate=48000'), 'Should add silence');
+    });
+
+    test('should build bars and tone, and loop image and video files', () => {
+      CONFIG.feeders.content.slate.type = 'bars';
+      const bars = feeder.buildSlateArgs();
+      assert.isTrue(bars.includes('smptehdbars=size=1280x720:rate=30'), 'Should generate bars');
+      assert.equal(bars[bars.lastIndexOf('-map') + 1], '1:a', 'Should use the tone as audio');
+
+      Object.assign(CONFIG.feeders.content.slate, { type: 'image', file: '/srv/slate.png' });
+      const image = feeder.buildSlateArgs();
+      assert.equal(image[image.indexOf('-loop') + 1], '1', 'Should loop the image');
+      assert.equal(image[image.indexOf('-i') + 1], '/srv/slate.png', 'Should read the image');
+
+      Object.assign(CONFIG.feeders.content.slate, { type: 'video', file: '/srv/slate.mp4' });
+      const video = feeder.buildSlateArgs({ hasAudio: true });
+      assert.equal(video[video.indexOf('-stream_loop') + 1], '-1', 'Should loop the video forever');
+      assert.equal(video[video.lastIndexOf('-map') + 1], '0:a:0', 'Should keep the video audio');
+    });
+
+    test('should play the slate when nothing is cued and step aside for new content', async () => {
+      const onStarted = jest.fn();
+
+      feeder.start();
+      await flush();
+
+      assert.equal(feeder.getStatus().state, 'slate', 'Should play the slate at startup');
+      assert.isTrue(feeder.getStatus().slate.active, 'Should report the slate as active');
+
+      feeder.cue('/media/a.mp4', onStarted);
+      await flush();
+
+      assert.equal(processes[0].kill.mock.calls[0][0], 'SIGKILL', 'Should stop the slate');
+      assert.equal(onStarted.mock.calls[0][0], '/media/a.mp4', 'Should play the new content');
+      assert.isFalse(feeder.getStatus().slate.active, 'Should report the slate as inactive');
+    });
+
+    test('should fall back to the slate when the last clip ends', async () => {
+      const onSlate = jest.fn();
+      feeder.onSlate(onSlate);
+      feeder.cue('/media/a.mp4');
+      await flush();
+      assert.equal(onSlate.mock.calls.length, 0, 'Should not report the slate while the clip plays');
+      processes[0].emit('close', 0, null);
+      await flush();
+
+      assert.equal(onSlate.mock.calls.length, 1, 'Should report the slate taking over');
+      const status = feeder.getStatus();
+      assert.equal(status.state, 'slate', 'Should play the slate');
+      assert.equal(status.slate.since, status.current.startedAt, 'Should report when the slate started');
+      assert.equal(status.clipsPlayed, 1, 'Should not count the slate as a clip');
+    });
+
+    test('should go idle instead of retrying a failing slate', async () => {
+      feeder.start();
+      await flush();
+      processes[0].stderr.emit('data', Buffer.from('No such filter: drawtext\n'));
+      processes[0].emit('close', 1, null);
+      await flush();
+
+      assert.equal(processes.length, 1, 'Should not restart the slate');
+      assert.equal(feeder.getStatus().state, 'idle', 'Should be idle');
+      assert.equal(feeder.getStatus().lastError, 'slate: No such filter: drawtext', 'Should report the slate error');
+    });
+  });
+
+  describe('stop', () => {
+    test('should stop the clip, drop the cue list and release the FIFO', async () => {
+      feeder.cue('/media/a.mp4');
+      feeder.cue('/media/b.mp4');
+      await flush();
+
+      feeder.stop();
+      await flush();
+
+      assert.equal(processes.length, 1, 'Should not start cued clips');
+      assert.equal(fs.closeSync.mock.calls[0][0], 42, 'Should close the FIFO');
+      assert.deepEqual(feeder.getStatus(), {
+        state: 'stopped',
+        current: null,
+        cued: [],
+        timelinePosition: feeder.getTimelinePosition(),
+        slate: { active: false, type: null, since: null },
+        clipsPlayed: 0,
+        lastError: null
+      }, 'Should report the stopped state');
+    });
+  });
+});
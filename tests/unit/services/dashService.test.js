@@ -0,0 +1,107 @@
+/**
+ * DASH Service Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const DashService = require('../../../src/services/dashService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    dash: {
+      enabled: true,
+      outputDir: './test_dash',
+      manifestName: 'manifest.mpd',
+      windowSize: 5
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('DashService', () => {
+  let dashService;
+
+  beforeEach(() => {
+    dashService = new DashService();
+    CONFIG.dash.enabled = true;
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    fs.rmSync('./test_dash', { recursive: true, force: true });
+  });
+
+  describe('setupDirectory', () => {
+    test('should create DASH output directory when enabled', () => {
+      dashService.setupDirectory();
+      assert.isTrue(fs.existsSync('./test_dash'), 'DASH output directory should be created');
+    });
+
+    test('should not create directory when disabled', () => {
+      CONFIG.dash.enabled = false;
+      dashService.setupDirectory();
+      assert.isFalse(fs.existsSync('./test_dash'), 'DASH output directory should not be created');
+    });
+  });
+
+  describe('getStreamUrl', () => {
+    test('should return manifest URL when enabled', () => {
+      const actual = dashService.getStreamUrl('http://localhost:3000');
+      assert.equal(actual, 'http://localhost:3000/dash/manifest.mpd', 'Should return DASH manifest URL');
+    });
+
+    test('should return null when disabled', () => {
+      CONFIG.dash.enabled = false;
+      assert.equal(dashService.getStreamUrl('http://localhost:3000'), null, 'Should return null');
+    });
+  });
+
+  describe('getManifestPath', () => {
+    test('should return manifest path inside output directory', () => {
+      assert.equal(dashService.getManifestPath(), path.join('./test_dash', 'manifest.mpd'), 'Should return manifest path');
+    });
+  });
+
+  describe('isGeneratingSegments', () => {
+    test('should reflect manifest presence', () => {
+      dashService.setupDirectory();
+      assert.isFalse(dashService.isGeneratingSegments(), 'Should be false without manifest');
+
+      fs.writeFileSync(dashService.getManifestPath(), '<MPD/>');
+      assert.isTrue(dashService.isGeneratingSegments(), 'Should be true with manifest');
+    });
+  });
+
+  describe('cleanupAll', () => {
+    test('should remove manifest and segments only', () => {
+      dashService.setupDirectory();
+
+      const files = ['manifest.mpd', 'init-stream0.m4s', 'chunk-stream0-00001.m4s'];
+      files.forEach(file => fs.writeFileSync(path.join('./test_dash', file), 'content'));
+      const otherPath = path.join('./test_dash', 'other.txt');
+      fs.writeFileSync(otherPath, 'content');
+
+      dashService.cleanupAll();
+
+      files.forEach(file => {
+        assert.isFalse(fs.existsSync(path.join('./test_dash', file)), `${file} should be removed`);
+      });
+      assert.isTrue(fs.existsSync(otherPath), 'Other files should remain');
+    });
+
+    test('should handle cleanup errors gracefully', () => {
+      dashService.cleanupAll();
+
+      const warnLogs = mockLogger.getLogs().filter(log => log.level === 'warn');
+      assert.isTrue(warnLogs.some(log => log.msg.includes('Error cleaning up DASH files')), 'Should log warning');
+    });
+  });
+});
@@ -7,6 +7,7 @@
 const { spawn } = require('child_process');
 const { mockLogger, assert } = require('../../helpers/testUtils');
 const FFmpegService = require('../../../src/services/ffmpegService');
+const { validateUpdateRequest } = require('../../../src/middleware/validation');
 
 // Mock child_process
 jest.mock('child_process', () => ({
@@ -22,11 +23,38 @@ jest.mock('child_process', () => ({
 jest.mock('../../../src/config', () => ({
   CONFIG: {
     http: { host: '0.0.0.0', port: 3000 },
-    hls: { segmentTime: 2, playlistSize: 5, outputDir: './test_hls', playlistName: 'stream.m3u8' },
+    hls: {
+      segmentTime: 2,
+      playlistSize: 5,
+      outputDir: './test_hls',
+      playlistName: 'stream.m3u8',
+      abr: { enabled: false, masterPlaylistName: 'master.m3u8' },
+      lowLatency: { enabled: false, partDuration: 0.5 }
+    },
+    dash: { enabled: false, outputDir: './test_dash', manifestName: 'manifest.mpd', windowSize: 5 },
     fifos: { baseDir: './test_fifos', layers: ['overlay1.fifo', 'overlay2.fifo'] },
+    feeders: { content: { enabled: true }, layers: { enabled: true } },
+    layout: { layers: [] },
+    text: { layers: [], fontFile: null },
     initialContent: './test_assets/test.mp4',
     zmq: { port: 5555 },
-    ffmpeg: { binary: 'echo', preset: 'ultrafast' }
+    ffmpeg: {
+      binary: 'echo',
+      preset: 'ultrafast',
+      restart: {
+        initialDelay: 1000,
+        maxDelay: 8000,
+        jitter: 0.2,
+        stableAfter: 30000,
+        crashLoopThreshold: 5,
+        crashLoopWindow: 60000
+      },
+      metrics: {
+        historySize: 5,
+        slowSpeed: 1.0,
+        slowWindow: 3
+      }
+    }
   }
 }));
 
@@ -44,12 +72,21 @@ describe('FFmpegService', () => {
     mockFifoService = {
       getContentFifoPath: jest.fn(() => './test_fifos/content.fifo'),
       getLayerFifoPath: jest.fn((index) => `./test_fifos/overlay${index + 1}.fifo`),
-      writeContent: jest.fn()
+      writeContent: jest.fn(),
+      restartLayerFeeders: jest.fn()
     };
     
     mockHlsService = {
       getOutputPath: jest.fn(() => './test_hls/stream.m3u8'),
-      getSegmentPatternPath: jest.fn(() => './test_hls/stream_%03d.ts')
+      getSegmentPatternPath: jest.fn(() => './test_hls/stream_%03d.ts'),
+      isAdaptive: jest.fn(() => false),
+      getVariants: jest.fn(() => []),
+      isFragmentedMp4: jest.fn(() => false),
+      getInitFilename: jest.fn(() => 'init.mp4'),
+      isLowLatency: jest.fn(() => false),
+      getPartsPerSegment: jest.fn(() => 1),
+      isEncrypted: jest.fn(() => false),
+      getKeyInfoPath: jest.fn(() => '/srv/keys/keyinfo.txt')
     };
     
     // Setup mock process
@@ -114,6 +151,164 @@ describe('FFmpegService', () => {
         assert.isTrue(args.includes('./test_fifos/overlay2.fifo'), 'Should include second layer FIFO');
       }
     });
+
+    test('should read the content feeder output as MPEG-TS', () => {
+      const args = ffmpegService.buildArgs();
+      const contentInput = args.indexOf('./test_fifos/content.fifo');
+
+      assert.equal(args[contentInput - 4], 'mpegts', 'Should demux the content FIFO as MPEG-TS');
+      assert.isFalse(args.includes('concat'), 'Should not use the concat demuxer');
+    });
+
+    test('should read the content FIFO with the concat demuxer when the feeder is disabled', () => {
+      const { CONFIG } = require('../../../src/config');
+      CONFIG.feeders.content.enabled = false;
+
+      const args = ffmpegService.buildArgs();
+      CONFIG.feeders.content.enabled = true;
+
+      assert.equal(args[args.indexOf('./test_fifos/content.fifo') - 4], 'concat', 'Should use the concat demuxer');
+    });
+
+    test('should read the layer feeder output as NUT without reconfiguring the graph', () => {
+      const args = ffmpegService.buildArgs();
+      const layerInput = args.indexOf('./test_fifos/overlay1.fifo');
+
+      assert.deepEqual(args.slice(layerInput - 7, layerInput - 1),
+        ['-f', 'nut', '-fflags', '+genpts+discardcorrupt', '-reinit_filter', '0'],
+        'Should demux the layer FIFO as NUT and keep the filter graph on size changes');
+    });
+
+    test('should continue the media sequence across restarts', () => {
+      const flags = args => args[args.indexOf('-hls_flags') + 1].split('+');
+
+      assert.isTrue(flags(ffmpegService.buildArgs()).includes('append_list'), 'Should append to the existing playlist');
+      assert.isTrue(flags(ffmpegService.buildArgs()).includes('discont_start'), 'Should mark the restart as a discontinuity');
+
+      mockHlsService.isLowLatency.mockReturnValue(true);
+      mockHlsService.getPartsPerSegment.mockReturnValue(4);
+      assert.isTrue(flags(ffmpegService.buildArgs()).includes('append_list'), 'Should append in low-latency mode too');
+    });
+  });
+
+  describe('fMP4 segment output', () => {
+    test('should not set segment type for MPEG-TS output', () => {
+      const args = ffmpegService.buildArgs();
+      assert.isFalse(args.includes('-hls_segment_type'), 'Should keep default MPEG-TS segments');
+    });
+
+    test('should request fMP4 segments with init segment', () => {
+      mockHlsService.isFragmentedMp4.mockReturnValue(true);
+      mockHlsService.getSegmentPatternPath.mockReturnValue('./test_hls/stream_%03d.m4s');
+      
+      const args = ffmpegService.buildArgs();
+      
+      assert.equal(args[args.indexOf('-hls_segment_type') + 1], 'fmp4', 'Should set fmp4 segment type');
+      assert.equal(args[args.indexOf('-hls_fmp4_init_filename') + 1], 'init.mp4', 'Should set init filename');
+      assert.equal(args[args.indexOf('-hls_segment_filename') + 1], './test_hls/stream_%03d.m4s', 'Should write .m4s fragments');
+    });
+  });
+
+  describe('encrypted output', () => {
+    test('should not encrypt by default', () => {
+      const args = ffmpegService.buildArgs();
+      assert.isFalse(args.includes('-hls_key_info_file'), 'Should not pass a keyinfo file');
+    });
+
+    test('should pass the keyinfo file and re-read it at every segment', () => {
+      mockHlsService.isEncrypted.mockReturnValue(true);
+      
+      const args = ffmpegService.buildArgs();
+      
+      assert.equal(args[args.indexOf('-hls_key_info_file') + 1], '/srv/keys/keyinfo.txt', 'Should set keyinfo file');
+      assert.isTrue(args[args.indexOf('-hls_flags') + 1].includes('periodic_rekey'), 'Should enable periodic rekey');
+    });
+  });
+
+  describe('DASH output', () => {
+    let mockDashService;
+
+    beforeEach(() => {
+      mockDashService = {
+        isEnabled: jest.fn(() => true),
+        getManifestPath: jest.fn(() => './test_dash/manifest.mpd')
+      };
+      ffmpegService = new FFmpegService(mockFifoService, mockHlsService, mockDashService);
+    });
+
+    test('should keep plain HLS output when DASH is disabled', () => {
+      mockDashService.isEnabled.mockReturnValue(false);
+      
+      const args = ffmpegService.buildArgs();
+      
+      assert.isFalse(args.includes('tee'), 'Should not use tee muxer');
+      assert.equal(args[args.length - 1], './test_hls/stream.m3u8', 'Should output HLS playlist');
+    });
+
+    test('should feed HLS and DASH from one encode through the tee muxer', () => {
+      const args = ffmpegService.buildArgs();
+      const teeSpec = args[args.length - 1];
+      
+      assert.equal(args[args.length - 2], 'tee', 'Should use tee muxer');
+      assert.equal(args.filter(arg => arg === '-c:v').length, 1, 'Should encode video once');
+      assert.isTrue(teeSpec.startsWith('[f=hls:hls_time=2:'), 'Should start with HLS output');
+      assert.isTrue(teeSpec.includes(']./test_hls/stream.m3u8|[f=dash:onfail=ignore:'), 'Should add DASH output');
+      assert.isTrue(teeSpec.endsWith(']./test_dash/manifest.mpd'), 'Should write DASH manifest');
+      assert.isTrue(teeSpec.includes("adaptation_sets=\\'id=0,streams=v id=1,streams=a\\'"), 'Should quote values with separators');
+    });
+  });
+
+  describe('low-latency output', () => {
+    test('should write part-sized segments split by time', () => {
+      mockHlsService.isLowLatency.mockReturnValue(true);
+      mockHlsService.getPartsPerSegment.mockReturnValue(4);
+      
+      const args = ffmpegService.buildArgs();
+      
+      assert.equal(args[args.indexOf('-hls_time') + 1], '0.5', 'Should use part duration as segment time');
+      assert.equal(args[args.indexOf('-hls_list_size') + 1], '24', 'Should keep enough parts for the playlist window');
+      assert.isTrue(args[args.indexOf('-hls_flags') + 1].includes('split_by_time'), 'Should split parts by time');
+    });
+  });
+
+  describe('adaptive bitrate ladder', () => {
+    const variants = [
+      { name: '720p', width: 1280, height: 720, videoBitrate: '2800k' },
+      { name: '480p', width: 854, height: 480, videoBitrate: '1400k' },
+      { name: 'audio', audioOnly: true }
+    ];
+
+    beforeEach(() => {
+      mockHlsService.isAdaptive.mockReturnValue(true);
+      mockHlsService.getVariants.mockReturnValue(variants);
+      mockHlsService.getOutputPath.mockReturnValue('./test_hls/stream_%v.m3u8');
+      mockHlsService.getSegmentPatternPath.mockReturnValue('./test_hls/stream_%v_%03d.ts');
+    });
+
+    test('should split video into scaled variants and audio per variant', () => {
+      const filter = ffmpegService.buildVariantFilter('[vout]', '[aout]');
+
+      assert.isTrue(filter.includes('[vout]split=2[vsplit0][vsplit1]'), 'Should split video for each video variant');
+      assert.isTrue(filter.includes('[vsplit0]scale=1280:720[v0]'), 'Should scale first variant');
+      assert.isTrue(filter.includes('[vsplit1]scale=854:480[v1]'), 'Should scale second variant');
+      assert.isTrue(filter.includes('[aout]asplit=3[a0][a1][a2]'), 'Should split audio for every variant');
+    });
+
+    test('should build var_stream_map with audio-only variant', () => {
+      const map = ffmpegService.buildVarStreamMap();
+      assert.equal(map, 'v:0,a:0,name:720p v:1,a:1,name:480p a:2,name:audio', 'Should group streams per variant');
+    });
+
+    test('should set per-variant bitrates and master playlist', () => {
+      const args = ffmpegService.buildArgs();
+
+      assert.isTrue(args.includes('-var_stream_map'), 'Should include var_stream_map');
+      assert.equal(args[args.indexOf('-master_pl_name') + 1], 'master.m3u8', 'Should write master playlist');
+      assert.equal(args[args.indexOf('-b:v:0') + 1], '2800k', 'Should set first variant bitrate');
+      assert.equal(args[args.indexOf('-b:v:1') + 1], '1400k', 'Should set second variant bitrate');
+      assert.equal(args[args.length - 1], './test_hls/stream_%v.m3u8', 'Should output variant playlist pattern');
+      assert.isFalse(args.includes('-crf'), 'Should use bitrate control instead of CRF');
+    });
   });
 
   describe('buildFilterComplex', () => {
@@ -131,6 +326,75 @@ describe('FFmpegService', () => {
       assert.isTrue(filter.includes('inputs=3'), 'Should mix 3 audio inputs');
     });
 
+    test('should name every filter instance', () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+      
+      const filter = ffmpegService.buildFilterComplex();
+      
+      assert.isTrue(filter.includes('[0:v][lsrc0]overlay@layer0_overlay=x=0:y=0:enable=\'1\'[vlayer0]'), 'Should name the first overlay');
+      assert.isTrue(filter.includes('[vlayer0][lsrc1]overlay@layer1_overlay=x=100:y=100:enable=\'1\'[vlayer1]'), 'Should chain the second overlay');
+      assert.isTrue(filter.includes('[vlayer1]zmq@control_zmq='), 'Should feed the composite through the zmq filter');
+      assert.isTrue(filter.includes('[0:a]volume@main_volume=volume=1[amain]'), 'Should name the main volume');
+      assert.isTrue(filter.includes('[amain][alayer0][alayer1]amix@audio_mix=inputs=3[aout]'), 'Should mix the layer audio');
+      assert.isFalse(filter.includes('Parsed_'), 'Should not rely on generated names');
+    });
+  });
+
+  describe('filter catalog', () => {
+    test('should list each instance with its filter type and commands', () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+      
+      const catalog = ffmpegService.getFilterCatalog();
+      const overlay = catalog.find(entry => entry.instance === 'layer1_overlay');
+      const mix = catalog.find(entry => entry.instance === 'audio_mix');
+      
+      assert.deepEqual(catalog.map(entry => entry.instance), [
+        'layer0_scale', 'layer0_format', 'layer0_opacity', 'layer1_scale', 'layer1_format', 'layer1_opacity',
+        'layer0_overlay', 'layer1_overlay', 'control_zmq', 'main_volume', 'layer0_volume', 'layer1_volume', 'audio_mix'
+      ], 'Should list every instance');
+      assert.equal(overlay.filter, 'overlay', 'Should include the filter type');
+      assert.equal(overlay.layer, 1, 'Should include the layer index');
+      assert.deepEqual(overlay.commands.map(command => command.command), ['x', 'y', 'enable'], 'Should list the overlay commands');
+      assert.deepEqual(mix.commands.map(command => command.command), ['weights'], 'Should list the amix commands');
+    });
+
+    test('should only accept commands for instances with runtime commands', () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+      
+      const targets = ffmpegService.getFilterTargets();
+      
+      assert.isTrue(targets.includes('layer0_overlay'), 'Should include overlays');
+      assert.isTrue(targets.includes('main_volume'), 'Should include volumes');
+      assert.isTrue(targets.includes('layer0_opacity'), 'Should include the layer opacity');
+      assert.isFalse(targets.includes('layer0_format'), 'Should exclude filters without commands');
+      assert.isFalse(targets.includes('control_zmq'), 'Should exclude the zmq filter');
+    });
+
+    test('should follow the configured number of layers', () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+      
+      const { CONFIG } = require('../../../src/config');
+      const layers = CONFIG.fifos.layers;
+      CONFIG.fifos.layers = [];
+      
+      try {
+        const filter = new FFmpegService(mockFifoService, mockHlsService).buildFilterComplex();
+        assert.isTrue(filter.includes('[0:v]zmq@control_zmq='), 'Should pass the content through the zmq filter');
+        assert.isTrue(filter.includes('[0:a]volume@main_volume=volume=1[aout]'), 'Should not mix without layers');
+        assert.isFalse(filter.includes('amix'), 'Should not mix without layers');
+      } finally {
+        CONFIG.fifos.layers = layers;
+      }
+    });
+
     test('should return simplified filter on Windows', () => {
       if (process.platform !== 'win32') {
         return; // Skip on non-Windows
@@ -143,6 +407,103 @@ describe('FFmpegService', () => {
     });
   });
 
+  describe('layer layout', () => {
+    test('should scale, fade and place layers from their layout', async () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+      
+      await ffmpegService.layoutService.updateLayout(1, { anchor: 'bottom-right', x: 20, y: '10%', width: 320, opacity: 0.5, visible: false });
+      const filter = ffmpegService.buildFilterComplex();
+      
+      assert.isTrue(filter.includes('[2:v]scale@layer1_scale=w=320:h=-1[lscaled1]'), 'Should scale the layer keeping its aspect ratio');
+      assert.isTrue(filter.includes('[lrgba1]colorchannelmixer@layer1_opacity=aa=0.5[lsrc1]'), 'Should apply the opacity');
+      assert.isTrue(filter.includes('overlay@layer1_overlay=x=W-w-20:y=H-h-H*0.1:enable=\'0\''), 'Should anchor and hide the layer');
+    });
+
+    test('should take muted layers out of the audio mix', async () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+
+      await ffmpegService.layoutService.updateLayout(0, { muted: true });
+      const filter = ffmpegService.buildFilterComplex();
+
+      assert.isTrue(filter.includes('[1:a]volume@layer0_volume=volume=0[alayer0]'), 'Should silence the muted layer');
+      assert.isTrue(filter.includes('[2:a]volume@layer1_volume=volume=1[alayer1]'), 'Should keep the other layer');
+    });
+
+    test('should chain overlays by zIndex', async () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+      
+      await ffmpegService.layoutService.updateLayout(0, { zIndex: 5 });
+      const filter = ffmpegService.buildFilterComplex();
+      
+      assert.isTrue(filter.includes('[0:v][lsrc1]overlay@layer1_overlay'), 'Should put the lower layer first');
+      assert.isTrue(filter.includes('[vlayer1][lsrc0]overlay@layer0_overlay'), 'Should put the raised layer on top');
+      assert.isTrue(filter.includes('[vlayer0]zmq@control_zmq='), 'Should end with the top layer');
+    });
+
+    test('should draw text layers over the layers', async () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+
+      await ffmpegService.textLayerService.setLayer('ticker', { template: 'crawl', text: 'Rain, then sun' });
+      const filter = ffmpegService.buildFilterComplex();
+
+      assert.isTrue(filter.includes('[vlayer1]drawtext@text_ticker=text=Rain\\, then sun:'), 'Should escape the text for the graph');
+      assert.isTrue(filter.includes(':x=w-mod(t*120\\,w+tw):'), 'Should escape the expressions for the graph');
+      assert.isTrue(filter.includes('[vtext_ticker]zmq@control_zmq='), 'Should feed the zmq filter');
+      assert.isTrue(ffmpegService.getFilterTargets().includes('text_ticker'), 'Should accept commands for the text layer');
+    });
+
+    test('should accept filter updates for text layers added and removed at runtime', async () => {
+      if (process.platform === 'win32') {
+        return;
+      }
+
+      const middleware = validateUpdateRequest(2, null, () => ffmpegService.getFilterTargets());
+      const send = () => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const next = jest.fn();
+        middleware({ body: { type: 'filter', data: { command: 'text_ticker reinit alpha=0' } }, method: 'POST' }, res, next);
+        return next.mock.calls.length === 1;
+      };
+
+      assert.isFalse(send(), 'Should reject an instance that is not in the graph');
+
+      await ffmpegService.textLayerService.setLayer('ticker', { template: 'crawl', text: 'Rain, then sun' });
+      assert.isTrue(send(), 'Should accept the new text layer');
+
+      ffmpegService.textLayerService.removeLayer('ticker');
+      assert.isFalse(send(), 'Should reject the removed text layer');
+    });
+  });
+
+  describe('rebuild', () => {
+    test('should return false without a running process', () => {
+      assert.isFalse(ffmpegService.rebuild('layout'), 'Should not rebuild without a process');
+    });
+
+    test('should restart right away without counting a failure', async () => {
+      await ffmpegService.start();
+      
+      assert.isTrue(ffmpegService.rebuild('layer 0 stacking order'), 'Should rebuild the running process');
+      assert.equal(mockProcess.kill.mock.calls[0][0], 'SIGKILL', 'Should kill the process');
+      
+      const closeHandler = mockProcess.on.mock.calls.find(call => call[0] === 'close')[1];
+      closeHandler(null, 'SIGKILL');
+      
+      assert.equal(spawn.mock.calls.length, 2, 'Should start the new graph immediately');
+      assert.equal(mockFifoService.restartLayerFeeders.mock.calls.length, 2, 'Should restart the layer feeders for the new graph');
+      assert.equal(ffmpegService.getProcessStatus().consecutiveFailures, 0, 'Should not count a failure');
+      assert.equal(ffmpegService.restartTimer, null, 'Should not schedule a backoff restart');
+    });
+  });
+
   describe('start', () => {
     test('should not start if process is already running', async () => {
       ffmpegService.process = mockProcess;
@@ -188,6 +549,203 @@ describe('FFmpegService', () => {
     });
   });
 
+  describe('restart supervision', () => {
+    const getHandler = (emitter, event) => emitter.on.mock.calls.filter(call => call[0] === event).pop()[1];
+
+    const crash = (stderr, code = 1) => {
+      getHandler(mockProcess.stderr, 'data')(Buffer.from(stderr));
+      getHandler(mockProcess, 'close')(code, null);
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      ffmpegService.stop();
+      jest.useRealTimers();
+    });
+
+    test('should back off exponentially with jitter up to the maximum delay', () => {
+      const delays = [1, 2, 3, 4, 5].map(attempt => ffmpegService.getRestartDelay(attempt));
+
+      [1000, 2000, 4000, 8000, 8000].forEach((base, i) => {
+        assert.isTrue(delays[i] >= base * 0.8 && delays[i] <= base * 1.2, `Attempt ${i + 1} should be within jitter of ${base}ms`);
+      });
+    });
+
+    test('should classify the last stderr lines into failure reasons', () => {
+      assert.equal(ffmpegService.classifyFailure(['Unknown encoder \'libx265\'']), 'missing-encoder', 'Should detect missing encoder');
+      assert.equal(ffmpegService.classifyFailure(['Unrecognized option \'foo\'.', 'Error splitting the argument list: Option not found']), 'invalid-argument', 'Should detect bad arguments');
+      assert.equal(ffmpegService.classifyFailure(['[Parsed_zmq_5] Could not bind ZMQ socket', 'Address already in use']), 'port-in-use', 'Should detect busy port');
+      assert.equal(ffmpegService.classifyFailure(['FFmpeg process error: spawn ffmpeg ENOENT']), 'missing-binary', 'Should detect missing binary');
+      assert.equal(ffmpegService.classifyFailure(['frame=  100 fps=30'], 'SIGKILL'), 'killed', 'Should fall back to killed for signals');
+      assert.equal(ffmpegService.classifyFailure(['something odd']), 'unknown', 'Should fall back to unknown');
+    });
+
+    test('should schedule a restart with the failure reason', async () => {
+      await ffmpegService.start();
+      crash('Unknown encoder \'libx265\'');
+
+      const status = ffmpegService.getProcessStatus();
+      assert.equal(status.state, 'restarting', 'Should be restarting');
+      assert.equal(status.failureReason, 'missing-encoder', 'Should classify the failure');
+      assert.equal(status.lastFailure.message, 'Unknown encoder \'libx265\'', 'Should keep the last stderr line');
+      assert.isTrue(status.nextRestartAt !== null, 'Should report the next restart time');
+
+      jest.advanceTimersByTime(1200);
+
+      assert.equal(spawn.mock.calls.length, 2, 'Should restart FFmpeg');
+      assert.equal(mockFifoService.restartLayerFeeders.mock.calls.length, 2, 'Should restart the layer feeders with the encoder');
+      assert.equal(ffmpegService.getProcessStatus().restartCount, 1, 'Should count the restart');
+      assert.equal(ffmpegService.getState(), 'running', 'Should be running again');
+    });
+
+    test('should enter the failed state on a crash loop', async () => {
+      await ffmpegService.start();
+
+      for (let i = 0; i < 5; i++) {
+        crash('Address already in use');
+        jest.advanceTimersByTime(10000);
+      }
+
+      const status = ffmpegService.getProcessStatus();
+      assert.equal(status.state, 'failed', 'Should give up');
+      assert.equal(status.restartCount, 4, 'Should count the restarts before giving up');
+      assert.equal(status.failureReason, 'port-in-use', 'Should keep the failure reason');
+      assert.equal(spawn.mock.calls.length, 5, 'Should stop restarting');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'error' && log.msg.includes('giving up')), 'Should log the crash loop');
+    });
+
+    test('should kill and restart the process on request with the given reason', async () => {
+      assert.isFalse(ffmpegService.restart('stalled'), 'Should do nothing without a process');
+
+      await ffmpegService.start();
+      assert.isTrue(ffmpegService.restart('stalled'), 'Should restart a running process');
+      expect(mockProcess.kill).toHaveBeenCalledWith('SIGKILL');
+
+      getHandler(mockProcess, 'close')(null, 'SIGKILL');
+
+      const status = ffmpegService.getProcessStatus();
+      assert.equal(status.state, 'restarting', 'Should go through the supervisor');
+      assert.equal(status.failureReason, 'stalled', 'Should record the restart reason');
+
+      jest.advanceTimersByTime(1200);
+      assert.equal(spawn.mock.calls.length, 2, 'Should start a new process');
+    });
+
+    test('should not restart after stop', async () => {
+      await ffmpegService.start();
+      ffmpegService.stop();
+      getHandler(mockProcess, 'close')(null, 'SIGTERM');
+
+      jest.advanceTimersByTime(60000);
+
+      assert.equal(spawn.mock.calls.length, 1, 'Should not restart');
+      assert.equal(ffmpegService.getState(), 'stopped', 'Should be stopped');
+    });
+  });
+
+  describe('encoder metrics', () => {
+    const progressBlock = (fields) =>
+      Object.entries(fields).map(([key, value]) => `${key}=${value}\n`).join('') + 'progress=continue\n';
+
+    const emitProgress = (output) => {
+      const handler = mockProcess.stdout.on.mock.calls.filter(call => call[0] === 'data').pop()[1];
+      handler(Buffer.from(output));
+    };
+
+    test('should request progress output on stdout', () => {
+      const args = ffmpegService.buildArgs();
+
+      assert.equal(args[args.indexOf('-progress') + 1], 'pipe:1', 'Should write progress to stdout');
+      assert.isTrue(args.includes('-nostats'), 'Should disable the stderr stats line');
+    });
+
+    test('should parse progress blocks split across chunks', async () => {
+      await ffmpegService.start();
+
+      const block = 'frame=300\nfps=29.97\nstream_0_0_q=23.0\nbitrate=2810.4kbits/s\ntotal_size=3512000\n' +
+        'out_time_us=10000000\nout_time=00:00:10.000000\ndup_frames=2\ndrop_frames=1\nspeed=1.02x\nprogress=continue\n';
+      emitProgress(block.slice(0, 40));
+      emitProgress(block.slice(40));
+
+      const { current, history } = ffmpegService.getEncoderMetrics();
+      assert.equal(history.length, 1, 'Should record one sample per block');
+      assert.equal(current.frame, 300, 'Should parse frame');
+      assert.equal(current.fps, 29.97, 'Should parse fps');
+      assert.equal(current.bitrate, 2810.4, 'Should parse bitrate in kbit/s');
+      assert.equal(current.totalSize, 3512000, 'Should parse total size');
+      assert.equal(current.outTime, 10, 'Should convert out_time_us to seconds');
+      assert.equal(current.speed, 1.02, 'Should parse speed');
+      assert.equal(current.dupFrames, 2, 'Should parse duplicated frames');
+      assert.equal(current.dropFrames, 1, 'Should parse dropped frames');
+    });
+
+    test('should treat N/A values as missing', async () => {
+      await ffmpegService.start();
+      emitProgress(progressBlock({ frame: 0, bitrate: 'N/A', out_time_us: 'N/A', speed: 'N/A' }));
+
+      const { current } = ffmpegService.getEncoderMetrics();
+      assert.equal(current.bitrate, null, 'Should not report a bitrate');
+      assert.equal(current.outTime, null, 'Should not report an output time');
+      assert.equal(current.speed, null, 'Should not report a speed');
+    });
+
+    test('should keep a rolling history', async () => {
+      await ffmpegService.start();
+      for (let frame = 1; frame <= 8; frame++) {
+        emitProgress(progressBlock({ frame, speed: '1.0x' }));
+      }
+
+      const { history, summary } = ffmpegService.getEncoderMetrics();
+      assert.equal(history.length, 5, 'Should keep historySize samples');
+      assert.equal(history[0].frame, 4, 'Should drop the oldest samples');
+      assert.equal(summary.samples, 5, 'Should count the samples');
+    });
+
+    test('should alert when the encoder falls behind real time and clear on recovery', async () => {
+      await ffmpegService.start();
+
+      emitProgress(progressBlock({ speed: '0.5x' }));
+      emitProgress(progressBlock({ speed: '0.6x' }));
+      assert.isFalse(ffmpegService.getMetricsSummary().slow, 'Should wait for a full window');
+
+      emitProgress(progressBlock({ speed: '0.7x' }));
+      const summary = ffmpegService.getMetricsSummary();
+      assert.isTrue(summary.slow, 'Should raise the slow encoder alert');
+      assert.equal(summary.averageSpeed.toFixed(2), '0.60', 'Should average the speed over the window');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'warn' && log.msg.includes('slower than real time')), 'Should log the alert');
+
+      ['1.2x', '1.3x', '1.4x'].forEach(speed => emitProgress(progressBlock({ speed })));
+      assert.isFalse(ffmpegService.getMetricsSummary().slow, 'Should clear the alert');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'info' && log.msg.includes('recovered')), 'Should log the recovery');
+    });
+
+    test('should notify metrics listeners until they unsubscribe', async () => {
+      const samples = [];
+      const unsubscribe = ffmpegService.onMetrics(sample => samples.push(sample));
+
+      await ffmpegService.start();
+      emitProgress(progressBlock({ frame: 1 }));
+      unsubscribe();
+      emitProgress(progressBlock({ frame: 2 }));
+
+      assert.equal(samples.length, 1, 'Should stop notifying after unsubscribe');
+      assert.equal(samples[0].frame, 1, 'Should pass the sample');
+    });
+
+    test('should reset metrics when the process starts', async () => {
+      await ffmpegService.start();
+      emitProgress(progressBlock({ frame: 1 }));
+      ffmpegService.process = null;
+
+      await ffmpegService.start();
+
+      assert.equal(ffmpegService.getEncoderMetrics().current, null, 'Should forget the previous process');
+    });
+  });
+
   describe('stop', () => {
     test('should do nothing if process is not running', () => {
       ffmpegService.stop();
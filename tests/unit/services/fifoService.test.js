@@ -181,6 +181,166 @@ describe('FifoService', () => {
     });
   });
 
+  describe('getWriteCounts', () => {
+    test('should count successful and failed writes per FIFO', async () => {
+      const testFile = testFileManager.createTestImage('test_overlay.png');
+      const originalCreateReadStream = fs.createReadStream;
+      const originalCreateWriteStream = fs.createWriteStream;
+      fs.createReadStream = jest.fn(() => ({ pipe: jest.fn() }));
+      fs.createWriteStream = jest.fn(() => ({ write: jest.fn(), end: jest.fn() }));
+
+      await fifoService.writeLayer(1, testFile);
+      await fifoService.writeLayer(1, '/non/existent/overlay.png');
+      await fifoService.writeContent('/non/existent/file.mp4');
+
+      fs.createReadStream = originalCreateReadStream;
+      fs.createWriteStream = originalCreateWriteStream;
+
+      assert.deepEqual(fifoService.getWriteCounts(), {
+        layer1: { success: 1, failed: 1 },
+        content: { success: 0, failed: 1 }
+      }, 'Should count writes per FIFO');
+    });
+  });
+
+  describe('getSource', () => {
+    test('should remember the file last written to each FIFO', async () => {
+      const testFile = testFileManager.createTestImage('test_overlay.png');
+      const originalCreateReadStream = fs.createReadStream;
+      const originalCreateWriteStream = fs.createWriteStream;
+      fs.createReadStream = jest.fn(() => ({ pipe: jest.fn() }));
+      fs.createWriteStream = jest.fn(() => ({ write: jest.fn(), end: jest.fn() }));
+
+      assert.equal(fifoService.getSource('layer0'), null, 'Should have no source before the first write');
+
+      await fifoService.writeLayer(0, testFile);
+      await fifoService.writeLayer(1, '/non/existent/overlay.png');
+
+      fs.createReadStream = originalCreateReadStream;
+      fs.createWriteStream = originalCreateWriteStream;
+
+      const source = fifoService.getSource('layer0');
+      assert.equal(source.path, testFile, 'Should record the written file');
+      assert.isFalse(Number.isNaN(Date.parse(source.updatedAt)), 'Should record when it was written');
+      assert.equal(fifoService.getSource('layer1'), null, 'Should not record failed writes');
+
+      fifoService.clearSource('layer0');
+      assert.equal(fifoService.getSource('layer0'), null, 'Should forget cleared sources');
+    });
+  });
+
+  describe('content feeder', () => {
+    let contentFeeder;
+
+    beforeEach(() => {
+      contentFeeder = {
+        isEnabled: jest.fn(() => true),
+        cue: jest.fn(),
+        play: jest.fn(),
+        stop: jest.fn(),
+        getStatus: jest.fn(() => ({ state: 'playing' }))
+      };
+      fifoService = new FifoService(contentFeeder);
+    });
+
+    test('should cue content in the feeder instead of writing a concat entry', async () => {
+      const testFile = testFileManager.createTestVideo('test_content.mp4');
+      const onConsumed = jest.fn();
+      const originalCreateWriteStream = fs.createWriteStream;
+      fs.createWriteStream = jest.fn();
+
+      const result = await fifoService.writeContent(testFile, onConsumed);
+      fs.createWriteStream = originalCreateWriteStream;
+
+      assert.isTrue(result, 'Should accept the file');
+      assert.equal(contentFeeder.cue.mock.calls[0][0], testFile, 'Should cue the file');
+      assert.equal(fs.createWriteStream.mock.calls.length, 0, 'Should not write to the FIFO directly');
+      assert.equal(fifoService.getSource('content'), null, 'Should not record a source that is only cued');
+
+      contentFeeder.cue.mock.calls[0][1](testFile);
+
+      assert.equal(onConsumed.mock.calls[0][0], testFile, 'Should call back once the clip starts');
+      assert.equal(fifoService.getSource('content').path, testFile, 'Should record the source once it plays');
+    });
+
+    test('should switch content right away', async () => {
+      const testFile = testFileManager.createTestVideo('test_content.mp4');
+
+      assert.isTrue(await fifoService.switchContent(testFile), 'Should accept the file');
+      assert.isFalse(await fifoService.switchContent('/non/existent/file.mp4'), 'Should reject missing files');
+
+      assert.equal(contentFeeder.play.mock.calls.length, 1, 'Should play only the existing file');
+      assert.deepEqual(fifoService.getWriteCounts(), { content: { success: 1, failed: 1 } }, 'Should count switches');
+
+      contentFeeder.play.mock.calls[0][1](testFile);
+      assert.equal(fifoService.getSource('content').path, testFile, 'Should record the source once it plays');
+    });
+
+    test('should report the feeder status and stop the feeder on cleanup', () => {
+      assert.deepEqual(fifoService.getFeederStatus(), { content: { state: 'playing' }, layers: null }, 'Should report the content feeder');
+
+      fifoService.cleanup();
+      assert.equal(contentFeeder.stop.mock.calls.length, 1, 'Should stop the feeder');
+
+      contentFeeder.isEnabled.mockReturnValue(false);
+      assert.deepEqual(fifoService.getFeederStatus(), { content: null, layers: null }, 'Should report no feeder when disabled');
+    });
+  });
+
+  describe('layer feeders', () => {
+    let layerFeeder;
+
+    beforeEach(() => {
+      layerFeeder = {
+        isEnabled: jest.fn(() => true),
+        setSource: jest.fn().mockResolvedValue(true),
+        clear: jest.fn().mockResolvedValue(true),
+        stop: jest.fn(),
+        getStatus: jest.fn(() => [{ index: 0, state: 'clear' }])
+      };
+      fifoService = new FifoService(null, layerFeeder);
+    });
+
+    test('should loop layer files through the layer feeder', async () => {
+      const testFile = testFileManager.createTestImage('test_overlay.png');
+      const createReadStream = jest.spyOn(fs, 'createReadStream');
+
+      const result = await fifoService.writeLayer(1, testFile);
+
+      assert.isTrue(result, 'Should accept the file');
+      assert.deepEqual(layerFeeder.setSource.mock.calls[0], [1, testFile], 'Should hand the file to the feeder');
+      assert.equal(createReadStream.mock.calls.length, 0, 'Should not pipe the file once');
+      createReadStream.mockRestore();
+      assert.equal(fifoService.getSource('layer1').path, testFile, 'Should record the source');
+    });
+
+    test('should count a source the feeder did not take as failed', async () => {
+      const testFile = testFileManager.createTestImage('test_overlay.png');
+      layerFeeder.setSource.mockResolvedValue(false);
+
+      assert.isFalse(await fifoService.writeLayer(0, testFile), 'Should report the failure');
+      assert.deepEqual(fifoService.getWriteCounts(), { layer0: { success: 0, failed: 1 } }, 'Should count the failure');
+      assert.equal(fifoService.getSource('layer0'), null, 'Should not record the source');
+    });
+
+    test('should clear a layer with a transparent frame and forget its source', async () => {
+      fifoService.recordSource('layer0', '/media/logo.png');
+
+      assert.isTrue(await fifoService.clearLayer(0), 'Should clear the layer');
+      assert.isFalse(await fifoService.clearLayer(5), 'Should reject unknown layers');
+
+      assert.equal(layerFeeder.clear.mock.calls[0][0], 0, 'Should clear the feeder');
+      assert.equal(fifoService.getSource('layer0'), null, 'Should forget the source');
+    });
+
+    test('should report the layer feeders and stop them on cleanup', () => {
+      assert.deepEqual(fifoService.getFeederStatus().layers, [{ index: 0, state: 'clear' }], 'Should report the layer feeders');
+
+      fifoService.cleanup();
+      assert.equal(layerFeeder.stop.mock.calls.length, 1, 'Should stop the feeders');
+    });
+  });
+
   describe('getContentFifoPath', () => {
     test('should return correct content FIFO path', () => {
       const expected = path.join('./test_fifos', 'content.fifo');
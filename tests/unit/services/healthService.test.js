@@ -0,0 +1,145 @@
+/**
+ * Health Service Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const HealthService = require('../../../src/services/healthService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    hls: {
+      segmentTime: 2,
+      health: {
+        stallFactor: 3,
+        startupGrace: 30000,
+        checkInterval: 1000,
+        restartOnStall: false
+      }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('HealthService', () => {
+  const now = Date.now();
+  let healthService;
+  let mockHlsService;
+  let mockFFmpegService;
+  let freshness;
+  let processStatus;
+
+  beforeEach(() => {
+    freshness = { playlistUpdatedAt: null, playlistAdvancedAt: null, mediaSequence: null, newestSegmentAt: null };
+    processStatus = { state: 'running', startedAt: new Date(now - 60000).toISOString() };
+
+    mockHlsService = { getFreshness: jest.fn(() => freshness) };
+    mockFFmpegService = {
+      getProcessStatus: jest.fn(() => processStatus),
+      restart: jest.fn(() => true)
+    };
+
+    healthService = new HealthService(mockHlsService, mockFFmpegService);
+    CONFIG.hls.health.restartOnStall = false;
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    healthService.stop();
+    mockLogger.restore();
+  });
+
+  describe('evaluate', () => {
+    test('should be live while segments keep coming', () => {
+      freshness = { playlistUpdatedAt: now - 1000, playlistAdvancedAt: now - 1000, mediaSequence: 42, newestSegmentAt: now - 500 };
+
+      const health = healthService.evaluate(now);
+
+      assert.equal(health.state, 'live', 'Should be live');
+      assert.equal(health.mediaSequence, 42, 'Should report the media sequence');
+      assert.equal(health.newestSegmentAge, 0.5, 'Should report the newest segment age in seconds');
+      assert.equal(health.lastProgressAge, 0.5, 'Should use the most recent progress');
+      assert.equal(health.stallThreshold, 6, 'Should derive the threshold from the segment time');
+    });
+
+    test('should be stalled when the playlist stops advancing', () => {
+      // The playlist is still rewritten, but with the same newest segment
+      freshness = { playlistUpdatedAt: now - 1000, playlistAdvancedAt: now - 7000, mediaSequence: 42, newestSegmentAt: now - 7000 };
+
+      assert.equal(healthService.evaluate(now).state, 'stalled', 'Should be stalled after 3 segment durations');
+    });
+
+    test('should give a fresh process a startup grace period', () => {
+      processStatus.startedAt = new Date(now - 5000).toISOString();
+      freshness.newestSegmentAt = now - 60000;
+
+      assert.equal(healthService.evaluate(now).state, 'starting', 'Should ignore segments of the previous process');
+
+      processStatus.startedAt = new Date(now - 31000).toISOString();
+      assert.equal(healthService.evaluate(now).state, 'stalled', 'Should be stalled once the grace period is over');
+    });
+
+    test('should be down while FFmpeg is not running', () => {
+      processStatus.state = 'restarting';
+
+      assert.equal(healthService.evaluate(now).state, 'down', 'Should be down');
+      assert.isFalse(healthService.isLive(), 'Should not be live');
+    });
+  });
+
+  describe('check', () => {
+    beforeEach(() => {
+      freshness = { playlistUpdatedAt: now - 10000, playlistAdvancedAt: now - 10000, mediaSequence: 7, newestSegmentAt: now - 10000 };
+    });
+
+    test('should log a stall once without restarting by default', () => {
+      healthService.check();
+      healthService.check();
+
+      const warnings = mockLogger.getLogs().filter(log => log.level === 'warn' && log.msg.includes('HLS output stalled'));
+      assert.equal(warnings.length, 1, 'Should warn once per stall');
+      assert.equal(mockFFmpegService.restart.mock.calls.length, 0, 'Should not restart FFmpeg');
+      assert.isTrue(healthService.evaluate().stalledSince !== null, 'Should report since when the stream is stalled');
+    });
+
+    test('should restart a stalled FFmpeg when configured', () => {
+      CONFIG.hls.health.restartOnStall = true;
+
+      healthService.check();
+      healthService.check();
+
+      assert.equal(mockFFmpegService.restart.mock.calls.length, 1, 'Should restart once per stall');
+      assert.equal(mockFFmpegService.restart.mock.calls[0][0], 'stalled', 'Should give the reason');
+      assert.equal(healthService.evaluate().stallRestarts, 1, 'Should count stall restarts');
+    });
+
+    test('should log the recovery when segments come back', () => {
+      healthService.check();
+      freshness = { ...freshness, playlistAdvancedAt: Date.now(), newestSegmentAt: Date.now() };
+      healthService.check();
+
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'info' && log.msg.includes('recovered')), 'Should log the recovery');
+      assert.equal(healthService.stalledSince, null, 'Should clear the stall');
+    });
+  });
+
+  describe('start/stop', () => {
+    test('should run and stop periodic checks', () => {
+      jest.useFakeTimers();
+      const check = jest.spyOn(healthService, 'check');
+
+      healthService.start();
+      jest.advanceTimersByTime(3000);
+      healthService.stop();
+      jest.advanceTimersByTime(3000);
+
+      assert.equal(check.mock.calls.length, 3, 'Should check every interval until stopped');
+      jest.useRealTimers();
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * HLS Key Service Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const HlsKeyService = require('../../../src/services/hlsKeyService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    hls: {
+      segmentTime: 2,
+      encryption: {
+        enabled: true,
+        method: 'AES-128',
+        keyDir: './test_data/keys',
+        keyInfoFile: 'keyinfo.txt',
+        keyUriPrefix: '/api/keys/',
+        rotateEvery: 10
+      }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('HlsKeyService', () => {
+  let hlsKeyService;
+
+  beforeEach(() => {
+    CONFIG.hls.encryption.enabled = true;
+    CONFIG.hls.encryption.rotateEvery = 10;
+    hlsKeyService = new HlsKeyService();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    hlsKeyService.stopRotation();
+    mockLogger.restore();
+    fs.rmSync('./test_data', { recursive: true, force: true });
+  });
+
+  describe('setup', () => {
+    test('should create a key and a keyinfo file pointing at it', () => {
+      hlsKeyService.setup();
+
+      const id = hlsKeyService.getCurrentKeyId();
+      const [uri, keyPath] = fs.readFileSync(hlsKeyService.getKeyInfoPath(), 'utf8').trim().split('\n');
+
+      assert.equal(uri, `/api/keys/${id}`, 'Should write the key URI');
+      assert.equal(keyPath, path.resolve('./test_data/keys', `${id}.key`), 'Should write the key path');
+      assert.equal(fs.readFileSync(keyPath).length, 16, 'Should write a 128-bit key');
+    });
+
+    test('should keep keys from a previous run', () => {
+      hlsKeyService.setup();
+      const previousId = hlsKeyService.getCurrentKeyId();
+
+      const restarted = new HlsKeyService();
+      restarted.setup();
+
+      assert.isTrue(restarted.getKey(previousId) !== null, 'Should still serve the previous key');
+      assert.isTrue(restarted.getCurrentKeyId() !== previousId, 'Should start with a fresh key');
+    });
+
+    test('should do nothing while encryption is disabled', () => {
+      CONFIG.hls.encryption.enabled = false;
+      hlsKeyService.setup();
+
+      assert.isFalse(fs.existsSync('./test_data/keys'), 'Should not create the key directory');
+    });
+  });
+
+  describe('rotation', () => {
+    test('should rotate every N segments', () => {
+      hlsKeyService.setup();
+      const firstId = hlsKeyService.getCurrentKeyId();
+      hlsKeyService.startRotation();
+
+      for (let i = 0; i < 9; i++) {
+        hlsKeyService.countSegment('stream');
+      }
+      assert.equal(hlsKeyService.getCurrentKeyId(), firstId, 'Should keep the key until the Nth segment');
+
+      hlsKeyService.countSegment('stream');
+
+      const secondId = hlsKeyService.getCurrentKeyId();
+      assert.isTrue(secondId !== firstId, 'Should create a new key');
+      assert.isTrue(fs.readFileSync(hlsKeyService.getKeyInfoPath(), 'utf8').startsWith(`/api/keys/${secondId}\n`), 'Should point keyinfo at the new key');
+    });
+
+    test('should count the segments of side by side renditions once', () => {
+      hlsKeyService.setup();
+      hlsKeyService.startRotation();
+
+      for (let i = 0; i < 10; i++) {
+        hlsKeyService.countSegment('stream_720p');
+        hlsKeyService.countSegment('stream_480p');
+      }
+
+      assert.equal(hlsKeyService.keys.length, 2, 'Should rotate once for N segments of every rendition');
+    });
+
+    test('should not rotate when rotation is disabled or stopped', () => {
+      CONFIG.hls.encryption.rotateEvery = 0;
+      hlsKeyService.setup();
+      hlsKeyService.startRotation();
+      assert.isFalse(hlsKeyService.rotating, 'Should not start rotation');
+
+      CONFIG.hls.encryption.rotateEvery = 10;
+      hlsKeyService.startRotation();
+      hlsKeyService.stopRotation();
+      for (let i = 0; i < 10; i++) {
+        hlsKeyService.countSegment('stream');
+      }
+
+      assert.equal(hlsKeyService.keys.length, 1, 'Should keep the first key');
+    });
+  });
+
+  describe('getKey', () => {
+    test('should reject unknown ids and path tricks', () => {
+      hlsKeyService.setup();
+
+      assert.equal(hlsKeyService.getKey('0123456789abcdef'), null, 'Should reject unknown key');
+      assert.equal(hlsKeyService.getKey('../keyinfo.txt'), null, 'Should reject traversal');
+      assert.equal(hlsKeyService.getKey(undefined), null, 'Should reject missing id');
+    });
+  });
+
+  describe('getKeyIdFromUri', () => {
+    test('should extract ids from key URIs only', () => {
+      assert.equal(hlsKeyService.getKeyIdFromUri('/api/keys/0123456789abcdef?token=abc'), '0123456789abcdef', 'Should strip query');
+      assert.equal(hlsKeyService.getKeyIdFromUri('https://keys.example.com/1'), null, 'Should ignore foreign URIs');
+    });
+  });
+
+  describe('retireUnreferenced', () => {
+    test('should delete unreferenced keys but keep the two newest', () => {
+      hlsKeyService.setup();
+      const oldIds = [hlsKeyService.getCurrentKeyId(), hlsKeyService.rotate(), hlsKeyService.rotate()];
+      const previousId = hlsKeyService.rotate();
+      const currentId = hlsKeyService.rotate();
+
+      const retired = hlsKeyService.retireUnreferenced(new Set([oldIds[1]]));
+
+      assert.equal(retired, 2, 'Should retire the unreferenced old keys');
+      assert.equal(hlsKeyService.getKey(oldIds[0]), null, 'Should no longer serve retired keys');
+      assert.isFalse(fs.existsSync(hlsKeyService.getKeyPath(oldIds[2])), 'Should delete retired key files');
+      assert.isTrue(hlsKeyService.getKey(oldIds[1]) !== null, 'Should keep referenced keys');
+      assert.isTrue(hlsKeyService.getKey(previousId) !== null, 'Should keep the previous key');
+      assert.isTrue(hlsKeyService.getKey(currentId) !== null, 'Should keep the current key');
+    });
+  });
+});
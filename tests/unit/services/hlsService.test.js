@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const { TestFileManager, mockLogger, assert } = require('../../helpers/testUtils');
 const HlsService = require('../../../src/services/hlsService');
+const { CONFIG } = require('../../../src/config');
 
 // Mock the config
 jest.mock('../../../src/config', () => ({
@@ -17,7 +18,25 @@ jest.mock('../../../src/config', () => ({
       playlistSize: 5,
       outputDir: './test_hls',
       segmentPattern: 'stream_%03d.ts',
-      playlistName: 'stream.m3u8'
+      playlistName: 'stream.m3u8',
+      segmentType: 'mpegts',
+      initFilename: 'init.mp4',
+      lowLatency: {
+        enabled: false,
+        partDuration: 0.5,
+        pollInterval: 10
+      },
+      abr: {
+        enabled: false,
+        masterPlaylistName: 'master.m3u8',
+        variantPlaylistPattern: 'stream_%v.m3u8',
+        variantSegmentPattern: 'stream_%v_%03d.ts',
+        variantInitPattern: 'init_%v.mp4',
+        variants: [
+          { name: '720p', width: 1280, height: 720, videoBitrate: '2800k' },
+          { name: 'audio', audioOnly: true }
+        ]
+      }
     }
   }
 }));
@@ -176,6 +195,327 @@ describe('HlsService', () => {
       const remainingFiles = fs.readdirSync('./test_hls').filter(f => f.endsWith('.ts'));
       assert.isTrue(remainingFiles.length <= 7, `Should keep max 7 segments, but found ${remainingFiles.length}`);
     });
+
+    test('should keep a separate window for each variant', () => {
+      hlsService.setupDirectory();
+      
+      for (const variant of ['720p', 'audio']) {
+        for (let i = 1; i <= 7; i++) {
+          fs.writeFileSync(path.join('./test_hls', `stream_${variant}_${i.toString().padStart(3, '0')}.ts`), 'test content');
+        }
+      }
+      
+      hlsService.cleanupOldSegments();
+      
+      // 7 per variant is within the limit, nothing should be deleted
+      const remainingFiles = fs.readdirSync('./test_hls').filter(f => f.endsWith('.ts'));
+      assert.equal(remainingFiles.length, 14, 'Should keep all segments of every variant');
+    });
+  });
+
+  describe('encryption key retirement', () => {
+    test('should pass the keys still referenced by playlists to the key service', () => {
+      const mockHlsKeyService = {
+        isEnabled: jest.fn(() => true),
+        getKeyIdFromUri: jest.fn((uri) => uri.replace('/api/keys/', '')),
+        retireUnreferenced: jest.fn(() => 1)
+      };
+      hlsService = new HlsService(mockHlsKeyService);
+      hlsService.setupDirectory();
+      fs.writeFileSync(path.join('./test_hls', 'stream.m3u8'), [
+        '#EXTM3U',
+        '#EXT-X-MEDIA-SEQUENCE:4',
+        '#EXT-X-KEY:METHOD=AES-128,URI="/api/keys/aaaaaaaaaaaaaaaa"',
+        '#EXTINF:2.000000,',
+        'stream_004.ts',
+        '#EXT-X-KEY:METHOD=AES-128,URI="/api/keys/bbbbbbbbbbbbbbbb"',
+        '#EXTINF:2.000000,',
+        'stream_005.ts',
+        ''
+      ].join('\n'));
+      
+      hlsService.cleanupOldSegments();
+      
+      const referenced = mockHlsKeyService.retireUnreferenced.mock.calls[0][0];
+      assert.deepEqual([...referenced].sort(), ['aaaaaaaaaaaaaaaa', 'bbbbbbbbbbbbbbbb'], 'Should collect referenced key ids');
+    });
+
+    test('should report encryption only with an enabled key service', () => {
+      assert.isFalse(hlsService.isEncrypted(), 'Should be unencrypted without key service');
+      assert.isTrue(new HlsService({ isEnabled: () => true }).isEncrypted(), 'Should be encrypted with enabled key service');
+    });
+
+    test('should count new segments towards key rotation', () => {
+      const mockHlsKeyService = {
+        isEnabled: jest.fn(() => true),
+        countSegment: jest.fn()
+      };
+      hlsService = new HlsService(mockHlsKeyService);
+      hlsService.setupDirectory();
+      fs.writeFileSync(path.join('./test_hls', 'stream_720p_001.ts'), 'content');
+
+      hlsService.handleSegmentEvent('stream_720p_001.ts');
+      hlsService.handleSegmentEvent('stream_720p_001.ts');
+
+      assert.deepEqual(mockHlsKeyService.countSegment.mock.calls, [['stream_720p']], 'Should count each new segment once, by rendition');
+    });
+  });
+
+  describe('fMP4 segment mode', () => {
+    beforeEach(() => {
+      CONFIG.hls.segmentType = 'fmp4';
+    });
+
+    afterEach(() => {
+      CONFIG.hls.segmentType = 'mpegts';
+    });
+
+    test('should use .m4s segment pattern', () => {
+      const expected = path.join('./test_hls', 'stream_%03d.m4s');
+      assert.equal(hlsService.getSegmentPatternPath(), expected, 'Should use .m4s extension');
+    });
+
+    test('should count .m4s segments but not init segments', () => {
+      hlsService.setupDirectory();
+      
+      fs.writeFileSync(path.join('./test_hls', 'init.mp4'), 'init');
+      fs.writeFileSync(path.join('./test_hls', 'stream_001.m4s'), 'content');
+      fs.writeFileSync(path.join('./test_hls', 'stream_002.m4s'), 'content');
+      
+      assert.equal(hlsService.getCurrentSegmentCount(), 2, 'Should count only media fragments');
+    });
+
+    test('should clean up old fragments and keep init segment', () => {
+      hlsService.setupDirectory();
+      
+      const initPath = path.join('./test_hls', 'init.mp4');
+      fs.writeFileSync(initPath, 'init');
+      for (let i = 1; i <= 10; i++) {
+        const segmentPath = path.join('./test_hls', `stream_${i.toString().padStart(3, '0')}.m4s`);
+        fs.writeFileSync(segmentPath, 'test content');
+        const newTime = new Date(Date.now() + i * 1000);
+        fs.utimesSync(segmentPath, newTime, newTime);
+      }
+      
+      hlsService.cleanupOldSegments();
+      
+      const remaining = fs.readdirSync('./test_hls').filter(f => f.endsWith('.m4s'));
+      assert.equal(remaining.length, 7, 'Should keep 7 fragments');
+      assert.isTrue(fs.existsSync(initPath), 'Init segment should be kept');
+    });
+
+    test('should remove fragments and init segments on cleanupAll', () => {
+      hlsService.setupDirectory();
+      
+      const files = ['init.mp4', 'init_720p.mp4', 'stream_001.m4s', 'stream.m3u8'];
+      files.forEach(file => fs.writeFileSync(path.join('./test_hls', file), 'content'));
+      const otherPath = path.join('./test_hls', 'test_pattern.mp4');
+      fs.writeFileSync(otherPath, 'content');
+      
+      hlsService.cleanupAll();
+      
+      files.forEach(file => {
+        assert.isFalse(fs.existsSync(path.join('./test_hls', file)), `${file} should be removed`);
+      });
+      assert.isTrue(fs.existsSync(otherPath), 'Other MP4 files should remain');
+    });
+
+    test('should return content type for fragments', () => {
+      assert.equal(hlsService.getContentType('/hls/stream_001.m4s'), 'video/iso.segment', 'Should map .m4s');
+      assert.equal(hlsService.getContentType('/hls/init.mp4'), null, 'Should leave known types alone');
+    });
+  });
+
+  describe('low-latency mode', () => {
+    const writeSourcePlaylist = (mediaSequence, count) => {
+      const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:1', `#EXT-X-MEDIA-SEQUENCE:${mediaSequence}`];
+      for (let i = 0; i < count; i++) {
+        const sequence = mediaSequence + i;
+        lines.push('#EXTINF:0.500000,', `stream_${sequence.toString().padStart(3, '0')}.ts`);
+        fs.writeFileSync(path.join('./test_hls', `stream_${sequence.toString().padStart(3, '0')}.ts`), `part${sequence}`);
+      }
+      fs.writeFileSync(path.join('./test_hls', 'stream.m3u8'), lines.join('\n') + '\n');
+    };
+
+    const createResponse = () => {
+      const res = {
+        statusCode: 200,
+        body: null,
+        contentType: null,
+        status: jest.fn((code) => { res.statusCode = code; return res; }),
+        json: jest.fn((body) => { res.body = body; return res; }),
+        send: jest.fn((body) => { res.body = body; return res; }),
+        type: jest.fn((type) => { res.contentType = type; return res; })
+      };
+      return res;
+    };
+
+    beforeEach(() => {
+      CONFIG.hls.lowLatency.enabled = true;
+      hlsService.setupDirectory();
+    });
+
+    afterEach(() => {
+      CONFIG.hls.lowLatency.enabled = false;
+    });
+
+    test('should compute parts per segment', () => {
+      assert.equal(hlsService.getPartsPerSegment(), 4, 'Should fit 4 parts of 0.5s in a 2s segment');
+    });
+
+    test('should render parts, parent segments and preload hint', () => {
+      // Parts 2..9: parent 0 is incomplete at the start and skipped, parent 1 complete, parent 2 in progress
+      writeSourcePlaylist(2, 8);
+      
+      const output = hlsService.renderLowLatencyPlaylist('stream.m3u8', hlsService.readMediaPlaylist('stream.m3u8'));
+      
+      assert.isTrue(output.includes('#EXT-X-SERVER-CONTROL:CAN-BLOCK-RELOAD=YES'), 'Should allow blocking reloads');
+      assert.isTrue(output.includes('#EXT-X-PART-INF:PART-TARGET=0.500'), 'Should declare part target');
+      assert.isTrue(output.includes('#EXT-X-MEDIA-SEQUENCE:1'), 'Should start with first complete parent');
+      assert.isTrue(output.includes('#EXT-X-PART:DURATION=0.50000,URI="stream_004.ts",INDEPENDENT=YES'), 'Should mark first part independent');
+      assert.isTrue(output.includes('#EXTINF:2.00000,\nstream.seg1.ts'), 'Should list complete parent segment');
+      assert.isFalse(output.includes('stream.seg2.ts'), 'Should not list incomplete parent segment');
+      assert.isTrue(output.includes('#EXT-X-PRELOAD-HINT:TYPE=PART,URI="stream_010.ts"'), 'Should hint next part');
+    });
+
+    test('should serve parent segment as concatenated parts', async () => {
+      writeSourcePlaylist(4, 4);
+      const res = createResponse();
+      const next = jest.fn();
+      
+      await hlsService.handleRequest({ method: 'GET', path: '/stream.seg1.ts', query: {} }, res, next);
+      
+      assert.equal(next.mock.calls.length, 0, 'Should not fall through');
+      assert.equal(res.body.toString(), 'part4part5part6part7', 'Should concatenate parts in order');
+      assert.equal(res.contentType, 'video/mp2t', 'Should set segment content type');
+    });
+
+    test('should return playlist immediately when requested part exists', async () => {
+      writeSourcePlaylist(0, 6);
+      const res = createResponse();
+      
+      await hlsService.handleRequest({ method: 'GET', path: '/stream.m3u8', query: { _HLS_msn: '1', _HLS_part: '1' } }, res, jest.fn());
+      
+      assert.equal(res.statusCode, 200, 'Should respond with playlist');
+      assert.isTrue(res.body.includes('#EXTM3U'), 'Should return playlist body');
+    });
+
+    test('should block until the playlist advances', async () => {
+      writeSourcePlaylist(0, 4);
+      const res = createResponse();
+      
+      const request = hlsService.handleRequest({ method: 'GET', path: '/stream.m3u8', query: { _HLS_msn: '1', _HLS_part: '0' } }, res, jest.fn());
+      await new Promise(resolve => setTimeout(resolve, 30));
+      assert.equal(res.send.mock.calls.length, 0, 'Should hold the request');
+      
+      writeSourcePlaylist(0, 5);
+      await request;
+      
+      assert.isTrue(res.body.includes('URI="stream_004.ts"'), 'Should respond once the part is available');
+    });
+
+    test('should reject sequence numbers too far ahead', async () => {
+      writeSourcePlaylist(0, 4);
+      const res = createResponse();
+      
+      await hlsService.handleRequest({ method: 'GET', path: '/stream.m3u8', query: { _HLS_msn: '10' } }, res, jest.fn());
+      
+      assert.equal(res.statusCode, 400, 'Should return 400');
+    });
+
+    test('should fall through to static handler when disabled', async () => {
+      CONFIG.hls.lowLatency.enabled = false;
+      const next = jest.fn();
+      
+      await hlsService.handleRequest({ method: 'GET', path: '/stream.m3u8', query: {} }, createResponse(), next);
+      
+      assert.equal(next.mock.calls.length, 1, 'Should call next');
+    });
+  });
+
+  describe('adaptive bitrate mode', () => {
+    beforeEach(() => {
+      CONFIG.hls.abr.enabled = true;
+    });
+
+    afterEach(() => {
+      CONFIG.hls.abr.enabled = false;
+    });
+
+    test('should return master playlist URL', () => {
+      const actual = hlsService.getStreamUrl('http://localhost:3000');
+      assert.equal(actual, 'http://localhost:3000/hls/master.m3u8', 'Should return master playlist URL');
+    });
+
+    test('should use variant patterns for output and segments', () => {
+      assert.equal(hlsService.getOutputPath(), path.join('./test_hls', 'stream_%v.m3u8'), 'Should use variant playlist pattern');
+      assert.equal(hlsService.getSegmentPatternPath(), path.join('./test_hls', 'stream_%v_%03d.ts'), 'Should use variant segment pattern');
+    });
+
+    test('should report generating once master playlist exists', () => {
+      hlsService.setupDirectory();
+      assert.isFalse(hlsService.isGeneratingSegments(), 'Should be false without master playlist');
+      
+      fs.writeFileSync(path.join('./test_hls', 'master.m3u8'), '#EXTM3U\n');
+      assert.isTrue(hlsService.isGeneratingSegments(), 'Should be true with master playlist');
+    });
+
+    test('should expose configured variants', () => {
+      assert.equal(hlsService.getVariants().length, 2, 'Should return configured variants');
+    });
+  });
+
+  describe('signed playlists', () => {
+    const createResponse = () => {
+      const res = {
+        statusCode: 200,
+        body: null,
+        status: jest.fn((code) => { res.statusCode = code; return res; }),
+        json: jest.fn((body) => { res.body = body; return res; }),
+        send: jest.fn((body) => { res.body = body; return res; }),
+        type: jest.fn(() => res)
+      };
+      return res;
+    };
+
+    test('should add the request token to every relative URI', async () => {
+      hlsService.setupDirectory();
+      fs.writeFileSync(path.join('./test_hls', 'stream.m3u8'), [
+        '#EXTM3U',
+        '#EXT-X-MAP:URI="init.mp4"',
+        '#EXTINF:2.000000,',
+        'stream_001.m4s',
+        '#EXTINF:2.000000,',
+        'https://cdn.example.com/stream_002.m4s',
+        ''
+      ].join('\n'));
+      const res = createResponse();
+      const next = jest.fn();
+
+      await hlsService.handleRequest({ method: 'GET', path: '/stream.m3u8', query: {}, hlsToken: '123.0.abc' }, res, next);
+
+      assert.equal(next.mock.calls.length, 0, 'Should serve the playlist itself');
+      assert.isTrue(res.body.includes('#EXT-X-MAP:URI="init.mp4?token=123.0.abc"'), 'Should sign attribute URIs');
+      assert.isTrue(res.body.includes('\nstream_001.m4s?token=123.0.abc\n'), 'Should sign segment URIs');
+      assert.isTrue(res.body.includes('\nhttps://cdn.example.com/stream_002.m4s\n'), 'Should not sign absolute URLs');
+    });
+
+    test('should return 404 for missing playlists', async () => {
+      hlsService.setupDirectory();
+      const res = createResponse();
+
+      await hlsService.handleRequest({ method: 'GET', path: '/missing.m3u8', query: {}, hlsToken: '123.0.abc' }, res, jest.fn());
+
+      assert.equal(res.statusCode, 404, 'Should return 404');
+    });
+
+    test('should fall through to the static handler without a token', async () => {
+      const next = jest.fn();
+
+      await hlsService.handleRequest({ method: 'GET', path: '/stream.m3u8', query: {} }, createResponse(), next);
+
+      assert.equal(next.mock.calls.length, 1, 'Should call next');
+    });
   });
 
   describe('getStreamUrl', () => {
@@ -241,6 +581,77 @@ describe('HlsService', () => {
     });
   });
 
+  describe('segment tracking', () => {
+    afterEach(() => {
+      hlsService.stopSegmentWatcher();
+    });
+
+    test('should count segments as they appear and disappear', () => {
+      hlsService.setupDirectory();
+      fs.writeFileSync(path.join('./test_hls', 'stream_000.ts'), 'content');
+      hlsService.startSegmentWatcher();
+      assert.equal(hlsService.getSegmentStats().count, 1, 'Should pick up existing segments');
+      assert.equal(hlsService.getSegmentStats().newestAt, null, 'Should not treat existing segments as new');
+
+      fs.writeFileSync(path.join('./test_hls', 'stream_001.ts'), 'content');
+      hlsService.handleSegmentEvent('stream_001.ts');
+      hlsService.handleSegmentEvent('stream_001.ts');
+
+      let stats = hlsService.getSegmentStats();
+      assert.equal(stats.count, 2, 'Should count the new segment once');
+      assert.equal(stats.created, 1, 'Should count created segments');
+      assert.isTrue(Date.now() - stats.newestAt < 1000, 'Should record when the newest segment appeared');
+
+      fs.unlinkSync(path.join('./test_hls', 'stream_000.ts'));
+      hlsService.handleSegmentEvent('stream_000.ts');
+
+      stats = hlsService.getSegmentStats();
+      assert.equal(stats.count, 1, 'Should forget deleted segments');
+      assert.equal(stats.created, 1, 'Should keep the created count');
+    });
+
+    test('should track playlist rewrites and when they advance', () => {
+      hlsService.setupDirectory();
+      const playlistPath = path.join('./test_hls', 'stream.m3u8');
+      const writePlaylist = (sequence, count) => fs.writeFileSync(playlistPath, [
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:2',
+        `#EXT-X-MEDIA-SEQUENCE:${sequence}`,
+        ...Array.from({ length: count }, (_, i) => `#EXTINF:2.0,\nstream_${String(sequence + i).padStart(3, '0')}.ts`)
+      ].join('\n'));
+
+      writePlaylist(10, 3);
+      hlsService.handlePlaylistEvent('stream.m3u8');
+      const first = hlsService.getFreshness();
+      assert.equal(first.mediaSequence, 10, 'Should read the media sequence');
+      assert.isTrue(first.playlistAdvancedAt !== null, 'Should count the first segments as progress');
+
+      hlsService.playlistAdvancedAt = 1;
+      writePlaylist(10, 3);
+      hlsService.handlePlaylistEvent('stream.m3u8');
+      assert.equal(hlsService.getFreshness().playlistAdvancedAt, 1, 'Should not count a rewrite without a new segment');
+      assert.isTrue(hlsService.getFreshness().playlistUpdatedAt > 1, 'Should still record the rewrite');
+
+      writePlaylist(11, 3);
+      hlsService.handlePlaylistEvent('stream.m3u8');
+      assert.equal(hlsService.getFreshness().mediaSequence, 11, 'Should follow the media sequence');
+      assert.isTrue(hlsService.getFreshness().playlistAdvancedAt > 1, 'Should count a new segment as progress');
+    });
+
+    test('should only treat media playlists as playlist events', () => {
+      assert.isTrue(hlsService.isMediaPlaylistFile('stream.m3u8'), 'Should accept media playlists');
+      assert.isFalse(hlsService.isMediaPlaylistFile('master.m3u8'), 'Should ignore the master playlist');
+      assert.isFalse(hlsService.isMediaPlaylistFile('stream.m3u8.tmp'), 'Should ignore temporary files');
+    });
+
+    test('should log and carry on when the output directory is missing', () => {
+      hlsService.startSegmentWatcher();
+
+      assert.equal(hlsService.segmentWatcher, null, 'Should not start a watcher');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'warn' && log.msg.includes('segment watcher')), 'Should log a warning');
+    });
+  });
+
   describe('cleanupAll', () => {
     test('should remove all HLS files', () => {
       hlsService.setupDirectory();
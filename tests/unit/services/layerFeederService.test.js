@@ -0,0 +1,257 @@
+/**
+ * Layer Feeder Service Unit Tests
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const LayerFeederService = require('../../../src/services/layerFeederService');
+
+// Mock child_process
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    fifos: { baseDir: './test_fifos', content: 'content.fifo', layers: ['overlay1.fifo', 'overlay2.fifo'] },
+    media: { width: 1280, height: 720, frameRate: 30 },
+    ffmpeg: { binary: 'ffmpeg' },
+    feeders: {
+      layers: { enabled: true, videoCodec: 'png' }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+/**
+ * Build a fake FFmpeg child process that closes like the real one when killed
+ */
+function createMockProcess() {
+  const child = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.exitCode = null;
+  child.signalCode = null;
+  child.kill = jest.fn(signal => {
+    child.signalCode = signal;
+    child.emit('close', null, signal);
+  });
+  return child;
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('LayerFeederService', () => {
+  let feeder;
+  let processes;
+
+  beforeEach(() => {
+    processes = [];
+    spawn.mockReset();
+    spawn.mockImplementation(() => {
+      const child = createMockProcess();
+      processes.push(child);
+      return child;
+    });
+    jest.spyOn(fs, 'openSync').mockImplementation(() => 40 + fs.openSync.mock.calls.length);
+    jest.spyOn(fs, 'closeSync').mockImplementation(() => {});
+    feeder = new LayerFeederService();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    jest.restoreAllMocks();
+  });
+
+  describe('buildArgs', () => {
+    test('should loop a still image at the stream frame rate with silence', () => {
+      const args = feeder.buildArgs(0, { path: '/media/logo.png', kind: 'image', hasAudio: false }, 3);
+
+      assert.equal(args[args.indexOf('-loop') + 1], '1', 'Should loop the image');
+      assert.equal(args[args.indexOf('-framerate') + 1], '30', 'Should repeat it at the stream frame rate');
+      assert.isTrue(args.includes('anullsrc=channel_layout=stereo:sample_rate=48000'), 'Should add silence');
+      assert.equal(args[args.indexOf('-vf') + 1], 'fps=30,format=rgba', 'Should keep the alpha channel');
+      assert.equal(args[args.indexOf('-c:v') + 1], 'png', 'Should use the layer codec');
+      assert.equal(args[args.indexOf('-output_ts_offset') + 1], '3.000', 'Should continue the layer timeline');
+      assert.equal(args[args.lastIndexOf('-f') + 1], 'nut', 'Should write NUT');
+      assert.equal(args[args.length - 1], 'test_fifos/overlay1.fifo', 'Should write into the layer FIFO');
+    });
+
+    test('should loop a video with its own audio', () => {
+      const args = feeder.buildArgs(1, { path: '/media/bug.mov', kind: 'video', hasAudio: true });
+
+      assert.equal(args[args.indexOf('-stream_loop') + 1], '-1', 'Should loop the video forever');
+      assert.equal(args[args.lastIndexOf('-map') + 1], '0:a:0', 'Should keep the video audio');
+      assert.equal(args[args.length - 1], 'test_fifos/overlay2.fifo', 'Should write into the second layer FIFO');
+    });
+
+    test('should emit a transparent frame for a cleared layer', () => {
+      const args = feeder.buildArgs(0, null);
+
+      assert.equal(args[args.indexOf('-i') + 1], 'color=c=black@0:size=2x2:rate=30,format=rgba', 'Should generate transparency');
+    });
+  });
+
+  describe('start', () => {
+    test('should hold every layer FIFO open with a transparent frame', async () => {
+      feeder.start();
+      await flush();
+
+      assert.equal(fs.openSync.mock.calls.length, 2, 'Should open both layer FIFOs');
+      assert.equal(fs.openSync.mock.calls[0][1], fs.constants.O_RDWR, 'Should open the FIFOs read-write');
+      assert.equal(processes.length, 2, 'Should start one feeder per layer');
+      assert.deepEqual(feeder.getStatus().map(layer => layer.state), ['clear', 'clear'], 'Should report cleared layers');
+    });
+  });
+
+  describe('setSource', () => {
+    test('should swap the source without two writers on the FIFO', async () => {
+      feeder.start();
+      await flush();
+
+      const swapped = await feeder.setSource(0, '/media/logo.png');
+
+      assert.isTrue(swapped, 'Should report the swap');
+      assert.equal(processes[0].kill.mock.calls[0][0], 'SIGKILL', 'Should stop the previous source first');
+      assert.equal(processes.length, 3, 'Should start the new source');
+      assert.equal(fs.openSync.mock.calls.length, 2, 'Should keep the FIFO open across the swap');
+
+      const status = feeder.getStatus()[0];
+      assert.equal(status.state, 'playing', 'Should be playing');
+      assert.deepEqual(status.source, { path: '/media/logo.png', kind: 'image' }, 'Should report the source');
+      assert.equal(status.swaps, 2, 'Should count the swaps');
+    });
+
+    test('should classify sources with the media probe', async () => {
+      const mediaProbeService = {
+        isEnabled: jest.fn(() => true),
+        probe: jest.fn(async () => ({ container: 'mov,mp4,m4a,3gp,3g2,mj2', video: {}, audio: {} }))
+      };
+      feeder = new LayerFeederService(mediaProbeService);
+
+      assert.deepEqual(await feeder.describeSource('/media/bug'), { path: '/media/bug', kind: 'video', hasAudio: true }, 'Should detect video with audio');
+
+      mediaProbeService.probe.mockResolvedValue({ container: 'png_pipe', video: {}, audio: null });
+      assert.equal((await feeder.describeSource('/media/logo')).kind, 'image', 'Should detect images');
+    });
+
+    test('should only start the latest of overlapping swaps', async () => {
+      feeder.start();
+      await flush();
+
+      const first = feeder.setSource(0, '/media/a.png');
+      const second = feeder.setSource(0, '/media/b.png');
+
+      assert.isFalse(await first, 'Should drop the superseded swap');
+      assert.isTrue(await second, 'Should start the latest swap');
+      assert.equal(feeder.getStatus()[0].source.path, '/media/b.png', 'Should play the latest source');
+      assert.equal(processes.filter(child => !child.signalCode).length, 2, 'Should leave one process per layer');
+    });
+
+    test('should wait for the previous source to exit before starting the next', async () => {
+      feeder.start();
+      await flush();
+      processes[0].kill.mockImplementation(() => {});
+
+      const first = feeder.setSource(0, '/media/a.png');
+      const second = feeder.setSource(0, '/media/b.png');
+      await flush();
+
+      assert.equal(processes.length, 2, 'Should not start a second writer while the old one runs');
+
+      processes[0].emit('close', null, 'SIGKILL');
+      await Promise.all([first, second]);
+
+      assert.equal(processes.length, 3, 'Should start the latest source once the old one exited');
+      assert.equal(feeder.getStatus()[0].source.path, '/media/b.png', 'Should play the latest source');
+    });
+
+    test('should clear the layer when its source fails', async () => {
+      await feeder.setSource(1, '/media/broken.mov');
+
+      processes[0].stderr.emit('data', Buffer.from('/media/broken.mov: Invalid data found when processing input\n'));
+      processes[0].exitCode = 1;
+      processes[0].emit('close', 1, null);
+      await flush();
+
+      const status = feeder.getStatus()[1];
+      assert.equal(status.state, 'clear', 'Should fall back to a transparent frame');
+      assert.isTrue(status.lastError.includes('Invalid data found'), 'Should keep the FFmpeg error');
+    });
+
+    test('should not retry a failing transparent frame', async () => {
+      await feeder.clear(0);
+
+      processes[0].exitCode = 1;
+      processes[0].emit('close', 1, null);
+      await flush();
+
+      assert.equal(processes.length, 1, 'Should not restart');
+      assert.equal(feeder.getStatus()[0].state, 'failed', 'Should report the failure');
+    });
+
+    test('should reject unknown layers', async () => {
+      assert.isFalse(await feeder.setSource(5, '/media/logo.png'), 'Should reject the source');
+      assert.isFalse(await feeder.clear(5), 'Should reject the clear');
+    });
+  });
+
+  describe('clear', () => {
+    test('should replace the source with a transparent frame', async () => {
+      await feeder.setSource(0, '/media/logo.png');
+      await feeder.clear(0);
+
+      assert.equal(processes[0].kill.mock.calls.length, 1, 'Should stop the source');
+      assert.equal(spawn.mock.calls[1][1][spawn.mock.calls[1][1].indexOf('-i') + 1], 'color=c=black@0:size=2x2:rate=30,format=rgba', 'Should loop transparency');
+      assert.deepEqual(feeder.getStatus()[0].source, null, 'Should report no source');
+    });
+  });
+
+  describe('restart', () => {
+    test('should start every running feeder over on its current source', async () => {
+      feeder.start();
+      await flush();
+      await feeder.setSource(0, '/media/logo.png');
+
+      feeder.restart();
+      await flush();
+
+      assert.equal(processes.length, 5, 'Should start a new feeder per layer');
+      assert.isTrue(processes.slice(1, 3).every(child => child.kill.mock.calls.length === 1), 'Should stop the running feeders');
+      assert.equal(spawn.mock.calls[3][1][spawn.mock.calls[3][1].indexOf('-i') + 1], '/media/logo.png', 'Should keep the layer source');
+      assert.deepEqual(feeder.getStatus().map(layer => layer.state), ['playing', 'clear'], 'Should keep the layer states');
+    });
+
+    test('should not start stopped feeders', async () => {
+      feeder.restart();
+      await flush();
+
+      assert.equal(processes.length, 0, 'Should not start anything');
+    });
+  });
+
+  describe('stop', () => {
+    test('should stop every feeder and release the FIFOs', async () => {
+      feeder.start();
+      await flush();
+
+      feeder.stop();
+
+      assert.isTrue(processes.every(child => child.kill.mock.calls.length === 1), 'Should stop every feeder');
+      assert.equal(fs.closeSync.mock.calls.length, 2, 'Should close both FIFOs');
+      assert.deepEqual(feeder.getStatus().map(layer => layer.state), ['stopped', 'stopped'], 'Should report stopped layers');
+    });
+  });
+});
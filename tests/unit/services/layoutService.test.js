@@ -0,0 +1,202 @@
+/**
+ * Layout Service Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const LayoutService = require('../../../src/services/layoutService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    fifos: { layers: ['overlay1.fifo', 'overlay2.fifo'] },
+    layout: { layers: [] }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('LayoutService', () => {
+  let layoutService;
+  let mockZmqService;
+  let mockFifoService;
+
+  beforeEach(() => {
+    CONFIG.layout.layers = [];
+    mockZmqService = {
+      sendCommand: jest.fn(async () => ({ success: true, code: 0, error: 'Success', data: null }))
+    };
+
+    mockFifoService = {
+      writeLayer: jest.fn(async () => true),
+      clearLayer: jest.fn(async () => true)
+    };
+
+    layoutService = new LayoutService(mockZmqService, mockFifoService);
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  describe('layers', () => {
+    test('should default to the classic stacked offsets', () => {
+      const layers = layoutService.getLayers();
+
+      assert.equal(layers.length, 2, 'Should have one layout per FIFO layer');
+      assert.deepEqual(layers[1].expressions, { x: '100', y: '100', w: 'iw', h: 'ih', enable: '1', volume: '1' }, 'Should place the second layer at 100:100');
+      assert.deepEqual(layers[1].instances, { scale: 'layer1_scale', opacity: 'layer1_opacity', overlay: 'layer1_overlay', volume: 'layer1_volume' }, 'Should name the filter instances');
+      assert.deepEqual(layoutService.getStackingOrder(), [0, 1], 'Should stack in FIFO order');
+    });
+
+    test('should apply the configured layout over the defaults', () => {
+      CONFIG.layout.layers = [{ anchor: 'center', x: 0, y: '-10%', opacity: 0.8 }];
+      layoutService = new LayoutService(mockZmqService);
+
+      const layer = layoutService.getLayers()[0];
+
+      assert.equal(layer.opacity, 0.8, 'Should use the configured opacity');
+      assert.equal(layer.expressions.x, '(W-w)/2', 'Should center horizontally');
+      assert.equal(layer.expressions.y, '(H-h)/2-H*0.1', 'Should offset by a percentage of the output');
+      assert.equal(layoutService.getLayer(1).x, 100, 'Should keep defaults for unconfigured layers');
+    });
+
+    test('should return null for unknown layers', () => {
+      assert.equal(layoutService.getLayer(5), null, 'Should not find the layer');
+    });
+  });
+
+  describe('updateLayout', () => {
+    test('should apply position, size, opacity and visibility over ZeroMQ', async () => {
+      const result = await layoutService.updateLayout(0, { anchor: 'top-right', x: 10, width: 320, opacity: 0.5, visible: false });
+
+      const commands = mockZmqService.sendCommand.mock.calls.map(call => call[0]);
+      assert.deepEqual(commands, [
+        'layer0_scale w 320',
+        'layer0_scale h -1',
+        'layer0_opacity aa 0.5',
+        'layer0_overlay x W-w-10',
+        "layer0_overlay enable '0'"
+      ], 'Should send one command per changed property');
+      assert.equal(result.method, 'zmq', 'Should apply the change live');
+      assert.equal(result.layer.opacity, 0.5, 'Should return the new layout');
+      assert.isTrue(result.commands.every(command => command.success), 'Should report each command');
+    });
+
+    test('should mute and unmute the layer audio over ZeroMQ', async () => {
+      await layoutService.updateLayout(1, { visible: false, muted: true });
+      await layoutService.updateLayout(1, { visible: true, muted: false });
+
+      const commands = mockZmqService.sendCommand.mock.calls.map(call => call[0]);
+      assert.deepEqual(commands, [
+        "layer1_overlay enable '0'",
+        'layer1_volume volume 0',
+        "layer1_overlay enable '1'",
+        'layer1_volume volume 1'
+      ], 'Should hide and mute, then show and unmute');
+    });
+
+    test('should quote timeline expressions so their commas reach the overlay', async () => {
+      await layoutService.updateLayout(0, { enable: 'between(t,10,20)' });
+
+      assert.equal(mockZmqService.sendCommand.mock.calls[0][0], "layer0_overlay enable 'between(t,10,20)'", 'Should send the expression as one argument');
+    });
+
+    test('should not send anything when the layout does not change', async () => {
+      const result = await layoutService.updateLayout(0, { x: 0, visible: true });
+
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 0, 'Should not send commands');
+      assert.equal(result.method, 'unchanged', 'Should report no change');
+    });
+
+    test('should rebuild the graph when the stacking order changes', async () => {
+      const rebuild = jest.fn(() => true);
+      layoutService.onRebuild(rebuild);
+
+      const result = await layoutService.updateLayout(0, { zIndex: 2 });
+
+      assert.equal(rebuild.mock.calls.length, 1, 'Should request a rebuild');
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 0, 'Should not try ZeroMQ');
+      assert.equal(result.method, 'rebuild', 'Should report the rebuild');
+      assert.deepEqual(layoutService.getStackingOrder(), [1, 0], 'Should raise the layer');
+    });
+
+    test('should keep a zIndex change that does not reorder the stack live', async () => {
+      const rebuild = jest.fn(() => true);
+      layoutService.onRebuild(rebuild);
+
+      const result = await layoutService.updateLayout(1, { zIndex: 10 });
+
+      assert.equal(rebuild.mock.calls.length, 0, 'Should not rebuild');
+      assert.equal(result.method, 'unchanged', 'Should have nothing to apply');
+    });
+
+    test('should rebuild when FFmpeg rejects a command', async () => {
+      const rebuild = jest.fn(() => true);
+      layoutService.onRebuild(rebuild);
+      mockZmqService.sendCommand
+        .mockResolvedValueOnce({ success: true, code: 0, error: 'Success', data: null })
+        .mockResolvedValueOnce({ success: false, code: 38, error: 'Function not implemented', data: null });
+
+      const result = await layoutService.updateLayout(0, { x: 10, y: 20 });
+
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 2, 'Should stop at the rejected command');
+      assert.equal(rebuild.mock.calls.length, 1, 'Should fall back to a rebuild');
+      assert.equal(result.method, 'rebuild', 'Should report the rebuild');
+      assert.equal(result.commands[1].code, 38, 'Should include the rejected reply');
+    });
+
+    test('should defer the change when FFmpeg is not running', async () => {
+      layoutService.onRebuild(() => false);
+      mockZmqService.sendCommand.mockResolvedValue({ success: false, code: null, error: 'No reply within 2000ms', data: null });
+
+      const result = await layoutService.updateLayout(0, { opacity: 0.2 });
+
+      assert.equal(result.method, 'deferred', 'Should apply the layout at the next start');
+      assert.equal(layoutService.getLayer(0).opacity, 0.2, 'Should keep the new layout');
+    });
+
+    test('should return null for unknown layers', async () => {
+      assert.equal(await layoutService.updateLayout(7, { x: 1 }), null, 'Should not update');
+    });
+  });
+
+  describe('layer sources', () => {
+    test('should clear a layer by hiding and muting it', async () => {
+      const result = await layoutService.clearLayerSource(1);
+
+      assert.equal(mockFifoService.clearLayer.mock.calls[0][0], 1, 'Should clear the layer source');
+      assert.deepEqual(mockZmqService.sendCommand.mock.calls.map(call => call[0]), ["layer1_overlay enable '0'", 'layer1_volume volume 0'], 'Should hide and mute the layer');
+      assert.equal(result.method, 'zmq', 'Should return the layout update');
+    });
+
+    test('should show and unmute a layer when its source is set again', async () => {
+      await layoutService.clearLayerSource(1);
+      const result = await layoutService.setLayerSource(1, '/media/logo.png', { x: 10 });
+
+      assert.deepEqual(mockFifoService.writeLayer.mock.calls[0], [1, '/media/logo.png'], 'Should write the layer source');
+      assert.equal(result.layer.visible, true, 'Should show the layer');
+      assert.equal(result.layer.muted, false, 'Should unmute the layer');
+      assert.equal(result.layer.x, 10, 'Should apply the layout');
+    });
+
+    test('should leave the layout alone when the source cannot be written', async () => {
+      mockFifoService.writeLayer.mockResolvedValue(false);
+
+      assert.equal(await layoutService.setLayerSource(0, '/media/missing.png', { x: 10 }), false, 'Should report the failure');
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 0, 'Should not change the layout');
+      assert.equal(await layoutService.setLayerSource(7, '/media/logo.png'), null, 'Should return null for unknown layers');
+    });
+
+    test('should report a source that cannot be cleared', async () => {
+      mockFifoService.clearLayer.mockResolvedValue(false);
+
+      assert.equal(await layoutService.clearLayerSource(0), false, 'Should report the failure');
+      assert.equal(await layoutService.clearLayerSource(7), null, 'Should return null for unknown layers');
+    });
+  });
+});
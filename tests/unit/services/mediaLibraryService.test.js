@@ -0,0 +1,139 @@
+/**
+ * Media Library Service Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const MediaLibraryService = require('../../../src/services/mediaLibraryService');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    ffmpeg: {
+      binary: 'ffmpeg'
+    },
+    media: {
+      probe: {
+        timeout: 1000
+      },
+      library: {
+        dir: './test_media/library',
+        indexFile: './test_media/media.json',
+        thumbnailDir: './test_media/thumbnails',
+        thumbnailWidth: 320
+      }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+const videoInfo = {
+  container: 'mov,mp4,m4a,3gp,3g2,mj2',
+  duration: 60,
+  video: { codec: 'h264', width: 1280, height: 720, frameRate: 30 },
+  audio: { codec: 'aac', channels: 2, sampleRate: 48000 }
+};
+
+const imageInfo = {
+  container: 'png_pipe',
+  duration: null,
+  video: { codec: 'png', width: 200, height: 100, frameRate: 25 },
+  audio: null
+};
+
+describe('MediaLibraryService', () => {
+  let mediaLibraryService;
+  let mockMediaProbeService;
+
+  /**
+   * Simulate a file stored by the upload middleware
+   */
+  function uploadFile(filename, originalname) {
+    fs.writeFileSync(path.join('./test_media/library', filename), 'media');
+    return { path: path.join('./test_media/library', filename), filename, originalname, size: 5 };
+  }
+
+  beforeEach(() => {
+    mockMediaProbeService = {
+      probe: jest.fn(async () => videoInfo),
+      checkContent: jest.fn(() => []),
+      checkLayer: jest.fn(() => [])
+    };
+    mediaLibraryService = new MediaLibraryService(mockMediaProbeService);
+    jest.spyOn(mediaLibraryService, 'createThumbnail').mockResolvedValue(true);
+    mockLogger.capture();
+    mediaLibraryService.load();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    jest.restoreAllMocks();
+    fs.rmSync('./test_media', { recursive: true, force: true });
+  });
+
+  test('should add uploads with metadata, compatibility and thumbnail', async () => {
+    mockMediaProbeService.checkContent.mockReturnValue([{ message: 'audio is none, expected an audio stream' }]);
+
+    const item = await mediaLibraryService.add(uploadFile('abc123.mp4', 'promo.mp4'));
+
+    assert.equal(item.id, 'abc123', 'Should use the stored file name as id');
+    assert.equal(item.name, 'promo.mp4', 'Should keep the original name');
+    assert.equal(item.kind, 'video', 'Should classify video');
+    assert.isFalse(item.compatible.content, 'Should flag incompatible content');
+    assert.isTrue(item.compatible.layer, 'Should flag compatible layer');
+    assert.deepEqual(item.problems.content, ['audio is none, expected an audio stream'], 'Should list problems');
+    assert.isTrue(item.thumbnail, 'Should create a thumbnail');
+  });
+
+  test('should classify still images', async () => {
+    mockMediaProbeService.probe.mockResolvedValue(imageInfo);
+
+    const item = await mediaLibraryService.add(uploadFile('def456.png', 'logo.png'));
+
+    assert.equal(item.kind, 'image', 'Should classify image');
+    assert.equal(mediaLibraryService.list('image').length, 1, 'Should filter by kind');
+    assert.equal(mediaLibraryService.list('video').length, 0, 'Should filter by kind');
+  });
+
+  test('should reject and delete unreadable uploads', async () => {
+    mockMediaProbeService.probe.mockRejectedValue(new Error('Invalid data found when processing input'));
+    const file = uploadFile('bad000.mp4', 'broken.mp4');
+
+    const item = await mediaLibraryService.add(file);
+
+    assert.equal(item, null, 'Should reject unreadable media');
+    assert.isFalse(fs.existsSync(file.path), 'Should delete the uploaded file');
+  });
+
+  test('should resolve ids to absolute paths', async () => {
+    await mediaLibraryService.add(uploadFile('abc123.mp4', 'promo.mp4'));
+
+    assert.equal(mediaLibraryService.resolvePath('abc123'), path.resolve('./test_media/library/abc123.mp4'), 'Should resolve path');
+    assert.equal(mediaLibraryService.resolvePath('missing'), null, 'Should return null for unknown id');
+  });
+
+  test('should remove items and their files', async () => {
+    const file = uploadFile('abc123.mp4', 'promo.mp4');
+    await mediaLibraryService.add(file);
+
+    assert.equal(mediaLibraryService.remove('abc123').name, 'promo.mp4', 'Should return removed item');
+    assert.isFalse(fs.existsSync(file.path), 'Should delete the file');
+    assert.equal(mediaLibraryService.remove('abc123'), null, 'Should return null once removed');
+  });
+
+  test('should persist the index and drop missing files on load', async () => {
+    await mediaLibraryService.add(uploadFile('abc123.mp4', 'promo.mp4'));
+    await mediaLibraryService.add(uploadFile('def456.mp4', 'news.mp4'));
+    fs.rmSync('./test_media/library/def456.mp4');
+
+    const restored = new MediaLibraryService(mockMediaProbeService);
+    restored.load();
+
+    assert.deepEqual(restored.list().map(item => item.id), ['abc123'], 'Should restore items with files');
+  });
+});
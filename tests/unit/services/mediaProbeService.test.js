@@ -0,0 +1,179 @@
+/**
+ * Media Probe Service Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert, TestFileManager } = require('../../helpers/testUtils');
+const MediaProbeService = require('../../../src/services/mediaProbeService');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    media: {
+      probe: {
+        enabled: true,
+        binary: 'ffprobe',
+        timeout: 1000
+      },
+      width: 1280,
+      height: 720,
+      frameRate: 30,
+      content: {
+        containers: ['mov,mp4,m4a,3gp,3g2,mj2'],
+        videoCodecs: ['h264'],
+        audioCodecs: ['aac'],
+        audioChannels: 2,
+        sampleRate: 48000,
+        minDuration: 1
+      }
+    },
+    feeders: {
+      content: { enabled: false }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+/**
+ * Build ffprobe JSON output for a file
+ */
+function ffprobeOutput({ width = 1280, height = 720, frameRate = '30/1', audio = true, videoCodec = 'h264' } = {}) {
+  const streams = [{
+    codec_type: 'video',
+    codec_name: videoCodec,
+    width,
+    height,
+    avg_frame_rate: frameRate,
+    disposition: { attached_pic: 0 }
+  }];
+
+  if (audio) {
+    streams.push({
+      codec_type: 'audio',
+      codec_name: 'aac',
+      channels: 2,
+      channel_layout: 'stereo',
+      sample_rate: '48000'
+    });
+  }
+
+  return {
+    format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '60.000000' },
+    streams
+  };
+}
+
+describe('MediaProbeService', () => {
+  let mediaProbeService;
+  let fileManager;
+  let videoPath;
+
+  beforeEach(() => {
+    mediaProbeService = new MediaProbeService();
+    fileManager = new TestFileManager();
+    videoPath = fileManager.createTestVideo();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    fileManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  describe('probe', () => {
+    test('should summarise container, video and audio streams', async () => {
+      jest.spyOn(mediaProbeService, 'runFfprobe').mockResolvedValue(ffprobeOutput({ frameRate: '30000/1001' }));
+
+      const info = await mediaProbeService.probe(videoPath);
+
+      assert.equal(info.container, 'mov,mp4,m4a,3gp,3g2,mj2', 'Should report container');
+      assert.equal(info.duration, 60, 'Should parse duration');
+      assert.equal(info.video.width, 1280, 'Should report width');
+      assert.equal(info.video.frameRate.toFixed(2), '29.97', 'Should parse rational frame rate');
+      assert.equal(info.audio.sampleRate, 48000, 'Should parse sample rate');
+    });
+
+    test('should ignore cover art video streams', async () => {
+      const output = ffprobeOutput();
+      output.streams[0].disposition.attached_pic = 1;
+      jest.spyOn(mediaProbeService, 'runFfprobe').mockResolvedValue(output);
+
+      const info = await mediaProbeService.probe(videoPath);
+
+      assert.equal(info.video, null, 'Cover art should not count as video');
+    });
+  });
+
+  describe('validate', () => {
+    test('should accept content matching the media profile', async () => {
+      jest.spyOn(mediaProbeService, 'runFfprobe').mockResolvedValue(ffprobeOutput());
+
+      const result = await mediaProbeService.validate(videoPath, 'content');
+
+      assert.isTrue(result.valid, 'Should accept compatible content');
+    });
+
+    test('should name the mismatched property', async () => {
+      jest.spyOn(mediaProbeService, 'runFfprobe').mockResolvedValue(ffprobeOutput({ width: 1920, height: 1080 }));
+
+      const result = await mediaProbeService.validate(videoPath, 'content');
+
+      assert.isFalse(result.valid, 'Should reject mismatched resolution');
+      assert.deepEqual(result.problems.map(p => p.property), ['video.resolution'], 'Should only report resolution');
+      assert.isTrue(result.error.includes('1920x1080, expected 1280x720'), 'Should explain the mismatch');
+    });
+
+    test('should reject content without audio or with wrong codec and frame rate', async () => {
+      jest.spyOn(mediaProbeService, 'runFfprobe').mockResolvedValue(ffprobeOutput({ audio: false, videoCodec: 'vp9', frameRate: '25/1' }));
+
+      const result = await mediaProbeService.validate(videoPath, 'content');
+
+      const properties = result.problems.map(p => p.property);
+      assert.deepEqual(properties, ['video.codec', 'video.frameRate', 'audio'], 'Should report every problem');
+    });
+
+    test('should only require video and duration when the content feeder normalizes clips', async () => {
+      const { CONFIG } = require('../../../src/config');
+      CONFIG.feeders.content.enabled = true;
+      const probe = jest.spyOn(mediaProbeService, 'runFfprobe');
+      probe.mockResolvedValueOnce(ffprobeOutput({ width: 1920, height: 1080, audio: false, videoCodec: 'vp9', frameRate: '25/1' }));
+      probe.mockResolvedValueOnce({ format: { format_name: 'mp3', duration: '60.000000' }, streams: [] });
+
+      const normalized = await mediaProbeService.validate(videoPath, 'content');
+      const audioOnly = await mediaProbeService.validate(videoPath, 'content');
+      CONFIG.feeders.content.enabled = false;
+
+      assert.isTrue(normalized.valid, 'Should accept any resolution, codec, frame rate and audio layout');
+      assert.deepEqual(audioOnly.problems.map(p => p.property), ['video'], 'Should still require a video stream');
+    });
+
+    test('should accept smaller layers and reject oversized ones', async () => {
+      const probe = jest.spyOn(mediaProbeService, 'runFfprobe');
+      probe.mockResolvedValueOnce(ffprobeOutput({ width: 200, height: 100, audio: false }));
+      probe.mockResolvedValueOnce(ffprobeOutput({ width: 1920, height: 1080, audio: false }));
+
+      assert.isTrue((await mediaProbeService.validate(videoPath, 'layer')).valid, 'Should accept small layer');
+      const result = await mediaProbeService.validate(videoPath, 'layer');
+      assert.equal(result.problems[0].property, 'video.resolution', 'Should reject oversized layer');
+    });
+
+    test('should reject missing and unreadable files', async () => {
+      jest.spyOn(mediaProbeService, 'runFfprobe').mockRejectedValue(new Error('Invalid data found when processing input'));
+
+      const missing = await mediaProbeService.validate('/nonexistent/file.mp4');
+      assert.isTrue(missing.error.includes('does not exist'), 'Should report missing file');
+
+      const corrupt = await mediaProbeService.validate(videoPath);
+      assert.isFalse(corrupt.valid, 'Should reject unreadable file');
+      assert.isTrue(corrupt.error.includes('Invalid data found'), 'Should include ffprobe error');
+    });
+
+    test('should skip checks for filter actions', async () => {
+      assert.equal(await mediaProbeService.validateAction('filter', { command: 'volume volume 0.5' }), null, 'Should not probe filter actions');
+    });
+  });
+});
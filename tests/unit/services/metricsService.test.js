@@ -0,0 +1,169 @@
+/**
+ * Metrics Service Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const MetricsService = require('../../../src/services/metricsService');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    metrics: {
+      enabled: true,
+      prefix: 'test_'
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('MetricsService', () => {
+  let metricsService;
+
+  beforeEach(() => {
+    metricsService = new MetricsService();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  describe('registry', () => {
+    test('should render counters and gauges with labels', () => {
+      const requests = metricsService.counter('requests_total', 'Requests', ['route', 'status']);
+      requests.inc({ route: '/api/status', status: 200 });
+      requests.inc({ route: '/api/status', status: 200 }, 2);
+      metricsService.gauge('up', 'Up').set({}, 1);
+
+      const output = metricsService.render();
+
+      assert.isTrue(output.includes('# HELP test_requests_total Requests\n# TYPE test_requests_total counter'), 'Should describe the counter');
+      assert.isTrue(output.includes('test_requests_total{route="/api/status",status="200"} 3'), 'Should sum increments per label set');
+      assert.isTrue(output.includes('# TYPE test_up gauge\ntest_up 1'), 'Should render gauges without labels');
+      assert.isTrue(output.endsWith('\n'), 'Should end with a newline');
+    });
+
+    test('should render cumulative histogram buckets', () => {
+      const duration = metricsService.histogram('duration_seconds', 'Duration', ['route'], [0.1, 1]);
+      duration.observe({ route: '/a' }, 0.05);
+      duration.observe({ route: '/a' }, 0.5);
+      duration.observe({ route: '/a' }, 5);
+
+      const output = metricsService.render();
+
+      assert.isTrue(output.includes('test_duration_seconds_bucket{route="/a",le="0.1"} 1'), 'Should count the first bucket');
+      assert.isTrue(output.includes('test_duration_seconds_bucket{route="/a",le="1"} 2'), 'Should accumulate buckets');
+      assert.isTrue(output.includes('test_duration_seconds_bucket{route="/a",le="+Inf"} 3'), 'Should count all observations in +Inf');
+      assert.isTrue(output.includes('test_duration_seconds_sum{route="/a"} 5.55'), 'Should sum observations');
+      assert.isTrue(output.includes('test_duration_seconds_count{route="/a"} 3'), 'Should count observations');
+    });
+
+    test('should escape label values', () => {
+      metricsService.counter('escaped_total', 'Escaped', ['value']).inc({ value: 'a "quoted"\\path\nline' });
+
+      assert.isTrue(metricsService.render().includes('test_escaped_total{value="a \\"quoted\\"\\\\path\\nline"} 1'), 'Should escape quotes, backslashes and newlines');
+    });
+
+    test('should return the registered metric for the same name', () => {
+      const first = metricsService.counter('shared_total', 'Shared');
+
+      assert.equal(metricsService.counter('shared_total', 'Shared'), first, 'Should reuse the metric');
+      expect(() => metricsService.gauge('shared_total', 'Shared')).toThrow('already registered as a counter');
+    });
+
+    test('should drop a series set to null', () => {
+      const speed = metricsService.gauge('speed', 'Speed');
+      speed.set({}, 1.5);
+      speed.set({}, null);
+
+      assert.isFalse(/^test_speed /m.test(metricsService.render()), 'Should not render the series');
+    });
+
+    test('should keep rendering when a collector fails', () => {
+      metricsService.addCollector(() => {
+        throw new Error('collector broke');
+      });
+      metricsService.gauge('up', 'Up').set({}, 1);
+
+      assert.isTrue(metricsService.render().includes('test_up 1'), 'Should render the other metrics');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'warn' && log.msg.includes('collector failed')), 'Should log the failure');
+    });
+  });
+
+  describe('instrumentServices', () => {
+    let services;
+
+    beforeEach(() => {
+      services = {
+        ffmpegService: {
+          isRunning: jest.fn(() => true),
+          getProcessStatus: jest.fn(() => ({ restartCount: 2 })),
+          getEncoderMetrics: jest.fn(() => ({
+            current: { fps: 30, speed: 0.95, bitrate: 2800, dropFrames: 1, dupFrames: 3 },
+            summary: { slow: true }
+          }))
+        },
+        hlsService: {
+          getSegmentStats: jest.fn(() => ({ count: 6, created: 40, newestAt: Date.now() - 1500 }))
+        },
+        zmqService: {
+          getMessageCounts: jest.fn(() => ({ sent: 12, failed: 1 }))
+        },
+        fifoService: {
+          getWriteCounts: jest.fn(() => ({ content: { success: 4, failed: 0 }, layer0: { success: 2, failed: 1 } }))
+        }
+      };
+      metricsService.instrumentServices(services);
+    });
+
+    test('should read the service state at scrape time', () => {
+      const output = metricsService.render();
+
+      [
+        'test_ffmpeg_up 1',
+        'test_ffmpeg_restarts_total 2',
+        'test_ffmpeg_fps 30',
+        'test_ffmpeg_speed 0.95',
+        'test_ffmpeg_bitrate_kbps 2800',
+        'test_ffmpeg_dropped_frames 1',
+        'test_ffmpeg_duplicated_frames 3',
+        'test_ffmpeg_slow 1',
+        'test_hls_segments 6',
+        'test_hls_segments_created_total 40',
+        'test_zmq_messages_total{result="sent"} 12',
+        'test_zmq_messages_total{result="failed"} 1',
+        'test_fifo_writes_total{fifo="content",result="success"} 4',
+        'test_fifo_writes_total{fifo="layer0",result="failed"} 1'
+      ].forEach(line => assert.isTrue(output.includes(line), `Should include ${line}`));
+
+      const age = parseFloat(output.match(/^test_hls_newest_segment_age_seconds (\S+)/m)[1]);
+      assert.isTrue(age >= 1.5 && age < 5, 'Should report the newest segment age in seconds');
+    });
+
+    test('should export the stall state when health monitoring is available', () => {
+      const healthService = { evaluate: jest.fn(() => ({ state: 'stalled', stallRestarts: 2 })) };
+      metricsService.instrumentServices({ ...services, healthService });
+
+      const output = metricsService.render();
+
+      assert.isTrue(output.includes('test_hls_stalled 1'), 'Should report the stall');
+      assert.isTrue(output.includes('test_hls_stall_restarts_total 2'), 'Should report stall restarts');
+    });
+
+    test('should omit encoder and segment age series before the first sample', () => {
+      services.ffmpegService.isRunning.mockReturnValue(false);
+      services.ffmpegService.getEncoderMetrics.mockReturnValue({ current: null, summary: { slow: false } });
+      services.hlsService.getSegmentStats.mockReturnValue({ count: 0, created: 0, newestAt: null });
+
+      const output = metricsService.render();
+
+      assert.isTrue(output.includes('test_ffmpeg_up 0'), 'Should report FFmpeg down');
+      assert.isFalse(/^test_ffmpeg_speed /m.test(output), 'Should omit the speed');
+      assert.isFalse(/^test_hls_newest_segment_age_seconds /m.test(output), 'Should omit the segment age');
+    });
+  });
+});
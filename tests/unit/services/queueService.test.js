@@ -0,0 +1,208 @@
+/**
+ * Queue Service Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const QueueService = require('../../../src/services/queueService');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    queue: {
+      stateFile: './test_data/queue.json',
+      historySize: 3
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('QueueService', () => {
+  let queueService;
+  let mockFifoService;
+  let consumers;
+
+  beforeEach(() => {
+    consumers = [];
+    mockFifoService = {
+      writeContent: jest.fn(async (filePath, onConsumed) => {
+        consumers.push(onConsumed);
+        return true;
+      })
+    };
+    queueService = new QueueService(mockFifoService);
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    fs.rmSync('./test_data', { recursive: true, force: true });
+  });
+
+  describe('queue operations', () => {
+    test('should enqueue items in order', () => {
+      queueService.enqueue('/a.mp4');
+      queueService.enqueue('/b.mp4');
+
+      const { upcoming } = queueService.getState();
+      assert.deepEqual(upcoming.map(item => item.path), ['/a.mp4', '/b.mp4'], 'Should keep insertion order');
+      assert.isTrue(typeof upcoming[0].id === 'string', 'Should assign an id');
+    });
+
+    test('should insert next item at the front', () => {
+      queueService.enqueue('/a.mp4');
+      queueService.insertNext('/b.mp4');
+
+      const paths = queueService.getState().upcoming.map(item => item.path);
+      assert.deepEqual(paths, ['/b.mp4', '/a.mp4'], 'Should insert at the front');
+    });
+
+    test('should remove items by id', () => {
+      const item = queueService.enqueue('/a.mp4');
+
+      assert.equal(queueService.remove(item.id), item, 'Should return removed item');
+      assert.equal(queueService.remove('missing'), null, 'Should return null for unknown id');
+      assert.isFalse(queueService.hasItems(), 'Queue should be empty');
+    });
+
+    test('should move items to a new position', () => {
+      const a = queueService.enqueue('/a.mp4');
+      queueService.enqueue('/b.mp4');
+      queueService.enqueue('/c.mp4');
+
+      assert.isTrue(queueService.reorder(a.id, 5), 'Should move existing item');
+      assert.isFalse(queueService.reorder('missing', 0), 'Should fail for unknown id');
+
+      const paths = queueService.getState().upcoming.map(item => item.path);
+      assert.deepEqual(paths, ['/b.mp4', '/c.mp4', '/a.mp4'], 'Should clamp to the end of the queue');
+    });
+
+    test('should clear and shuffle items', () => {
+      ['/a.mp4', '/b.mp4', '/c.mp4'].forEach(filePath => queueService.enqueue(filePath));
+
+      queueService.shuffle();
+      assert.equal(queueService.getState().upcoming.length, 3, 'Shuffle should keep all items');
+
+      assert.equal(queueService.clear(), 3, 'Should return removed count');
+      assert.isFalse(queueService.hasItems(), 'Queue should be empty');
+    });
+  });
+
+  describe('feeding the content FIFO', () => {
+    test('should not write before start', () => {
+      queueService.enqueue('/a.mp4');
+      assert.equal(mockFifoService.writeContent.mock.calls.length, 0, 'Should not write before start');
+    });
+
+    test('should cue one item at a time and advance when consumed', async () => {
+      queueService.enqueue('/a.mp4');
+      queueService.enqueue('/b.mp4');
+      queueService.start();
+      await Promise.resolve();
+
+      assert.equal(mockFifoService.writeContent.mock.calls.length, 1, 'Should cue only one item');
+      assert.equal(queueService.getState().cued.path, '/a.mp4', 'Should cue first item');
+
+      consumers[0]('/a.mp4');
+      await Promise.resolve();
+
+      const state = queueService.getState();
+      assert.equal(state.nowPlaying.path, '/a.mp4', 'Consumed item should be playing');
+      assert.equal(state.cued.path, '/b.mp4', 'Next item should be cued');
+
+      consumers[1]('/b.mp4');
+      assert.equal(queueService.getState().history[0].path, '/a.mp4', 'Finished item should move to history');
+    });
+
+    test('should re-queue consumed items when looping', async () => {
+      queueService.setLoop(true);
+      queueService.enqueue('/a.mp4');
+      queueService.start();
+      await Promise.resolve();
+
+      consumers[0]('/a.mp4');
+
+      const state = queueService.getState();
+      assert.equal(state.nowPlaying.path, '/a.mp4', 'Item should be playing');
+      assert.equal(state.cued.path, '/a.mp4', 'Item should be cued again');
+    });
+
+    test('should move the last item to history when the queue runs dry and the slate plays', async () => {
+      queueService.enqueue('/a.mp4');
+      queueService.start();
+      await Promise.resolve();
+      consumers[0]('/a.mp4');
+
+      queueService.onSlate();
+
+      const state = queueService.getState();
+      assert.equal(state.nowPlaying, null, 'Should not report anything playing');
+      assert.equal(state.history[0].path, '/a.mp4', 'Finished item should move to history');
+      assert.equal(queueService.getStatus().nowPlaying, null, 'Should clear the status summary');
+
+      queueService.onSlate();
+      assert.equal(queueService.getState().history.length, 1, 'Should not record the slate again');
+    });
+
+    test('should move the item playing to history when another clip takes over', async () => {
+      queueService.enqueue('/a.mp4');
+      queueService.enqueue('/b.mp4');
+      queueService.start();
+      await Promise.resolve();
+      consumers[0]('/a.mp4');
+
+      queueService.onClipStarted('/breaking.mp4');
+
+      let state = queueService.getState();
+      assert.equal(state.nowPlaying, null, 'Should not report the replaced item as playing');
+      assert.equal(state.history[0].path, '/a.mp4', 'Replaced item should move to history');
+
+      // The feeder reports every clip, the queue's own ones included
+      queueService.onClipStarted('/b.mp4');
+      consumers[1]('/b.mp4');
+
+      state = queueService.getState();
+      assert.equal(state.nowPlaying.path, '/b.mp4', 'Queued item should be playing');
+      assert.equal(state.history.length, 1, 'Should not record the queued item twice');
+    });
+
+    test('should skip items that cannot be written', async () => {
+      mockFifoService.writeContent.mockResolvedValueOnce(false);
+      queueService.enqueue('/missing.mp4');
+      queueService.enqueue('/b.mp4');
+      queueService.start();
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(queueService.getState().cued.path, '/b.mp4', 'Should cue the next item');
+    });
+  });
+
+  describe('persistence', () => {
+    test('should restore items, interrupted items first', async () => {
+      queueService.enqueue('/a.mp4');
+      queueService.enqueue('/b.mp4');
+      queueService.start();
+      await Promise.resolve();
+
+      const restored = new QueueService(mockFifoService);
+      restored.load();
+
+      const paths = restored.getState().upcoming.map(item => item.path);
+      assert.deepEqual(paths, ['/a.mp4', '/b.mp4'], 'Should restore cued and upcoming items');
+    });
+
+    test('should report status summary', async () => {
+      ['/a.mp4', '/b.mp4', '/c.mp4'].forEach(filePath => queueService.enqueue(filePath));
+      queueService.start();
+      await Promise.resolve();
+
+      const status = queueService.getStatus(2);
+      assert.equal(status.length, 3, 'Should count cued and upcoming items');
+      assert.deepEqual(status.upcoming.map(item => item.path), ['/a.mp4', '/b.mp4'], 'Should limit upcoming items');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Scheduler Service Unit Tests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const SchedulerService = require('../../../src/services/schedulerService');
+const LayoutService = require('../../../src/services/layoutService');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    fifos: { layers: ['overlay1.fifo', 'overlay2.fifo'] },
+    layout: { layers: [] },
+    schedule: {
+      file: './test_data/schedule.json',
+      tickInterval: 1000,
+      channelId: 'test-channel',
+      channelName: 'Test & Channel'
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('SchedulerService', () => {
+  let schedulerService;
+  let mockFifoService;
+  let mockZmqService;
+  let layoutService;
+
+  const contentAction = { type: 'content', data: '/media/show.mp4' };
+
+  beforeEach(() => {
+    mockFifoService = {
+      switchContent: jest.fn(async () => true),
+      writeLayer: jest.fn(async () => true),
+      clearLayer: jest.fn(async () => true)
+    };
+    mockZmqService = {
+      sendInstruction: jest.fn(async () => true),
+      sendCommand: jest.fn(async () => ({ success: true, code: 0, error: 'Success', data: null }))
+    };
+    layoutService = new LayoutService(mockZmqService, mockFifoService);
+    schedulerService = new SchedulerService(mockFifoService, mockZmqService, layoutService);
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    schedulerService.stop();
+    mockLogger.restore();
+    fs.rmSync('./test_data', { recursive: true, force: true });
+  });
+
+  describe('entries', () => {
+    test('should keep entries sorted by start time', () => {
+      schedulerService.create({ start: '2030-01-01T12:00:00Z', duration: 60, action: contentAction });
+      schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 60, action: contentAction });
+
+      const starts = schedulerService.list().map(entry => entry.start);
+      assert.deepEqual(starts, ['2030-01-01T10:00:00.000Z', '2030-01-01T12:00:00.000Z'], 'Should sort by start');
+      assert.equal(schedulerService.list()[0].status, 'pending', 'New entries should be pending');
+    });
+
+    test('should filter entries by time window', () => {
+      schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 3600, action: contentAction });
+      schedulerService.create({ start: '2030-01-01T12:00:00Z', duration: 3600, action: contentAction });
+
+      const from = Date.parse('2030-01-01T10:30:00Z');
+      const to = Date.parse('2030-01-01T11:30:00Z');
+      assert.equal(schedulerService.list(from, to).length, 1, 'Should include only overlapping entries');
+    });
+
+    test('should update and remove entries', () => {
+      const entry = schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 60, action: contentAction });
+
+      const updated = schedulerService.update(entry.id, { duration: 120, title: 'Evening News' });
+      assert.equal(updated.duration, 120, 'Should update duration');
+      assert.equal(updated.title, 'Evening News', 'Should update title');
+      assert.equal(schedulerService.update('missing', {}), null, 'Should return null for unknown id');
+
+      assert.equal(schedulerService.remove(entry.id), entry, 'Should return removed entry');
+      assert.equal(schedulerService.remove(entry.id), null, 'Should return null once removed');
+    });
+
+    test('should not update entries that already ran', async () => {
+      const entry = schedulerService.create({ start: '2020-01-01T10:00:00Z', duration: 60, action: contentAction });
+      await schedulerService.tick();
+
+      assert.equal(schedulerService.update(entry.id, { duration: 120 }), null, 'Should reject changes');
+    });
+  });
+
+  describe('execution', () => {
+    test('should execute due entries once', async () => {
+      schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 60, action: contentAction });
+
+      await schedulerService.tick(Date.parse('2030-01-01T09:59:59Z'));
+      assert.equal(mockFifoService.switchContent.mock.calls.length, 0, 'Should not run early');
+
+      await schedulerService.tick(Date.parse('2030-01-01T10:00:00Z'));
+      await schedulerService.tick(Date.parse('2030-01-01T10:00:01Z'));
+      assert.equal(mockFifoService.switchContent.mock.calls.length, 1, 'Should run exactly once');
+      assert.equal(schedulerService.list()[0].status, 'done', 'Should mark entry done');
+    });
+
+    test('should switch scheduled content in at its start time', async () => {
+      schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 60, action: contentAction });
+
+      await schedulerService.tick(Date.parse('2030-01-01T10:00:00Z'));
+
+      assert.deepEqual(mockFifoService.switchContent.mock.calls[0], ['/media/show.mp4'], 'Should switch to the content now');
+    });
+
+    test('should dispatch layer and filter actions', async () => {
+      schedulerService.create({
+        start: '2030-01-01T10:00:00Z',
+        duration: 60,
+        action: { type: 'layer', data: { index: 1, path: '/media/logo.png' } }
+      });
+      schedulerService.create({
+        start: '2030-01-01T10:00:00Z',
+        duration: 60,
+        action: { type: 'filter', data: { command: 'volume volume 0.5' } }
+      });
+
+      await schedulerService.tick(Date.parse('2030-01-01T10:00:00Z'));
+
+      assert.deepEqual(mockFifoService.writeLayer.mock.calls[0], [1, '/media/logo.png'], 'Should write layer');
+      assert.equal(mockZmqService.sendInstruction.mock.calls[0][0], 'volume volume 0.5', 'Should send filter command');
+    });
+
+    test('should hide and mute cleared layers and show them again with a new source', async () => {
+      schedulerService.create({
+        start: '2030-01-01T10:00:00Z',
+        duration: 60,
+        action: { type: 'layer', data: { index: 1, clear: true } }
+      });
+      schedulerService.create({
+        start: '2030-01-01T11:00:00Z',
+        duration: 60,
+        action: { type: 'layer', data: { index: 1, path: '/media/logo.png' } }
+      });
+
+      await schedulerService.tick(Date.parse('2030-01-01T10:00:00Z'));
+
+      assert.equal(mockFifoService.clearLayer.mock.calls[0][0], 1, 'Should clear the layer');
+      assert.equal(layoutService.getLayer(1).visible, false, 'Should hide the layer');
+      assert.equal(layoutService.getLayer(1).muted, true, 'Should mute the layer');
+      assert.deepEqual(mockZmqService.sendCommand.mock.calls.map(call => call[0]), ["layer1_overlay enable '0'", 'layer1_volume volume 0'], 'Should hide and mute it live');
+
+      await schedulerService.tick(Date.parse('2030-01-01T11:00:00Z'));
+
+      assert.equal(layoutService.getLayer(1).visible, true, 'Should show the layer again');
+      assert.equal(layoutService.getLayer(1).muted, false, 'Should unmute the layer again');
+      assert.equal(schedulerService.list()[1].status, 'done', 'Should mark the entry done');
+    });
+
+    test('should mark failed actions', async () => {
+      mockFifoService.switchContent.mockResolvedValueOnce(false);
+      schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 60, action: contentAction });
+
+      await schedulerService.tick(Date.parse('2030-01-01T10:00:00Z'));
+      assert.equal(schedulerService.list()[0].status, 'failed', 'Should mark entry failed');
+    });
+
+    test('should mark entries missed while stopped', () => {
+      schedulerService.create({ start: '2020-01-01T10:00:00Z', duration: 60, action: contentAction });
+
+      const restored = new SchedulerService(mockFifoService, mockZmqService, layoutService);
+      restored.load();
+      restored.start();
+      restored.stop();
+
+      assert.equal(restored.list()[0].status, 'missed', 'Should not replay past entries');
+      assert.equal(mockFifoService.switchContent.mock.calls.length, 0, 'Should not execute missed entries');
+    });
+
+    test('should mark entries left running by a previous process as failed', () => {
+      const entry = schedulerService.create({ start: '2030-01-01T10:00:00Z', duration: 60, action: contentAction });
+      schedulerService.get(entry.id).status = 'running';
+      schedulerService.save();
+
+      const restored = new SchedulerService(mockFifoService, mockZmqService, layoutService);
+      restored.load();
+      restored.start();
+      restored.stop();
+
+      assert.equal(restored.list()[0].status, 'failed', 'Should not leave the entry running');
+      assert.equal(mockFifoService.switchContent.mock.calls.length, 0, 'Should not retry the entry');
+    });
+  });
+
+  describe('XMLTV export', () => {
+    test('should export content entries as programmes', () => {
+      schedulerService.create({
+        start: '2030-01-01T10:00:00Z',
+        duration: 1800,
+        title: 'News <Live>',
+        description: 'Daily news',
+        action: contentAction
+      });
+      schedulerService.create({
+        start: '2030-01-01T10:00:00Z',
+        duration: 60,
+        action: { type: 'filter', data: { command: 'volume volume 0.5' } }
+      });
+
+      const xml = schedulerService.toXmltv();
+      assert.isTrue(xml.includes('<display-name>Test &amp; Channel</display-name>'), 'Should escape channel name');
+      assert.isTrue(xml.includes('start="20300101100000 +0000" stop="20300101103000 +0000"'), 'Should format times');
+      assert.isTrue(xml.includes('<title>News &lt;Live&gt;</title>'), 'Should escape titles');
+      assert.equal(xml.match(/<programme /g).length, 1, 'Should only export content entries');
+    });
+  });
+});
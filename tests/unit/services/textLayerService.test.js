@@ -0,0 +1,201 @@
+/**
+ * Text Layer Service Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const TextLayerService = require('../../../src/services/textLayerService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    text: { layers: [], fontFile: null }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('TextLayerService', () => {
+  let textLayerService;
+  let mockZmqService;
+
+  beforeEach(() => {
+    CONFIG.text.layers = [];
+    CONFIG.text.fontFile = null;
+    mockZmqService = {
+      sendCommand: jest.fn(async () => ({ success: true, code: 0, error: 'Success', data: null }))
+    };
+
+    textLayerService = new TextLayerService(mockZmqService);
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+  });
+
+  describe('layers', () => {
+    test('should start from the configured layers and their templates', () => {
+      CONFIG.text.layers = [{ name: 'clock', template: 'clock' }, { name: 'title', text: 'Live', fontSize: 48 }];
+      CONFIG.text.fontFile = '/fonts/Inter.ttf';
+      textLayerService = new TextLayerService(mockZmqService);
+
+      const layers = textLayerService.getLayers();
+
+      assert.deepEqual(layers.map(layer => layer.instance), ['text_clock', 'text_title'], 'Should keep the configured order');
+      assert.equal(layers[0].anchor, 'top-right', 'Should use the template defaults');
+      assert.equal(layers[1].fontSize, 48, 'Should use the configured fields');
+      assert.equal(layers[1].fontFile, '/fonts/Inter.ttf', 'Should use the default font');
+    });
+
+    test('should generate drawtext options escaped for the option value', () => {
+      CONFIG.text.layers = [{ name: 'title', text: 'It\'s 50% off: now', anchor: 'bottom', y: 40 }];
+      textLayerService = new TextLayerService(mockZmqService);
+
+      const layer = textLayerService.getLayer('title');
+
+      assert.isTrue(layer.options.startsWith('text=It\\\'s 50\\\\% off\\: now:'), 'Should escape the text');
+      assert.deepEqual(layer.expressions, { x: '(w-tw)/2+20', y: 'h-th-40' }, 'Should place the text from its anchor');
+      assert.isTrue(layer.options.endsWith(':x=(w-tw)/2+20:y=h-th-40:alpha=1'), 'Should include the position');
+    });
+
+    test('should expand the clock and timecode templates', async () => {
+      await textLayerService.setLayer('clock', { template: 'clock', format: '%H:%M' });
+      await textLayerService.setLayer('tc', { template: 'timecode', text: 'TC ' });
+
+      assert.isTrue(textLayerService.getLayer('clock').options.startsWith('text=%{localtime\\:%H\\\\\\:%M}:'), 'Should show the wall clock');
+      assert.isTrue(textLayerService.getLayer('tc').options.startsWith('text=TC %{pts\\:hms}:'), 'Should show the stream time');
+    });
+
+    test('should scroll a crawl across the frame', async () => {
+      await textLayerService.setLayer('ticker', { template: 'crawl', text: 'Breaking news', speed: 80 });
+
+      const layer = textLayerService.getLayer('ticker');
+      assert.equal(layer.expressions.x, 'w-mod(t*80,w+tw)', 'Should move at the speed');
+      assert.equal(layer.expressions.y, 'h-th-20', 'Should run along the bottom');
+      assert.isTrue(layer.options.includes(':box=1:'), 'Should draw a box');
+    });
+
+    test('should list the templates', () => {
+      const names = textLayerService.getTemplates().map(template => template.name);
+
+      assert.deepEqual(names, ['text', 'lower-third', 'clock', 'timecode', 'crawl'], 'Should list every template');
+    });
+  });
+
+  describe('setLayer', () => {
+    test('should rebuild the graph for a new layer', async () => {
+      const rebuild = jest.fn(() => true);
+      textLayerService.onRebuild(rebuild);
+
+      const result = await textLayerService.setLayer('title', { text: 'Live' });
+
+      assert.equal(rebuild.mock.calls.length, 1, 'Should request a rebuild');
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 0, 'Should not try ZeroMQ');
+      assert.equal(result.method, 'rebuild', 'Should report the rebuild');
+      assert.equal(result.layer.instance, 'text_title', 'Should return the layer');
+    });
+
+    test('should defer a new layer when FFmpeg is not running', async () => {
+      textLayerService.onRebuild(() => false);
+
+      const result = await textLayerService.setLayer('title', { text: 'Live' });
+
+      assert.equal(result.method, 'deferred', 'Should apply the layer at the next start');
+    });
+
+    test('should reject layers without text', async () => {
+      const result = await textLayerService.setLayer('title', { template: 'crawl' });
+
+      assert.deepEqual(result.errors, ['body.text is required for the crawl template'], 'Should name the problem');
+      assert.equal(textLayerService.getLayer('title'), null, 'Should not add the layer');
+    });
+
+    test('should replace an existing layer from its template defaults', async () => {
+      await textLayerService.setLayer('title', { template: 'lower-third', text: 'Jane Doe', x: 10 });
+      const result = await textLayerService.setLayer('title', { template: 'lower-third', text: 'John Doe' });
+
+      assert.equal(result.method, 'zmq', 'Should reinit the layer live');
+      assert.equal(result.layer.x, 60, 'Should reset the fields that were not given');
+    });
+  });
+
+  describe('updateLayer', () => {
+    beforeEach(async () => {
+      await textLayerService.setLayer('ticker', { template: 'crawl', text: 'First story' });
+    });
+
+    test('should reinit the drawtext instance over ZeroMQ', async () => {
+      const result = await textLayerService.updateLayer('ticker', { text: 'Can\'t stop, won\'t stop', fontColor: 'yellow' });
+
+      const command = mockZmqService.sendCommand.mock.calls[0][0];
+      assert.isTrue(command.startsWith('text_ticker reinit \'text=Can\\\'\\\'\'t stop, won'), 'Should quote the argument for the zmq filter');
+      assert.isTrue(command.includes(':fontcolor=yellow:'), 'Should send the new options');
+      assert.equal(result.method, 'zmq', 'Should apply the change live');
+      assert.equal(result.layer.fontColor, 'yellow', 'Should return the new layer');
+      assert.isTrue(result.commands[0].success, 'Should report the reply');
+    });
+
+    test('should hide a layer by drawing it transparent', async () => {
+      await textLayerService.updateLayer('ticker', { visible: false });
+
+      assert.isTrue(mockZmqService.sendCommand.mock.calls[0][0].endsWith(':alpha=0\''), 'Should make the text transparent');
+    });
+
+    test('should not send anything when the layer does not change', async () => {
+      const result = await textLayerService.updateLayer('ticker', { text: 'First story' });
+
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 0, 'Should not send commands');
+      assert.equal(result.method, 'unchanged', 'Should report no change');
+    });
+
+    test('should rebuild when FFmpeg rejects the reinit', async () => {
+      const rebuild = jest.fn(() => true);
+      textLayerService.onRebuild(rebuild);
+      mockZmqService.sendCommand.mockResolvedValue({ success: false, code: 22, error: 'Invalid argument', data: null });
+
+      const result = await textLayerService.updateLayer('ticker', { fontSize: 40 });
+
+      assert.equal(rebuild.mock.calls.length, 1, 'Should fall back to a rebuild');
+      assert.equal(result.method, 'rebuild', 'Should report the rebuild');
+      assert.equal(result.commands[0].code, 22, 'Should include the rejected reply');
+    });
+
+    test('should rebuild to go back to the default font', async () => {
+      await textLayerService.updateLayer('ticker', { fontFile: '/fonts/Inter.ttf' });
+      const rebuild = jest.fn(() => true);
+      textLayerService.onRebuild(rebuild);
+
+      const result = await textLayerService.updateLayer('ticker', { fontFile: null });
+
+      assert.equal(mockZmqService.sendCommand.mock.calls.length, 1, 'Should only reinit the font change');
+      assert.equal(result.method, 'rebuild', 'Should rebuild the graph');
+    });
+
+    test('should reject changes that leave the layer without text', async () => {
+      const result = await textLayerService.updateLayer('ticker', { text: '' });
+
+      assert.equal(result.errors.length, 1, 'Should report the problem');
+      assert.equal(textLayerService.getLayer('ticker').text, 'First story', 'Should keep the layer');
+    });
+
+    test('should return null for unknown layers', async () => {
+      assert.equal(await textLayerService.updateLayer('missing', { text: 'x' }), null, 'Should not update');
+    });
+  });
+
+  describe('removeLayer', () => {
+    test('should remove the layer and rebuild the graph', async () => {
+      await textLayerService.setLayer('title', { text: 'Live' });
+      const rebuild = jest.fn(() => true);
+      textLayerService.onRebuild(rebuild);
+
+      assert.deepEqual(textLayerService.removeLayer('title'), { method: 'rebuild' }, 'Should rebuild the graph');
+      assert.equal(textLayerService.getLayer('title'), null, 'Should forget the layer');
+      assert.equal(textLayerService.removeLayer('title'), null, 'Should not find it again');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * URL Signing Service Unit Tests
+ */
+
+'use strict';
+
+const { mockLogger, assert } = require('../../helpers/testUtils');
+const UrlSigningService = require('../../../src/services/urlSigningService');
+const { CONFIG } = require('../../../src/config');
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  CONFIG: {
+    hls: {
+      signing: {
+        enabled: true,
+        secret: 'test-secret-that-is-at-least-32-characters',
+        defaultTtl: 3600,
+        maxTtl: 86400,
+        bindIp: false
+      }
+    }
+  }
+}));
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => mockLogger);
+
+describe('UrlSigningService', () => {
+  let urlSigningService;
+
+  beforeEach(() => {
+    urlSigningService = new UrlSigningService();
+    mockLogger.capture();
+  });
+
+  afterEach(() => {
+    mockLogger.restore();
+    jest.useRealTimers();
+  });
+
+  describe('createToken and verifyToken', () => {
+    test('should accept a fresh token from any address', () => {
+      const { token, expiresAt } = urlSigningService.createToken({ ttl: 60 });
+
+      assert.isTrue(urlSigningService.verifyToken(token, '198.51.100.1').valid, 'Should accept token');
+      assert.isTrue(new Date(expiresAt) > new Date(), 'Should expire in the future');
+    });
+
+    test('should reject expired tokens', () => {
+      jest.useFakeTimers();
+      const { token } = urlSigningService.createToken({ ttl: 60 });
+      jest.advanceTimersByTime(61000);
+
+      const result = urlSigningService.verifyToken(token, '198.51.100.1');
+      assert.isFalse(result.valid, 'Should reject token');
+      assert.isTrue(result.expired, 'Should flag expiry');
+    });
+
+    test('should reject tampered tokens', () => {
+      const { token } = urlSigningService.createToken({ ttl: 60 });
+      const [expires, bound, signature] = token.split('.');
+
+      assert.isFalse(urlSigningService.verifyToken(`${Number(expires) + 3600}.${bound}.${signature}`).valid, 'Should reject extended expiry');
+      assert.isFalse(urlSigningService.verifyToken(`${expires}.${bound}.${signature.slice(1)}x`).valid, 'Should reject forged signature');
+      assert.isFalse(urlSigningService.verifyToken('garbage').valid, 'Should reject malformed token');
+      assert.isFalse(urlSigningService.verifyToken(undefined).valid, 'Should reject missing token');
+    });
+
+    test('should bind tokens to a client address', () => {
+      const { token } = urlSigningService.createToken({ ttl: 60, ip: '203.0.113.7' });
+
+      assert.isTrue(urlSigningService.verifyToken(token, '203.0.113.7').valid, 'Should accept bound address');
+      assert.isTrue(urlSigningService.verifyToken(token, '::ffff:203.0.113.7').valid, 'Should accept IPv4-mapped address');
+      assert.isFalse(urlSigningService.verifyToken(token, '203.0.113.8').valid, 'Should reject other addresses');
+    });
+
+    test('should reject tokens signed with another secret', () => {
+      const { token } = urlSigningService.createToken({ ttl: 60 });
+      CONFIG.hls.signing.secret = 'another-secret-that-is-at-least-32-chars';
+
+      assert.isFalse(new UrlSigningService().verifyToken(token).valid, 'Should reject token');
+      CONFIG.hls.signing.secret = 'test-secret-that-is-at-least-32-characters';
+    });
+  });
+
+  describe('signUrl', () => {
+    test('should append the token as a query parameter', () => {
+      const { url } = urlSigningService.signUrl('http://localhost:3000/hls/stream.m3u8', { ttl: 60 });
+      const token = new URL(url).searchParams.get('token');
+
+      assert.isTrue(urlSigningService.verifyToken(token).valid, 'Should carry a valid token');
+    });
+  });
+
+  describe('getSecret', () => {
+    test('should fall back to a random secret with a warning', () => {
+      CONFIG.hls.signing.secret = null;
+      const secret = urlSigningService.getSecret();
+      CONFIG.hls.signing.secret = 'test-secret-that-is-at-least-32-characters';
+
+      assert.equal(secret.length, 64, 'Should generate a secret');
+      assert.isTrue(mockLogger.getLogs().some(log => log.level === 'warn'), 'Should warn');
+    });
+  });
+});
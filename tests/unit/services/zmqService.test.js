@@ -9,13 +9,14 @@ const ZmqService = require('../../../src/services/zmqService');
 
 // Mock zeromq module
 const mockSocket = {
-  bind: jest.fn(),
+  connect: jest.fn(),
   send: jest.fn(),
+  receive: jest.fn(),
   close: jest.fn()
 };
 
 jest.mock('zeromq', () => ({
-  Push: jest.fn(() => mockSocket)
+  Request: jest.fn(() => mockSocket)
 }));
 
 // Mock the config
@@ -23,7 +24,9 @@ jest.mock('../../../src/config', () => ({
   CONFIG: {
     zmq: {
       port: 5555,
-      protocol: 'tcp'
+      host: '127.0.0.1',
+      protocol: 'tcp',
+      timeout: 2000
     }
   }
 }));
@@ -53,28 +56,32 @@ describe('ZmqService', () => {
   });
 
   describe('initialize', () => {
-    test('should create and bind ZMQ socket successfully', async () => {
-      mockSocket.bind.mockResolvedValue();
-      
+    test('should create a request socket connected to the zmq filter', async () => {
+      const zmq = require('zeromq');
+
       const result = await zmqService.initialize();
       
       assert.equal(result, mockSocket, 'Should return the socket');
       assert.equal(zmqService.socket, mockSocket, 'Should store socket reference');
-      assert.isTrue(mockSocket.bind.mock.calls.length === 1, 'Should call bind once');
-      assert.equal(mockSocket.bind.mock.calls[0][0], 'tcp://localhost:5555', 'Should bind to correct address');
+      assert.equal(mockSocket.connect.mock.calls[0][0], 'tcp://127.0.0.1:5555', 'Should connect to the filter address');
+
+      const options = zmq.Request.mock.calls[0][0];
+      assert.equal(options.receiveTimeout, 2000, 'Should wait for replies with the configured timeout');
+      assert.isTrue(options.relaxed && options.correlate, 'Should not block after a timed out request');
       
       const logs = mockLogger.getLogs();
       const infoLogs = logs.filter(log => log.level === 'info');
-      assert.isTrue(infoLogs.some(log => log.msg.includes('ZeroMQ socket bound')), 'Should log successful binding');
+      assert.isTrue(infoLogs.some(log => log.msg.includes('ZeroMQ socket connected')), 'Should log the connection');
     });
 
     test('should handle initialization errors', async () => {
-      const error = new Error('Bind failed');
-      mockSocket.bind.mockRejectedValue(error);
+      mockSocket.connect.mockImplementationOnce(() => {
+        throw new Error('Invalid endpoint');
+      });
       
       await assert.throws(async () => {
         await zmqService.initialize();
-      }, 'Bind failed', 'Should throw initialization error');
+      }, 'Invalid endpoint', 'Should throw initialization error');
       
       const logs = mockLogger.getLogs();
       const errorLogs = logs.filter(log => log.level === 'error');
@@ -82,47 +89,89 @@ describe('ZmqService', () => {
     });
   });
 
-  describe('sendInstruction', () => {
-    test('should return false if socket is not initialized', async () => {
-      const result = await zmqService.sendInstruction('test command');
+  describe('sendCommand', () => {
+    test('should return a failure if socket is not initialized', async () => {
+      const result = await zmqService.sendCommand('test command');
       
-      assert.isFalse(result, 'Should return false when socket is null');
+      assert.deepEqual(result, { success: false, code: null, error: 'Socket not initialized', data: null }, 'Should fail without a socket');
       
       const logs = mockLogger.getLogs();
       const errorLogs = logs.filter(log => log.level === 'error');
       assert.isTrue(errorLogs.some(log => log.msg.includes('not initialized')), 'Should log error');
     });
 
-    test('should send instruction successfully', async () => {
+    test('should send the command and parse a success reply', async () => {
       zmqService.socket = mockSocket;
       mockSocket.send.mockResolvedValue();
+      mockSocket.receive.mockResolvedValue([Buffer.from('0 Success')]);
       
-      const command = 'Parsed_overlay_1 x=100:y=200';
-      const result = await zmqService.sendInstruction(command);
+      const command = 'layer0_overlay x 100';
+      const result = await zmqService.sendCommand(command);
       
-      assert.isTrue(result, 'Should return true on successful send');
-      assert.isTrue(mockSocket.send.mock.calls.length === 1, 'Should call send once');
+      assert.deepEqual(result, { success: true, code: 0, error: 'Success', data: null }, 'Should parse the reply');
       assert.equal(mockSocket.send.mock.calls[0][0], command, 'Should send correct command');
       
       const logs = mockLogger.getLogs();
       const debugLogs = logs.filter(log => log.level === 'debug');
       assert.isTrue(debugLogs.some(log => log.msg.includes('Sent ZMQ instruction')), 'Should log sent instruction');
 
-      // Verify log buffer updated
       const zmqLogs = zmqService.getLogs();
-      assert.equal(zmqLogs.length, 1, 'Should store log entry');
-      assert.equal(zmqLogs[0].type, 'sent', 'Log type should be sent');
+      assert.equal(zmqLogs.length, 2, 'Should log the command and the reply');
+      assert.equal(zmqLogs[0].type, 'sent', 'First entry should be the command');
       assert.equal(zmqLogs[0].message, command, 'Log message should be command');
+      assert.equal(zmqLogs[1].type, 'reply', 'Second entry should be the reply');
+      assert.isTrue(zmqLogs[1].message.includes('0 Success'), 'Reply entry should include the return code');
+    });
+
+    test('should report the return code and error text of a rejected command', async () => {
+      zmqService.socket = mockSocket;
+      mockSocket.send.mockResolvedValue();
+      mockSocket.receive.mockResolvedValue([Buffer.from('38 Function not implemented')]);
+      
+      const result = await zmqService.sendCommand('layer9_overlay x 100');
+      
+      assert.deepEqual(result, { success: false, code: 38, error: 'Function not implemented', data: null }, 'Should parse the failure');
+      
+      const logs = mockLogger.getLogs();
+      assert.isTrue(logs.some(log => log.level === 'warn' && log.msg.includes('rejected (38 Function not implemented)')), 'Should warn');
+
+      const zmqLogs = zmqService.getLogs();
+      assert.equal(zmqLogs[1].type, 'error', 'Rejection should be logged as an error');
+      assert.isTrue(zmqLogs[1].message.includes('38 Function not implemented'), 'Should include the reply');
+    });
+
+    test('should return the response data after the status line', async () => {
+      zmqService.socket = mockSocket;
+      mockSocket.send.mockResolvedValue();
+      mockSocket.receive.mockResolvedValue([Buffer.from('0 Success\nvolume:0.5')]);
+      
+      const result = await zmqService.sendCommand('main_volume volume 0.5');
+      
+      assert.equal(result.data, 'volume:0.5', 'Should return the response data');
+    });
+
+    test('should fail when no reply arrives within the timeout', async () => {
+      zmqService.socket = mockSocket;
+      mockSocket.send.mockResolvedValue();
+      mockSocket.receive.mockRejectedValue(Object.assign(new Error('Socket temporarily unavailable'), { code: 'EAGAIN' }));
+      
+      const result = await zmqService.sendCommand('layer0_overlay x 100');
+      
+      assert.isFalse(result.success, 'Should fail');
+      assert.equal(result.error, 'No reply within 2000ms', 'Should report the timeout');
+      
+      const zmqLogs = zmqService.getLogs();
+      assert.equal(zmqLogs[zmqLogs.length - 1].type, 'error', 'Should log the timeout');
     });
 
     test('should handle send errors', async () => {
       zmqService.socket = mockSocket;
-      const error = new Error('Send failed');
-      mockSocket.send.mockRejectedValue(error);
+      mockSocket.send.mockRejectedValue(new Error('Send failed'));
       
-      const result = await zmqService.sendInstruction('test command');
+      const result = await zmqService.sendCommand('test command');
       
-      assert.isFalse(result, 'Should return false on send error');
+      assert.isFalse(result.success, 'Should fail on send error');
+      assert.equal(result.error, 'Send failed', 'Should report the error');
       
       const logs = mockLogger.getLogs();
       const errorLogs = logs.filter(log => log.level === 'error');
@@ -132,6 +181,50 @@ describe('ZmqService', () => {
       assert.equal(zmqLogs.length, 1, 'Should store error log entry');
       assert.equal(zmqLogs[0].type, 'error', 'Log type should be error');
     });
+
+    test('should send one command at a time', async () => {
+      zmqService.socket = mockSocket;
+      const order = [];
+      mockSocket.send.mockImplementation(async command => order.push(`send ${command}`));
+      mockSocket.receive.mockImplementation(async () => {
+        order.push('receive');
+        return [Buffer.from('0 Success')];
+      });
+      
+      await Promise.all([zmqService.sendCommand('first'), zmqService.sendCommand('second')]);
+      
+      assert.deepEqual(order, ['send first', 'receive', 'send second', 'receive'], 'Should wait for each reply');
+    });
+  });
+
+  describe('sendInstruction', () => {
+    test('should return whether the filter accepted the command', async () => {
+      zmqService.socket = mockSocket;
+      mockSocket.send.mockResolvedValue();
+      mockSocket.receive
+        .mockResolvedValueOnce([Buffer.from('0 Success')])
+        .mockResolvedValueOnce([Buffer.from('22 Invalid argument')]);
+      
+      assert.isTrue(await zmqService.sendInstruction('layer0_overlay x 100'), 'Should accept');
+      assert.isFalse(await zmqService.sendInstruction('layer0_overlay x abc'), 'Should reject');
+    });
+  });
+
+  describe('getMessageCounts', () => {
+    test('should count accepted and failed instructions', async () => {
+      await zmqService.sendInstruction('before initialization');
+
+      zmqService.socket = mockSocket;
+      mockSocket.send.mockResolvedValueOnce().mockResolvedValueOnce().mockRejectedValueOnce(new Error('Send failed'));
+      mockSocket.receive
+        .mockResolvedValueOnce([Buffer.from('0 Success')])
+        .mockResolvedValueOnce([Buffer.from('22 Invalid argument')]);
+      await zmqService.sendInstruction('layer0_overlay x 100');
+      await zmqService.sendInstruction('layer0_overlay x abc');
+      await zmqService.sendInstruction('layer0_overlay x 200');
+
+      assert.deepEqual(zmqService.getMessageCounts(), { sent: 1, failed: 3 }, 'Should count each result');
+    });
   });
 
   describe('isConnected', () => {
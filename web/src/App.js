@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { Layout, Typography, Row, Col } from 'antd';
+import { Layout, Typography, Row, Col, Input } from 'antd';
 import {
   PlayCircleOutlined,
   ApiOutlined,
   MonitorOutlined,
-  SettingOutlined
+  SettingOutlined,
+  KeyOutlined
 } from '@ant-design/icons';
 
 import VideoPlayer from './components/VideoPlayer';
@@ -38,6 +39,11 @@ function App() {
 
   const [loading, setLoading] = useState(true);
 
+  const [apiKey, setApiKey] = useState(StreamService.getApiKey() || '');
+
+  const [streamUrl, setStreamUrl] = useState('/hls/stream.m3u8');
+  const [streamUrlExpiresAt, setStreamUrlExpiresAt] = useState(null);
+
   const addLog = (level, message) => {
     const newLog = {
       timestamp: new Date().toLocaleTimeString(),
@@ -68,6 +74,31 @@ function App() {
     }
   };
 
+  const updateStreamUrl = async () => {
+    try {
+      // The server returns a signed URL when private streams are enabled
+      const info = await StreamService.getStreamInfo();
+      const { pathname, search } = new URL(info.streamUrl, window.location.origin);
+      setStreamUrl(pathname + search);
+      setStreamUrlExpiresAt(info.streamUrlExpiresAt || null);
+    } catch (error) {
+      addLog('error', `Failed to fetch stream info: ${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    updateStreamUrl();
+  }, []);
+
+  // Fetch a fresh signed URL a minute before the current one expires
+  useEffect(() => {
+    if (!streamUrlExpiresAt) return undefined;
+
+    const refreshIn = Math.max(new Date(streamUrlExpiresAt).getTime() - Date.now() - 60000, 5000);
+    const refreshTimer = setTimeout(updateStreamUrl, refreshIn);
+    return () => clearTimeout(refreshTimer);
+  }, [streamUrlExpiresAt]);
+
   useEffect(() => {
     // Initial status check
     updateStatus();
@@ -79,6 +110,15 @@ function App() {
     return () => clearInterval(statusInterval);
   }, []);
 
+  const handleApiKeyChange = (value) => {
+    const trimmed = value.trim();
+    setApiKey(trimmed);
+    StreamService.setApiKey(trimmed);
+    addLog('info', trimmed ? 'API key updated' : 'API key cleared');
+    updateStatus();
+    updateStreamUrl();
+  };
+
   const handleStreamAction = async (action, data) => {
     try {
       const result = await StreamService.updateStream(action, data);
@@ -120,6 +160,14 @@ function App() {
         </div>
         
         <div style={{ display: 'flex', alignItems: 'center', gap: '24px' }}>
+          <Input.Password
+            prefix={<KeyOutlined />}
+            placeholder="API key"
+            defaultValue={apiKey}
+            onPressEnter={(e) => handleApiKeyChange(e.target.value)}
+            onBlur={(e) => e.target.value.trim() !== apiKey && handleApiKeyChange(e.target.value)}
+            style={{ width: '220px' }}
+          />
           <div className={`status-indicator ${streamStatus.healthy ? 'status-online' : 'status-offline'}`}>
             <span className="status-dot"></span>
             <Text style={{ color: '#ffffff' }}>
@@ -134,7 +182,7 @@ function App() {
           {/* Video Player Section */}
           <Col xs={24} lg={16}>
             <VideoPlayer 
-              streamUrl="/hls/stream.m3u8"
+              streamUrl={streamUrl}
               loading={loading}
               onLog={addLog}
             />
@@ -66,7 +66,7 @@ const APIDocumentation = ({ onLog }) => {
           result = await StreamService.updateLayer(0, '/test/path/overlay.png');
           break;
         case 'sendFilter':
-          result = await StreamService.sendFilterCommand('Parsed_overlay_1 x=100:y=100');
+          result = await StreamService.sendFilterCommand('layer0_overlay x 100');
           break;
         default:
           throw new Error('Unknown endpoint');
@@ -311,33 +311,24 @@ const APIDocumentation = ({ onLog }) => {
 async function updateStream() {
   try {
     // Update main content
-    await fetch('/api/update', {
-      method: 'POST',
+    await fetch('/api/content', {
+      method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'content',
-        data: '/media/news-intro.mp4'
-      })
+      body: JSON.stringify({ path: '/media/news-intro.mp4' })
     });
     
     // Add logo overlay
-    await fetch('/api/update', {
-      method: 'POST',
+    await fetch('/api/layers/0', {
+      method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'layer',
-        data: { index: 0, path: '/media/logo.png' }
-      })
+      body: JSON.stringify({ path: '/media/logo.png' })
     });
     
     // Position logo in corner
-    await fetch('/api/update', {
+    await fetch('/api/filters/layer0_overlay/commands', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'filter',
-        data: { command: 'Parsed_overlay_1 x=10:y=10' }
-      })
+      body: JSON.stringify({ command: 'x', argument: 10 })
     });
     
     console.log('Stream updated successfully');
@@ -356,13 +347,10 @@ async function updateStream() {
               {renderCodeBlock(`// Animate overlay across screen
 async function animateOverlay() {
   for (let x = 0; x <= 500; x += 10) {
-    await fetch('/api/update', {
+    await fetch('/api/filters/layer0_overlay/commands', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'filter',
-        data: { command: \`Parsed_overlay_1 x=\${x}:y=100\` }
-      })
+      body: JSON.stringify({ command: 'x', argument: x })
     });
     
     // Wait 100ms between updates
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Row, Col, Statistic, Typography, Alert, Tag } from 'antd';
+import { DashboardOutlined } from '@ant-design/icons';
+import StreamService from '../services/StreamService';
+
+const { Title, Text } = Typography;
+
+const MAX_SAMPLES = 120;
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 80;
+
+// Speed sparkline with a dashed line at the real-time threshold
+const SpeedChart = ({ samples, threshold }) => {
+  const speeds = samples.map(sample => sample.speed).filter(speed => speed !== null);
+  if (speeds.length < 2) {
+    return <Text type="secondary">Waiting for encoder samples...</Text>;
+  }
+
+  const maxSpeed = Math.max(threshold * 1.5, ...speeds);
+  const toY = (speed) => CHART_HEIGHT - (speed / maxSpeed) * CHART_HEIGHT;
+  const points = speeds
+    .map((speed, index) => `${(index / (speeds.length - 1)) * CHART_WIDTH},${toY(speed)}`)
+    .join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      style={{ width: '100%', height: `${CHART_HEIGHT}px`, background: '#141414', borderRadius: '4px' }}
+    >
+      <line
+        x1="0" x2={CHART_WIDTH} y1={toY(threshold)} y2={toY(threshold)}
+        stroke="#ff4d4f" strokeDasharray="4 4" strokeWidth="1"
+      />
+      <polyline points={points} fill="none" stroke="#1890ff" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const EncoderMetrics = () => {
+  const [samples, setSamples] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+
+  useEffect(() => {
+    const eventSource = new EventSource(StreamService.withApiKey('/api/metrics/encoder/stream'));
+
+    eventSource.onopen = () => setIsConnected(true);
+
+    eventSource.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        if (message.type === 'history') {
+          setSamples(message.history.slice(-MAX_SAMPLES));
+          setSummary(message.summary);
+        } else if (message.type === 'sample') {
+          setSamples(prevSamples => [...prevSamples, message.sample].slice(-MAX_SAMPLES));
+          setSummary(message.summary);
+        }
+      } catch (error) {
+        console.error('Error parsing encoder metrics:', error);
+      }
+    };
+
+    eventSource.onerror = () => setIsConnected(false);
+
+    return () => eventSource.close();
+  }, []);
+
+  const current = samples.length > 0 ? samples[samples.length - 1] : null;
+  const formatNumber = (value, digits = 1, unit = '') =>
+    value === null || value === undefined ? 'N/A' : `${value.toFixed(digits)}${unit}`;
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '16px',
+      background: '#1a1a1a',
+      borderRadius: '6px',
+      border: '1px solid #303030'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <DashboardOutlined style={{ color: '#1890ff' }} />
+        <Title level={5} style={{ margin: 0, color: '#ffffff' }}>
+          Encoder
+        </Title>
+        <Tag color={isConnected ? 'green' : 'default'} style={{ marginLeft: 'auto' }}>
+          {isConnected ? 'Live' : 'Disconnected'}
+        </Tag>
+      </div>
+
+      {summary?.slow && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: '12px' }}
+          message={`Encoder is slower than real time (${formatNumber(summary.averageSpeed, 2, 'x')}), viewers will buffer`}
+        />
+      )}
+
+      <Row gutter={[16, 16]} style={{ marginBottom: '12px' }}>
+        <Col xs={12} sm={6}>
+          <Statistic
+            title={<Text style={{ color: '#8c8c8c' }}>Speed</Text>}
+            value={formatNumber(current?.speed, 2, 'x')}
+            valueStyle={{ color: summary?.slow ? '#ff4d4f' : '#ffffff', fontSize: '16px' }}
+          />
+        </Col>
+        <Col xs={12} sm={6}>
+          <Statistic
+            title={<Text style={{ color: '#8c8c8c' }}>FPS</Text>}
+            value={formatNumber(current?.fps)}
+            valueStyle={{ color: '#ffffff', fontSize: '16px' }}
+          />
+        </Col>
+        <Col xs={12} sm={6}>
+          <Statistic
+            title={<Text style={{ color: '#8c8c8c' }}>Bitrate</Text>}
+            value={formatNumber(current?.bitrate, 0, ' kbit/s')}
+            valueStyle={{ color: '#ffffff', fontSize: '16px' }}
+          />
+        </Col>
+        <Col xs={12} sm={6}>
+          <Statistic
+            title={<Text style={{ color: '#8c8c8c' }}>Dropped / Dup</Text>}
+            value={current ? `${current.dropFrames ?? 0} / ${current.dupFrames ?? 0}` : 'N/A'}
+            valueStyle={{ color: '#ffffff', fontSize: '16px' }}
+          />
+        </Col>
+      </Row>
+
+      <SpeedChart samples={samples} threshold={summary?.slowSpeed || 1} />
+    </div>
+  );
+};
+
+export default EncoderMetrics;
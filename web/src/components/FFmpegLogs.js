@@ -21,6 +21,7 @@ import {
   DisconnectOutlined,
   LinkOutlined
 } from '@ant-design/icons';
+import { StreamService } from '../services/StreamService';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -72,7 +73,7 @@ const FFmpegLogs = () => {
     }
 
     setIsLoading(true);
-    const eventSource = new EventSource('/api/logs/stream');
+    const eventSource = new EventSource(StreamService.withApiKey('/api/logs/stream'));
     eventSourceRef.current = eventSource;
 
     eventSource.onopen = () => {
@@ -116,7 +117,7 @@ const FFmpegLogs = () => {
   // Load initial logs
   const loadInitialLogs = async () => {
     try {
-      const response = await fetch('/api/logs');
+      const response = await fetch('/api/logs', { headers: StreamService.authHeaders() });
       const data = await response.json();
       if (data.success) {
         setLogs(data.logs);
@@ -146,7 +147,7 @@ const FFmpegLogs = () => {
 
   const handleClear = async () => {
     try {
-      const response = await fetch('/api/logs', { method: 'DELETE' });
+      const response = await fetch('/api/logs', { method: 'DELETE', headers: StreamService.authHeaders() });
       if (response.ok) {
         setLogs([]);
         setSearchTerm('');
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Select, Space, Tag, Tooltip, Typography } from 'antd';
+import {
+  PlaySquareOutlined,
+  PictureOutlined,
+  SoundOutlined,
+  WarningOutlined
+} from '@ant-design/icons';
+import { StreamService } from '../services/StreamService';
+
+const { Text } = Typography;
+const { Option } = Select;
+
+const MediaPicker = ({ value, onChange, media, usage = 'content', loading = false, placeholder }) => {
+  const formatDuration = (seconds) => {
+    if (!seconds) return null;
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${String(secs).padStart(2, '0')}`;
+  };
+
+  const getKindIcon = (kind) => {
+    switch (kind) {
+      case 'video': return <PlaySquareOutlined style={{ color: '#52c41a' }} />;
+      case 'image': return <PictureOutlined style={{ color: '#faad14' }} />;
+      case 'audio': return <SoundOutlined style={{ color: '#1890ff' }} />;
+      default: return null;
+    }
+  };
+
+  const renderThumbnail = (item) => {
+    const thumbnailUrl = StreamService.getThumbnailUrl(item);
+    const style = { width: '48px', height: '27px', borderRadius: '2px', flexShrink: 0 };
+
+    if (!thumbnailUrl) {
+      return (
+        <div style={{ ...style, background: '#262626', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          {getKindIcon(item.kind)}
+        </div>
+      );
+    }
+    return <img src={thumbnailUrl} alt="" style={{ ...style, objectFit: 'cover' }} />;
+  };
+
+  return (
+    <Select
+      value={value}
+      onChange={onChange}
+      loading={loading}
+      allowClear
+      showSearch
+      optionFilterProp="label"
+      optionLabelProp="label"
+      placeholder={placeholder || 'Select from media library'}
+      notFoundContent={<Text type="secondary">No media uploaded yet</Text>}
+      style={{ width: '100%' }}
+    >
+      {media.map((item) => {
+        const compatible = item.compatible ? item.compatible[usage] : true;
+        const problems = item.problems ? item.problems[usage] : [];
+        const { video } = item.metadata || {};
+
+        return (
+          <Option key={item.id} value={item.id} label={item.name}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              {renderThumbnail(item)}
+              <div style={{ minWidth: 0, flex: 1 }}>
+                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {item.name}
+                </div>
+                <Space size={4}>
+                  {video && <Tag style={{ margin: 0, fontSize: '10px' }}>{video.width}x{video.height}</Tag>}
+                  {formatDuration(item.metadata?.duration) && (
+                    <Tag style={{ margin: 0, fontSize: '10px' }}>{formatDuration(item.metadata.duration)}</Tag>
+                  )}
+                </Space>
+              </div>
+              {!compatible && (
+                <Tooltip title={problems.join('; ')}>
+                  <WarningOutlined style={{ color: '#faad14' }} />
+                </Tooltip>
+              )}
+            </div>
+          </Option>
+        );
+      })}
+    </Select>
+  );
+};
+
+export default MediaPicker;
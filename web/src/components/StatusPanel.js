@@ -10,6 +10,7 @@ import {
   WifiOutlined,
   DatabaseOutlined
 } from '@ant-design/icons';
+import EncoderMetrics from './EncoderMetrics';
 
 const { Title, Text } = Typography;
 
@@ -41,6 +42,7 @@ const StatusPanel = ({ status, onRefresh }) => {
       case true:
         return <CheckCircleOutlined style={{ color: '#52c41a' }} />;
       case 'stopped':
+      case 'failed':
       case 'disconnected':
       case false:
         return <CloseCircleOutlined style={{ color: '#ff4d4f' }} />;
@@ -56,6 +58,7 @@ const StatusPanel = ({ status, onRefresh }) => {
       case true:
         return '#52c41a';
       case 'stopped':
+      case 'failed':
       case 'disconnected':
       case false:
         return '#ff4d4f';
@@ -70,6 +73,10 @@ const StatusPanel = ({ status, onRefresh }) => {
         return 'Running';
       case 'stopped':
         return 'Stopped';
+      case 'restarting':
+        return 'Restarting';
+      case 'failed':
+        return 'Failed';
       case 'connected':
         return 'Connected';
       case 'disconnected':
@@ -183,9 +190,15 @@ const StatusPanel = ({ status, onRefresh }) => {
               <Tag color={getServiceColor(status.ffmpeg)} style={{ margin: 0 }}>
                 {getServiceText(status.ffmpeg)}
               </Tag>
-              <Text type="secondary" style={{ fontSize: '12px' }}>
-                Video Processing
-              </Text>
+              {status.ffmpegProcess?.failureReason && status.ffmpeg !== 'running' ? (
+                <Text type="danger" style={{ fontSize: '12px' }}>
+                  {status.ffmpegProcess.failureReason} ({status.ffmpegProcess.restartCount} restarts)
+                </Text>
+              ) : (
+                <Text type="secondary" style={{ fontSize: '12px' }}>
+                  Video Processing
+                </Text>
+              )}
             </Space>
           </Card>
         </Col>
@@ -233,16 +246,30 @@ const StatusPanel = ({ status, onRefresh }) => {
                 HLS Output
               </Text>
               <Tag color={getServiceColor(status.hls?.generating)} style={{ margin: 0 }}>
-                {status.hls?.generating ? 'Generating' : 'Stopped'}
+                {status.stream?.state === 'stalled' ? 'Stalled' : status.hls?.generating ? 'Generating' : 'Stopped'}
               </Tag>
-              <Text type="secondary" style={{ fontSize: '12px' }}>
-                Stream Segments
-              </Text>
+              {status.feeders?.content?.slate?.active && (
+                <Tag color="orange" style={{ margin: 0 }}>
+                  Fallback slate on air
+                </Tag>
+              )}
+              {status.stream?.state === 'stalled' ? (
+                <Text type="danger" style={{ fontSize: '12px' }}>
+                  No new segment for {Math.round(status.stream.lastProgressAge ?? 0)}s
+                </Text>
+              ) : (
+                <Text type="secondary" style={{ fontSize: '12px' }}>
+                  Stream Segments
+                </Text>
+              )}
             </Space>
           </Card>
         </Col>
       </Row>
 
+      {/* Encoder Metrics */}
+      <EncoderMetrics />
+
       {/* Configuration Info */}
       {status.config && (
         <div style={{ 
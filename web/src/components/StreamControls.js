@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   Card, 
   Form, 
@@ -13,7 +13,8 @@ import {
   InputNumber,
   Slider,
   message,
-  Tag
+  Tag,
+  Upload
 } from 'antd';
 import {
   VideoCameraOutlined,
@@ -22,11 +23,13 @@ import {
   SendOutlined,
   ThunderboltOutlined,
   FileOutlined,
-  PlaySquareOutlined,
   PlusOutlined,
   DeleteOutlined,
-  MinusCircleOutlined
+  MinusCircleOutlined,
+  UploadOutlined
 } from '@ant-design/icons';
+import MediaPicker from './MediaPicker';
+import { StreamService } from '../services/StreamService';
 
 const { Title, Text } = Typography;
 const { TextArea } = Input;
@@ -41,37 +44,72 @@ const StreamControls = ({ onAction, status, onLog }) => {
     layer: false,
     filter: false
   });
+  const [removingLayer, setRemovingLayer] = useState(null);
 
   // Dynamic layer management
   const [activeLayers, setActiveLayers] = useState([]);
   const [availableLayers] = useState(Array.from({ length: 10 }, (_, i) => i)); // Support up to 10 layers
 
-  // Sample files available for selection
-  const sampleVideoFiles = [
-    { name: 'Video 1', path: './samples/video1.mp4', description: 'Sample video file 1', type: 'video' },
-    { name: 'Video 2', path: './samples/video2.mp4', description: 'Sample video file 2', type: 'video' }
-  ];
+  // Media library
+  const [media, setMedia] = useState([]);
+  const [mediaLoading, setMediaLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
 
-  const sampleOverlayFiles = [
-    { name: 'Watermark PNG', path: './samples/watermark.png', description: 'PNG watermark overlay', type: 'image' },
-    { name: 'Video 1 (as overlay)', path: './samples/video1.mp4', description: 'Video file as overlay layer', type: 'video' },
-    { name: 'Video 2 (as overlay)', path: './samples/video2.mp4', description: 'Video file as overlay layer', type: 'video' }
-  ];
+  const loadMedia = async () => {
+    setMediaLoading(true);
+    try {
+      setMedia(await StreamService.listMedia());
+    } catch (error) {
+      onLog('error', `Failed to load media library: ${error.message}`);
+    } finally {
+      setMediaLoading(false);
+    }
+  };
+
+  // Load the library when the component mounts
+  useEffect(() => {
+    loadMedia();
+  }, []);
 
-  // Helper function to set file path in form
-  const selectSampleFile = (formInstance, fieldName, filePath) => {
-    formInstance.setFieldsValue({ [fieldName]: filePath });
+  const handleUpload = async ({ file, onSuccess, onError }) => {
+    setUploadProgress(0);
+    try {
+      const item = await StreamService.uploadMedia(file, setUploadProgress);
+      message.success(`Uploaded ${item.name}`);
+      onLog('info', `Uploaded media: ${item.name} (${item.id})`);
+      onSuccess(item);
+      await loadMedia();
+    } catch (error) {
+      message.error(error.message || 'Upload failed');
+      onError(error);
+    } finally {
+      setUploadProgress(null);
+    }
   };
 
-  // Get file type icon
-  const getFileTypeIcon = (type) => {
-    switch (type) {
-      case 'video': return <PlaySquareOutlined />;
-      case 'image': return <PictureOutlined />;
-      default: return <FileOutlined />;
+  const handleDeleteMedia = async (item) => {
+    try {
+      await StreamService.deleteMedia(item.id);
+      message.success(`Removed ${item.name}`);
+      await loadMedia();
+    } catch (error) {
+      message.error(error.message || 'Failed to remove media');
     }
   };
 
+  // Library items usable as main content or as overlay layers
+  const contentMedia = media.filter(item => item.kind === 'video');
+  const layerMedia = media.filter(item => item.kind === 'video' || item.kind === 'image');
+
+  // A library selection takes precedence over a typed server path
+  const getSource = (values) => (values.mediaId ? { mediaId: values.mediaId } : { path: values.filePath });
+
+  const requireSource = ({ getFieldValue }) => ({
+    validator: () => (getFieldValue('mediaId') || getFieldValue('filePath') ?
+      Promise.resolve() :
+      Promise.reject(new Error('Select a library item or enter a file path')))
+  });
+
   // Get next available layer index
   const getNextLayerIndex = () => {
     for (let i = 0; i < availableLayers.length; i++) {
@@ -90,15 +128,29 @@ const StreamControls = ({ onAction, status, onLog }) => {
     }
   };
 
-  // Remove a layer
-  const removeLayer = (layerIndex) => {
-    setActiveLayers(activeLayers.filter(index => index !== layerIndex));
+  // Remove a layer: clear it on the stream, then drop its form
+  const removeLayer = async (layerIndex) => {
+    setRemovingLayer(layerIndex);
+    try {
+      const result = await onAction('layer', { index: layerIndex, clear: true });
+      if (result.success) {
+        message.success(`Layer ${layerIndex} removed`);
+        setActiveLayers(layers => layers.filter(index => index !== layerIndex));
+      } else {
+        message.error(result.message || 'Failed to remove layer');
+      }
+    } catch (error) {
+      message.error('Failed to remove layer');
+    } finally {
+      setRemovingLayer(null);
+    }
   };
 
   const handleUpdateContent = async (values) => {
     setLoading({ ...loading, content: true });
     try {
-      const result = await onAction('content', values.filePath);
+      const source = getSource(values);
+      const result = await onAction('content', source.mediaId ? source : source.path);
       if (result.success) {
         message.success('Content updated successfully');
         contentForm.resetFields();
@@ -117,7 +169,7 @@ const StreamControls = ({ onAction, status, onLog }) => {
     try {
       const result = await onAction('layer', {
         index: values.layerIndex,
-        path: values.filePath
+        ...getSource(values)
       });
       if (result.success) {
         message.success(`Layer ${values.layerIndex} updated successfully`);
@@ -169,39 +221,86 @@ const StreamControls = ({ onAction, status, onLog }) => {
 
   const quickActions = [
     {
-      label: 'Move to Top-Left',
-      command: 'Parsed_overlay_1 x=10:y=10',
-      description: 'Move overlay to top-left corner'
+      label: 'Move to Left Edge',
+      command: 'layer0_overlay x 10',
+      description: 'Move overlay to the left edge'
     },
     {
-      label: 'Move to Center',
-      command: 'Parsed_overlay_1 x=320:y=180',
-      description: 'Center the overlay'
+      label: 'Center Horizontally',
+      command: 'layer0_overlay x (W-w)/2',
+      description: 'Center the overlay horizontally'
     },
     {
-      label: 'Move to Bottom-Right',
-      command: 'Parsed_overlay_1 x=500:y=350',
-      description: 'Move overlay to bottom-right'
+      label: 'Move to Right Edge',
+      command: 'layer0_overlay x W-w-10',
+      description: 'Move overlay to the right edge'
     },
     {
-      label: '50% Opacity',
-      command: 'Parsed_overlay_1 alpha=0.5',
-      description: 'Set overlay to 50% opacity'
+      label: 'Layer 50% Volume',
+      command: 'layer0_volume volume 0.5',
+      description: 'Set layer audio to 50% volume'
     },
     {
-      label: 'Full Opacity',
-      command: 'Parsed_overlay_1 alpha=1.0',
-      description: 'Set overlay to full opacity'
+      label: 'Layer Full Volume',
+      command: 'layer0_volume volume 1.0',
+      description: 'Set layer audio to full volume'
     },
     {
-      label: 'Hide Overlay',
-      command: 'Parsed_overlay_1 alpha=0.0',
-      description: 'Hide the overlay completely'
+      label: 'Mute Layer',
+      command: 'layer0_volume volume 0',
+      description: 'Mute the layer audio'
     }
   ];
 
   return (
     <Space direction="vertical" size="large" style={{ width: '100%' }}>
+      {/* Media Library */}
+      <Card
+        title={
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'space-between', width: '100%' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <FileOutlined style={{ color: '#1890ff' }} />
+              <Title level={5} style={{ margin: 0, color: '#ffffff' }}>
+                Media Library
+              </Title>
+              <Tag color="blue" style={{ margin: 0 }}>{media.length}</Tag>
+            </div>
+            <Upload customRequest={handleUpload} showUploadList={false} disabled={uploadProgress !== null}>
+              <Button size="small" type="primary" icon={<UploadOutlined />} loading={uploadProgress !== null}>
+                {uploadProgress !== null ? `Uploading ${uploadProgress}%` : 'Upload'}
+              </Button>
+            </Upload>
+          </div>
+        }
+        size="small"
+      >
+        {media.length === 0 ? (
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            Upload videos and images to pick them below instead of typing server paths.
+          </Text>
+        ) : (
+          <Space direction="vertical" size={4} style={{ width: '100%' }}>
+            {media.map((item) => (
+              <div key={item.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+                <Text style={{ color: '#ffffff', fontSize: '12px' }} ellipsis>
+                  {item.name}
+                </Text>
+                <Space size={4}>
+                  <Tag style={{ margin: 0 }}>{item.kind}</Tag>
+                  <Button
+                    size="small"
+                    type="text"
+                    danger
+                    icon={<DeleteOutlined />}
+                    onClick={() => handleDeleteMedia(item)}
+                  />
+                </Space>
+              </div>
+            ))}
+          </Space>
+        )}
+      </Card>
+
       {/* Content Update */}
       <Card
         title={
@@ -220,43 +319,23 @@ const StreamControls = ({ onAction, status, onLog }) => {
           onFinish={handleUpdateContent}
         >
           <Form.Item
-            label={<Text style={{ color: '#ffffff' }}>Video File Path</Text>}
+            label={<Text style={{ color: '#ffffff' }}>Media Library</Text>}
+            name="mediaId"
+            rules={[requireSource]}
+            dependencies={['filePath']}
+          >
+            <MediaPicker media={contentMedia} usage="content" loading={mediaLoading} />
+          </Form.Item>
+
+          <Form.Item
+            label={<Text style={{ color: '#ffffff' }}>Or Server File Path</Text>}
             name="filePath"
-            rules={[
-              { required: true, message: 'Please enter video file path' },
-              { min: 1, message: 'Path cannot be empty' }
-            ]}
           >
             <Input 
               placeholder="/path/to/your/video.mp4"
               style={{ background: '#262626', border: '1px solid #404040', color: '#ffffff' }}
             />
           </Form.Item>
-
-          {/* Sample Video File Selection */}
-          <div style={{ marginBottom: '16px' }}>
-            <Text style={{ color: '#ffffff', fontSize: '13px', fontWeight: 500, marginBottom: '8px', display: 'block' }}>
-              <FileOutlined style={{ marginRight: '6px', color: '#1890ff' }} />
-              Sample Video Files:
-            </Text>
-            <Space wrap>
-              {sampleVideoFiles.map((file, index) => (
-                <Button
-                  key={index}
-                  size="small"
-                  icon={<PlaySquareOutlined />}
-                  onClick={() => selectSampleFile(contentForm, 'filePath', file.path)}
-                  style={{ 
-                    background: '#1a1a1a',
-                    border: '1px solid #1890ff40',
-                    color: '#1890ff'
-                  }}
-                >
-                  {file.name}
-                </Button>
-              ))}
-            </Space>
-          </div>
           
           <Form.Item style={{ marginBottom: 0 }}>
             <Button 
@@ -304,41 +383,6 @@ const StreamControls = ({ onAction, status, onLog }) => {
         }
         size="small"
       >
-        {/* Sample Overlay Files */}
-        <div style={{ marginBottom: activeLayers.length > 0 ? '20px' : '16px' }}>
-          <Text style={{ color: '#ffffff', fontSize: '13px', fontWeight: 500, marginBottom: '8px', display: 'block' }}>
-            <FileOutlined style={{ marginRight: '6px', color: '#1890ff' }} />
-            Sample Files (click to use):
-          </Text>
-          <Space wrap>
-            {sampleOverlayFiles.map((file, index) => (
-              <Button
-                key={index}
-                size="small"
-                icon={getFileTypeIcon(file.type)}
-                onClick={() => {
-                  if (activeLayers.length === 0) {
-                    addLayer();
-                  }
-                  // Wait a moment for state to update, then set the file
-                  setTimeout(() => {
-                    const layerIndex = activeLayers.length > 0 ? activeLayers[activeLayers.length - 1] : 0;
-                    document.querySelector(`input[name="layer-${layerIndex}-filePath"]`)?.focus();
-                    document.querySelector(`input[name="layer-${layerIndex}-filePath"]`)?.setAttribute('value', file.path);
-                  }, 100);
-                }}
-                style={{ 
-                  background: '#1a1a1a',
-                  border: `1px solid ${file.type === 'video' ? '#52c41a40' : '#faad1440'}`,
-                  color: file.type === 'video' ? '#52c41a' : '#faad14'
-                }}
-              >
-                {file.name}
-              </Button>
-            ))}
-          </Space>
-        </div>
-
         {/* Active Layers */}
         {activeLayers.length === 0 ? (
           <div style={{ 
@@ -353,7 +397,7 @@ const StreamControls = ({ onAction, status, onLog }) => {
             <Text style={{ color: '#8c8c8c' }}>No overlay layers configured</Text>
             <br />
             <Text type="secondary" style={{ fontSize: '12px' }}>
-              Click "Add Layer" or select a sample file to get started
+              Click "Add Layer" to get started
             </Text>
           </div>
         ) : (
@@ -376,6 +420,7 @@ const StreamControls = ({ onAction, status, onLog }) => {
                       type="text"
                       danger
                       icon={<MinusCircleOutlined />}
+                      loading={removingLayer === layerIndex}
                       onClick={() => removeLayer(layerIndex)}
                     >
                       Remove
@@ -389,15 +434,21 @@ const StreamControls = ({ onAction, status, onLog }) => {
                   style={{ marginBottom: 0 }}
                 >
                   <Form.Item
-                    label={<Text style={{ color: '#ffffff', fontSize: '12px' }}>File Path</Text>}
-                    name={`layer-${layerIndex}-filePath`}
-                    rules={[
-                      { required: true, message: 'Please enter file path' }
-                    ]}
+                    label={<Text style={{ color: '#ffffff', fontSize: '12px' }}>Media Library</Text>}
+                    name="mediaId"
+                    rules={[requireSource]}
+                    dependencies={['filePath']}
+                    style={{ marginBottom: '12px' }}
+                  >
+                    <MediaPicker media={layerMedia} usage="layer" loading={mediaLoading} />
+                  </Form.Item>
+
+                  <Form.Item
+                    label={<Text style={{ color: '#ffffff', fontSize: '12px' }}>Or Server File Path</Text>}
+                    name="filePath"
                     style={{ marginBottom: '12px' }}
                   >
                     <Input 
-                      name={`layer-${layerIndex}-filePath`}
                       placeholder="/path/to/overlay.png (or .mp4, .gif, etc.)"
                       style={{ 
                         background: '#262626', 
@@ -458,7 +509,7 @@ const StreamControls = ({ onAction, status, onLog }) => {
             ]}
           >
             <TextArea
-              placeholder="Parsed_overlay_1 x=200:y=300"
+              placeholder="layer0_overlay x 200"
               rows={3}
               style={{ 
                 background: '#262626', 
@@ -489,16 +540,16 @@ const StreamControls = ({ onAction, status, onLog }) => {
           </Text>
           <div style={{ marginTop: '8px', fontSize: '12px', fontFamily: 'monospace' }}>
             <div style={{ color: '#7dd3fc', marginBottom: '4px' }}>
-              • Parsed_overlay_1 x=100:y=200
+              • layer0_overlay x 100
             </div>
             <div style={{ color: '#a78bfa', marginBottom: '4px' }}>
-              • Parsed_overlay_1 alpha=0.8
+              • layer0_overlay y 200
             </div>
             <div style={{ color: '#fbbf24', marginBottom: '4px' }}>
-              • Parsed_drawtext_0 text="Live"
+              • layer0_volume volume 0.5
             </div>
             <div style={{ color: '#f87171' }}>
-              • Parsed_drawtext_0 fontcolor=red
+              • main_volume volume 0.8
             </div>
           </div>
         </div>
@@ -148,7 +148,7 @@ const VideoPlayer = ({ streamUrl, loading, onLog }) => {
     if (playerRef.current) {
       onLog('info', 'Reloading stream...');
       playerRef.current.src({
-        src: streamUrl + '?t=' + Date.now(),
+        src: `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}t=${Date.now()}`,
         type: 'application/x-mpegURL'
       });
       playerRef.current.load();
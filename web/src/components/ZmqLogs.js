@@ -21,6 +21,7 @@ import {
   DisconnectOutlined,
   LinkOutlined
 } from '@ant-design/icons';
+import { StreamService } from '../services/StreamService';
 
 const { Title, Text } = Typography;
 const { Option } = Select;
@@ -63,7 +64,7 @@ const ZmqLogs = () => {
       eventSourceRef.current.close();
     }
     setIsLoading(true);
-    const eventSource = new EventSource('/api/zmq/logs/stream');
+    const eventSource = new EventSource(StreamService.withApiKey('/api/zmq/logs/stream'));
     eventSourceRef.current = eventSource;
 
     eventSource.onopen = () => {
@@ -101,7 +102,7 @@ const ZmqLogs = () => {
 
   const loadInitialLogs = async () => {
     try {
-      const response = await fetch('/api/zmq/logs');
+      const response = await fetch('/api/zmq/logs', { headers: StreamService.authHeaders() });
       const data = await response.json();
       if (data.success) {
         setLogs(data.logs);
@@ -129,7 +130,7 @@ const ZmqLogs = () => {
 
   const handleClear = async () => {
     try {
-      const response = await fetch('/api/zmq/logs', { method: 'DELETE' });
+      const response = await fetch('/api/zmq/logs', { method: 'DELETE', headers: StreamService.authHeaders() });
       if (response.ok) {
         setLogs([]);
         setSearchTerm('');
@@ -172,6 +173,7 @@ const ZmqLogs = () => {
   const getTypeColor = (type) => {
     const colors = {
       sent: '#7dd3fc',
+      reply: '#86efac',
       error: '#f87171',
       system: '#a78bfa'
     };
@@ -299,6 +301,9 @@ const ZmqLogs = () => {
                 <Option value="sent">
                   Sent ({getTypeCount('sent')})
                 </Option>
+                <Option value="reply">
+                  Reply ({getTypeCount('reply')})
+                </Option>
                 <Option value="error">
                   Error ({getTypeCount('error')})
                 </Option>
@@ -1,14 +1,27 @@
 import axios from 'axios';
 
+const API_BASE_URL = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000';
+
 // Configure axios for API calls
 const api = axios.create({
-  baseURL: process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000',
+  baseURL: API_BASE_URL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+const API_KEY_STORAGE_KEY = 'hlsApiKey';
+
+// Send the API key (set in the header bar, or REACT_APP_API_KEY at build time) with each request
+api.interceptors.request.use((config) => {
+  const apiKey = StreamService.getApiKey();
+  if (apiKey) {
+    config.headers['X-API-Key'] = apiKey;
+  }
+  return config;
+});
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
@@ -29,6 +42,42 @@ api.interceptors.response.use(
 );
 
 export class StreamService {
+  /**
+   * Get the API key sent with requests
+   */
+  static getApiKey() {
+    return localStorage.getItem(API_KEY_STORAGE_KEY) || process.env.REACT_APP_API_KEY || null;
+  }
+
+  /**
+   * Remember the API key for this browser (an empty key forgets it)
+   */
+  static setApiKey(apiKey) {
+    if (apiKey) {
+      localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+    } else {
+      localStorage.removeItem(API_KEY_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Headers carrying the API key, for plain fetch() calls
+   */
+  static authHeaders() {
+    const apiKey = this.getApiKey();
+    return apiKey ? { 'X-API-Key': apiKey } : {};
+  }
+
+  /**
+   * Append the API key as a query parameter, for EventSource and <img> which cannot send headers
+   */
+  static withApiKey(url) {
+    const apiKey = this.getApiKey();
+    if (!apiKey) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}api_key=${encodeURIComponent(apiKey)}`;
+  }
+
   /**
    * Get current stream status
    */
@@ -55,6 +104,19 @@ export class StreamService {
     }
   }
 
+  /**
+   * Get encoder metrics (latest sample, history and slow encoder alert)
+   */
+  static async getEncoderMetrics() {
+    try {
+      const response = await api.get('/api/metrics/encoder');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get encoder metrics:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get stream information and endpoints
    */
@@ -69,14 +131,25 @@ export class StreamService {
   }
 
   /**
-   * Update stream content
+   * Get the main content and the file last written to it
    */
-  static async updateContent(filePath) {
+  static async getContent() {
     try {
-      const response = await api.post('/api/update', {
-        type: 'content',
-        data: filePath
-      });
+      const response = await api.get('/api/content');
+      return response.data.content;
+    } catch (error) {
+      console.error('Failed to get content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update stream content ({ path } or { mediaId })
+   */
+  static async updateContent(source) {
+    try {
+      const body = typeof source === 'string' ? { path: source } : source;
+      const response = await api.put('/api/content', body);
       return response.data;
     } catch (error) {
       console.error('Failed to update content:', error);
@@ -85,17 +158,25 @@ export class StreamService {
   }
 
   /**
-   * Update stream layer
+   * Get one overlay layer: layout, filter instances and source
    */
-  static async updateLayer(index, filePath) {
+  static async getLayer(index) {
     try {
-      const response = await api.post('/api/update', {
-        type: 'layer',
-        data: {
-          index: parseInt(index),
-          path: filePath
-        }
-      });
+      const response = await api.get(`/api/layers/${index}`);
+      return response.data.layer;
+    } catch (error) {
+      console.error('Failed to get layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update stream layer ({ path } or { mediaId }, optionally with a layout)
+   */
+  static async updateLayer(index, source) {
+    try {
+      const body = typeof source === 'string' ? { path: source } : source;
+      const response = await api.put(`/api/layers/${parseInt(index)}`, body);
       return response.data;
     } catch (error) {
       console.error('Failed to update layer:', error);
@@ -104,15 +185,27 @@ export class StreamService {
   }
 
   /**
-   * Send filter command
+   * Hide and mute a layer, clear it to a transparent frame and forget its source
+   */
+  static async clearLayer(index) {
+    try {
+      const response = await api.delete(`/api/layers/${parseInt(index)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to clear layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send filter command ("<instance> <command> [argument]")
    */
   static async sendFilterCommand(command) {
     try {
-      const response = await api.post('/api/update', {
-        type: 'filter',
-        data: {
-          command
-        }
+      const [instance, name, ...argument] = command.trim().split(/\s+/);
+      const response = await api.post(`/api/filters/${encodeURIComponent(instance)}/commands`, {
+        command: name,
+        ...(argument.length > 0 && { argument: argument.join(' ') })
       });
       return response.data;
     } catch (error) {
@@ -126,41 +219,22 @@ export class StreamService {
    */
   static async updateStream(type, data) {
     try {
-      let payload;
-      
       switch (type) {
         case 'content':
-          payload = {
-            type: 'content',
-            data: data
-          };
-          break;
+          return await this.updateContent(data);
           
         case 'layer':
-          payload = {
-            type: 'layer',
-            data: {
-              index: data.index,
-              path: data.path
-            }
-          };
-          break;
+          if (data.clear) {
+            return await this.clearLayer(data.index);
+          }
+          return await this.updateLayer(data.index, data.mediaId ? { mediaId: data.mediaId } : { path: data.path });
           
         case 'filter':
-          payload = {
-            type: 'filter',
-            data: {
-              command: data.command
-            }
-          };
-          break;
+          return await this.sendFilterCommand(data.command);
           
         default:
           throw new Error(`Unknown update type: ${type}`);
       }
-      
-      const response = await api.post('/api/update', payload);
-      return response.data;
     } catch (error) {
       console.error(`Failed to update stream (${type}):`, error);
       throw error;
@@ -168,22 +242,169 @@ export class StreamService {
   }
 
   /**
-   * Quick filter commands
+   * List media library items (optionally filtered by kind: video, image, audio)
+   */
+  static async listMedia(kind = null) {
+    try {
+      const response = await api.get('/api/media', { params: kind ? { kind } : {} });
+      return response.data.items;
+    } catch (error) {
+      console.error('Failed to list media:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to the media library
+   */
+  static async uploadMedia(file, onProgress = null) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await api.post('/api/media', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0,
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        }
+      });
+      return response.data.item;
+    } catch (error) {
+      console.error('Failed to upload media:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a media library item
+   */
+  static async deleteMedia(id) {
+    try {
+      const response = await api.delete(`/api/media/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete media:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the absolute URL of a media item's thumbnail
+   */
+  static getThumbnailUrl(item) {
+    return item.thumbnailUrl ? this.withApiKey(`${API_BASE_URL}${item.thumbnailUrl}`) : null;
+  }
+
+  /**
+   * List the filter graph instances and the runtime commands each accepts
    */
-  static async moveOverlay(x, y, layerIndex = 1) {
-    return this.sendFilterCommand(`Parsed_overlay_${layerIndex} x=${x}:y=${y}`);
+  static async getFilters() {
+    try {
+      const response = await api.get('/api/filters');
+      return response.data.filters;
+    } catch (error) {
+      console.error('Failed to get filters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the layout of every overlay layer
+   */
+  static async getLayers() {
+    try {
+      const response = await api.get('/api/layers');
+      return response.data.layers;
+    } catch (error) {
+      console.error('Failed to get layers:', error);
+      throw error;
+    }
   }
 
-  static async setOverlayOpacity(alpha, layerIndex = 1) {
-    return this.sendFilterCommand(`Parsed_overlay_${layerIndex} alpha=${alpha}`);
+  /**
+   * Change part of a layer's layout (position, size, opacity, zIndex, visibility)
+   */
+  static async updateLayerLayout(index, layout) {
+    try {
+      const response = await api.patch(`/api/layers/${index}`, layout);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update layer layout:', error);
+      throw error;
+    }
   }
 
-  static async updateText(text, filterId = 0) {
-    return this.sendFilterCommand(`Parsed_drawtext_${filterId} text="${text}"`);
+  /**
+   * Get the text layers and the built-in templates ({ layers, templates })
+   */
+  static async getTextLayers() {
+    try {
+      const response = await api.get('/api/text');
+      return { layers: response.data.layers, templates: response.data.templates };
+    } catch (error) {
+      console.error('Failed to get text layers:', error);
+      throw error;
+    }
   }
 
-  static async setTextColor(color, filterId = 0) {
-    return this.sendFilterCommand(`Parsed_drawtext_${filterId} fontcolor=${color}`);
+  /**
+   * Create or replace a named text layer (template, text, font, colors, box, position, speed)
+   */
+  static async setTextLayer(name, layer) {
+    try {
+      const response = await api.put(`/api/text/${encodeURIComponent(name)}`, layer);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to set text layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change some fields of a text layer, e.g. its text
+   */
+  static async updateTextLayer(name, changes) {
+    try {
+      const response = await api.patch(`/api/text/${encodeURIComponent(name)}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update text layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a text layer
+   */
+  static async removeTextLayer(name) {
+    try {
+      const response = await api.delete(`/api/text/${encodeURIComponent(name)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to remove text layer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quick filter commands
+   */
+  static async moveOverlay(x, y, layerIndex = 0) {
+    // The overlay filter takes one coordinate per command
+    const result = await this.sendFilterCommand(`layer${layerIndex}_overlay x ${x}`);
+    if (!result.success) return result;
+    return this.sendFilterCommand(`layer${layerIndex}_overlay y ${y}`);
+  }
+
+  static async setLayerVolume(volume, layerIndex = 0) {
+    return this.sendFilterCommand(`layer${layerIndex}_volume volume ${volume}`);
+  }
+
+  static async setMainVolume(volume) {
+    return this.sendFilterCommand(`main_volume volume ${volume}`);
   }
 
   /**
@@ -227,65 +448,69 @@ export class StreamService {
       },
       
       updateContent: {
-        method: 'POST',
-        url: `${baseUrl}/api/update`,
+        method: 'PUT',
+        url: `${baseUrl}/api/content`,
         description: 'Update the main video content',
         body: {
-          type: 'content',
-          data: '/path/to/video.mp4'
+          path: '/path/to/video.mp4'
         },
-        example: `fetch('${baseUrl}/api/update', {
-  method: 'POST',
+        example: `fetch('${baseUrl}/api/content', {
+  method: 'PUT',
   headers: { 'Content-Type': 'application/json' },
   body: JSON.stringify({
-    type: 'content',
-    data: '/path/to/video.mp4'
+    path: '/path/to/video.mp4'
   })
 })`
       },
       
       updateLayer: {
-        method: 'POST',
-        url: `${baseUrl}/api/update`,
+        method: 'PUT',
+        url: `${baseUrl}/api/layers/0`,
         description: 'Update an overlay layer',
         body: {
-          type: 'layer',
-          data: {
-            index: 0,
-            path: '/path/to/overlay.png'
-          }
+          path: '/path/to/overlay.png'
         },
-        example: `fetch('${baseUrl}/api/update', {
-  method: 'POST',
+        example: `fetch('${baseUrl}/api/layers/0', {
+  method: 'PUT',
   headers: { 'Content-Type': 'application/json' },
   body: JSON.stringify({
-    type: 'layer',
-    data: {
-      index: 0,
-      path: '/path/to/overlay.png'
-    }
+    path: '/path/to/overlay.png'
   })
 })`
       },
       
       sendFilter: {
         method: 'POST',
-        url: `${baseUrl}/api/update`,
+        url: `${baseUrl}/api/filters/layer0_overlay/commands`,
         description: 'Send real-time filter commands via ZeroMQ',
         body: {
-          type: 'filter',
-          data: {
-            command: 'Parsed_overlay_1 x=200:y=300'
-          }
+          command: 'x',
+          argument: 200
         },
-        example: `fetch('${baseUrl}/api/update', {
+        example: `fetch('${baseUrl}/api/filters/layer0_overlay/commands', {
   method: 'POST',
   headers: { 'Content-Type': 'application/json' },
   body: JSON.stringify({
-    type: 'filter',
-    data: {
-      command: 'Parsed_overlay_1 x=200:y=300'
-    }
+    command: 'x',
+    argument: 200
+  })
+})`
+      },
+      
+      setTextLayer: {
+        method: 'PUT',
+        url: `${baseUrl}/api/text/ticker`,
+        description: 'Create or replace a text layer (tickers, lower thirds, clocks)',
+        body: {
+          template: 'crawl',
+          text: 'Breaking news'
+        },
+        example: `fetch('${baseUrl}/api/text/ticker', {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({
+    template: 'crawl',
+    text: 'Breaking news'
   })
 })`
       }